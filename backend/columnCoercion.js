@@ -0,0 +1,137 @@
+/**
+ * Column Coercion
+ * Converts a stored dataset's column to the type a user picked when type detection guessed wrong,
+ * e.g. a ZIP code column detected as `number` that should be text so `startsWith` works.
+ *
+ * Values are converted with the dataset's value parser (see valueParsing.js):
+ * - text: numbers become their digits, dates become "2024-03-04" (or "2024-03-04 13:05:00")
+ * - number: text is read with the dataset's locale ("1.234,56", "€1,200")
+ * - date: text is read as a date, and numbers as Excel serial dates (45355 is 2024-03-04)
+ * - boolean: true/false, yes/no, y/n and 1/0 become true and false
+ * - currency and percentage: read as numbers ("12.5%" is 0.125); the symbol or decimals the
+ *   text was written with are kept as the column's format
+ * - time and duration: become "13:05:00" and "36:15:00"
+ * - identifier: like text, so "02134" keeps its leading zero
+ *
+ * Empty cells stay empty. Cells that cannot be converted keep their value and are counted, so
+ * nothing is lost and the user can see how well the new type fits.
+ */
+
+import {
+  describeColumnFormat,
+  formatDuration,
+  formatTimeOfDay,
+  parseBoolean,
+  parseDuration,
+  parseTimeOfDay,
+} from './valueTypes.js';
+
+// Excel serial 0 is 1899-12-30 in the 1900 date system
+const EXCEL_EPOCH = Date.UTC(1899, 11, 30);
+const MAX_EXCEL_SERIAL = 2958465; // 9999-12-31
+const MAX_FAILED_EXAMPLES = 5;
+
+const pad = (number) => String(number).padStart(2, '0');
+
+// Dates hold wall-clock time in their UTC fields
+function formatDate(date) {
+  const day = `${date.getUTCFullYear()}-${pad(date.getUTCMonth() + 1)}-${pad(date.getUTCDate())}`;
+  const hasTime = date.getUTCHours() || date.getUTCMinutes() || date.getUTCSeconds();
+  return hasTime
+    ? `${day} ${pad(date.getUTCHours())}:${pad(date.getUTCMinutes())}:${pad(date.getUTCSeconds())}`
+    : day;
+}
+
+/**
+ * Convert one non-empty value. Returns the converted value, or undefined when the value cannot
+ * be represented as `type`.
+ */
+function coerceValue(value, type, parser) {
+  switch (type) {
+    case 'text':
+    case 'identifier':
+      return value instanceof Date ? formatDate(value) : String(value);
+    case 'boolean':
+      return parseBoolean(value) ?? undefined;
+    case 'number':
+    case 'currency':
+    case 'percentage': {
+      const number = parser.parseNumber(value);
+      return isFinite(number) ? number : undefined;
+    }
+    case 'date': {
+      if (value instanceof Date) return value;
+      const time = parser.parseDate(value);
+      if (!isNaN(time)) return new Date(time);
+
+      const serial = parser.parseNumber(value);
+      return serial >= 1 && serial <= MAX_EXCEL_SERIAL
+        ? new Date(EXCEL_EPOCH + Math.round(serial * 86400) * 1000)
+        : undefined;
+    }
+    case 'time': {
+      const seconds = parseTimeOfDay(value);
+      return isNaN(seconds) ? undefined : formatTimeOfDay(seconds);
+    }
+    case 'duration': {
+      const seconds = parseDuration(value);
+      return isNaN(seconds) ? undefined : formatDuration(seconds);
+    }
+    default:
+      return undefined;
+  }
+}
+
+/**
+ * Convert `columns` ({ column: type }) of `rows`. Rows are copied rather than changed in place,
+ * since filter results share row objects with the dataset they came from.
+ * Returns { data, conversions, columnFormats } with, per column, { type, converted, failed,
+ * failedExamples } and the format of currency and percentage columns.
+ */
+function coerceColumns(rows, columns, parser) {
+  const entries = Object.entries(columns);
+  const conversions = {};
+  entries.forEach(([column, type]) => {
+    conversions[column] = { type, converted: 0, failed: 0, failedExamples: [] };
+  });
+
+  const data = rows.map((row) => {
+    const converted = { ...row };
+    entries.forEach(([column, type]) => {
+      const value = row[column];
+      if (value === null || value === undefined || value === '') return;
+
+      const conversion = conversions[column];
+      const result = coerceValue(value, type, parser);
+      if (result === undefined) {
+        conversion.failed++;
+        const example = String(value);
+        if (
+          conversion.failedExamples.length < MAX_FAILED_EXAMPLES &&
+          !conversion.failedExamples.includes(example)
+        ) {
+          conversion.failedExamples.push(example);
+        }
+        return;
+      }
+
+      converted[column] = result;
+      conversion.converted++;
+    });
+    return converted;
+  });
+
+  // Formats are read from the values as written, before conversion strips their symbols
+  const columnFormats = {};
+  entries.forEach(([column, type]) => {
+    const values = rows
+      .map((row) => row[column])
+      .filter((value) => value !== null && value !== undefined && value !== '');
+    const format = describeColumnFormat(type, values, parser);
+    if (format) columnFormats[column] = format;
+  });
+
+  return { data, conversions, columnFormats };
+}
+
+export { coerceColumns, coerceValue };
@@ -0,0 +1,160 @@
+/**
+ * Column Profiling
+ * Per-column statistics of a dataset's rows, so analysts can see what a column holds before
+ * filtering it:
+ * - how many cells are filled, null or blank, how many distinct values there are and which
+ *   values are the most frequent
+ * - min, max, mean, median and standard deviation of number, currency, percentage and duration
+ *   columns (durations in seconds)
+ * - the earliest and latest value of date and time columns, and the text length range of every
+ *   column
+ * - how confident type detection was: the share of values that can be read as the column's type,
+ *   and how many values on their own look like each type
+ *
+ * Values are read with the dataset's parser (see valueParsing.js), as filtering reads them.
+ */
+
+import { coerceValue } from './columnCoercion.js';
+import { detectDataType } from './typeDetection.js';
+import { formatTimeOfDay, parseDuration, parseTimeOfDay } from './valueTypes.js';
+
+const DEFAULT_TOP_VALUES = 10;
+const MAX_TOP_VALUES = 50;
+// Distinct values counted per column; past this, distinct counts are lower bounds
+const MAX_DISTINCT_VALUES = 100000;
+
+const NUMERIC_READERS = {
+  number: (value, parser) => parser.parseNumber(value),
+  currency: (value, parser) => parser.parseNumber(value),
+  percentage: (value, parser) => parser.parseNumber(value),
+  duration: (value) => parseDuration(value),
+};
+
+const distinctKey = (value) => (value instanceof Date ? value.toISOString() : String(value));
+
+function median(sorted) {
+  const middle = Math.floor(sorted.length / 2);
+  return sorted.length % 2 === 1 ? sorted[middle] : (sorted[middle - 1] + sorted[middle]) / 2;
+}
+
+// Running min, max, mean and variance (Welford's method), keeping the values for the median
+function createNumberStats() {
+  const values = [];
+  let mean = 0;
+  let squares = 0;
+
+  return {
+    add(number) {
+      values.push(number);
+      const delta = number - mean;
+      mean += delta / values.length;
+      squares += delta * (number - mean);
+    },
+    finish() {
+      if (values.length === 0) return null;
+      const sorted = Float64Array.from(values).sort();
+      return {
+        count: values.length,
+        min: sorted[0],
+        max: sorted[sorted.length - 1],
+        mean,
+        median: median(sorted),
+        // Sample standard deviation
+        stdDev: values.length > 1 ? Math.sqrt(squares / (values.length - 1)) : 0,
+      };
+    },
+  };
+}
+
+function profileColumn(rows, column, type, parser, topValues) {
+  const counts = new Map();
+  const valueTypes = {};
+  const numbers = NUMERIC_READERS[type] ? createNumberStats() : null;
+  let nulls = 0;
+  let blanks = 0;
+  let readable = 0;
+  let distinctCapped = false;
+  let minLength = Infinity;
+  let maxLength = -Infinity;
+  let earliest = Infinity;
+  let latest = -Infinity;
+
+  rows.forEach((row) => {
+    const value = row[column];
+    if (value === null || value === undefined) {
+      nulls++;
+      return;
+    }
+    const text = distinctKey(value);
+    if (text.trim() === '') {
+      blanks++;
+      return;
+    }
+
+    if (counts.has(text) || counts.size < MAX_DISTINCT_VALUES) {
+      counts.set(text, (counts.get(text) || 0) + 1);
+    } else {
+      distinctCapped = true;
+    }
+
+    const detected = detectDataType(value, parser);
+    valueTypes[detected] = (valueTypes[detected] || 0) + 1;
+    if (coerceValue(value, type, parser) !== undefined) readable++;
+
+    minLength = Math.min(minLength, text.length);
+    maxLength = Math.max(maxLength, text.length);
+
+    if (numbers) {
+      const number = NUMERIC_READERS[type](value, parser);
+      if (isFinite(number)) numbers.add(number);
+    } else if (type === 'date' || type === 'time') {
+      const time = type === 'date' ? parser.parseDate(value) : parseTimeOfDay(value);
+      if (!isNaN(time)) {
+        earliest = Math.min(earliest, time);
+        latest = Math.max(latest, time);
+      }
+    }
+  });
+
+  const filled = rows.length - nulls - blanks;
+  const formatRange = type === 'date' ? (time) => new Date(time).toISOString() : formatTimeOfDay;
+
+  return {
+    column,
+    type,
+    filled,
+    nulls,
+    blanks,
+    distinct: counts.size,
+    distinctCapped,
+    topValues: [...counts.entries()]
+      .sort((a, b) => b[1] - a[1])
+      .slice(0, topValues)
+      .map(([value, count]) => ({ value, count })),
+    typeConfidence: filled > 0 ? readable / filled : null,
+    valueTypes,
+    length: filled > 0 ? { min: minLength, max: maxLength } : null,
+    ...(numbers && { numbers: numbers.finish() }),
+    ...((type === 'date' || type === 'time') && {
+      range: earliest <= latest ? { min: formatRange(earliest), max: formatRange(latest) } : null,
+    }),
+  };
+}
+
+/**
+ * Profile `headers` of `rows`, one column at a time. Returns an array of column profiles in
+ * header order.
+ */
+function profileColumns(
+  rows,
+  headers,
+  columnTypes,
+  parser,
+  { topValues = DEFAULT_TOP_VALUES } = {},
+) {
+  return headers.map((header) =>
+    profileColumn(rows, header, columnTypes[header] || 'text', parser, topValues),
+  );
+}
+
+export { DEFAULT_TOP_VALUES, MAX_TOP_VALUES, profileColumns };
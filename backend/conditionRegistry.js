@@ -0,0 +1,364 @@
+/**
+ * Condition Registry
+ * Every filter condition in one place: filtering, validation, filter expressions and the UI's
+ * condition dropdowns (GET /api/conditions) all look conditions up here.
+ *
+ * A condition is:
+ *   {
+ *     id: 'startsWith',            // the `condition` of a filter
+ *     label: 'Starts With',        // shown in the condition dropdown
+ *     types: ['text', 'identifier'], // column types it is offered for (see COLUMN_TYPES)
+ *     operands: 'one',             // 'none', 'one' (value) or 'two' (value and value2); built-in
+ *                                  // conditions also use 'list', 'relative' and 'numbers'
+ *     evaluate(cellValue, filter, parser) { ... }, // true when the row is kept
+ *     validate(filter) { ... },    // optional: why the filter is invalid, or null
+ *   }
+ * Without `validate`, conditions taking operands need a non-empty `value`.
+ *
+ * Custom conditions are registered with registerCondition, usually from plugin modules listed in
+ * CONDITION_PLUGINS (comma-separated paths, relative to the working directory) and loaded at
+ * startup. A plugin's default export is a condition or an array of conditions:
+ *
+ *   export default {
+ *     id: 'isEven', label: 'Is Even', types: ['number'], operands: 'none',
+ *     evaluate: (cellValue, filter, parser) => parser.parseNumber(cellValue) % 2 === 0,
+ *   };
+ */
+
+import path from 'path';
+import { pathToFileURL } from 'url';
+import { matchesValueList, validateListFilter } from './valueLists.js';
+import { matchesTextCondition, validateRegexPattern } from './textMatching.js';
+import { toDayNumber } from './valueParsing.js';
+import { COLUMN_TYPES, matchesTypedCondition, validateTypedFilter } from './valueTypes.js';
+import { matchesRelativeDate, validateRelativeDateFilter } from './relativeDates.js';
+
+const OPERANDS = ['none', 'one', 'two', 'list', 'relative', 'numbers'];
+// Operands with inputs of their own in the UI, only offered for built-in conditions
+const CUSTOM_OPERANDS = ['none', 'one', 'two'];
+const CONDITION_ID = /^[A-Za-z][A-Za-z0-9_]*$/;
+
+const NUMBER_TYPES = ['number', 'currency', 'percentage'];
+const TEXT_TYPES = ['text', 'identifier'];
+const TEXT_OPTIONS = ['caseSensitive', 'normalizeWhitespace', 'ignoreAccents'];
+
+const conditions = new Map();
+
+// Number a cell holds for numeric conditions. Percentages are compared in percent, as users type
+// them ("12.5" matches a 12.5% cell), so conditions carry their column's type (see
+// withColumnTypes in server.js); rounding keeps 0.07 * 100 equal to 7.
+function readCellNumber(cellValue, filter, parser) {
+  const number = parser.parseNumber(cellValue);
+  return filter.columnType === 'percentage' ? Number((number * 100).toPrecision(12)) : number;
+}
+
+function isEmptyCell(cellValue) {
+  return cellValue === null || cellValue === undefined || String(cellValue).trim() === '';
+}
+
+function findValueError(filter) {
+  return filter.value === undefined || filter.value === null || String(filter.value).trim() === ''
+    ? 'needs a value'
+    : null;
+}
+
+// Numeric conditions - cells are read with the dataset's locale, filter values are plain numbers
+// as typed into a number input (see readCellNumber)
+const compareNumbers = (id, label, compare) => ({
+  id,
+  label,
+  types: NUMBER_TYPES,
+  operands: 'one',
+  evaluate: (cellValue, filter, parser) => {
+    const cellNumber = readCellNumber(cellValue, filter, parser);
+    const filterNumber = parseFloat(filter.value);
+    return !isNaN(cellNumber) && !isNaN(filterNumber) && compare(cellNumber, filterNumber);
+  },
+});
+
+// Text conditions (case and normalization options are handled in textMatching.js)
+const matchText = (id, label) => ({
+  id,
+  label,
+  types: TEXT_TYPES,
+  operands: 'one',
+  evaluate: (cellValue, filter) => matchesTextCondition(cellValue, filter),
+  validate: (filter) => {
+    if (
+      TEXT_OPTIONS.some(
+        (option) => filter[option] !== undefined && typeof filter[option] !== 'boolean',
+      )
+    ) {
+      return `text options (${TEXT_OPTIONS.join(', ')}) must be true or false`;
+    }
+    if (id === 'matchesRegex') {
+      const error = validateRegexPattern(filter.value);
+      if (error !== null) return `pattern "${filter.value}": ${error}`;
+    }
+    return findValueError(filter);
+  },
+});
+
+// Boolean, time-of-day and duration conditions (see valueTypes.js)
+const matchTyped = (id, label, type, operands) => ({
+  id,
+  label,
+  types: [type],
+  operands,
+  evaluate: (cellValue, filter) => matchesTypedCondition(cellValue, filter),
+  validate: (filter) => (validateTypedFilter(filter) ? null : `has invalid values for "${id}"`),
+});
+
+// Date conditions, compared as wall-clock times in the dataset's time zone
+const compareDates = (id, label, compare) => ({
+  id,
+  label,
+  types: ['date'],
+  operands: 'one',
+  evaluate: (cellValue, filter, parser) => {
+    const cellDate = parser.parseDate(cellValue);
+    const filterDate = parser.parseDate(filter.value);
+    return !isNaN(cellDate) && !isNaN(filterDate) && compare(cellDate, filterDate);
+  },
+});
+
+// Relative date conditions, resolved against today's date (see relativeDates.js)
+const matchRelativeDate = (id, label, operands) => ({
+  id,
+  label,
+  types: ['date'],
+  operands,
+  evaluate: (cellValue, filter, parser) => matchesRelativeDate(cellValue, filter, parser),
+  validate: (filter) =>
+    validateRelativeDateFilter(filter) ? null : `has an invalid period or count for "${id}"`,
+});
+
+// Value list conditions (see valueLists.js)
+const matchList = (id, label, keep) => ({
+  id,
+  label,
+  types: [...NUMBER_TYPES, ...TEXT_TYPES],
+  operands: 'list',
+  evaluate: (cellValue, filter) => matchesValueList(cellValue, filter) === keep,
+  validate: (filter) =>
+    validateListFilter(filter)
+      ? null
+      : 'needs a list of values, pasted, picked or taken from another file',
+});
+
+const EMPTY_CHECK_TYPES = [...TEXT_TYPES, 'boolean', 'time', 'duration'];
+
+// In the order the UI lists them for each column type
+const BUILT_IN_CONDITIONS = [
+  compareNumbers('equals', 'Equals (=)', (a, b) => a === b),
+  {
+    // Cells or values that are not numbers count as different
+    id: 'notEquals',
+    label: 'Not Equals (≠)',
+    types: NUMBER_TYPES,
+    operands: 'one',
+    evaluate: (cellValue, filter, parser) => {
+      const cellNumber = readCellNumber(cellValue, filter, parser);
+      const filterNumber = parseFloat(filter.value);
+      return isNaN(cellNumber) || isNaN(filterNumber) || cellNumber !== filterNumber;
+    },
+  },
+  compareNumbers('greaterThan', 'Greater Than (>)', (a, b) => a > b),
+  compareNumbers('lessThan', 'Less Than (<)', (a, b) => a < b),
+  compareNumbers('greaterThanOrEqual', 'Greater Than or Equal (≥)', (a, b) => a >= b),
+  compareNumbers('lessThanOrEqual', 'Less Than or Equal (≤)', (a, b) => a <= b),
+  {
+    id: 'between',
+    label: 'Between',
+    types: NUMBER_TYPES,
+    operands: 'two',
+    evaluate: (cellValue, filter, parser) => {
+      const number = readCellNumber(cellValue, filter, parser);
+      const from = parseFloat(filter.value);
+      const to = parseFloat(filter.value2);
+      return !isNaN(number) && !isNaN(from) && !isNaN(to) && number >= from && number <= to;
+    },
+  },
+
+  matchText('contains', 'Contains'),
+  matchText('doesNotContain', 'Does Not Contain'),
+  matchText('startsWith', 'Starts With'),
+  matchText('endsWith', 'Ends With'),
+  matchText('exactMatch', 'Exact Match'),
+  matchText('matchesRegex', 'Matches Pattern (regex)'),
+
+  matchTyped('isTrue', 'Is True / Yes', 'boolean', 'none'),
+  matchTyped('isFalse', 'Is False / No', 'boolean', 'none'),
+  matchTyped('timeBefore', 'Before', 'time', 'one'),
+  matchTyped('timeAfter', 'After', 'time', 'one'),
+  matchTyped('timeBetween', 'Between', 'time', 'two'),
+  matchTyped('durationLongerThan', 'Longer Than', 'duration', 'one'),
+  matchTyped('durationShorterThan', 'Shorter Than', 'duration', 'one'),
+  matchTyped('durationBetween', 'Between', 'duration', 'two'),
+
+  compareDates('before', 'Before', (a, b) => a < b),
+  compareDates('after', 'After', (a, b) => a > b),
+  compareDates('on', 'On', (a, b) => toDayNumber(a) === toDayNumber(b)),
+  {
+    id: 'betweenDates',
+    label: 'Between',
+    types: ['date'],
+    operands: 'two',
+    evaluate: (cellValue, filter, parser) => {
+      const date = parser.parseDate(cellValue);
+      const from = parser.parseDate(filter.value);
+      const to = parser.parseDate(filter.value2);
+      return !isNaN(date) && !isNaN(from) && !isNaN(to) && date >= from && date <= to;
+    },
+  },
+  matchRelativeDate('inLast', 'In the Last', 'relative'),
+  matchRelativeDate('inNext', 'In the Next', 'relative'),
+  matchRelativeDate('inPeriod', 'In Period', 'one'),
+  matchRelativeDate('dayOfWeek', 'Day of Week', 'numbers'),
+  matchRelativeDate('monthOfYear', 'Month of Year', 'numbers'),
+
+  {
+    id: 'isEmpty',
+    label: 'Is Empty',
+    types: EMPTY_CHECK_TYPES,
+    operands: 'none',
+    evaluate: (cellValue) => isEmptyCell(cellValue),
+  },
+  {
+    id: 'isNotEmpty',
+    label: 'Is Not Empty',
+    types: EMPTY_CHECK_TYPES,
+    operands: 'none',
+    evaluate: (cellValue) => !isEmptyCell(cellValue),
+  },
+  matchList('inList', 'In List', true),
+  matchList('notInList', 'Not In List', false),
+];
+
+// Why a condition definition cannot be registered, or null
+function findDefinitionError(definition, allowedOperands) {
+  if (!definition || typeof definition !== 'object') {
+    return 'must be an object';
+  }
+  if (typeof definition.id !== 'string' || !CONDITION_ID.test(definition.id)) {
+    return 'needs an id of letters, digits and underscores, starting with a letter';
+  }
+  if (conditions.has(definition.id)) {
+    return 'is already registered';
+  }
+  if (typeof definition.label !== 'string' || definition.label.trim() === '') {
+    return 'needs a label';
+  }
+  if (
+    !Array.isArray(definition.types) ||
+    definition.types.length === 0 ||
+    !definition.types.every((type) => COLUMN_TYPES.includes(type))
+  ) {
+    return `needs a list of column types (${COLUMN_TYPES.join(', ')})`;
+  }
+  if (!allowedOperands.includes(definition.operands)) {
+    return `operands must be one of ${allowedOperands.join(', ')}`;
+  }
+  if (typeof definition.evaluate !== 'function') {
+    return 'needs an evaluate function';
+  }
+  if (definition.validate !== undefined && typeof definition.validate !== 'function') {
+    return 'validate must be a function';
+  }
+  return null;
+}
+
+function addCondition(definition, { custom, allowedOperands }) {
+  const error = findDefinitionError(definition, allowedOperands);
+  if (error !== null) {
+    throw new Error(`Condition ${JSON.stringify(definition?.id ?? null)} ${error}`);
+  }
+  const { id, label, types, operands, evaluate, validate } = definition;
+  const condition = { id, label, types: [...types], operands, evaluate, validate, custom };
+  conditions.set(id, condition);
+  return condition;
+}
+
+// Add a custom condition; throws when the definition is invalid or its id is taken
+function registerCondition(definition) {
+  return addCondition(definition, { custom: true, allowedOperands: CUSTOM_OPERANDS });
+}
+
+// Remove a custom condition (built-in ones stay); returns whether one was removed
+function unregisterCondition(id) {
+  return conditions.get(id)?.custom === true && conditions.delete(id);
+}
+
+function getCondition(id) {
+  return conditions.get(id) || null;
+}
+
+// Registered conditions, built-in ones first, in the order they are listed in the UI
+function listConditions() {
+  return [...conditions.values()];
+}
+
+// The conditions as sent to the UI (without their functions)
+function describeConditions() {
+  return listConditions().map(({ id, label, types, operands, custom }) => ({
+    id,
+    label,
+    types,
+    operands,
+    custom,
+  }));
+}
+
+// Why `filter` is invalid for its (registered) condition, or null
+function findConditionValueError(filter) {
+  const condition = getCondition(filter.condition);
+  if (!condition) {
+    return `has an unknown condition "${filter.condition}"`;
+  }
+  if (condition.validate) {
+    return condition.validate(filter) ?? null;
+  }
+  return condition.operands === 'none' ? null : findValueError(filter);
+}
+
+// Whether `row` passes `filter`; conditions that are not registered keep every row
+function evaluateCondition(row, filter, parser) {
+  const condition = getCondition(filter.condition);
+  return condition ? Boolean(condition.evaluate(row[filter.column], filter, parser)) : true;
+}
+
+// Register the conditions exported by each plugin module (see the top of this file)
+async function loadConditionPlugins(modulePaths = process.env.CONDITION_PLUGINS || '') {
+  const paths = (Array.isArray(modulePaths) ? modulePaths : modulePaths.split(','))
+    .map((modulePath) => modulePath.trim())
+    .filter((modulePath) => modulePath !== '');
+
+  const loaded = [];
+  for (const modulePath of paths) {
+    const plugin = await import(pathToFileURL(path.resolve(modulePath)).href);
+    const exported = plugin.default;
+    if (exported === undefined) {
+      throw new Error(`Condition plugin ${modulePath} has no default export`);
+    }
+    for (const definition of Array.isArray(exported) ? exported : [exported]) {
+      loaded.push(registerCondition(definition));
+    }
+  }
+  return loaded;
+}
+
+BUILT_IN_CONDITIONS.forEach((definition) =>
+  addCondition(definition, { custom: false, allowedOperands: OPERANDS }),
+);
+
+export {
+  describeConditions,
+  evaluateCondition,
+  findConditionValueError,
+  getCondition,
+  listConditions,
+  loadConditionPlugins,
+  readCellNumber,
+  registerCondition,
+  unregisterCondition,
+};
@@ -0,0 +1,118 @@
+/**
+ * Dataset Store
+ * Keeps parsed datasets in server memory so the browser only has to hold an ID and
+ * the page it is currently displaying.
+ *
+ * - Datasets expire after a period of inactivity (DATASET_TTL_MINUTES, default 60)
+ * - When the store is full (MAX_DATASETS, default 20) the least recently used dataset is evicted
+ *
+ * Uploaded workbooks with several worksheets or named tables are kept on disk in a workbook store
+ * with the same expiry rules until the user has picked what to load.
+ */
+
+import fs from 'fs';
+import { randomUUID } from 'crypto';
+
+const DEFAULT_TTL_MS = Number(process.env.DATASET_TTL_MINUTES || 60) * 60 * 1000;
+const DEFAULT_MAX_DATASETS = Number(process.env.MAX_DATASETS || 20);
+
+// Expiring, size-limited map of records keyed by a generated ID
+function createExpiringStore({ ttlMs, maxEntries, label, onRemove = () => {} }) {
+  // Map keeps insertion order, which doubles as least-recently-used order
+  const entries = new Map();
+
+  const touch = (entry) => {
+    entry.lastAccessedAt = Date.now();
+    entry.expiresAt = entry.lastAccessedAt + ttlMs;
+    entries.delete(entry.id);
+    entries.set(entry.id, entry);
+  };
+
+  const drop = (id, reason) => {
+    const entry = entries.get(id);
+    entries.delete(id);
+    onRemove(entry);
+    console.log(`${label} ${reason}: ${id} (${entry.name})`);
+  };
+
+  const sweep = () => {
+    const now = Date.now();
+    for (const [id, entry] of entries) {
+      if (entry.expiresAt <= now) {
+        drop(id, 'expired');
+      }
+    }
+  };
+
+  const add = (record) => {
+    sweep();
+
+    while (entries.size >= maxEntries) {
+      drop(entries.keys().next().value, 'evicted');
+    }
+
+    const entry = { ...record, id: randomUUID(), createdAt: Date.now() };
+    touch(entry);
+    return entry;
+  };
+
+  const get = (id) => {
+    sweep();
+    const entry = entries.get(id);
+    if (!entry) return null;
+    touch(entry);
+    return entry;
+  };
+
+  const remove = (id) => {
+    const entry = entries.get(id);
+    if (!entry) return false;
+    entries.delete(id);
+    onRemove(entry);
+    return true;
+  };
+
+  const list = () => {
+    sweep();
+    return [...entries.values()];
+  };
+
+  return { add, get, remove, list, sweep };
+}
+
+function createDatasetStore({ ttlMs = DEFAULT_TTL_MS, maxDatasets = DEFAULT_MAX_DATASETS } = {}) {
+  const store = createExpiringStore({ ttlMs, maxEntries: maxDatasets, label: 'Dataset' });
+
+  const create = ({ name, headers, columnTypes, columnFormats, data, ...meta }) =>
+    store.add({
+      ...meta,
+      name: name || 'dataset',
+      headers,
+      columnTypes: columnTypes || {},
+      columnFormats: columnFormats || {},
+      data,
+      totalRows: data.length,
+    });
+
+  return { ...store, create };
+}
+
+// Workbooks waiting for a sheet selection; the temp upload is deleted when the entry goes away
+function createWorkbookStore({ ttlMs = DEFAULT_TTL_MS, maxWorkbooks = DEFAULT_MAX_DATASETS } = {}) {
+  const store = createExpiringStore({
+    ttlMs,
+    maxEntries: maxWorkbooks,
+    label: 'Workbook',
+    onRemove: (workbook) => fs.promises.unlink(workbook.path).catch(() => {}),
+  });
+
+  const create = ({ name, path, format, sheets, tables = [], locale, timeZone }) =>
+    store.add({ name, path, format, sheets, tables, locale, timeZone });
+
+  return { ...store, create };
+}
+
+const datasetStore = createDatasetStore();
+const workbookStore = createWorkbookStore();
+
+export { createDatasetStore, createWorkbookStore, datasetStore, workbookStore };
@@ -0,0 +1,250 @@
+/**
+ * Delimited Text Parser
+ * Parses CSV, TSV and other delimited text files into the same structure as parseExcel.
+ *
+ * The encoding (UTF-8, UTF-16 or Latin-1, with BOM handling), delimiter and quote character
+ * are detected from the start of the file; each can be overridden by the caller.
+ * Files are decoded and parsed as a stream, so large files are never held in memory as text.
+ */
+
+import fs from 'fs';
+import { Readable } from 'stream';
+import { createTableBuilder } from './tableBuilder.js';
+
+const DELIMITER_CANDIDATES = [',', ';', '\t', '|'];
+const SUPPORTED_ENCODINGS = ['utf-8', 'utf-16le', 'utf-16be', 'latin1'];
+const SNIFF_BYTES = 64 * 1024;
+const SNIFF_RECORDS = 50;
+
+async function readHead(source) {
+  if (Buffer.isBuffer(source)) {
+    return source.subarray(0, SNIFF_BYTES);
+  }
+
+  const handle = await fs.promises.open(source, 'r');
+  try {
+    const buffer = Buffer.alloc(SNIFF_BYTES);
+    const { bytesRead } = await handle.read(buffer, 0, SNIFF_BYTES, 0);
+    return buffer.subarray(0, bytesRead);
+  } finally {
+    await handle.close();
+  }
+}
+
+function detectEncoding(bytes) {
+  if (bytes[0] === 0xef && bytes[1] === 0xbb && bytes[2] === 0xbf) return 'utf-8';
+  if (bytes[0] === 0xff && bytes[1] === 0xfe) return 'utf-16le';
+  if (bytes[0] === 0xfe && bytes[1] === 0xff) return 'utf-16be';
+
+  // UTF-16 without a BOM: mostly-ASCII text leaves every other byte zero
+  const length = Math.min(bytes.length, 4096);
+  let evenZeros = 0;
+  let oddZeros = 0;
+  for (let i = 0; i < length; i++) {
+    if (bytes[i] === 0) {
+      if (i % 2 === 0) evenZeros++;
+      else oddZeros++;
+    }
+  }
+  if (oddZeros > length / 4 && evenZeros === 0) return 'utf-16le';
+  if (evenZeros > length / 4 && oddZeros === 0) return 'utf-16be';
+
+  // Valid UTF-8 stays UTF-8; anything else is read as Latin-1 (Windows-1252)
+  try {
+    // stream: true tolerates a multi-byte character cut off at the end of the sample
+    new TextDecoder('utf-8', { fatal: true }).decode(bytes, { stream: true });
+    return 'utf-8';
+  } catch {
+    return 'latin1';
+  }
+}
+
+/**
+ * Incremental record parser. Handles quoted fields containing delimiters and line breaks,
+ * doubled quotes as escapes, and LF, CRLF or CR line endings - including when any of these
+ * are split across chunks.
+ */
+function createRecordParser({ delimiter, quote, onRecord }) {
+  let field = '';
+  let record = [];
+  let inQuotes = false;
+  let fieldQuoted = false;
+  let quotePending = false; // a quote inside a quoted field - either closing or escaped ("")
+  let skipLineFeed = false; // a CR was just read; a following LF belongs to the same break
+
+  const endField = () => {
+    record.push(field);
+    field = '';
+    fieldQuoted = false;
+  };
+
+  const endRecord = () => {
+    endField();
+    onRecord(record);
+    record = [];
+  };
+
+  const write = (text) => {
+    for (let i = 0; i < text.length; i++) {
+      const char = text[i];
+
+      if (skipLineFeed) {
+        skipLineFeed = false;
+        if (char === '\n') continue;
+      }
+
+      if (inQuotes) {
+        if (quotePending) {
+          quotePending = false;
+          if (char === quote) {
+            field += quote;
+            continue;
+          }
+          // The pending quote closed the field - handle this character as unquoted
+          inQuotes = false;
+        } else if (char === quote) {
+          quotePending = true;
+          continue;
+        } else {
+          field += char;
+          continue;
+        }
+      }
+
+      if (char === quote && field === '' && !fieldQuoted) {
+        inQuotes = true;
+        fieldQuoted = true;
+      } else if (char === delimiter) {
+        endField();
+      } else if (char === '\n') {
+        endRecord();
+      } else if (char === '\r') {
+        endRecord();
+        skipLineFeed = true;
+      } else {
+        field += char;
+      }
+    }
+  };
+
+  const end = () => {
+    inQuotes = false;
+    quotePending = false;
+    if (field !== '' || record.length > 0) {
+      endRecord();
+    }
+  };
+
+  return { write, end };
+}
+
+function sampleRecords(text, delimiter, quote) {
+  const records = [];
+  const parser = createRecordParser({ delimiter, quote, onRecord: (r) => records.push(r) });
+  parser.write(text);
+  // The last record of the sample may be cut off, so it is not used for detection
+  return records.slice(0, SNIFF_RECORDS).filter((r) => r.some((value) => value !== ''));
+}
+
+function detectQuote(text) {
+  if (text.includes('"')) return '"';
+  if (/(^|[,;\t|])'[^'\r\n]*'(?=[,;\t|]|\r?\n|$)/m.test(text)) return "'";
+  return '"';
+}
+
+// Pick the candidate that splits the sample into the most consistent number of fields
+function detectDelimiter(text, quote) {
+  let best = { delimiter: ',', consistency: 0, fields: 1 };
+
+  DELIMITER_CANDIDATES.forEach((delimiter) => {
+    const counts = sampleRecords(text, delimiter, quote).map((record) => record.length);
+    if (counts.length === 0) return;
+
+    const frequency = new Map();
+    counts.forEach((count) => frequency.set(count, (frequency.get(count) || 0) + 1));
+    const [fields, occurrences] = [...frequency.entries()].sort((a, b) => b[1] - a[1])[0];
+    if (fields < 2) return;
+
+    const consistency = occurrences / counts.length;
+    if (
+      consistency > best.consistency ||
+      (consistency === best.consistency && fields > best.fields)
+    ) {
+      best = { delimiter, consistency, fields };
+    }
+  });
+
+  return best.delimiter;
+}
+
+function resolveImportOptions(head, options) {
+  const encoding =
+    !options.encoding || options.encoding === 'auto' ? detectEncoding(head) : options.encoding;
+  if (!SUPPORTED_ENCODINGS.includes(encoding)) {
+    throw new Error(`Unsupported encoding "${encoding}"`);
+  }
+
+  const sample = new TextDecoder(encoding).decode(head, { stream: true });
+
+  const quote = !options.quote || options.quote === 'auto' ? detectQuote(sample) : options.quote;
+  if (quote !== 'none' && quote.length !== 1) {
+    throw new Error('Quote character must be a single character or "none"');
+  }
+
+  const delimiter =
+    !options.delimiter || options.delimiter === 'auto'
+      ? detectDelimiter(sample, quote === 'none' ? null : quote)
+      : options.delimiter;
+  if (delimiter.length !== 1) {
+    throw new Error('Delimiter must be a single character');
+  }
+
+  return { encoding, delimiter, quote };
+}
+
+/**
+ * Parse a delimited text file. `source` is a file path or a Buffer.
+ * Options (each defaults to 'auto'): delimiter, quote ('none' disables quoting), encoding, and
+ * the table builder's headerRow, headerRowCount, locale and timeZone.
+ */
+async function parseDelimited(
+  source,
+  { headerRow, headerRowCount, locale, timeZone, ...options } = {},
+) {
+  const tableOptions = { headerRow, headerRowCount, locale, timeZone };
+  const head = await readHead(source);
+  const importOptions = resolveImportOptions(head, options);
+  const { encoding, delimiter, quote } = importOptions;
+  console.log(
+    `Parsing delimited text: encoding=${encoding}, delimiter=${JSON.stringify(delimiter)}, quote=${quote}`,
+  );
+
+  const builder = createTableBuilder(tableOptions);
+  let recordNumber = 0;
+
+  const parser = createRecordParser({
+    delimiter,
+    quote: quote === 'none' ? null : quote,
+    onRecord: (record) => builder.addRow(record, ++recordNumber),
+  });
+
+  // The decoder drops a leading byte order mark
+  const decoder = new TextDecoder(encoding);
+  const stream = Buffer.isBuffer(source) ? Readable.from([source]) : fs.createReadStream(source);
+  for await (const chunk of stream) {
+    parser.write(decoder.decode(chunk, { stream: true }));
+  }
+  parser.write(decoder.decode());
+  parser.end();
+
+  const result = builder.finish();
+  if (result.totalRows === 0) {
+    throw new Error('Text file is empty');
+  }
+
+  console.log(`Parsed ${result.totalRows} rows with ${result.headers.length} columns`);
+
+  return { ...result, importOptions };
+}
+
+export { parseDelimited, detectEncoding, detectDelimiter };
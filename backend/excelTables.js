@@ -0,0 +1,137 @@
+/**
+ * Excel Tables
+ * Finds the named tables (ListObjects) in an .xlsx workbook so they can be offered as data
+ * ranges. ExcelJS's streaming reader skips table parts, so the table definitions are read
+ * straight from the workbook's zip entries; worksheet cells are not touched.
+ */
+
+import path from 'path';
+import unzipper from 'unzipper';
+
+const XML_ENTITIES = { amp: '&', lt: '<', gt: '>', quot: '"', apos: "'" };
+
+const unescapeXml = (text) =>
+  text.replace(/&(amp|lt|gt|quot|apos);/g, (_match, entity) => XML_ENTITIES[entity]);
+
+// Attributes of every `<tagName ...>` element in an XML document
+function readElements(xml, tagName) {
+  const elements = [];
+  const tagPattern = new RegExp(`<(?:\\w+:)?${tagName}\\b([^>]*)>`, 'g');
+
+  for (const [, attributeText] of xml.matchAll(tagPattern)) {
+    const attributes = {};
+    for (const [, name, value] of attributeText.matchAll(/([\w:]+)="([^"]*)"/g)) {
+      attributes[name] = unescapeXml(value);
+    }
+    elements.push(attributes);
+  }
+
+  return elements;
+}
+
+const columnNumber = (letters) =>
+  [...letters.toUpperCase()].reduce((total, letter) => total * 26 + letter.charCodeAt(0) - 64, 0);
+
+// "B3:F20" -> { startRow: 3, endRow: 20, startColumn: 2, endColumn: 6 }
+function parseCellRange(ref) {
+  const match = /^\$?([A-Z]+)\$?(\d+)(?::\$?([A-Z]+)\$?(\d+))?$/i.exec(ref || '');
+  if (!match) return null;
+
+  const [, startLetters, startRow, endLetters = startLetters, endRow = startRow] = match;
+  return {
+    startRow: Number(startRow),
+    endRow: Number(endRow),
+    startColumn: columnNumber(startLetters),
+    endColumn: columnNumber(endLetters),
+  };
+}
+
+// Map each relationship ID in a .rels part to the zip path it points at
+function readRelationships(xml, partPath) {
+  const baseDir = path.posix.dirname(path.posix.dirname(partPath));
+  const targets = new Map();
+
+  readElements(xml, 'Relationship').forEach(({ Id, Target, Type = '' }) => {
+    const target = Target.startsWith('/')
+      ? Target.slice(1)
+      : path.posix.normalize(path.posix.join(baseDir, Target));
+    targets.set(Id, { target, type: Type.split('/').pop() });
+  });
+
+  return targets;
+}
+
+const relsPathFor = (partPath) =>
+  path.posix.join(path.posix.dirname(partPath), '_rels', `${path.posix.basename(partPath)}.rels`);
+
+/**
+ * List the tables in an .xlsx workbook. `source` is a file path or a Buffer.
+ * Each table is { name, sheet, ref, range, columns, hasHeaderRow, hasTotalsRow }.
+ */
+async function listExcelTables(source) {
+  const directory = Buffer.isBuffer(source)
+    ? await unzipper.Open.buffer(source)
+    : await unzipper.Open.file(source);
+
+  const files = new Map(directory.files.map((file) => [file.path.replace(/^\//, ''), file]));
+  const readPart = async (partPath) => {
+    const file = files.get(partPath);
+    return file ? (await file.buffer()).toString('utf8') : null;
+  };
+
+  // Skip the workbook entirely when it has no table parts
+  if (![...files.keys()].some((partPath) => /^xl\/tables\/[^/]+\.xml$/.test(partPath))) {
+    return [];
+  }
+
+  const workbookXml = await readPart('xl/workbook.xml');
+  const workbookRelsXml = await readPart(relsPathFor('xl/workbook.xml'));
+  if (!workbookXml || !workbookRelsXml) return [];
+
+  const workbookRels = readRelationships(workbookRelsXml, relsPathFor('xl/workbook.xml'));
+  const tables = [];
+
+  for (const sheet of readElements(workbookXml, 'sheet')) {
+    const sheetPath = workbookRels.get(sheet['r:id'])?.target;
+    const sheetRelsPath = sheetPath && relsPathFor(sheetPath);
+    const sheetRelsXml = sheetRelsPath && (await readPart(sheetRelsPath));
+    if (!sheetRelsXml) continue;
+
+    const tableParts = [...readRelationships(sheetRelsXml, sheetRelsPath).values()].filter(
+      (relationship) => relationship.type === 'table',
+    );
+
+    for (const { target } of tableParts) {
+      const tableXml = await readPart(target);
+      if (!tableXml) continue;
+
+      const [definition] = readElements(tableXml, 'table');
+      const range = parseCellRange(definition?.ref);
+      if (!range) continue;
+
+      tables.push({
+        name: definition.displayName || definition.name,
+        sheet: sheet.name,
+        ref: definition.ref,
+        range,
+        columns: readElements(tableXml, 'tableColumn').map((column) => column.name),
+        hasHeaderRow: definition.headerRowCount !== '0',
+        hasTotalsRow: Number(definition.totalsRowCount || 0) > 0,
+      });
+    }
+  }
+
+  return tables;
+}
+
+// The rows of a table that hold data, i.e. its range without the header and totals rows
+function tableDataRange(table) {
+  const { range } = table;
+  return {
+    ...range,
+    startRow: range.startRow + (table.hasHeaderRow ? 1 : 0),
+    endRow: range.endRow - (table.hasTotalsRow ? 1 : 0),
+  };
+}
+
+export { listExcelTables, parseCellRange, tableDataRange };
@@ -0,0 +1,678 @@
+/**
+ * Filter Expressions
+ * A small query language for typing filters instead of building them in the UI:
+ *
+ *   Amount > 1000 AND (Region in ("EU", "UK") OR Status startsWith "VIP")
+ *
+ * Expressions compile to the filter trees evaluateFilter consumes, and filter trees can be
+ * written back as expressions (see formatFilterExpression), so the UI can switch between the
+ * visual builder and the text form.
+ *
+ * - Conditions are `column operator value`. Columns are bare words (`Amount`) or bracketed when
+ *   they contain spaces or other characters (`[Order ID]`, `]]` for a literal `]`).
+ * - Values are numbers, "double" or 'single' quoted text (`\` escapes a quote or backslash) or
+ *   bare words (`EU`, `2024-01-31`, `9:30`).
+ * - Operators: `=`, `!=` (or `<>`), `>`, `>=`, `<`, `<=`, `between a and b`, `in (a, b)`,
+ *   `not in (a, b)`, `is [not] empty`, `is true`, `is false`, or any condition name
+ *   (`startsWith "VIP"`, `inLast 30 days`, `inPeriod thisQuarter`, `dayOfWeek (1, 5)`), custom
+ *   ones included (see conditionRegistry.js).
+ *   Given column types, `=`, `>`, `<` and `between` mean the type's own condition, e.g. `>` is
+ *   `after` on a date column and `durationLongerThan` on a duration column.
+ * - Text conditions may be followed by `caseSensitive`, `ignoreAccents` or
+ *   `normalizeWhitespace`; list conditions by `caseSensitive`.
+ * - Conditions combine with AND, OR, NOT and parentheses; AND binds tighter than OR. Keywords
+ *   are case-insensitive.
+ *
+ * Errors carry the `position` (offset into the expression) and `length` of the text at fault.
+ */
+
+import { isTextCondition } from './textMatching.js';
+import { getCondition, listConditions } from './conditionRegistry.js';
+
+const KEYWORDS = new Set(['and', 'or', 'not', 'in', 'is', 'empty', 'true', 'false', 'between']);
+const TEXT_OPTIONS = ['caseSensitive', 'ignoreAccents', 'normalizeWhitespace'];
+const RELATIVE_UNITS = ['days', 'weeks', 'months'];
+const PERIODS = [
+  'thisMonth',
+  'previousMonth',
+  'thisQuarter',
+  'previousQuarter',
+  'thisYear',
+  'previousYear',
+  'yearToDate',
+];
+
+const SYMBOLS = {
+  '=': 'equals',
+  '!=': 'notEquals',
+  '<>': 'notEquals',
+  '>': 'greaterThan',
+  '>=': 'greaterThanOrEqual',
+  '<': 'lessThan',
+  '<=': 'lessThanOrEqual',
+};
+const CONDITION_SYMBOLS = {
+  equals: '=',
+  notEquals: '!=',
+  greaterThan: '>',
+  greaterThanOrEqual: '>=',
+  lessThan: '<',
+  lessThanOrEqual: '<=',
+};
+
+// What `=`, `>`, `<` and `between` mean for columns whose type has conditions of its own
+const TYPE_ALIASES = {
+  text: { equals: 'exactMatch' },
+  identifier: { equals: 'exactMatch' },
+  date: { equals: 'on', greaterThan: 'after', lessThan: 'before', between: 'betweenDates' },
+  time: { greaterThan: 'timeAfter', lessThan: 'timeBefore', between: 'timeBetween' },
+  duration: {
+    greaterThan: 'durationLongerThan',
+    lessThan: 'durationShorterThan',
+    between: 'durationBetween',
+  },
+};
+
+// The operands a condition takes (see conditionRegistry.js)
+const operandsOf = (condition) => getCondition(condition)?.operands;
+
+// Condition names are matched case-insensitively; custom conditions may be registered at any time
+const findConditionName = (word) =>
+  listConditions().find((condition) => condition.id.toLowerCase() === word)?.id || null;
+
+// Operators offered by autocomplete after a column of each type
+const NUMBER_OPERATORS = ['=', '!=', '>', '>=', '<', '<=', 'between', 'in', 'not in'];
+const TEXT_OPERATORS = [
+  '=',
+  'contains',
+  'doesNotContain',
+  'startsWith',
+  'endsWith',
+  'exactMatch',
+  'matchesRegex',
+  'in',
+  'not in',
+  'is empty',
+  'is not empty',
+];
+const OPERATORS_BY_TYPE = {
+  number: NUMBER_OPERATORS,
+  currency: NUMBER_OPERATORS,
+  percentage: NUMBER_OPERATORS,
+  text: TEXT_OPERATORS,
+  identifier: TEXT_OPERATORS,
+  boolean: ['is true', 'is false', 'is empty', 'is not empty'],
+  time: ['>', '<', 'between', 'is empty', 'is not empty'],
+  duration: ['>', '<', 'between', 'is empty', 'is not empty'],
+  date: ['=', '>', '<', 'between', 'inLast', 'inNext', 'inPeriod', 'dayOfWeek', 'monthOfYear'],
+};
+
+const BARE_WORD = /^[\p{L}_][\p{L}\p{N}_]*$/u;
+const NUMBER = /^-?\d+(\.\d+)?$/;
+
+function expressionError(message, position, length = 1) {
+  return Object.assign(new Error(message), { position, length: Math.max(length, 1) });
+}
+
+const isKeyword = (token, keyword) =>
+  token.type === 'word' && token.value.toLowerCase() === keyword;
+
+const describeToken = (token) =>
+  token.type === 'end' ? 'the end of the expression' : `"${token.text}"`;
+
+/**
+ * Split an expression into tokens: { type, value, text, start, end } with type one of '(', ')',
+ * ',', 'symbol', 'string', 'number', 'word', 'column' or 'end'. With `lenient`, an unterminated
+ * string or column ends the token list instead of throwing (for autocomplete).
+ */
+function tokenize(text, { lenient = false } = {}) {
+  const tokens = [];
+  let index = 0;
+  const push = (type, value, start) =>
+    tokens.push({ type, value, text: text.slice(start, index), start, end: index });
+
+  while (index < text.length) {
+    const char = text[index];
+    const start = index;
+
+    if (/\s/.test(char)) {
+      index++;
+    } else if (char === '(' || char === ')' || char === ',') {
+      index++;
+      push(char, char, start);
+    } else if ('=!<>'.includes(char)) {
+      const pair = text.slice(index, index + 2);
+      const symbol = SYMBOLS[pair] ? pair : char;
+      if (!SYMBOLS[symbol]) {
+        throw expressionError(`Unexpected "${char}"; did you mean "!="?`, start);
+      }
+      index += symbol.length;
+      push('symbol', symbol, start);
+    } else if (char === '"' || char === "'") {
+      let value = '';
+      index++;
+      while (index < text.length && text[index] !== char) {
+        if (text[index] === '\\' && index + 1 < text.length) index++;
+        value += text[index++];
+      }
+      if (index >= text.length) {
+        if (lenient) return { tokens, open: { type: 'string', start } };
+        throw expressionError('Text is missing its closing quote', start, text.length - start);
+      }
+      index++;
+      push('string', value, start);
+    } else if (char === '[') {
+      let value = '';
+      index++;
+      while (index < text.length && (text[index] !== ']' || text[index + 1] === ']')) {
+        if (text[index] === ']') index++;
+        value += text[index++];
+      }
+      if (index >= text.length) {
+        if (lenient) return { tokens, open: { type: 'column', start, value } };
+        throw expressionError('Column name is missing its closing "]"', start, text.length - start);
+      }
+      index++;
+      push('column', value, start);
+    } else {
+      const match = /^(-?\d+(?:\.\d+)?(?![\p{L}\p{N}_.:/-])|[\p{L}\p{N}_.:/-]+)/u.exec(
+        text.slice(index),
+      );
+      if (!match) {
+        throw expressionError(`Unexpected "${char}"`, start);
+      }
+      index += match[0].length;
+      push(NUMBER.test(match[0]) ? 'number' : 'word', match[0], start);
+    }
+  }
+
+  tokens.push({ type: 'end', value: null, text: '', start: text.length, end: text.length });
+  return lenient ? { tokens, open: null } : tokens;
+}
+
+/**
+ * Compile an expression to a filter tree. `headers` (optional) are the columns conditions may
+ * name; `columnTypes` select the type's own conditions for `=`, `>`, `<` and `between`.
+ * `checkCondition` (optional) returns why a compiled condition is invalid, so the error can point
+ * at the condition. Throws an Error with `position` and `length` on the first problem.
+ */
+function parseFilterExpression(text, { headers, columnTypes = {}, checkCondition } = {}) {
+  if (typeof text !== 'string') {
+    throw expressionError('Expression must be text', 0);
+  }
+  const tokens = tokenize(text);
+  let index = 0;
+
+  const peek = () => tokens[index];
+  const next = () => tokens[index++];
+  const fail = (message, token = peek()) =>
+    expressionError(message, token.start, token.end - token.start);
+
+  const readValue = (what) => {
+    const token = peek();
+    if (
+      token.type === 'string' ||
+      token.type === 'number' ||
+      (token.type === 'word' && !KEYWORDS.has(token.value.toLowerCase()))
+    ) {
+      next();
+      return token.value;
+    }
+    throw fail(`Expected ${what}, found ${describeToken(token)}`);
+  };
+
+  const readList = (what) => {
+    if (peek().type !== '(') {
+      throw fail(`Expected "(" to start the list of ${what}, found ${describeToken(peek())}`);
+    }
+    next();
+    const values = [readValue(what.replace(/s$/, ''))];
+    while (peek().type === ',') {
+      next();
+      values.push(readValue(what.replace(/s$/, '')));
+    }
+    if (peek().type !== ')') {
+      throw fail(`Expected "," or ")" in the list of ${what}, found ${describeToken(peek())}`);
+    }
+    next();
+    return values;
+  };
+
+  // The condition an operator names, e.g. `>` or `startsWith`; null when it is not one
+  const readOperator = (type) => {
+    const token = peek();
+    const alias = (generic) => TYPE_ALIASES[type]?.[generic] || generic;
+
+    if (token.type === 'symbol') {
+      next();
+      return alias(SYMBOLS[token.value]);
+    }
+    if (token.type !== 'word') return null;
+
+    const word = token.value.toLowerCase();
+    if (word === 'in') {
+      next();
+      return 'inList';
+    }
+    if (word === 'not' && isKeyword(tokens[index + 1], 'in')) {
+      index += 2;
+      return 'notInList';
+    }
+    if (word === 'between') {
+      next();
+      return alias('between');
+    }
+    if (word === 'is') {
+      next();
+      const negated = isKeyword(peek(), 'not');
+      if (negated) next();
+      const what = peek();
+      if (isKeyword(what, 'empty')) {
+        next();
+        return negated ? 'isNotEmpty' : 'isEmpty';
+      }
+      if (!negated && (isKeyword(what, 'true') || isKeyword(what, 'false'))) {
+        next();
+        return isKeyword(what, 'true') ? 'isTrue' : 'isFalse';
+      }
+      throw fail(
+        negated
+          ? `Expected "empty" after "is not", found ${describeToken(what)}`
+          : `Expected "empty", "not empty", "true" or "false" after "is", found ${describeToken(what)}`,
+        what,
+      );
+    }
+    const name = findConditionName(word);
+    if (name) next();
+    return name;
+  };
+
+  const parseCondition = () => {
+    const columnToken = peek();
+    if (
+      columnToken.type !== 'column' &&
+      (columnToken.type !== 'word' || KEYWORDS.has(columnToken.value.toLowerCase()))
+    ) {
+      throw fail(`Expected a column name, found ${describeToken(columnToken)}`);
+    }
+    next();
+    const column = columnToken.value;
+    if (headers && !headers.includes(column)) {
+      throw fail(`Unknown column "${column}"`, columnToken);
+    }
+
+    const operatorToken = peek();
+    const condition = readOperator(columnTypes[column]);
+    if (!condition) {
+      throw fail(
+        `Expected a condition such as "=", "in" or "contains" after ${describeToken(columnToken)}, found ${describeToken(operatorToken)}`,
+        operatorToken,
+      );
+    }
+
+    const filter = { column, condition };
+    switch (operandsOf(condition)) {
+      case 'one':
+        filter.value = readValue('a value');
+        break;
+      case 'two':
+        filter.value = readValue('a value');
+        if (!isKeyword(peek(), 'and')) {
+          throw fail(
+            `Expected "and" between the two values of ${condition}, found ${describeToken(peek())}`,
+          );
+        }
+        next();
+        filter.value2 = readValue('a second value');
+        break;
+      case 'list':
+        filter.values = readList('values');
+        break;
+      case 'relative': {
+        filter.value = readValue('a number of days, weeks or months');
+        const unit = peek();
+        if (unit.type === 'word' && RELATIVE_UNITS.includes(unit.value.toLowerCase())) {
+          next();
+          filter.unit = unit.value.toLowerCase();
+        }
+        break;
+      }
+      case 'numbers':
+        filter.value = peek().type === '(' ? readList('numbers').join(',') : readValue('a number');
+        break;
+      default:
+        break;
+    }
+
+    // Options following text and list conditions
+    const canTakeOptions = isTextCondition(condition) || operandsOf(condition) === 'list';
+    while (canTakeOptions && peek().type === 'word') {
+      const option = TEXT_OPTIONS.find((name) => name.toLowerCase() === peek().value.toLowerCase());
+      if (!option || (option !== 'caseSensitive' && !isTextCondition(condition))) break;
+      next();
+      filter[option] = true;
+    }
+
+    const error = checkCondition ? checkCondition(filter) : null;
+    if (error) {
+      throw expressionError(
+        `${column} ${condition}: ${error}`,
+        columnToken.start,
+        tokens[index - 1].end - columnToken.start,
+      );
+    }
+    return filter;
+  };
+
+  let parseOr;
+
+  const parsePrimary = () => {
+    const token = peek();
+    if (token.type === '(') {
+      next();
+      if (peek().type === ')') {
+        throw fail('Parentheses must contain at least one condition');
+      }
+      const inner = parseOr();
+      if (peek().type !== ')') {
+        throw fail(
+          `Expected ")" to close the "(" at ${token.start + 1}, found ${describeToken(peek())}`,
+        );
+      }
+      next();
+      // Parentheses keep their group, so trees converted to text and back keep their shape
+      return inner.type === 'group'
+        ? inner
+        : { type: 'group', operator: 'AND', not: false, conditions: [inner] };
+    }
+    return parseCondition();
+  };
+
+  const parseNot = () => {
+    if (!isKeyword(peek(), 'not')) return parsePrimary();
+    next();
+    const operand = parseNot();
+    return operand.type === 'group' && !operand.not
+      ? { ...operand, not: true }
+      : { type: 'group', operator: 'AND', not: true, conditions: [operand] };
+  };
+
+  const parseChain = (operator, parseOperand) => () => {
+    const nodes = [parseOperand()];
+    while (isKeyword(peek(), operator.toLowerCase())) {
+      next();
+      nodes.push(parseOperand());
+    }
+    return nodes.length === 1
+      ? nodes[0]
+      : { type: 'group', operator, not: false, conditions: nodes };
+  };
+  const parseAnd = parseChain('AND', parseNot);
+  parseOr = parseChain('OR', parseAnd);
+
+  if (peek().type === 'end') {
+    return { type: 'group', operator: 'AND', not: false, conditions: [] };
+  }
+  const root = parseOr();
+  if (peek().type !== 'end') {
+    const token = peek();
+    throw fail(
+      token.type === ')'
+        ? 'This ")" has no matching "("'
+        : `Expected AND, OR or the end of the expression, found ${describeToken(token)}`,
+    );
+  }
+  return root.type === 'group'
+    ? root
+    : { type: 'group', operator: 'AND', not: false, conditions: [root] };
+}
+
+const formatColumn = (column) =>
+  BARE_WORD.test(column) && !KEYWORDS.has(column.toLowerCase())
+    ? column
+    : `[${column.replace(/]/g, ']]')}]`;
+
+const formatValue = (value) => {
+  const text = String(value);
+  return NUMBER.test(text) ? text : `"${text.replace(/[\\"]/g, '\\$&')}"`;
+};
+
+// Values of a pasted list, as valueLists.js reads them: one per line, or comma separated
+const splitPastedList = (text) =>
+  (text.includes('\n') ? text.split(/\r?\n/) : text.split(','))
+    .map((item) => item.trim())
+    .filter((item) => item !== '');
+
+function formatCondition(filter, columnTypes) {
+  const { column, condition } = filter;
+  const fail = (reason) =>
+    new Error(`The condition on "${column}" cannot be written as an expression: ${reason}`);
+
+  const operands = operandsOf(condition);
+  if (!operands) throw fail(`unknown condition "${condition}"`);
+
+  // The shortest operator that reads back as this condition for the column's type
+  const aliases = TYPE_ALIASES[columnTypes[column]] || {};
+  const generic = [...Object.keys(CONDITION_SYMBOLS), 'between'].find(
+    (name) => (aliases[name] || name) === condition,
+  );
+  // Otherwise the condition name, which always reads back as itself
+  const operator = generic ? CONDITION_SYMBOLS[generic] || generic : condition;
+
+  const parts = [formatColumn(column)];
+  switch (operands) {
+    case 'none':
+      parts.push(
+        { isEmpty: 'is empty', isNotEmpty: 'is not empty', isTrue: 'is true', isFalse: 'is false' }[
+          condition
+        ] || condition,
+      );
+      break;
+    case 'one':
+      parts.push(operator, formatValue(filter.value ?? ''));
+      break;
+    case 'two':
+      parts.push(
+        operator,
+        formatValue(filter.value ?? ''),
+        'and',
+        formatValue(filter.value2 ?? ''),
+      );
+      break;
+    case 'list': {
+      if (filter.listSource) throw fail('its values come from another file');
+      if (filter.trim === false) throw fail('it keeps spaces around values');
+      const values = Array.isArray(filter.values)
+        ? filter.values
+        : splitPastedList(String(filter.value ?? ''));
+      parts.push(
+        condition === 'inList' ? 'in' : 'not in',
+        `(${values.map(formatValue).join(', ')})`,
+      );
+      break;
+    }
+    case 'relative':
+      parts.push(condition, formatValue(filter.value ?? ''), filter.unit || 'days');
+      break;
+    case 'numbers': {
+      const numbers = (
+        Array.isArray(filter.value) ? filter.value : String(filter.value ?? '').split(',')
+      )
+        .map((item) => String(item).trim())
+        .filter((item) => item !== '');
+      parts.push(condition, `(${numbers.map(formatValue).join(', ')})`);
+      break;
+    }
+    default:
+      break;
+  }
+
+  TEXT_OPTIONS.forEach((option) => {
+    if (filter[option]) parts.push(option);
+  });
+  return parts.join(' ');
+}
+
+/**
+ * Write a filter tree (or flat array of conditions) as an expression. Throws when a condition
+ * has no text form, such as a list taken from another file.
+ */
+function formatFilterExpression(filters, { columnTypes = {} } = {}) {
+  const formatNode = (node, isRoot) => {
+    if (node?.type !== 'group') return formatCondition(node, columnTypes);
+
+    const parts = node.conditions.map((child) => formatNode(child, false));
+    const joined = parts.join(` ${node.operator === 'OR' ? 'OR' : 'AND'} `);
+    if (node.not) return `NOT (${joined})`;
+    return isRoot ? joined : `(${joined})`;
+  };
+
+  if (filters === null || filters === undefined) return '';
+  if (Array.isArray(filters)) {
+    return formatNode({ type: 'group', operator: 'AND', conditions: filters }, true);
+  }
+  return formatNode(filters, true);
+}
+
+/**
+ * Autocomplete at `cursor`: { from, to, suggestions: [{ label, insert, kind }] }, where `from`
+ * and `to` delimit the text a suggestion replaces. Suggests columns where a condition starts,
+ * operators for the column's type after a column, and AND / OR / options after a value.
+ */
+function suggestFilterExpression(text, cursor, { headers = [], columnTypes = {} } = {}) {
+  const empty = { from: cursor, to: cursor, suggestions: [] };
+  let scan;
+  try {
+    scan = tokenize(text.slice(0, cursor), { lenient: true });
+  } catch {
+    return empty;
+  }
+  const { tokens, open } = scan;
+  if (!open) tokens.pop(); // the end token
+
+  // The word being typed is replaced by the suggestion
+  let from = cursor;
+  let partial = '';
+  if (open?.type === 'string') return empty;
+  if (open?.type === 'column') {
+    from = open.start;
+    partial = open.value;
+  } else {
+    const last = tokens[tokens.length - 1];
+    if (last && last.end === cursor && (last.type === 'word' || last.type === 'column')) {
+      tokens.pop();
+      from = last.start;
+      partial = last.value;
+    }
+  }
+
+  // Walk the tokens before the partial word to learn what comes next
+  let expect = 'column';
+  let column = null;
+  let condition = null;
+  tokens.forEach((token, position) => {
+    const word = token.type === 'word' ? token.value.toLowerCase() : null;
+    switch (expect) {
+      case 'column':
+        if (token.type === 'column' || (token.type === 'word' && word !== 'not')) {
+          column = token.value;
+          expect = 'operator';
+        }
+        break;
+      case 'operator':
+        if (word === 'is') {
+          expect = 'is';
+        } else if (word === 'not' && isKeyword(tokens[position + 1] || {}, 'in')) {
+          // `not in`: the list follows `in`
+        } else {
+          condition =
+            token.type === 'symbol'
+              ? SYMBOLS[token.value]
+              : findConditionName(word) || (word === 'in' ? 'inList' : word);
+          expect = operandsOf(condition) === 'list' ? 'list' : 'value';
+        }
+        break;
+      case 'is':
+        if (word !== 'not') expect = 'connector';
+        break;
+      case 'list':
+        if (token.type === ')') expect = 'connector';
+        break;
+      case 'value':
+        if (condition === 'between' || operandsOf(condition) === 'two') {
+          expect = 'and';
+        } else if (operandsOf(condition) === 'relative') {
+          expect = 'unit';
+        } else if (token.type === '(') {
+          expect = 'list';
+        } else {
+          expect = 'connector';
+        }
+        break;
+      case 'and':
+        expect = 'secondValue';
+        break;
+      case 'secondValue':
+        expect = 'connector';
+        break;
+      default:
+        // After a complete condition (`unit` is optional, so a connector may follow directly)
+        if (word === 'and' || word === 'or' || word === 'not' || token.type === '(') {
+          expect = 'column';
+        } else {
+          expect = 'connector';
+        }
+        break;
+    }
+  });
+
+  const type = columnTypes[column];
+  let options = [];
+  if (expect === 'column') {
+    options = [
+      ...headers.map((header) => ({ label: header, insert: formatColumn(header), kind: 'column' })),
+      { label: 'NOT', insert: 'NOT', kind: 'keyword' },
+    ];
+  } else if (expect === 'operator') {
+    const custom = listConditions()
+      .filter((definition) => definition.custom && definition.types.includes(type || 'text'))
+      .map((definition) => definition.id);
+    options = [...(OPERATORS_BY_TYPE[type] || TEXT_OPERATORS), ...custom].map((operator) => ({
+      label: operator,
+      insert: operator,
+      kind: 'condition',
+    }));
+  } else if (expect === 'is') {
+    options = ['empty', 'not empty', 'true', 'false'].map((word) => ({
+      label: word,
+      insert: word,
+      kind: 'keyword',
+    }));
+  } else if (expect === 'value' && condition === 'inPeriod') {
+    options = PERIODS.map((period) => ({ label: period, insert: period, kind: 'value' }));
+  } else if (expect === 'unit') {
+    options = RELATIVE_UNITS.map((unit) => ({ label: unit, insert: unit, kind: 'keyword' }));
+  } else if (expect === 'and') {
+    options = [{ label: 'and', insert: 'and', kind: 'keyword' }];
+  } else if (expect === 'connector') {
+    options = ['AND', 'OR'].map((word) => ({ label: word, insert: word, kind: 'keyword' }));
+    if (isTextCondition(condition) || condition === 'inList' || condition === 'notInList') {
+      options.push(
+        ...TEXT_OPTIONS.filter(
+          (option) => option === 'caseSensitive' || isTextCondition(condition),
+        ).map((option) => ({ label: option, insert: option, kind: 'keyword' })),
+      );
+    }
+  }
+
+  const needle = partial.toLowerCase();
+  return {
+    from,
+    to: cursor,
+    suggestions: options.filter(
+      ({ label }) => label.toLowerCase().startsWith(needle) && label.toLowerCase() !== needle,
+    ),
+  };
+}
+
+export { formatFilterExpression, parseFilterExpression, suggestFilterExpression };
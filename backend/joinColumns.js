@@ -0,0 +1,114 @@
+/**
+ * Join Columns
+ * Which columns a reference join returns, in what order and under what names. By default every
+ * column of the files the join type keeps is returned, main columns first, with reference columns
+ * named by `conflictStrategy`:
+ *   prefixAll        every reference column gets referencePrefix/referenceSuffix ("ref_Status")
+ *   prefixConflicts  only reference columns whose name is also a main column are renamed
+ *   coalesce         a main and a reference column of the same name become one column holding
+ *                    the first non-empty value, main first; other columns keep their names
+ *
+ * `outputColumns` ([{ file: 'main' | 'reference', column, name? }]) picks and orders the columns
+ * instead, optionally renaming them. With coalesce, either column of a merged pair picks the
+ * merged column.
+ */
+
+const CONFLICT_STRATEGIES = ['prefixAll', 'prefixConflicts', 'coalesce'];
+const OUTPUT_FILES = ['main', 'reference'];
+const DEFAULT_REFERENCE_PREFIX = 'ref_';
+
+const isEmpty = (value) => value === null || value === undefined || value === '';
+
+/**
+ * The result columns of a join: [{ name, sources: [{ file, column }] }], where a column takes
+ * the value of its first source that is not empty. `keeps` says which files' columns the join
+ * type returns. Throws on an invalid choice of columns.
+ */
+function planJoinColumns({
+  primaryHeaders,
+  refHeaders,
+  keeps = { primary: true, reference: true },
+  outputColumns,
+  conflictStrategy = 'prefixAll',
+  referencePrefix = DEFAULT_REFERENCE_PREFIX,
+  referenceSuffix = '',
+}) {
+  if (!CONFLICT_STRATEGIES.includes(conflictStrategy)) {
+    throw new Error(`Conflict strategy must be one of: ${CONFLICT_STRATEGIES.join(', ')}`);
+  }
+  if (typeof referencePrefix !== 'string' || typeof referenceSuffix !== 'string') {
+    throw new Error('Reference prefix and suffix must be text');
+  }
+
+  const mainColumns = keeps.primary ? primaryHeaders : [];
+  const refColumns = keeps.reference ? refHeaders : [];
+  const clashes = (column) => mainColumns.includes(column);
+  const renamed = (column) => `${referencePrefix}${column}${referenceSuffix}`;
+
+  const columns = mainColumns.map((column) => ({
+    name: column,
+    sources: [{ file: 'main', column }],
+  }));
+  refColumns.forEach((column) => {
+    const source = { file: 'reference', column };
+    if (conflictStrategy === 'coalesce' && clashes(column)) {
+      columns.find((planned) => planned.name === column).sources.push(source);
+    } else if (conflictStrategy === 'prefixAll' || clashes(column)) {
+      columns.push({ name: renamed(column), sources: [source] });
+    } else {
+      columns.push({ name: column, sources: [source] });
+    }
+  });
+
+  let chosen = columns;
+  if (outputColumns !== undefined && outputColumns !== null) {
+    if (!Array.isArray(outputColumns) || outputColumns.length === 0) {
+      throw new Error('Output columns must be a non-empty list of { file, column, name? }');
+    }
+    chosen = outputColumns.map((output) => {
+      const { file, column, name } = output || {};
+      if (!OUTPUT_FILES.includes(file) || typeof column !== 'string') {
+        throw new Error('Output columns must be a non-empty list of { file, column, name? }');
+      }
+      if (name !== undefined && (typeof name !== 'string' || name.trim() === '')) {
+        throw new Error(`Output name of "${column}" must be non-empty text`);
+      }
+      const fileColumns = file === 'main' ? mainColumns : refColumns;
+      if (!fileColumns.includes(column)) {
+        throw new Error(
+          (file === 'main' ? primaryHeaders : refHeaders).includes(column)
+            ? `This join type returns no ${file} file columns, so "${column}" cannot be output`
+            : `Output column "${column}" not found in the ${file} file`,
+        );
+      }
+      const planned = columns.find((candidate) =>
+        candidate.sources.some((source) => source.file === file && source.column === column),
+      );
+      return { ...planned, name: name ?? planned.name };
+    });
+  }
+
+  const names = new Set();
+  chosen.forEach(({ name }, index) => {
+    if (names.has(name)) {
+      throw new Error(
+        chosen.slice(0, index).some((other) => other.sources === chosen[index].sources)
+          ? `Output column "${name}" is listed twice`
+          : `Output column names must be unique: "${name}" is used twice`,
+      );
+    }
+    names.add(name);
+  });
+  return chosen;
+}
+
+// The value of a planned column in a result row, from the main and reference rows (either null)
+function readJoinColumn({ sources }, primaryRow, refRow) {
+  const values = sources.map(({ file, column }) => {
+    const row = file === 'main' ? primaryRow : refRow;
+    return row ? row[column] : null;
+  });
+  return values.length === 1 ? values[0] : (values.find((value) => !isEmpty(value)) ?? values[0]);
+}
+
+export { CONFLICT_STRATEGIES, planJoinColumns, readJoinColumn };
@@ -0,0 +1,201 @@
+/**
+ * Join Diagnostics
+ * Why rows of a reference join did or did not match, from the keys the join engine computed:
+ *   unmatchedPrimaryKeys    keys of the main file found nowhere in the (filtered) reference file
+ *   unmatchedReferenceKeys  keys of the reference file no main row matched
+ *   duplicateReferenceKeys  matched reference keys held by several reference rows; each main row
+ *                           with such a key becomes one result row per reference row
+ *   blankKeys               rows with an empty key value, which only match other empty values
+ *   cardinality             how many matched keys link one or many rows on each side
+ *
+ * Keys are listed with the cell values of their first row. Row numbers count data rows from 1.
+ */
+
+const DIAGNOSTIC_LISTS = [
+  'unmatchedPrimaryKeys',
+  'unmatchedReferenceKeys',
+  'duplicateReferenceKeys',
+  'blankKeys',
+];
+
+// Items of each list sent with a join response; the full lists are exported to Excel
+const PREVIEW_ITEMS = 100;
+
+const keyValues = (row, columns) => columns.map((column) => row[column] ?? null);
+
+// Count rows per key, keeping the first row's values: [{ values, rows }] in first-seen order
+function countKeys(entries) {
+  const keys = new Map();
+  entries.forEach(({ key, values }) => {
+    if (keys.has(key)) {
+      keys.get(key).rows += 1;
+    } else {
+      keys.set(key, { values, rows: 1 });
+    }
+  });
+  return [...keys.values()];
+}
+
+function toRelationship({ oneToOne, oneToMany, manyToOne, manyToMany }) {
+  if (manyToMany > 0 || (oneToMany > 0 && manyToOne > 0)) return 'N:M';
+  if (oneToMany > 0) return '1:N';
+  if (manyToOne > 0) return 'N:1';
+  return oneToOne > 0 ? '1:1' : null;
+}
+
+/**
+ * Diagnostics of a join. `primaryKeys` holds the { parts, key, match } the matcher found for each
+ * main row, `groupOfRow` the key group ({ parts, rows }) of each reference row.
+ */
+function diagnoseJoin({
+  keyColumns,
+  multipliesRows,
+  primaryData,
+  primaryKeys,
+  referenceData,
+  groupOfRow,
+}) {
+  const primaryColumns = keyColumns.map((keyColumn) => keyColumn.primaryColumn);
+  const refColumns = keyColumns.map((keyColumn) => keyColumn.refColumn);
+  const hasBlank = (parts) => parts.some((part) => part === '');
+
+  const blankKeys = [];
+  const unmatchedPrimary = [];
+  // Main rows matched to each reference key group
+  const primaryRowsOfGroup = new Map();
+
+  primaryKeys.forEach(({ parts, key, match }, index) => {
+    const values = keyValues(primaryData[index], primaryColumns);
+    if (match) {
+      primaryRowsOfGroup.set(match.group, (primaryRowsOfGroup.get(match.group) || 0) + 1);
+    }
+    if (hasBlank(parts)) {
+      blankKeys.push({ file: 'main', row: index + 1, values, matched: Boolean(match) });
+    } else if (!match) {
+      unmatchedPrimary.push({ key, values });
+    }
+  });
+
+  const unmatchedReference = [];
+  const seenGroups = new Set();
+  const cardinality = { oneToOne: 0, oneToMany: 0, manyToOne: 0, manyToMany: 0 };
+  const duplicateReferenceKeys = [];
+
+  referenceData.forEach((refRow, index) => {
+    const group = groupOfRow[index];
+    const values = keyValues(refRow, refColumns);
+    const primaryRows = primaryRowsOfGroup.get(group) || 0;
+    if (hasBlank(group.parts)) {
+      blankKeys.push({ file: 'reference', row: index + 1, values, matched: primaryRows > 0 });
+    } else if (primaryRows === 0) {
+      unmatchedReference.push({ key: group, values });
+    }
+
+    // Everything else is counted once per key group
+    if (primaryRows === 0 || seenGroups.has(group)) return;
+    seenGroups.add(group);
+
+    const referenceRows = group.rows.length;
+    if (referenceRows > 1) {
+      duplicateReferenceKeys.push({
+        values,
+        referenceRows,
+        primaryRows,
+        extraRows: multipliesRows ? primaryRows * (referenceRows - 1) : 0,
+      });
+    }
+    if (primaryRows === 1) {
+      cardinality[referenceRows === 1 ? 'oneToOne' : 'oneToMany'] += 1;
+    } else {
+      cardinality[referenceRows === 1 ? 'manyToOne' : 'manyToMany'] += 1;
+    }
+  });
+
+  return {
+    cardinality: { relationship: toRelationship(cardinality), ...cardinality },
+    unmatchedPrimaryKeys: countKeys(unmatchedPrimary),
+    unmatchedReferenceKeys: countKeys(unmatchedReference),
+    duplicateReferenceKeys,
+    blankKeys,
+  };
+}
+
+// The diagnostics sent with a join response: each list as { total, items } with its first items
+function previewDiagnostics(diagnostics) {
+  const preview = { cardinality: diagnostics.cardinality };
+  DIAGNOSTIC_LISTS.forEach((list) => {
+    preview[list] = {
+      total: diagnostics[list].length,
+      items: diagnostics[list].slice(0, PREVIEW_ITEMS),
+    };
+  });
+  return preview;
+}
+
+// A pair's column, named once when both files call it the same
+const pairHeader = ({ refColumn, primaryColumn }) =>
+  refColumn === primaryColumn ? refColumn : `${refColumn} / ${primaryColumn}`;
+
+/**
+ * Worksheets for the diagnostics of a join on `keyColumns`: { name, headers, rows } for `list`,
+ * or for every list after a summary.
+ */
+function toDiagnosticSheets(diagnostics, keyColumns, list) {
+  const primaryColumns = keyColumns.map((keyColumn) => keyColumn.primaryColumn);
+  const refColumns = keyColumns.map((keyColumn) => keyColumn.refColumn);
+
+  const sheets = {
+    unmatchedPrimaryKeys: {
+      name: 'Unmatched main keys',
+      headers: [...primaryColumns, 'Rows'],
+      rows: diagnostics.unmatchedPrimaryKeys.map(({ values, rows }) => [...values, rows]),
+    },
+    unmatchedReferenceKeys: {
+      name: 'Unmatched reference keys',
+      headers: [...refColumns, 'Rows'],
+      rows: diagnostics.unmatchedReferenceKeys.map(({ values, rows }) => [...values, rows]),
+    },
+    duplicateReferenceKeys: {
+      name: 'Duplicate reference keys',
+      headers: [...refColumns, 'Reference rows', 'Main rows', 'Extra result rows'],
+      rows: diagnostics.duplicateReferenceKeys.map(
+        ({ values, referenceRows, primaryRows, extraRows }) => [
+          ...values,
+          referenceRows,
+          primaryRows,
+          extraRows,
+        ],
+      ),
+    },
+    blankKeys: {
+      name: 'Blank keys',
+      headers: ['File', 'Row', ...keyColumns.map(pairHeader), 'Matched'],
+      rows: diagnostics.blankKeys.map(({ file, row, values, matched }) => [
+        file,
+        row,
+        ...values,
+        matched ? 'yes' : 'no',
+      ]),
+    },
+  };
+  if (list) {
+    return [sheets[list]];
+  }
+
+  const { cardinality } = diagnostics;
+  const summary = {
+    name: 'Summary',
+    headers: ['Measure', 'Value'],
+    rows: [
+      ['Relationship', cardinality.relationship || 'no matches'],
+      ['Keys matched 1:1', cardinality.oneToOne],
+      ['Keys matched 1:N', cardinality.oneToMany],
+      ['Keys matched N:1', cardinality.manyToOne],
+      ['Keys matched N:M', cardinality.manyToMany],
+      ...DIAGNOSTIC_LISTS.map((name) => [sheets[name].name, diagnostics[name].length]),
+    ],
+  };
+  return [summary, ...DIAGNOSTIC_LISTS.map((name) => sheets[name])];
+}
+
+export { DIAGNOSTIC_LISTS, diagnoseJoin, previewDiagnostics, toDiagnosticSheets };
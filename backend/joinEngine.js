@@ -0,0 +1,228 @@
+/**
+ * Join Engine
+ * Links the rows of the main file to the (filtered) rows of the reference file on one or more
+ * key columns, for the reference file filter. With several key columns all of them must match.
+ * Keys are compared as trimmed, case-insensitive text unless a pair's normalization options say
+ * otherwise, and fuzzy pairs also match similar values (see keyMatching.js). Joins on fuzzy pairs
+ * add a match_score column: how alike the matched keys are, from 0 to 1.
+ *
+ * Join types, with "main" the primary file and "reference" the filtered reference file:
+ *   inner      main rows with a match, once per matching reference row
+ *   left       every main row; reference columns are empty where nothing matched
+ *   right      every reference row; main columns are empty where nothing matched
+ *   full       every row of both files, matched where possible
+ *   semi       main rows with a match, once each, without reference columns
+ *   anti       main rows without a match, without reference columns
+ *   rightAnti  reference rows without a match in main, without main columns
+ *
+ * Reference columns are prefixed with `ref_` so they never clash with main columns, unless the
+ * join is asked for other columns or names (see joinColumns.js).
+ */
+
+import { planJoinColumns, readJoinColumn } from './joinColumns.js';
+import { diagnoseJoin } from './joinDiagnostics.js';
+import {
+  KEY_OPTIONS,
+  createFuzzyIndex,
+  getFuzzyOptions,
+  getKeyOptions,
+  keySimilarity,
+  normalizeKeyValue,
+} from './keyMatching.js';
+
+const JOIN_TYPES = ['inner', 'left', 'right', 'full', 'semi', 'anti', 'rightAnti'];
+
+// Which files' columns the rows of each join type carry
+const JOIN_COLUMNS = {
+  inner: { primary: true, reference: true },
+  left: { primary: true, reference: true },
+  right: { primary: true, reference: true },
+  full: { primary: true, reference: true },
+  semi: { primary: true, reference: false },
+  anti: { primary: true, reference: false },
+  rightAnti: { primary: false, reference: true },
+};
+
+const MATCH_SCORE_HEADER = 'match_score';
+
+// How one key cell is compared by default
+function toKeyValue(value) {
+  return normalizeKeyValue(value, KEY_OPTIONS);
+}
+
+/**
+ * Finds the reference rows matching a main row. Reference rows are grouped by their normalized
+ * key; `find(primaryRow)` returns the row's normalized key { parts, key } and its match, a
+ * { group, score } or null. Exact keys
+ * are looked up directly. With fuzzy pairs, reference keys are blocked on their exact pairs and
+ * indexed on the first fuzzy pair, and the most similar candidate meeting every fuzzy pair's
+ * threshold is taken.
+ */
+function createKeyMatcher(referenceData, keyColumns) {
+  const options = keyColumns.map(getKeyOptions);
+  const fuzzy = keyColumns.map(getFuzzyOptions);
+  const fuzzyPairs = fuzzy.flatMap((pairFuzzy, index) => (pairFuzzy ? [index] : []));
+  const exactPairs = fuzzy.flatMap((pairFuzzy, index) => (pairFuzzy ? [] : [index]));
+
+  const toParts = (row, side) =>
+    keyColumns.map((keyColumn, index) => normalizeKeyValue(row[keyColumn[side]], options[index]));
+  const toBlockKey = (parts) => exactPairs.map((index) => parts[index]).join('|||');
+
+  // { parts, rows } per normalized reference key
+  const groups = new Map();
+  const groupOfRow = referenceData.map((refRow) => {
+    const parts = toParts(refRow, 'refColumn');
+    const key = parts.join('|||');
+    if (!groups.has(key)) {
+      groups.set(key, { parts, rows: [] });
+    }
+    groups.get(key).rows.push(refRow);
+    return groups.get(key);
+  });
+
+  const blocks = new Map();
+  if (fuzzyPairs.length > 0) {
+    const [indexedPair] = fuzzyPairs;
+    groups.forEach((group) => {
+      const blockKey = toBlockKey(group.parts);
+      if (!blocks.has(blockKey)) {
+        blocks.set(blockKey, createFuzzyIndex(fuzzy[indexedPair]));
+      }
+      blocks.get(blockKey).add(group.parts[indexedPair], group);
+    });
+  }
+
+  // Main files repeat keys, so fuzzy lookups are remembered
+  const fuzzyMatches = new Map();
+  const findFuzzy = (parts, key) => {
+    if (fuzzyMatches.has(key)) return fuzzyMatches.get(key);
+
+    let best = null;
+    const block = blocks.get(toBlockKey(parts));
+    // Empty keys only match exactly
+    if (block && fuzzyPairs.every((index) => parts[index] !== '')) {
+      block.candidates(parts[fuzzyPairs[0]]).forEach((group) => {
+        const score = Math.min(
+          ...fuzzyPairs.map((index) =>
+            keySimilarity(parts[index], group.parts[index], fuzzy[index]),
+          ),
+        );
+        if (score > 0 && (!best || score > best.score)) {
+          best = { group, score };
+        }
+      });
+    }
+    fuzzyMatches.set(key, best);
+    return best;
+  };
+
+  return {
+    fuzzy: fuzzyPairs.length > 0,
+    groupOfRow,
+    find(primaryRow) {
+      const parts = toParts(primaryRow, 'primaryColumn');
+      const key = parts.join('|||');
+      let match = null;
+      if (groups.has(key)) {
+        match = { group: groups.get(key), score: 1 };
+      } else if (fuzzyPairs.length > 0) {
+        match = findFuzzy(parts, key);
+      }
+      return { parts, key, match };
+    },
+  };
+}
+
+/**
+ * Join `primaryData` to `referenceData` on `keyColumns` ([{ primaryColumn, refColumn }] plus
+ * each pair's options), returning the columns chosen by `output` (see planJoinColumns). Returns
+ * { headers, columns, data, matchedRows, unmatchedPrimaryRows, unmatchedReferenceRows,
+ * diagnostics }, where columns are the planned result columns, matchedRows counts the distinct
+ * reference keys matched and diagnostics explains what did not match (see joinDiagnostics.js).
+ */
+function joinRows({
+  primaryData,
+  referenceData,
+  primaryHeaders,
+  refHeaders,
+  keyColumns,
+  joinType = 'inner',
+  output = {},
+}) {
+  if (!JOIN_TYPES.includes(joinType)) {
+    throw new Error(`Join type must be one of: ${JOIN_TYPES.join(', ')}`);
+  }
+  const columns = JOIN_COLUMNS[joinType];
+  const plan = planJoinColumns({ ...output, primaryHeaders, refHeaders, keeps: columns });
+  const matcher = createKeyMatcher(referenceData, keyColumns);
+  // Anti joins keep only unmatched rows, which have no score
+  const scored = matcher.fuzzy && joinType !== 'anti' && joinType !== 'rightAnti';
+  if (scored && plan.some(({ name }) => name === MATCH_SCORE_HEADER)) {
+    throw new Error(`Output column names must be unique: "${MATCH_SCORE_HEADER}" is used twice`);
+  }
+
+  // A result row; the side without a match (null) has empty columns
+  const merge = (primaryRow, refRow, score = null) => {
+    const row = {};
+    plan.forEach((column) => {
+      row[column.name] = readJoinColumn(column, primaryRow, refRow);
+    });
+    if (scored) {
+      row[MATCH_SCORE_HEADER] = score === null ? null : Math.round(score * 1000) / 1000;
+    }
+    return row;
+  };
+
+  const data = [];
+  const matchedGroups = new Set();
+  let unmatchedPrimaryRows = 0;
+
+  const primaryKeys = primaryData.map((primaryRow) => {
+    const found = matcher.find(primaryRow);
+    const { match } = found;
+
+    if (match) {
+      matchedGroups.add(match.group);
+      if (joinType === 'semi') {
+        data.push(merge(primaryRow, null, match.score));
+      } else if (columns.reference && columns.primary) {
+        // One row per matching reference row (one-to-many)
+        match.group.rows.forEach((refRow) => data.push(merge(primaryRow, refRow, match.score)));
+      }
+    } else {
+      unmatchedPrimaryRows += 1;
+      if (joinType === 'left' || joinType === 'full' || joinType === 'anti') {
+        data.push(merge(primaryRow, null));
+      }
+    }
+    return found;
+  });
+
+  // Reference rows nothing in main matched, in reference file order
+  const unmatchedReferenceData = referenceData.filter(
+    (refRow, index) => !matchedGroups.has(matcher.groupOfRow[index]),
+  );
+  if (joinType === 'right' || joinType === 'full' || joinType === 'rightAnti') {
+    unmatchedReferenceData.forEach((refRow) => data.push(merge(null, refRow)));
+  }
+
+  return {
+    headers: [...plan.map(({ name }) => name), ...(scored ? [MATCH_SCORE_HEADER] : [])],
+    columns: plan,
+    data,
+    matchedRows: matchedGroups.size,
+    unmatchedPrimaryRows,
+    unmatchedReferenceRows: unmatchedReferenceData.length,
+    diagnostics: diagnoseJoin({
+      keyColumns,
+      // One result row per matching reference row
+      multipliesRows: columns.primary && columns.reference,
+      primaryData,
+      primaryKeys,
+      referenceData,
+      groupOfRow: matcher.groupOfRow,
+    }),
+  };
+}
+
+export { JOIN_TYPES, MATCH_SCORE_HEADER, joinRows, toKeyValue };
@@ -0,0 +1,273 @@
+/**
+ * Key Matching
+ * How the join compares the values of a key column pair. Each pair of keyColumns may carry
+ * normalization options, applied to both sides before comparing:
+ *   caseSensitive       compare case (default false)
+ *   trim                ignore leading and trailing whitespace (default true)
+ *   collapseWhitespace  treat runs of whitespace, non-breaking spaces included, as one space
+ *   stripPunctuation    ignore punctuation and symbols ("ACME Ltd." = "ACME Ltd")
+ *   stripLeadingZeros   ignore zeros before the first digit ("00123" = "123")
+ *   normalizeUnicode    compare compatibility forms as equal (NFKC: full-width digits, ligatures)
+ *   numeric             values that are numbers compare as numbers ("123.0" = "123" = 123)
+ *
+ * and a fuzzy mode, `fuzzy: { method, threshold }`, that also matches values that are only
+ * similar:
+ *   characters  1 - edit distance / length of the longer value ("Acme Limted" ~ "Acme Limited")
+ *   tokens      shared words, Dice coefficient ("Acme Holdings Ltd" ~ "Holdings Acme")
+ * with threshold the lowest similarity (0 to 1) that still counts as a match.
+ *
+ * Fuzzy matching never compares every value with every other: reference values are indexed by
+ * their letter trigrams (or words), and only values sharing the most of them with a main value
+ * are scored. Very common trigrams or words are left out of the search.
+ */
+
+const KEY_OPTIONS = {
+  caseSensitive: false,
+  trim: true,
+  collapseWhitespace: false,
+  stripPunctuation: false,
+  stripLeadingZeros: false,
+  normalizeUnicode: false,
+  numeric: false,
+};
+
+const FUZZY_METHODS = ['characters', 'tokens'];
+const DEFAULT_FUZZY_THRESHOLD = 0.85;
+// Reference values scored per main value, the ones sharing the most trigrams or words
+const MAX_FUZZY_CANDIDATES = 50;
+// Trigrams or words shared by more reference values than this are not searched on
+const MAX_POSTING_SIZE = 1000;
+
+const NUMBER = /^[-+]?(\d+\.?\d*|\.\d+)(e[-+]?\d+)?$/i;
+
+function getKeyOptions(keyColumn = {}) {
+  const options = {};
+  Object.entries(KEY_OPTIONS).forEach(([option, fallback]) => {
+    options[option] = keyColumn[option] ?? fallback;
+  });
+  return options;
+}
+
+function normalizeKeyValue(value, options = KEY_OPTIONS) {
+  if (value === null || value === undefined) return '';
+  if (options.numeric && typeof value === 'number') return String(value);
+
+  let text = String(value);
+  if (options.normalizeUnicode) text = text.normalize('NFKC');
+  if (options.collapseWhitespace) text = text.replace(/\s+/g, ' ');
+  if (!options.caseSensitive) text = text.toLowerCase();
+  if (options.trim || options.collapseWhitespace) text = text.trim();
+  // Before punctuation is stripped, which would turn "45.0" into "450"
+  if (options.numeric && NUMBER.test(text)) return String(Number(text));
+  if (options.stripPunctuation) {
+    text = text.replace(/[\p{P}\p{S}]+/gu, options.collapseWhitespace ? ' ' : '');
+    if (options.collapseWhitespace) text = text.replace(/ {2,}/g, ' ').trim();
+  }
+  if (options.stripLeadingZeros) text = text.replace(/^0+(?=\d)/, '');
+  return text;
+}
+
+// Why a key column pair's options are invalid, or null
+function findKeyOptionsError(keyColumn) {
+  const invalid = Object.keys(KEY_OPTIONS).find(
+    (option) => keyColumn[option] !== undefined && typeof keyColumn[option] !== 'boolean',
+  );
+  if (invalid) {
+    return `Key option "${invalid}" must be true or false`;
+  }
+
+  const { fuzzy } = keyColumn;
+  if (fuzzy === undefined || fuzzy === null || fuzzy === false) {
+    return null;
+  }
+  if (typeof fuzzy !== 'object') {
+    return 'Fuzzy matching must be an object with a method and a threshold';
+  }
+  if (fuzzy.method !== undefined && !FUZZY_METHODS.includes(fuzzy.method)) {
+    return `Fuzzy method must be one of: ${FUZZY_METHODS.join(', ')}`;
+  }
+  if (
+    fuzzy.threshold !== undefined &&
+    (typeof fuzzy.threshold !== 'number' || !(fuzzy.threshold > 0 && fuzzy.threshold <= 1))
+  ) {
+    return 'Fuzzy threshold must be a number above 0 and at most 1';
+  }
+  return null;
+}
+
+// { method, threshold } of a key column pair, or null when it matches exactly
+function getFuzzyOptions(keyColumn = {}) {
+  const { fuzzy } = keyColumn;
+  if (!fuzzy || typeof fuzzy !== 'object') return null;
+  return {
+    method: fuzzy.method || 'characters',
+    threshold: fuzzy.threshold ?? DEFAULT_FUZZY_THRESHOLD,
+  };
+}
+
+// The options set on a key column pair, as a filter setup records them
+function pickKeyOptions(keyColumn) {
+  const options = {};
+  Object.keys(KEY_OPTIONS).forEach((option) => {
+    if (keyColumn[option] !== undefined) options[option] = keyColumn[option];
+  });
+  const fuzzy = getFuzzyOptions(keyColumn);
+  if (fuzzy) options.fuzzy = fuzzy;
+  return options;
+}
+
+// Edit distance, giving up (returning Infinity) once it must exceed `limit`
+function editDistance(a, b, limit) {
+  if (Math.abs(a.length - b.length) > limit) return Infinity;
+
+  let previous = Array.from({ length: b.length + 1 }, (_, index) => index);
+  for (let i = 1; i <= a.length; i += 1) {
+    const current = [i];
+    let rowMin = i;
+    for (let j = 1; j <= b.length; j += 1) {
+      const cost = a[i - 1] === b[j - 1] ? 0 : 1;
+      current[j] = Math.min(previous[j] + 1, current[j - 1] + 1, previous[j - 1] + cost);
+      rowMin = Math.min(rowMin, current[j]);
+    }
+    if (rowMin > limit) return Infinity;
+    previous = current;
+  }
+  return previous[b.length];
+}
+
+const toWords = (text) => text.split(/[^\p{L}\p{N}]+/u).filter((word) => word !== '');
+
+function toTrigrams(text) {
+  const padded = `\u0001${text}\u0001`;
+  const grams = new Set();
+  for (let index = 0; index + 3 <= padded.length; index += 1) {
+    grams.add(padded.slice(index, index + 3));
+  }
+  return grams;
+}
+
+// How alike two normalized values are, from 0 to 1, or 0 when below `threshold`
+function keySimilarity(a, b, { method, threshold }) {
+  if (a === b) return 1;
+  if (a === '' || b === '') return 0;
+
+  let score;
+  if (method === 'tokens') {
+    const wordsA = new Set(toWords(a));
+    const wordsB = new Set(toWords(b));
+    if (wordsA.size === 0 || wordsB.size === 0) return 0;
+    let shared = 0;
+    wordsA.forEach((word) => {
+      if (wordsB.has(word)) shared += 1;
+    });
+    score = (2 * shared) / (wordsA.size + wordsB.size);
+  } else {
+    const longest = Math.max(a.length, b.length);
+    const distance = editDistance(a, b, Math.floor((1 - threshold) * longest));
+    score = distance === Infinity ? 0 : 1 - distance / longest;
+  }
+  return score >= threshold ? score : 0;
+}
+
+function hasId(list, id) {
+  let low = 0;
+  let high = list.length - 1;
+  while (low <= high) {
+    const middle = (low + high) >> 1;
+    if (list[middle] === id) return true;
+    if (list[middle] < id) low = middle + 1;
+    else high = middle - 1;
+  }
+  return false;
+}
+
+/**
+ * Index of normalized values for fuzzy lookups. `add(value, item)` indexes an item under a
+ * value; `candidates(value)` returns the items whose values share the most trigrams (or words,
+ * for the tokens method) with `value`, best first, at most MAX_FUZZY_CANDIDATES of them. Items
+ * sharing too few to reach the threshold are left out: one edit changes at most three trigrams,
+ * and a Dice coefficient of t needs t·n/(2 - t) of a value's n words. A value of length n is
+ * within the threshold only of values up to n/t long, so it allows edits for that length.
+ */
+function createFuzzyIndex({ method, threshold }) {
+  const toTerms = method === 'tokens' ? (text) => new Set(toWords(text)) : toTrigrams;
+  const minShared = (terms, value) =>
+    method === 'tokens'
+      ? Math.ceil((threshold * terms.size) / (2 - threshold) - 1e-9)
+      : terms.size - 3 * Math.floor(((1 - threshold) * value.length) / threshold + 1e-9);
+  const postings = new Map();
+  const items = [];
+  // Terms each item shares with the value looked up, reset after every lookup
+  let shared = new Uint16Array(0);
+
+  return {
+    add(value, item) {
+      const id = items.length;
+      items.push(item);
+      toTerms(value).forEach((term) => {
+        if (!postings.has(term)) postings.set(term, []);
+        postings.get(term).push(id);
+      });
+    },
+    candidates(value) {
+      const terms = toTerms(value);
+      const lists = [...terms]
+        .map((term) => postings.get(term))
+        .filter(Boolean)
+        .sort((a, b) => a.length - b.length);
+      if (lists.length === 0) return [];
+
+      // Common terms are skipped, unless there is nothing else to go on; a skipped term may
+      // still be shared, so each one lowers the number needed
+      let searched = lists.filter((list) => list.length <= MAX_POSTING_SIZE);
+      if (searched.length === 0) searched = [lists[0].slice(0, MAX_POSTING_SIZE)];
+      const needed = minShared(terms, value) - (lists.length - searched.length);
+
+      if (shared.length < items.length) shared = new Uint16Array(items.length);
+      // An item needing `needed` of the searched terms has one in the shortest lists but the
+      // last `needed - 1`, so only those lists find items; the others only add to their counts
+      const finding = Math.max(1, searched.length - Math.max(needed, 1) + 1);
+      const found = [];
+      searched.forEach((list, index) => {
+        if (index < finding) {
+          list.forEach((id) => {
+            if (shared[id] === 0) found.push(id);
+            shared[id] += 1;
+          });
+        } else if (found.length * 10 < list.length) {
+          // Lists hold ids in ascending order
+          found.forEach((id) => {
+            if (hasId(list, id)) shared[id] += 1;
+          });
+        } else {
+          list.forEach((id) => {
+            if (shared[id] > 0) shared[id] += 1;
+          });
+        }
+      });
+      const counted = found.map((id) => [id, shared[id]]);
+      found.forEach((id) => {
+        shared[id] = 0;
+      });
+
+      return counted
+        .filter(([, count]) => count >= needed)
+        .sort((a, b) => b[1] - a[1])
+        .slice(0, MAX_FUZZY_CANDIDATES)
+        .map(([id]) => items[id]);
+    },
+  };
+}
+
+export {
+  DEFAULT_FUZZY_THRESHOLD,
+  FUZZY_METHODS,
+  KEY_OPTIONS,
+  createFuzzyIndex,
+  findKeyOptionsError,
+  getFuzzyOptions,
+  getKeyOptions,
+  keySimilarity,
+  normalizeKeyValue,
+  pickKeyOptions,
+};
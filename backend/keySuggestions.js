@@ -0,0 +1,165 @@
+/**
+ * Key Suggestions
+ * Suggests which reference column to pair with which main column when linking two files, so
+ * "Cust_No" can be linked to "CustomerID" without the user hunting through both header lists.
+ *
+ * Each pair of columns is scored on:
+ * - name similarity: names are split into words ("Cust_No" → cust, no; "CustomerID" → customer,
+ *   id), abbreviations match the words they start ("cust" ~ "customer") and identifier suffixes
+ *   (id, no, nr, number, code, key, ref) count as the same word
+ * - value overlap: the share of the smaller column's distinct values found in the other column,
+ *   compared the way the join compares keys (see toKeyValue)
+ * - uniqueness: columns whose values repeat a lot (a status, a country) make poor keys on their
+ *   own, so pairs where neither column is close to unique score lower. They may still be useful
+ *   as part of a composite key, e.g. (Company, InvoiceNo).
+ *
+ * Only the first rows and distinct values of large files are compared, so overlaps are
+ * estimates.
+ */
+
+import { toKeyValue } from './joinEngine.js';
+
+const MAX_SCANNED_ROWS = 50000;
+const MAX_DISTINCT_VALUES = 2000;
+const DEFAULT_LIMIT = 10;
+const MIN_SCORE = 0.25;
+
+const IDENTIFIER_WORDS = new Set(['id', 'no', 'nr', 'nbr', 'num', 'number', 'code', 'key', 'ref']);
+
+// "Cust_No" → ['cust', '#id'], "CustomerID" → ['customer', '#id']
+function splitName(name) {
+  return String(name)
+    .replace(/([a-z\d])([A-Z])/g, '$1 $2')
+    .replace(/([A-Z]+)([A-Z][a-z])/g, '$1 $2')
+    .toLowerCase()
+    .split(/[^\p{L}\p{N}]+/u)
+    .filter((word) => word !== '')
+    .map((word) => (IDENTIFIER_WORDS.has(word) ? '#id' : word));
+}
+
+function bigrams(text) {
+  const pairs = [];
+  for (let index = 0; index < text.length - 1; index += 1) {
+    pairs.push(text.slice(index, index + 2));
+  }
+  return pairs;
+}
+
+// Dice coefficient of the letter pairs of two strings
+function diceSimilarity(a, b) {
+  if (a === b) return 1;
+  const pairsA = bigrams(a);
+  const pairsB = bigrams(b);
+  if (pairsA.length === 0 || pairsB.length === 0) return 0;
+
+  const counts = new Map();
+  pairsA.forEach((pair) => counts.set(pair, (counts.get(pair) || 0) + 1));
+  let shared = 0;
+  pairsB.forEach((pair) => {
+    if (counts.get(pair) > 0) {
+      shared += 1;
+      counts.set(pair, counts.get(pair) - 1);
+    }
+  });
+  return (2 * shared) / (pairsA.length + pairsB.length);
+}
+
+function wordSimilarity(a, b) {
+  if (a === b) return 1;
+  // Abbreviations: "cust" for "customer", "inv" for "invoice"
+  if (a.length >= 3 && b.length >= 3 && (a.startsWith(b) || b.startsWith(a))) return 0.8;
+  return diceSimilarity(a, b) >= 0.7 ? 0.7 : 0;
+}
+
+// 0 (unrelated) to 1 (same name, ignoring case, separators and identifier suffixes)
+function nameSimilarity(nameA, nameB) {
+  const wordsA = splitName(nameA);
+  const wordsB = splitName(nameB);
+  if (wordsA.length === 0 || wordsB.length === 0) return 0;
+
+  const best = (words, others) =>
+    words.reduce(
+      (sum, word) => sum + Math.max(...others.map((other) => wordSimilarity(word, other))),
+      0,
+    );
+  const wordScore = (best(wordsA, wordsB) + best(wordsB, wordsA)) / (wordsA.length + wordsB.length);
+  return Math.max(wordScore, diceSimilarity(wordsA.join(''), wordsB.join('')));
+}
+
+// Distinct key values (up to MAX_DISTINCT_VALUES) and how unique the column's values are
+function sampleColumn(data, column) {
+  const values = new Set();
+  let filled = 0;
+  const rows = Math.min(data.length, MAX_SCANNED_ROWS);
+  for (let index = 0; index < rows; index += 1) {
+    const value = toKeyValue(data[index][column]);
+    if (value === '') continue;
+    filled += 1;
+    if (values.size < MAX_DISTINCT_VALUES) values.add(value);
+  }
+  const distinct = values.size;
+  return {
+    values,
+    // A capped sample cannot tell, so it counts as unique
+    uniqueness: filled === 0 ? 0 : distinct >= MAX_DISTINCT_VALUES ? 1 : distinct / filled,
+  };
+}
+
+function valueOverlap(sampleA, sampleB) {
+  const [smaller, larger] =
+    sampleA.values.size <= sampleB.values.size
+      ? [sampleA.values, sampleB.values]
+      : [sampleB.values, sampleA.values];
+  if (smaller.size === 0) return 0;
+
+  let shared = 0;
+  smaller.forEach((value) => {
+    if (larger.has(value)) shared += 1;
+  });
+  return shared / smaller.size;
+}
+
+const round = (number) => Math.round(number * 100) / 100;
+
+/**
+ * Column pairs likely to link `reference` to `primary` (datasets with headers and data), best
+ * first: [{ refColumn, primaryColumn, score, nameSimilarity, valueOverlap, uniqueness }], all
+ * from 0 to 1.
+ */
+function suggestKeyColumns(reference, primary, { limit = DEFAULT_LIMIT } = {}) {
+  const refSamples = new Map(
+    reference.headers.map((header) => [header, sampleColumn(reference.data, header)]),
+  );
+  const primarySamples = new Map(
+    primary.headers.map((header) => [header, sampleColumn(primary.data, header)]),
+  );
+
+  const suggestions = [];
+  reference.headers.forEach((refColumn) => {
+    primary.headers.forEach((primaryColumn) => {
+      const refSample = refSamples.get(refColumn);
+      const primarySample = primarySamples.get(primaryColumn);
+      const names = nameSimilarity(refColumn, primaryColumn);
+      const overlap = valueOverlap(refSample, primarySample);
+      const uniqueness = Math.max(refSample.uniqueness, primarySample.uniqueness);
+      const score = (0.4 * names + 0.6 * overlap) * (0.5 + 0.5 * uniqueness);
+
+      if (score >= MIN_SCORE) {
+        suggestions.push({
+          refColumn,
+          primaryColumn,
+          score: round(score),
+          nameSimilarity: round(names),
+          valueOverlap: round(overlap),
+          uniqueness: round(uniqueness),
+        });
+      }
+    });
+  });
+
+  return suggestions
+    .sort((a, b) => b.score - a.score || b.valueOverlap - a.valueOverlap)
+    .slice(0, limit);
+}
+
+export { nameSimilarity, suggestKeyColumns };
@@ -0,0 +1,108 @@
+/**
+ * Preset Store
+ * Saved filter presets, so recurring filters do not have to be rebuilt every session. Unlike
+ * datasets, presets outlive the server process: they are kept in a JSON file (PRESETS_FILE,
+ * default data/presets.json next to this module).
+ *
+ * A preset holds { id, name, description, mode, filters, logicOperator, keyColumns, joinType,
+ * createdAt, updatedAt }; `keyColumns` and `joinType` are only used in reference mode.
+ *
+ * The file is read on first use. Every change rewrites it through a temp file that replaces the
+ * old one, one write at a time, so a crash never leaves half a file behind.
+ */
+
+import fs from 'fs';
+import path from 'path';
+import { randomUUID } from 'crypto';
+import { fileURLToPath } from 'url';
+
+const DEFAULT_PRESETS_FILE =
+  process.env.PRESETS_FILE ||
+  path.join(path.dirname(fileURLToPath(import.meta.url)), 'data', 'presets.json');
+
+function createPresetStore({ filePath = DEFAULT_PRESETS_FILE } = {}) {
+  let loading = null;
+  let writing = Promise.resolve();
+
+  const load = () => {
+    if (!loading) {
+      loading = fs.promises
+        .readFile(filePath, 'utf-8')
+        .then((text) => new Map(JSON.parse(text).presets.map((preset) => [preset.id, preset])))
+        .catch((error) => {
+          if (error.code === 'ENOENT') return new Map();
+          loading = null;
+          throw new Error(`Presets could not be read from ${filePath}: ${error.message}`);
+        });
+    }
+    return loading;
+  };
+
+  const save = (presets) => {
+    const write = async () => {
+      await fs.promises.mkdir(path.dirname(filePath), { recursive: true });
+      const tempPath = `${filePath}.${process.pid}.tmp`;
+      await fs.promises.writeFile(
+        tempPath,
+        JSON.stringify({ presets: [...presets.values()] }, null, 2),
+      );
+      await fs.promises.rename(tempPath, filePath);
+    };
+    // A failed write must not block the ones after it
+    writing = writing.catch(() => {}).then(write);
+    return writing;
+  };
+
+  const findByName = (presets, name, exceptId) =>
+    [...presets.values()].find(
+      (preset) => preset.id !== exceptId && preset.name.toLowerCase() === name.toLowerCase(),
+    );
+
+  const list = async () =>
+    [...(await load()).values()].sort((a, b) => a.name.localeCompare(b.name));
+
+  const get = async (id) => (await load()).get(id) || null;
+
+  // Returns the new preset, or null when another preset already has its name
+  const create = async (fields) => {
+    const presets = await load();
+    if (findByName(presets, fields.name)) return null;
+
+    const now = new Date().toISOString();
+    const preset = { id: randomUUID(), ...fields, createdAt: now, updatedAt: now };
+    presets.set(preset.id, preset);
+    await save(presets);
+    return preset;
+  };
+
+  // Returns the updated preset, undefined when there is no such preset and null on a name clash
+  const update = async (id, fields) => {
+    const presets = await load();
+    const existing = presets.get(id);
+    if (!existing) return undefined;
+    if (findByName(presets, fields.name, id)) return null;
+
+    const preset = {
+      ...fields,
+      id,
+      createdAt: existing.createdAt,
+      updatedAt: new Date().toISOString(),
+    };
+    presets.set(id, preset);
+    await save(presets);
+    return preset;
+  };
+
+  const remove = async (id) => {
+    const presets = await load();
+    if (!presets.delete(id)) return false;
+    await save(presets);
+    return true;
+  };
+
+  return { list, get, create, update, remove };
+}
+
+const presetStore = createPresetStore();
+
+export { createPresetStore, presetStore };
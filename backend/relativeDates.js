@@ -0,0 +1,189 @@
+/**
+ * Relative Dates
+ * Date conditions that are resolved against the current date when a filter runs, so a saved
+ * "last 30 days" filter keeps meaning the last 30 days:
+ * - inLast / inNext: `value` days, weeks or months (`unit`, default 'days') before or after today,
+ *   e.g. in the last 1 month on 19 Oct covers 19 Sep up to the end of 19 Oct
+ * - inPeriod: `value` is one of PERIODS (this/previous month, quarter and year, year to date)
+ * - dayOfWeek: `value` lists days as numbers, 0 (Sunday) to 6 (Saturday), e.g. '1,2,3,4,5'
+ * - monthOfYear: `value` lists months as numbers, 1 (January) to 12 (December)
+ *
+ * "Today" is taken in the dataset's time zone, and cells are read with the dataset's value parser
+ * (see valueParsing.js), so all dates here are wall-clock times held in UTC fields.
+ */
+
+import { getValueParser } from './valueParsing.js';
+
+const RELATIVE_DATE_CONDITIONS = new Set([
+  'inLast',
+  'inNext',
+  'inPeriod',
+  'dayOfWeek',
+  'monthOfYear',
+]);
+
+const UNITS = ['days', 'weeks', 'months'];
+
+const PERIODS = [
+  'thisMonth',
+  'previousMonth',
+  'thisQuarter',
+  'previousQuarter',
+  'thisYear',
+  'previousYear',
+  'yearToDate',
+];
+
+// Ranges and value sets are resolved once per filter object, i.e. once per request
+const resolvedFilters = new WeakMap();
+
+function isRelativeDateCondition(condition) {
+  return RELATIVE_DATE_CONDITIONS.has(condition);
+}
+
+const startOfDay = (date) =>
+  new Date(Date.UTC(date.getUTCFullYear(), date.getUTCMonth(), date.getUTCDate()));
+
+const endOfDay = (date) =>
+  new Date(Date.UTC(date.getUTCFullYear(), date.getUTCMonth(), date.getUTCDate(), 23, 59, 59, 999));
+
+// Add days, weeks or months; months are clamped to the end of shorter months (31 Mar - 1 = 28 Feb)
+function addUnits(date, amount, unit) {
+  const year = date.getUTCFullYear();
+  const month = date.getUTCMonth();
+  const day = date.getUTCDate();
+
+  if (unit === 'months') {
+    const lastDay = new Date(Date.UTC(year, month + amount + 1, 0)).getUTCDate();
+    return new Date(Date.UTC(year, month + amount, Math.min(day, lastDay)));
+  }
+  const days = unit === 'weeks' ? amount * 7 : amount;
+  return new Date(Date.UTC(year, month, day + days));
+}
+
+// Start and end of the month `offset` months from the month containing `date`, spanning `length`
+const monthRange = (date, offset, length) => {
+  const year = date.getUTCFullYear();
+  const month = date.getUTCMonth() + offset;
+  return {
+    start: new Date(Date.UTC(year, month, 1)),
+    end: new Date(Date.UTC(year, month + length, 0, 23, 59, 59, 999)),
+  };
+};
+
+function resolvePeriod(period, now) {
+  const month = now.getUTCMonth();
+  const quarterOffset = -(month % 3);
+
+  switch (period) {
+    case 'thisMonth':
+      return monthRange(now, 0, 1);
+    case 'previousMonth':
+      return monthRange(now, -1, 1);
+    case 'thisQuarter':
+      return monthRange(now, quarterOffset, 3);
+    case 'previousQuarter':
+      return monthRange(now, quarterOffset - 3, 3);
+    case 'thisYear':
+      return monthRange(now, -month, 12);
+    case 'previousYear':
+      return monthRange(now, -month - 12, 12);
+    case 'yearToDate':
+      return { start: monthRange(now, -month, 1).start, end: endOfDay(now) };
+    default:
+      return null;
+  }
+}
+
+/**
+ * The { start, end } range a relative condition covers when the wall-clock time is `now` (a Date
+ * whose UTC fields hold it), or null for the day-of-week and month-of-year conditions, which do
+ * not describe a range.
+ */
+function resolveDateRange(filter, now) {
+  const unit = filter.unit || 'days';
+  const amount = Number(filter.value);
+
+  switch (filter.condition) {
+    case 'inLast':
+      return { start: startOfDay(addUnits(now, -amount, unit)), end: endOfDay(now) };
+    case 'inNext':
+      return { start: startOfDay(now), end: endOfDay(addUnits(now, amount, unit)) };
+    case 'inPeriod':
+      return resolvePeriod(filter.value, now);
+    default:
+      return null;
+  }
+}
+
+// Parse '1,2,3' (or an array) into numbers
+const parseNumberList = (value) =>
+  (Array.isArray(value) ? value : String(value).split(','))
+    .map((item) => String(item).trim())
+    .filter((item) => item !== '')
+    .map(Number);
+
+function resolveFilter(filter, parser) {
+  let resolved = resolvedFilters.get(filter);
+  if (!resolved) {
+    resolved =
+      filter.condition === 'dayOfWeek' || filter.condition === 'monthOfYear'
+        ? { values: new Set(parseNumberList(filter.value)) }
+        : { range: resolveDateRange(filter, new Date(parser.now())) };
+    resolvedFilters.set(filter, resolved);
+  }
+  return resolved;
+}
+
+function matchesRelativeDate(cellValue, filter, parser = getValueParser()) {
+  const time = parser.parseDate(cellValue);
+  if (isNaN(time)) return false;
+
+  const resolved = resolveFilter(filter, parser);
+  switch (filter.condition) {
+    case 'dayOfWeek':
+      return resolved.values.has(new Date(time).getUTCDay());
+    case 'monthOfYear':
+      return resolved.values.has(new Date(time).getUTCMonth() + 1);
+    default:
+      return (
+        Boolean(resolved.range) &&
+        time >= resolved.range.start.getTime() &&
+        time <= resolved.range.end.getTime()
+      );
+  }
+}
+
+function validateRelativeDateFilter(filter) {
+  const { condition, value } = filter;
+
+  if (condition === 'inLast' || condition === 'inNext') {
+    const amount = Number(value);
+    return (
+      value !== '' &&
+      Number.isInteger(amount) &&
+      amount > 0 &&
+      (filter.unit === undefined || UNITS.includes(filter.unit))
+    );
+  }
+
+  if (condition === 'inPeriod') {
+    return PERIODS.includes(value);
+  }
+
+  if (value === undefined || value === null) return false;
+  const numbers = parseNumberList(value);
+  const [min, max] = condition === 'dayOfWeek' ? [0, 6] : [1, 12];
+  return (
+    numbers.length > 0 &&
+    numbers.every((number) => Number.isInteger(number) && number >= min && number <= max)
+  );
+}
+
+export {
+  PERIODS,
+  isRelativeDateCondition,
+  matchesRelativeDate,
+  resolveDateRange,
+  validateRelativeDateFilter,
+};
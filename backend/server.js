@@ -6,398 +6,682 @@
  * npm run start:prod (uses 8GB memory)
  *
  * Current limits:
- * - JSON payload: 2GB
+ * - JSON payload: 50MB (datasets stay on the server and are referenced by ID)
  * - File upload: 2GB
  * - Supports pagination for filtering very large datasets
  * - Optimized for enterprise-level data processing
  */
 
+import fs from 'fs';
+import os from 'os';
 import express from 'express';
 import cors from 'cors';
 import helmet from 'helmet';
 import multer from 'multer';
 import ExcelJS from 'exceljs';
 import PDFDocument from 'pdfkit';
-const app = express();       
-const port = 3001;  
+import { datasetStore, workbookStore } from './datasetStore.js';
+import { detectDataType } from './typeDetection.js';
+import { parseDelimited } from './delimitedParser.js';
+import { resolveHeaderOptions } from './tableBuilder.js';
+import { getDistinctValues, isListCondition } from './valueLists.js';
+import { validateRegexPattern } from './textMatching.js';
+import { getValueParser, resolveLocaleOptions } from './valueParsing.js';
+import { coerceColumns } from './columnCoercion.js';
+import { DEFAULT_TOP_VALUES, MAX_TOP_VALUES, profileColumns } from './columnProfile.js';
+import { presetStore } from './presetStore.js';
+import {
+  formatFilterExpression,
+  parseFilterExpression,
+  suggestFilterExpression,
+} from './filterExpression.js';
+import {
+  COLUMN_TYPES,
+  SECONDS_PER_DAY,
+  parseBoolean,
+  parseDuration,
+  parseTimeOfDay,
+  toExcelNumberFormat,
+} from './valueTypes.js';
+import {
+  describeConditions,
+  evaluateCondition,
+  findConditionValueError,
+  loadConditionPlugins,
+} from './conditionRegistry.js';
+import { JOIN_TYPES, MATCH_SCORE_HEADER, joinRows } from './joinEngine.js';
+import { findKeyOptionsError, pickKeyOptions } from './keyMatching.js';
+import { DIAGNOSTIC_LISTS, previewDiagnostics, toDiagnosticSheets } from './joinDiagnostics.js';
+import { suggestKeyColumns } from './keySuggestions.js';
+import {
+  inspectWorkbook,
+  parseWorkbookSheets,
+  parseWorkbookTable,
+  parseExcel,
+  parseLegacyWorkbook,
+} from './workbookParser.js';
+const app = express();
+const port = 3001;
+
+// Rows returned alongside dataset metadata so the UI can render a first page immediately
+const PREVIEW_ROWS = 50;
+// Distinct values returned per page to value pickers
+const DISTINCT_VALUES_PAGE_SIZE = 100;
 
 // Middleware - Optimized for GB-sized datasets (Real-world production ready)
+// Request bodies only carry dataset IDs and filter definitions, so they stay small
 app.use(helmet());
 app.use(cors());
-app.use(express.json({ limit: '2gb' })); // 2GB limit for very large JSON payloads
-app.use(express.urlencoded({ limit: '2gb', extended: true }));
+app.use(express.json({ limit: '50mb' }));
+app.use(express.urlencoded({ limit: '50mb', extended: true }));
+
+// Delimited text files (CSV, TSV, pipe/semicolon separated) are parsed by delimitedParser.js
+const DELIMITED_EXTENSIONS = ['.csv', '.tsv', '.txt'];
+// Legacy Excel and OpenDocument workbooks are read with SheetJS (see workbookParser.js)
+const LEGACY_WORKBOOK_EXTENSIONS = ['.xls', '.xlsb', '.ods'];
+
+function hasExtension(filename, extensions) {
+  const lowerName = filename.toLowerCase();
+  return extensions.some((extension) => lowerName.endsWith(extension));
+}
+
+function isDelimitedFile(filename) {
+  return hasExtension(filename, DELIMITED_EXTENSIONS);
+}
+
+function isLegacyWorkbook(filename) {
+  return hasExtension(filename, LEGACY_WORKBOOK_EXTENSIONS);
+}
 
 // Configure multer for file uploads - GB file support for enterprise datasets
-const storage = multer.memoryStorage();
+// Uploads are streamed to a temp file and parsed from disk instead of being buffered in memory
 const upload = multer({
-  storage: storage,
+  dest: process.env.UPLOAD_TMP_DIR || os.tmpdir(),
   limits: { fileSize: 2 * 1024 * 1024 * 1024 }, // 2GB limit for very large Excel files
   fileFilter: (req, file, cb) => {
-    const allowedMimes = [
-      'application/vnd.openxmlformats-officedocument.spreadsheetml.sheet',
-    ];
+    const allowedMimes = ['application/vnd.openxmlformats-officedocument.spreadsheetml.sheet'];
     if (
       allowedMimes.includes(file.mimetype) ||
-      file.originalname.endsWith('.xlsx')
+      hasExtension(file.originalname, ['.xlsx']) ||
+      isLegacyWorkbook(file.originalname) ||
+      isDelimitedFile(file.originalname)
     ) {
       cb(null, true);
     } else {
-      cb(new Error('Only Excel files (.xlsx) are allowed'), false);
+      cb(
+        new Error(
+          'Only spreadsheets (.xlsx, .xls, .xlsb, .ods) and delimited text (.csv, .tsv, .txt) files are allowed',
+        ),
+        false,
+      );
     }
   },
 });
 
-// Helper function to detect data type
-function detectDataType(value) {
-  if (value === null || value === undefined || value === '') {
-    return 'text';
-  }
-
-  // Check if it's a date
-  if (value instanceof Date) {
-    return 'date';
-  }
+// Summarize a stored dataset for the client - metadata plus a preview page, never the full rows
+function describeDataset(dataset) {
+  return {
+    datasetId: dataset.id,
+    name: dataset.name,
+    headers: dataset.headers,
+    columnTypes: dataset.columnTypes,
+    columnFormats: dataset.columnFormats,
+    totalRows: dataset.totalRows,
+    preview: dataset.data.slice(0, PREVIEW_ROWS),
+    expiresAt: new Date(dataset.expiresAt).toISOString(),
+    locale: dataset.locale,
+    timeZone: dataset.timeZone,
+    ...(dataset.importOptions && { importOptions: dataset.importOptions }),
+    ...(dataset.layout && { layout: dataset.layout }),
+  };
+}
 
-  // Check if it's a number
-  if (typeof value === 'number') {
-    return 'number';
-  }
+function describeWorkbook(workbook) {
+  return {
+    workbookId: workbook.id,
+    workbookName: workbook.name,
+    sheets: workbook.sheets,
+  };
+}
 
-  // Check if string can be parsed as date
-  const dateStr = String(value).trim();
-  const datePatterns = [
-    /^\d{4}-\d{2}-\d{2}$/,
-    /^\d{2}\/\d{2}\/\d{4}$/,
-    /^\d{2}-\d{2}-\d{4}$/,
-    /^\d{4}\/\d{2}\/\d{2}$/,
-  ];
+function isValidPagination(page, pageSize) {
+  return Number.isInteger(page) && page >= 1 && Number.isInteger(pageSize) && pageSize >= 1;
+}
 
-  if (datePatterns.some((pattern) => pattern.test(dateStr))) {
-    const parsedDate = new Date(dateStr);
-    if (!isNaN(parsedDate.getTime())) {
-      return 'date';
-    }
-  }
+function paginateRows(rows, page, pageSize) {
+  const startIndex = (page - 1) * pageSize;
+  const endIndex = startIndex + pageSize;
 
-  // Check if string is a number
-  if (!isNaN(value) && !isNaN(parseFloat(value)) && isFinite(value)) {
-    return 'number';
-  }
+  return {
+    data: rows.slice(startIndex, endIndex),
+    currentPage: page,
+    totalPages: Math.ceil(rows.length / pageSize),
+    hasMore: endIndex < rows.length,
+  };
+}
 
-  return 'text';
+// Parser for the locale and time zone a dataset was uploaded with; inline rows are read with the
+// request's `locale` and `timeZone` (or the defaults)
+function getDatasetParser(dataset, body = {}) {
+  return getValueParser(dataset || resolveLocaleOptions(body));
 }
 
-// Helper function to parse Excel file - Optimized for GB-sized files
-async function parseExcel(buffer) {
-  const fileSizeMB = (buffer.length / (1024 * 1024)).toFixed(2);
-  console.log(`Parsing Excel file: ${fileSizeMB} MB`);
+// Number a cell sorts by in a column of `type` - identifiers sort as text
+const SORT_NUMBER = {
+  date: (value, parser) => parser.parseDate(value),
+  boolean: (value) => (parseBoolean(value) === null ? NaN : Number(parseBoolean(value))),
+  time: (value) => parseTimeOfDay(value),
+  duration: (value) => parseDuration(value),
+  identifier: () => NaN,
+};
 
-  const workbook = new ExcelJS.Workbook();
-  await workbook.xlsx.load(buffer);
-  const worksheet = workbook.worksheets[0];
+// Sort key of a cell: its date, time, duration or number when it holds one, and its text
+function toSortKey(value, type, parser) {
+  const text = value === null || value === undefined ? '' : String(value);
+  const number = (SORT_NUMBER[type] || ((cell) => parser.parseNumber(cell)))(value, parser);
+  return { number: isFinite(number) ? number : null, text: text.toLowerCase() };
+}
 
-  if (!worksheet) {
-    throw new Error('Excel file is empty');
+// Compare two sort keys numerically when both hold numbers (or dates), otherwise as text
+function compareSortKeys(a, b, locale) {
+  if (a.number !== null && b.number !== null) {
+    return a.number - b.number;
   }
 
-  const headerRow = worksheet.getRow(1);
-  const headers = headerRow.values.slice(1).map((header) => {
-    if (header === null || header === undefined) return '';
-    return String(header);
-  });
-
-  const data = [];
-  worksheet.eachRow({ includeEmpty: false }, (row, rowNumber) => {
-    if (rowNumber === 1) return;
-
-    const rowObj = {};
-    headers.forEach((header, idx) => {
-      const cell = row.getCell(idx + 1);
-      const value = cell.value;
-
-      rowObj[header || `Column${idx + 1}`] = convertCellValue(value);
-    });
-    data.push(rowObj);
-  });
+  return a.text.localeCompare(b.text, locale);
+}
 
-  if (data.length === 0) {
-    throw new Error('Excel file is empty');
+// Sort a stored dataset's rows - the sorted order is cached so paging through it stays cheap
+function getSortedRows(dataset, sortColumn, sortDirection = 'asc') {
+  if (!sortColumn) {
+    return dataset.data;
   }
 
-  // Detect data types for each column - optimized sampling for large datasets
-  const columnTypes = {};
-  const sampleSize = Math.min(100, Math.floor(data.length / 10)); // Sample up to 100 rows
-
-  headers.forEach((header) => {
-    const sampleValues = data
-      .slice(0, sampleSize)
-      .map((row) => row[header])
-      .filter((val) => val !== null && val !== undefined && val !== '');
+  const cacheKey = `${sortColumn}|${sortDirection}`;
+  if (!dataset.sortCache || dataset.sortCache.key !== cacheKey) {
+    const direction = sortDirection === 'desc' ? -1 : 1;
+    const parser = getDatasetParser(dataset);
+    const type = dataset.columnTypes[sortColumn];
+    // Keys are worked out once per row rather than once per comparison
+    const keyed = dataset.data.map((row) => ({
+      row,
+      key: toSortKey(row[sortColumn], type, parser),
+    }));
+    keyed.sort((a, b) => direction * compareSortKeys(a.key, b.key, parser.locale));
+    dataset.sortCache = { key: cacheKey, rows: keyed.map((entry) => entry.row) };
+  }
 
-    if (sampleValues.length === 0) {
-      columnTypes[header] = 'text';
-    } else {
-      const typeCounts = { text: 0, number: 0, date: 0 };
-      sampleValues.forEach((val) => {
-        const type = detectDataType(val);
-        typeCounts[type]++;
-      });
+  return dataset.sortCache.rows;
+}
 
-      columnTypes[header] =
-        typeCounts.number >= typeCounts.date && typeCounts.number >= typeCounts.text
-          ? 'number'
-          : typeCounts.date >= typeCounts.text
-            ? 'date'
-            : 'text';
-    }
-  });
+// Resolve the rows an export refers to - a stored dataset (optionally sorted) or inline rows
+function resolveExportSource(body) {
+  if (body.datasetId === undefined) {
+    return { data: body.data, headers: body.headers };
+  }
 
-  console.log(`Parsed ${data.length} rows with ${headers.length} columns`);
+  const dataset = datasetStore.get(body.datasetId);
+  if (!dataset) {
+    return null;
+  }
 
   return {
-    headers,
-    data,
-    columnTypes,
-    totalRows: data.length,
+    data: getSortedRows(dataset, body.sortColumn, body.sortDirection),
+    headers: Array.isArray(body.headers) ? body.headers : dataset.headers,
+    columnTypes: dataset.columnTypes,
+    columnFormats: dataset.columnFormats,
+    parser: getDatasetParser(dataset),
   };
 }
 
-function convertCellValue(value) {
-  if (value === null || value === undefined) {
-    return null;
-  }
+// Excel cell for a value: values of a stored dataset's typed columns are written as real numbers,
+// dates and booleans, read with the dataset's locale. Times and durations become fractions of a
+// day, which is how Excel holds them.
+function toExcelValue(value, type, parser) {
+  if (value === null || value === undefined) return '';
 
-  if (value instanceof Date) {
-    return value;
+  if (parser && ['number', 'currency', 'percentage'].includes(type)) {
+    const number = parser.parseNumber(value);
+    if (isFinite(number)) return number;
   }
-
-  if (typeof value === 'object') {
-    if (value.text !== undefined) {
-      return value.text;
-    }
-    if (value.richText) {
-      return value.richText.map((item) => item.text).join('');
-    }
-    if (value.hyperlink) {
-      return value.text || value.hyperlink;
-    }
-    if (value.formula !== undefined) {
-      return value.result;
-    }
-    return String(value);
+  if (parser && type === 'date') {
+    const time = parser.parseDate(value);
+    // Wall-clock times are held in UTC fields, which is how ExcelJS writes dates
+    if (!isNaN(time)) return new Date(time);
+  }
+  if (parser && type === 'boolean') {
+    const boolean = parseBoolean(value);
+    if (boolean !== null) return boolean;
+  }
+  if (parser && (type === 'time' || type === 'duration')) {
+    const seconds = type === 'time' ? parseTimeOfDay(value) : parseDuration(value);
+    if (!isNaN(seconds)) return seconds / SECONDS_PER_DAY;
   }
 
-  return value;
+  const strValue = String(value);
+  // Truncate extremely long strings to prevent memory issues (Excel cell limit: 32,767 chars)
+  return strValue.length > 32767 ? strValue.substring(0, 32767) : strValue;
 }
 
-// Apply filters to data
-function applyFilters(data, filters) {
+const DATASET_NOT_FOUND = 'Dataset not found or expired. Please upload the file again.';
+const WORKBOOK_NOT_FOUND = 'Workbook not found or expired. Please upload the file again.';
+
+// Apply filters to data (all must match)
+function applyFilters(data, filters, parser = getValueParser()) {
   if (!filters || filters.length === 0) {
     return data;
   }
 
-  return data.filter((row) => {
-    return filters.every((filter) => {
-      const { column, condition, value, value2 } = filter;
-      const cellValue = row[column];
-      const cellValueStr = cellValue !== null && cellValue !== undefined ? String(cellValue) : '';
+  return data.filter((row) => filters.every((filter) => evaluateFilter(row, filter, parser)));
+}
 
-      switch (condition) {
-        // Numeric conditions
-        case 'equals': {
-          const num1 = parseFloat(cellValue);
-          const num2 = parseFloat(value);
-          return !isNaN(num1) && !isNaN(num2) && num1 === num2;
-        }
-        case 'notEquals': {
-          const num1 = parseFloat(cellValue);
-          const num2 = parseFloat(value);
-          return isNaN(num1) || isNaN(num2) || num1 !== num2;
-        }
-        case 'greaterThan': {
-          const num1 = parseFloat(cellValue);
-          const num2 = parseFloat(value);
-          return !isNaN(num1) && !isNaN(num2) && num1 > num2;
-        }
-        case 'lessThan': {
-          const num1 = parseFloat(cellValue);
-          const num2 = parseFloat(value);
-          return !isNaN(num1) && !isNaN(num2) && num1 < num2;
-        }
-        case 'greaterThanOrEqual': {
-          const num1 = parseFloat(cellValue);
-          const num2 = parseFloat(value);
-          return !isNaN(num1) && !isNaN(num2) && num1 >= num2;
-        }
-        case 'lessThanOrEqual': {
-          const num1 = parseFloat(cellValue);
-          const num2 = parseFloat(value);
-          return !isNaN(num1) && !isNaN(num2) && num1 <= num2;
-        }
-        case 'between': {
-          const num = parseFloat(cellValue);
-          const num1 = parseFloat(value);
-          const num2 = parseFloat(value2);
-          return !isNaN(num) && !isNaN(num1) && !isNaN(num2) && num >= num1 && num <= num2;
-        }
+function logParsed(parsed) {
+  console.log(
+    `Successfully parsed ${parsed.totalRows.toLocaleString()} rows with ${parsed.headers.length} columns`,
+  );
+}
 
-        // Text conditions
-        case 'contains':
-          return cellValueStr.toLowerCase().includes(String(value).toLowerCase());
-        case 'doesNotContain':
-          return !cellValueStr.toLowerCase().includes(String(value).toLowerCase());
-        case 'startsWith':
-          return cellValueStr.toLowerCase().startsWith(String(value).toLowerCase());
-        case 'endsWith':
-          return cellValueStr.toLowerCase().endsWith(String(value).toLowerCase());
-        case 'exactMatch':
-          return cellValueStr === String(value);
-
-        // Date conditions
-        case 'before': {
-          const cellDate = new Date(cellValue);
-          const filterDate = new Date(value);
-          return (
-            !isNaN(cellDate.getTime()) && !isNaN(filterDate.getTime()) && cellDate < filterDate
-          );
-        }
-        case 'after': {
-          const cellDate = new Date(cellValue);
-          const filterDate = new Date(value);
-          return (
-            !isNaN(cellDate.getTime()) && !isNaN(filterDate.getTime()) && cellDate > filterDate
-          );
-        }
-        case 'on': {
-          const cellDate = new Date(cellValue);
-          const filterDate = new Date(value);
-          return (
-            !isNaN(cellDate.getTime()) &&
-            !isNaN(filterDate.getTime()) &&
-            cellDate.toDateString() === filterDate.toDateString()
-          );
-        }
-        case 'betweenDates': {
-          const dateValue = new Date(cellValue);
-          const date1 = new Date(value);
-          const date2 = new Date(value2);
-          return (
-            !isNaN(dateValue.getTime()) &&
-            !isNaN(date1.getTime()) &&
-            !isNaN(date2.getTime()) &&
-            dateValue >= date1 &&
-            dateValue <= date2
-          );
-        }
+function sendParseError(res, error, logLabel) {
+  console.error(logLabel, error);
 
-        // Empty checks
-        case 'isEmpty':
-          return (
-            cellValue === null ||
-            cellValue === undefined ||
-            cellValue === '' ||
-            cellValueStr.trim() === ''
-          );
-        case 'isNotEmpty':
-          return (
-            cellValue !== null &&
-            cellValue !== undefined &&
-            cellValue !== '' &&
-            cellValueStr.trim() !== ''
-          );
-
-        default:
-          return true;
-      }
+  // Handle specific error types
+  if (error.message && error.message.includes('heap')) {
+    return res.status(413).json({
+      error: 'File too large to process. Please split the file or reduce its size.',
     });
-  });
+  }
+
+  if (error.message && error.message.includes('memory')) {
+    return res.status(413).json({
+      error: 'Insufficient memory to process file. Please use a smaller file.',
+    });
+  }
+
+  res.status(400).json({ error: error.message || 'Failed to parse Excel file' });
 }
 
-// Upload and parse Excel file - Optimized for large files
+// Upload and parse a spreadsheet or delimited text file - Optimized for large files
+// Workbooks with several worksheets are not loaded until the user picks the sheets
+
 app.post('/api/upload', upload.single('file'), async (req, res) => {
+  let keepUpload = false;
   try {
     if (!req.file) {
       return res.status(400).json({ error: 'No file uploaded' });
     }
 
     // Log file size for monitoring
-    const fileSizeMB = (req.file.buffer.length / (1024 * 1024)).toFixed(2);
-    const fileSizeGB = (req.file.buffer.length / (1024 * 1024 * 1024)).toFixed(2);
+    const fileSizeMB = (req.file.size / (1024 * 1024)).toFixed(2);
+    const fileSizeGB = (req.file.size / (1024 * 1024 * 1024)).toFixed(2);
     const sizeDisplay = parseFloat(fileSizeGB) >= 1 ? `${fileSizeGB} GB` : `${fileSizeMB} MB`;
-    console.log(`Processing Excel file: ${req.file.originalname} (${sizeDisplay})`);
+    console.log(`Processing file: ${req.file.originalname} (${sizeDisplay})`);
 
     // Check file size and warn for very large files
-    if (req.file.buffer.length > 500 * 1024 * 1024) {
+    if (req.file.size > 500 * 1024 * 1024) {
       // > 500MB
       console.warn(`Large file detected: ${sizeDisplay}. Processing may take time...`);
     }
 
-    const parsed = parseExcel(req.file.buffer);
+    const { originalname, path } = req.file;
+    // Import options are sent as form fields ahead of the file; header options default to
+    // 'auto', the locale and time zone used to read numbers and dates to the server's defaults
+    const localeOptions = resolveLocaleOptions(req.body);
+    const tableOptions = { ...resolveHeaderOptions(req.body), ...localeOptions };
+
+    if (isDelimitedFile(originalname)) {
+      const parsed = await parseDelimited(path, {
+        delimiter: req.body.delimiter,
+        quote: req.body.quote,
+        encoding: req.body.encoding,
+        ...tableOptions,
+      });
+      logParsed(parsed);
+
+      // Keep the rows on the server - the client only receives metadata and a preview page
+      const dataset = datasetStore.create({
+        ...parsed,
+        ...localeOptions,
+        name: originalname,
+        kind: 'upload',
+      });
+      return res.json(describeDataset(dataset));
+    }
+
+    const format = isLegacyWorkbook(originalname) ? 'legacy' : 'xlsx';
+    const { sheets, tables, parsed } = await inspectWorkbook(path, format, tableOptions);
+
+    if (parsed) {
+      logParsed(parsed);
+      const dataset = datasetStore.create({
+        ...parsed,
+        ...localeOptions,
+        name: originalname,
+        kind: 'upload',
+      });
+      return res.json({ ...describeDataset(dataset), sheets });
+    }
 
-    // Log parsed data size
+    // Several worksheets or named tables - keep the file until the user has picked what to load
+    const workbook = workbookStore.create({
+      name: originalname,
+      path,
+      format,
+      sheets,
+      tables,
+      ...localeOptions,
+    });
+    keepUpload = true;
     console.log(
-      `Successfully parsed ${parsed.totalRows.toLocaleString()} rows with ${parsed.headers.length} columns`,
+      `Workbook has ${sheets.length} worksheets and ${tables.length} tables, waiting for selection`,
     );
 
-    res.json(parsed);
+    res.json({ ...describeWorkbook(workbook), requiresSheetSelection: true });
   } catch (error) {
-    console.error('Upload error:', error);
+    sendParseError(res, error, 'Upload error:');
+  } finally {
+    // Parsed rows are in the dataset store; the temp upload is only kept for sheet selection
+    if (req.file && !keepUpload) {
+      fs.promises.unlink(req.file.path).catch(() => {});
+    }
+  }
+});
 
-    // Handle specific error types
-    if (error.message && error.message.includes('heap')) {
-      return res.status(413).json({
-        error: 'File too large to process. Please split the file or reduce its size.',
+// Worksheets of an uploaded workbook
+app.get('/api/workbooks/:id', (req, res) => {
+  const workbook = workbookStore.get(req.params.id);
+  if (!workbook) {
+    return res.status(404).json({ error: WORKBOOK_NOT_FOUND });
+  }
+
+  res.json(describeWorkbook(workbook));
+});
+
+// Load one or more worksheets of an uploaded workbook as a dataset (several are stacked),
+// or one of its named tables
+app.post('/api/workbooks/:id/load', async (req, res) => {
+  try {
+    const workbook = workbookStore.get(req.params.id);
+    if (!workbook) {
+      return res.status(404).json({ error: WORKBOOK_NOT_FOUND });
+    }
+
+    if (req.body.table !== undefined) {
+      const table = workbook.tables.find((candidate) => candidate.name === req.body.table);
+      if (!table) {
+        return res.status(400).json({ error: `Table "${req.body.table}" not found` });
+      }
+
+      // Read with the locale and time zone chosen when the workbook was uploaded
+      const localeOptions = { locale: workbook.locale, timeZone: workbook.timeZone };
+      const parsed = await parseWorkbookTable(workbook.path, table, localeOptions);
+      logParsed(parsed);
+
+      const dataset = datasetStore.create({
+        ...parsed,
+        ...localeOptions,
+        name: `${workbook.name} [${table.name}]`,
+        kind: 'upload',
+        workbookId: workbook.id,
+        sheetNames: [table.sheet],
+        tableName: table.name,
       });
+
+      return res.json({ ...describeDataset(dataset), ...describeWorkbook(workbook) });
     }
 
-    if (error.message && error.message.includes('memory')) {
-      return res.status(413).json({
-        error: 'Insufficient memory to process file. Please use a smaller file.',
+    const { sheets } = req.body;
+    if (
+      !Array.isArray(sheets) ||
+      sheets.length === 0 ||
+      !sheets.every((sheet) => typeof sheet === 'string')
+    ) {
+      return res.status(400).json({ error: 'Select at least one worksheet' });
+    }
+
+    const localeOptions = { locale: workbook.locale, timeZone: workbook.timeZone };
+    const parsed = await parseWorkbookSheets(workbook.path, workbook.format, sheets, {
+      ...resolveHeaderOptions(req.body),
+      ...localeOptions,
+    });
+    logParsed(parsed);
+
+    const dataset = datasetStore.create({
+      ...parsed,
+      ...localeOptions,
+      name: `${workbook.name} [${sheets.join(', ')}]`,
+      kind: 'upload',
+      workbookId: workbook.id,
+      sheetNames: sheets,
+    });
+
+    res.json({ ...describeDataset(dataset), ...describeWorkbook(workbook) });
+  } catch (error) {
+    sendParseError(res, error, 'Worksheet load error:');
+  }
+});
+
+// List datasets currently held on the server
+app.get('/api/datasets', (req, res) => {
+  res.json({
+    datasets: datasetStore.list().map((dataset) => ({
+      datasetId: dataset.id,
+      name: dataset.name,
+      kind: dataset.kind,
+      headers: dataset.headers,
+      totalRows: dataset.totalRows,
+    })),
+  });
+});
+
+// Dataset metadata and preview
+app.get('/api/datasets/:id', (req, res) => {
+  const dataset = datasetStore.get(req.params.id);
+  if (!dataset) {
+    return res.status(404).json({ error: DATASET_NOT_FOUND });
+  }
+
+  res.json(describeDataset(dataset));
+});
+
+// Page through a stored dataset, optionally sorted by one column
+app.get('/api/datasets/:id/rows', (req, res) => {
+  const dataset = datasetStore.get(req.params.id);
+  if (!dataset) {
+    return res.status(404).json({ error: DATASET_NOT_FOUND });
+  }
+
+  const page = req.query.page !== undefined ? Number(req.query.page) : 1;
+  const pageSize = req.query.pageSize !== undefined ? Number(req.query.pageSize) : PREVIEW_ROWS;
+  if (!isValidPagination(page, pageSize)) {
+    return res.status(400).json({ error: 'Invalid pagination values' });
+  }
+
+  const { sortColumn, sortDirection } = req.query;
+  if (sortColumn && !dataset.headers.includes(sortColumn)) {
+    return res.status(400).json({ error: `Column "${sortColumn}" not found` });
+  }
+
+  const rows = getSortedRows(dataset, sortColumn, sortDirection);
+
+  res.json({
+    ...paginateRows(rows, page, pageSize),
+    totalRows: dataset.totalRows,
+  });
+});
+
+// Override detected column types - { columnTypes: { column: type } }, with a type from
+// COLUMN_TYPES. Stored values are converted to the new types and the conversion counts are
+// reported.
+app.patch('/api/datasets/:id/column-types', (req, res) => {
+  const dataset = datasetStore.get(req.params.id);
+  if (!dataset) {
+    return res.status(404).json({ error: DATASET_NOT_FOUND });
+  }
+
+  const { columnTypes } = req.body;
+  if (!columnTypes || typeof columnTypes !== 'object' || Array.isArray(columnTypes)) {
+    return res.status(400).json({ error: 'Column types must map column names to types' });
+  }
+
+  for (const [column, type] of Object.entries(columnTypes)) {
+    if (!dataset.headers.includes(column)) {
+      return res.status(400).json({ error: `Column "${column}" not found` });
+    }
+    if (!COLUMN_TYPES.includes(type)) {
+      return res.status(400).json({
+        error: `Column type must be one of ${COLUMN_TYPES.join(', ')}`,
       });
     }
+  }
+
+  const { data, conversions, columnFormats } = coerceColumns(
+    dataset.data,
+    columnTypes,
+    getDatasetParser(dataset),
+  );
+  dataset.data = data;
+  dataset.columnTypes = { ...dataset.columnTypes, ...columnTypes };
+  // Columns keep a format only while they are still of a type that has one
+  const formats = { ...dataset.columnFormats };
+  Object.keys(columnTypes).forEach((column) => delete formats[column]);
+  dataset.columnFormats = { ...formats, ...columnFormats };
+  dataset.sortCache = null;
+
+  Object.entries(conversions).forEach(([column, { type, failed }]) => {
+    console.log(
+      `Column "${column}" of ${dataset.id} set to ${type} (${failed} cells not converted)`,
+    );
+  });
+
+  res.json({ ...describeDataset(dataset), conversions });
+});
+
+// Distinct values of a column with their counts, for picking an in-list filter - searchable and
+// paged for columns with many values (?column=Status&search=act&sort=value|count&page=1)
+app.get('/api/datasets/:id/distinct-values', (req, res) => {
+  const dataset = datasetStore.get(req.params.id);
+  if (!dataset) {
+    return res.status(404).json({ error: DATASET_NOT_FOUND });
+  }
+
+  const { column, search = '', sort = 'value' } = req.query;
+  if (!dataset.headers.includes(column)) {
+    return res.status(400).json({ error: `Column "${column}" not found` });
+  }
+  if (sort !== 'value' && sort !== 'count') {
+    return res.status(400).json({ error: 'Sort must be "value" or "count"' });
+  }
+
+  const page = req.query.page !== undefined ? Number(req.query.page) : 1;
+  const pageSize =
+    req.query.pageSize !== undefined ? Number(req.query.pageSize) : DISTINCT_VALUES_PAGE_SIZE;
+  if (!isValidPagination(page, pageSize)) {
+    return res.status(400).json({ error: 'Invalid pagination values' });
+  }
+
+  const parser = getDatasetParser(dataset);
+  const { values, blanks } = getDistinctValues(dataset.data, column, parser.locale);
+  const query = String(search).trim().toLocaleLowerCase(parser.locale);
+  let matching = query
+    ? values.filter(({ value }) => value.toLocaleLowerCase(parser.locale).includes(query))
+    : values;
+  if (sort === 'count') {
+    // Stable, so equally frequent values stay in natural order
+    matching = [...matching].sort((a, b) => b.count - a.count);
+  }
+
+  const { data, ...pagination } = paginateRows(matching, page, pageSize);
+  res.json({
+    column,
+    values: data,
+    totalDistinct: values.length,
+    matchingDistinct: matching.length,
+    blanks,
+    ...pagination,
+  });
+});
 
-    res.status(400).json({ error: error.message || 'Failed to parse Excel file' });
+// Release a dataset before it expires
+app.delete('/api/datasets/:id', (req, res) => {
+  if (!datasetStore.remove(req.params.id)) {
+    return res.status(404).json({ error: DATASET_NOT_FOUND });
   }
+
+  res.status(204).end();
 });
 
 // Apply filters with pagination support for large datasets
 app.post('/api/filter', (req, res) => {
   try {
-    const { data, filters, page, pageSize } = req.body;
+    const { datasetId, filters, page, pageSize } = req.body;
+
+    // Filter a stored dataset by ID; inline `data` arrays are still accepted for small payloads
+    const source = datasetId !== undefined ? datasetStore.get(datasetId) : null;
+    if (datasetId !== undefined && !source) {
+      return res.status(404).json({ error: DATASET_NOT_FOUND });
+    }
+    const data = source ? source.data : req.body.data;
 
     if (!data || !Array.isArray(data)) {
       return res.status(400).json({ error: 'Invalid data provided' });
     }
+    const parser = getDatasetParser(source, req.body);
+
+    const patternError =
+      Array.isArray(filters) || isFilterGroup(filters) ? findPatternError(filters) : null;
+    if (patternError) {
+      return res.status(400).json({ error: patternError });
+    }
 
     if (!validateFilterSchema(filters)) {
       return res.status(400).json({ error: 'Invalid filters provided' });
     }
 
-    if (
-      (page !== undefined || pageSize !== undefined) &&
-      (!Number.isInteger(page) || page < 1 || !Number.isInteger(pageSize) || pageSize < 1)
-    ) {
+    if ((page !== undefined || pageSize !== undefined) && !isValidPagination(page, pageSize)) {
       return res.status(400).json({ error: 'Invalid pagination values' });
     }
 
-    // Apply filters
-    const filteredData = applyFilters(data, filters);
+    // Apply filters - a flat array of conditions or a tree of AND/OR groups
+    // Inline rows may say what their columns hold; stored datasets know
+    const columnTypes = source ? source.columnTypes : req.body.columnTypes;
+    const resolvedFilters = withColumnTypes(resolveListSources(filters), columnTypes || {});
+    const filteredData = isFilterGroup(resolvedFilters)
+      ? applyFilterTree(data, resolvedFilters, parser)
+      : applyFilters(data, resolvedFilters, parser);
     const totalRows = filteredData.length;
     const originalRows = data.length;
 
+    // Stored datasets keep the result on the server as well and return its first page
+    if (source) {
+      const result = datasetStore.create({
+        name: `${source.name} (filtered)`,
+        headers: source.headers,
+        columnTypes: source.columnTypes,
+        columnFormats: source.columnFormats,
+        data: filteredData,
+        kind: 'result',
+        sourceId: source.id,
+        locale: source.locale,
+        timeZone: source.timeZone,
+      });
+
+      return res.json({
+        datasetId: result.id,
+        headers: result.headers,
+        columnTypes: result.columnTypes,
+        columnFormats: result.columnFormats,
+        totalRows,
+        originalRows,
+        ...paginateRows(filteredData, page || 1, pageSize || PREVIEW_ROWS),
+      });
+    }
+
     // Pagination support for large datasets
     if (page !== undefined && pageSize !== undefined) {
-      const startIndex = (page - 1) * pageSize;
-      const endIndex = startIndex + pageSize;
-      const paginatedData = filteredData.slice(startIndex, endIndex);
-
       return res.json({
-        data: paginatedData,
         totalRows,
         originalRows,
-        currentPage: page,
-        totalPages: Math.ceil(totalRows / pageSize),
-        hasMore: endIndex < totalRows,
+        ...paginateRows(filteredData, page, pageSize),
       });
     }
 
@@ -421,10 +705,380 @@ app.post('/api/filter', (req, res) => {
   }
 });
 
+// Live match counts while filters are edited - { datasetId, filters } -> { totalRows,
+// matchingRows, conditions }, see countFilterMatches. Nothing is stored.
+app.post('/api/filter/count', (req, res) => {
+  try {
+    const { datasetId, filters } = req.body;
+
+    const source = datasetId !== undefined ? datasetStore.get(datasetId) : null;
+    if (datasetId !== undefined && !source) {
+      return res.status(404).json({ error: DATASET_NOT_FOUND });
+    }
+    const data = source ? source.data : req.body.data;
+
+    if (!data || !Array.isArray(data)) {
+      return res.status(400).json({ error: 'Invalid data provided' });
+    }
+    if (!Array.isArray(filters) && !isFilterGroup(filters)) {
+      return res.status(400).json({ error: 'Invalid filters provided' });
+    }
+
+    const columnTypes = source ? source.columnTypes : req.body.columnTypes;
+    const counts = countFilterMatches(
+      data,
+      withColumnTypes(resolveListSources(filters), columnTypes || {}),
+      getDatasetParser(source, req.body),
+    );
+
+    res.json({ totalRows: data.length, ...counts });
+  } catch (error) {
+    console.error('Count error:', error);
+
+    if (error.message && error.message.includes('heap')) {
+      return res.status(413).json({ error: 'Dataset too large to count.' });
+    }
+
+    res.status(400).json({ error: error.message || 'Failed to count matching rows' });
+  }
+});
+
+// Profile a stored dataset's columns - { datasetId, columns?, topValues? }. Filter results are
+// stored datasets as well, so the original and the filtered rows are profiled the same way.
+app.post('/api/profile', (req, res) => {
+  try {
+    const { datasetId, columns, topValues = DEFAULT_TOP_VALUES } = req.body;
+
+    const dataset = datasetStore.get(datasetId);
+    if (!dataset) {
+      return res.status(404).json({ error: DATASET_NOT_FOUND });
+    }
+    if (
+      columns !== undefined &&
+      (!Array.isArray(columns) || columns.some((column) => !dataset.headers.includes(column)))
+    ) {
+      return res.status(400).json({ error: "Columns must be a list of the dataset's columns" });
+    }
+    if (!Number.isInteger(topValues) || topValues < 1 || topValues > MAX_TOP_VALUES) {
+      return res
+        .status(400)
+        .json({ error: `Top values must be a number from 1 to ${MAX_TOP_VALUES}` });
+    }
+
+    res.json({
+      datasetId: dataset.id,
+      totalRows: dataset.totalRows,
+      columns: profileColumns(
+        dataset.data,
+        columns || dataset.headers,
+        dataset.columnTypes,
+        getDatasetParser(dataset),
+        { topValues },
+      ),
+    });
+  } catch (error) {
+    console.error('Profile error:', error);
+
+    if (error.message && error.message.includes('heap')) {
+      return res.status(413).json({ error: 'Dataset too large to profile.' });
+    }
+
+    res.status(500).json({ error: error.message || 'Failed to profile dataset' });
+  }
+});
+
+// A filter setup is what a saved preset or a filter spec file records: the filters and, in
+// reference mode, how the two files are joined. Setups only record column names; whether those
+// columns exist is checked by the UI when a setup is loaded against a file.
+function isKeyColumn(key) {
+  return (
+    Boolean(key) &&
+    typeof key.primaryColumn === 'string' &&
+    key.primaryColumn !== '' &&
+    typeof key.refColumn === 'string' &&
+    key.refColumn !== ''
+  );
+}
+
+// The setup fields of a request body with defaults filled in, and every problem found in them
+function readFilterSetup(body = {}) {
+  const {
+    mode = 'single',
+    filters = null,
+    logicOperator = 'AND',
+    keyColumns = [],
+    joinType = 'inner',
+  } = body;
+  const problems = [];
+
+  if (mode !== 'single' && mode !== 'reference') {
+    problems.push('Mode must be "single" or "reference"');
+  }
+  problems.push(...findFilterProblems(filters));
+  if (logicOperator !== 'AND' && logicOperator !== 'OR') {
+    problems.push('Logic operator must be AND or OR');
+  }
+  if (!Array.isArray(keyColumns) || !keyColumns.every(isKeyColumn)) {
+    problems.push('Key columns must be a list of { primaryColumn, refColumn } pairs');
+  } else if (keyColumns.some(findKeyOptionsError)) {
+    problems.push(findKeyOptionsError(keyColumns.find(findKeyOptionsError)));
+  } else if (mode === 'reference' && keyColumns.length === 0) {
+    problems.push('Reference mode needs at least one key column');
+  }
+  if (!JOIN_TYPES.includes(joinType)) {
+    problems.push(`Join type must be one of: ${JOIN_TYPES.join(', ')}`);
+  }
+
+  if (problems.length > 0) {
+    return { problems };
+  }
+  return {
+    problems,
+    setup: {
+      mode,
+      // A flat list of conditions is kept as a group, so its logicOperator goes with it wherever
+      // the setup is loaded
+      filters: Array.isArray(filters)
+        ? { type: 'group', operator: logicOperator, not: false, conditions: filters }
+        : filters,
+      logicOperator,
+      keyColumns: keyColumns.map((keyColumn) => ({
+        primaryColumn: keyColumn.primaryColumn,
+        refColumn: keyColumn.refColumn,
+        ...pickKeyOptions(keyColumn),
+      })),
+      joinType,
+    },
+  };
+}
+
+// Saved filter presets - named setups kept on the server, see presetStore.js
+const PRESET_NOT_FOUND = 'Preset not found';
+const MAX_PRESET_NAME_LENGTH = 100;
+
+// The stored fields of a preset request body, or { error } when the body is invalid
+function readPreset(body = {}) {
+  const { name, description = '' } = body;
+
+  if (typeof name !== 'string' || name.trim() === '') {
+    return { error: 'Preset name is required' };
+  }
+  if (name.trim().length > MAX_PRESET_NAME_LENGTH) {
+    return { error: `Preset name must be at most ${MAX_PRESET_NAME_LENGTH} characters` };
+  }
+  if (typeof description !== 'string') {
+    return { error: 'Preset description must be text' };
+  }
+
+  const { setup, problems } = readFilterSetup(body);
+  if (!setup) {
+    return { error: problems.join('; ') };
+  }
+  return { preset: { name: name.trim(), description: description.trim(), ...setup } };
+}
+
+function sendPresetError(res, error, logLabel) {
+  console.error(`${logLabel}:`, error);
+  res.status(500).json({ error: error.message || 'Failed to save presets' });
+}
+
+app.get('/api/presets', async (req, res) => {
+  try {
+    res.json({ presets: await presetStore.list() });
+  } catch (error) {
+    sendPresetError(res, error, 'Preset list error');
+  }
+});
+
+app.get('/api/presets/:id', async (req, res) => {
+  try {
+    const preset = await presetStore.get(req.params.id);
+    if (!preset) {
+      return res.status(404).json({ error: PRESET_NOT_FOUND });
+    }
+
+    res.json(preset);
+  } catch (error) {
+    sendPresetError(res, error, 'Preset error');
+  }
+});
+
+app.post('/api/presets', async (req, res) => {
+  try {
+    const { preset, error } = readPreset(req.body);
+    if (error) {
+      return res.status(400).json({ error });
+    }
+
+    const created = await presetStore.create(preset);
+    if (!created) {
+      return res.status(409).json({ error: `A preset named "${preset.name}" already exists` });
+    }
+
+    res.status(201).json(created);
+  } catch (error) {
+    sendPresetError(res, error, 'Preset save error');
+  }
+});
+
+// Replace a preset's definition; its ID and creation time are kept
+app.put('/api/presets/:id', async (req, res) => {
+  try {
+    const { preset, error } = readPreset(req.body);
+    if (error) {
+      return res.status(400).json({ error });
+    }
+
+    const updated = await presetStore.update(req.params.id, preset);
+    if (updated === undefined) {
+      return res.status(404).json({ error: PRESET_NOT_FOUND });
+    }
+    if (updated === null) {
+      return res.status(409).json({ error: `A preset named "${preset.name}" already exists` });
+    }
+
+    res.json(updated);
+  } catch (error) {
+    sendPresetError(res, error, 'Preset save error');
+  }
+});
+
+app.delete('/api/presets/:id', async (req, res) => {
+  try {
+    if (!(await presetStore.remove(req.params.id))) {
+      return res.status(404).json({ error: PRESET_NOT_FOUND });
+    }
+
+    res.status(204).end();
+  } catch (error) {
+    sendPresetError(res, error, 'Preset delete error');
+  }
+});
+
+// Filter spec files carry a setup outside the server, e.g. attached to an email or kept in git.
+// The UI writes them; before loading one it has the server check it:
+// { format: 'filtro-filter-spec', version: 1, name?, description?, mode, filters, logicOperator,
+//   keyColumns, joinType, exportedAt? }
+const FILTER_SPEC_FORMAT = 'filtro-filter-spec';
+const FILTER_SPEC_VERSION = 1;
+
+// Answers { valid: true, spec } with defaults filled in, or 400 { error, problems }
+app.post('/api/filter-specs/validate', (req, res) => {
+  const spec = req.body;
+  const problems = [];
+
+  if (!spec || typeof spec !== 'object' || Array.isArray(spec)) {
+    problems.push('A filter spec must be a JSON object');
+  } else if (spec.format !== FILTER_SPEC_FORMAT) {
+    problems.push(`This is not a filter spec ("format" must be "${FILTER_SPEC_FORMAT}")`);
+  } else if (!Number.isInteger(spec.version) || spec.version < 1) {
+    problems.push('"version" must be a whole number');
+  } else if (spec.version > FILTER_SPEC_VERSION) {
+    problems.push(
+      `This spec was written by a newer version of Filtro (spec version ${spec.version}; this one reads up to ${FILTER_SPEC_VERSION})`,
+    );
+  }
+  if (problems.length > 0) {
+    return res.status(400).json({ error: problems[0], problems });
+  }
+
+  ['name', 'description'].forEach((field) => {
+    if (spec[field] !== undefined && typeof spec[field] !== 'string') {
+      problems.push(`"${field}" must be text`);
+    }
+  });
+  const { setup, problems: setupProblems } = readFilterSetup(spec);
+  problems.push(...setupProblems);
+  if (problems.length > 0) {
+    return res.status(400).json({
+      error: `The filter spec has ${problems.length} ${problems.length === 1 ? 'problem' : 'problems'}`,
+      problems,
+    });
+  }
+
+  res.json({
+    valid: true,
+    spec: {
+      format: FILTER_SPEC_FORMAT,
+      version: FILTER_SPEC_VERSION,
+      name: spec.name || '',
+      description: spec.description || '',
+      ...setup,
+    },
+  });
+});
+
+// Filter expressions - the typed form of filter trees, see filterExpression.js. `headers` and
+// `columnTypes` are those of the filtered file.
+const isHeaderList = (headers) =>
+  Array.isArray(headers) && headers.every((header) => typeof header === 'string');
+
+// { expression, headers?, columnTypes? } -> { filters }, or 400 { error, position, length }
+app.post('/api/filter-expressions/parse', (req, res) => {
+  const { expression, headers, columnTypes = {} } = req.body;
+  if (headers !== undefined && !isHeaderList(headers)) {
+    return res.status(400).json({ error: 'Headers must be a list of column names' });
+  }
+
+  try {
+    const filters = parseFilterExpression(expression, {
+      headers,
+      columnTypes,
+      checkCondition: findConditionError,
+    });
+    // Conditions were checked while parsing; only the nesting depth is left
+    const problems = findFilterProblems(filters);
+    if (problems.length > 0) {
+      return res.status(400).json({ error: problems[0], position: null, length: null });
+    }
+
+    res.json({ filters });
+  } catch (error) {
+    res.status(400).json({
+      error: error.message,
+      position: error.position ?? null,
+      length: error.length ?? null,
+    });
+  }
+});
+
+// { filters, columnTypes? } -> { expression }, or 400 when a condition has no text form
+app.post('/api/filter-expressions/format', (req, res) => {
+  const { filters, columnTypes = {} } = req.body;
+  if (filters !== null && !Array.isArray(filters) && !isFilterGroup(filters)) {
+    return res.status(400).json({ error: 'Invalid filters provided' });
+  }
+
+  try {
+    res.json({ expression: formatFilterExpression(filters, { columnTypes }) });
+  } catch (error) {
+    res.status(400).json({ error: error.message });
+  }
+});
+
+// { expression, cursor, headers, columnTypes? } -> { from, to, suggestions }
+app.post('/api/filter-expressions/suggest', (req, res) => {
+  const { expression, cursor, headers = [], columnTypes = {} } = req.body;
+  if (typeof expression !== 'string' || !isHeaderList(headers)) {
+    return res.status(400).json({ error: 'An expression and a list of headers are required' });
+  }
+  if (!Number.isInteger(cursor) || cursor < 0 || cursor > expression.length) {
+    return res.status(400).json({ error: 'Cursor must be a position within the expression' });
+  }
+
+  res.json(suggestFilterExpression(expression, cursor, { headers, columnTypes }));
+});
+
 // Export to Excel - Optimized for large datasets with streaming
 app.post('/api/export/excel', (req, res) => {
   try {
-    const { data, headers, filename = 'filtered_data.xlsx' } = req.body;
+    const { filename = 'filtered_data.xlsx' } = req.body;
+
+    const source = resolveExportSource(req.body);
+    if (!source) {
+      return res.status(404).json({ error: DATASET_NOT_FOUND });
+    }
+    const { data, headers, columnTypes = {}, columnFormats = {}, parser } = source;
 
     if (!data || !Array.isArray(data) || !headers || !Array.isArray(headers)) {
       return res.status(400).json({ error: 'Invalid data provided' });
@@ -456,6 +1110,15 @@ app.post('/api/export/excel', (req, res) => {
       fgColor: { argb: 'FFE0E0E0' },
     };
 
+    // Restore currency symbols, percentages, times and durations; set before the data rows are
+    // added so their cells take the column's format
+    if (parser) {
+      headers.forEach((header, index) => {
+        const numFmt = toExcelNumberFormat(columnTypes[header], columnFormats[header]);
+        if (numFmt) worksheet.getColumn(index + 1).numFmt = numFmt;
+      });
+    }
+
     // Optimize: Add data in batches for GB-sized datasets
     // Larger batch size for better performance with very large datasets
     const BATCH_SIZE = rowCount > 1000000 ? 5000 : 1000;
@@ -464,14 +1127,9 @@ app.post('/api/export/excel', (req, res) => {
     for (let i = 0; i < data.length; i += BATCH_SIZE) {
       const batch = data.slice(i, i + BATCH_SIZE);
       batch.forEach((row) => {
-        const rowData = headers.map((header) => {
-          const value = row[header];
-          // Handle large strings and null values
-          if (value === null || value === undefined) return '';
-          const strValue = String(value);
-          // Truncate extremely long strings to prevent memory issues (Excel cell limit: 32,767 chars)
-          return strValue.length > 32767 ? strValue.substring(0, 32767) : strValue;
-        });
+        const rowData = headers.map((header) =>
+          toExcelValue(row[header], columnTypes[header], parser),
+        );
         worksheet.addRow(rowData);
       });
 
@@ -524,10 +1182,75 @@ app.post('/api/export/excel', (req, res) => {
   }
 });
 
+// Export the diagnostics of a stored join result: one sheet per list, or only `list`
+app.post('/api/export/join-diagnostics', (req, res) => {
+  try {
+    const { datasetId, list, filename = 'join_diagnostics.xlsx' } = req.body;
+
+    const dataset = datasetStore.get(datasetId);
+    if (!dataset) {
+      return res.status(404).json({ error: DATASET_NOT_FOUND });
+    }
+    if (!dataset.joinDiagnostics) {
+      return res.status(400).json({ error: 'This dataset is not the result of a join' });
+    }
+    if (list !== undefined && !DIAGNOSTIC_LISTS.includes(list)) {
+      return res
+        .status(400)
+        .json({ error: `Diagnostics list must be one of: ${DIAGNOSTIC_LISTS.join(', ')}` });
+    }
+
+    const workbook = new ExcelJS.Workbook();
+    toDiagnosticSheets(dataset.joinDiagnostics, dataset.joinDiagnostics.keyColumns, list).forEach(
+      ({ name, headers, rows }) => {
+        const worksheet = workbook.addWorksheet(name);
+        worksheet.addRow(headers);
+        const headerRow = worksheet.getRow(1);
+        headerRow.font = { bold: true };
+        headerRow.fill = {
+          type: 'pattern',
+          pattern: 'solid',
+          fgColor: { argb: 'FFE0E0E0' },
+        };
+        rows.forEach((row) => worksheet.addRow(row.map((value) => value ?? '')));
+        headers.forEach((header, index) => {
+          worksheet.getColumn(index + 1).width = Math.min(30, Math.max(10, header.length + 2));
+        });
+      },
+    );
+
+    res.setHeader(
+      'Content-Type',
+      'application/vnd.openxmlformats-officedocument.spreadsheetml.sheet',
+    );
+    res.setHeader('Content-Disposition', `attachment; filename="${filename}"`);
+    workbook.xlsx
+      .write(res)
+      .then(() => {
+        res.end();
+      })
+      .catch((error) => {
+        console.error('Join diagnostics export write error:', error);
+        if (!res.headersSent) {
+          res.status(500).json({ error: 'Failed to export join diagnostics' });
+        }
+      });
+  } catch (error) {
+    console.error('Join diagnostics export error:', error);
+    res.status(500).json({ error: error.message || 'Failed to export join diagnostics' });
+  }
+});
+
 // Export to PDF - Optimized for large datasets
 app.post('/api/export/pdf', (req, res) => {
   try {
-    const { data, headers, filename = 'filtered_data.pdf', maxRows = 1000 } = req.body;
+    const { filename = 'filtered_data.pdf', maxRows = 1000 } = req.body;
+
+    const source = resolveExportSource(req.body);
+    if (!source) {
+      return res.status(404).json({ error: DATASET_NOT_FOUND });
+    }
+    const { data, headers } = source;
 
     if (!data || !Array.isArray(data) || !headers || !Array.isArray(headers)) {
       return res.status(400).json({ error: 'Invalid data provided' });
@@ -621,20 +1344,67 @@ app.post('/api/export/pdf', (req, res) => {
   }
 });
 
+// The filter conditions the UI can offer, built-in and registered by plugins, with the column
+// types each applies to and the operands it takes
+app.get('/api/conditions', (req, res) => {
+  res.json({ conditions: describeConditions() });
+});
+
+// Check a regular expression for the matchesRegex condition before it is used in a filter
+app.post('/api/validate-pattern', (req, res) => {
+  const error = validateRegexPattern(req.body.pattern);
+  res.json({ valid: error === null, ...(error && { error }) });
+});
+
+// Column pairs likely to link a reference file to a main file (see keySuggestions.js)
+app.post('/api/key-suggestions', (req, res) => {
+  try {
+    const reference = datasetStore.get(req.body.referenceDatasetId);
+    const primary = datasetStore.get(req.body.primaryDatasetId);
+    if (!reference || !primary) {
+      return res.status(404).json({ error: DATASET_NOT_FOUND });
+    }
+
+    res.json({ suggestions: suggestKeyColumns(reference, primary) });
+  } catch (error) {
+    console.error('Key suggestion error:', error);
+    res.status(500).json({ error: error.message || 'Failed to suggest key columns' });
+  }
+});
+
 // Reference File Filter - Professional filtering with join logic
 app.post('/api/reference-filter', (req, res) => {
   try {
     const {
-      referenceData,
-      primaryData,
+      referenceDatasetId,
+      primaryDatasetId,
       keyColumns,
       filterConditions,
       joinType = 'inner',
       logicOperator = 'AND',
+      // Which columns the result has and what they are called, see joinColumns.js
+      outputColumns,
+      conflictStrategy,
+      referencePrefix,
+      referenceSuffix,
       page,
       pageSize,
     } = req.body;
 
+    // Both sides may refer to stored datasets by ID or be sent inline
+    const referenceDataset =
+      referenceDatasetId !== undefined ? datasetStore.get(referenceDatasetId) : null;
+    const primaryDataset =
+      primaryDatasetId !== undefined ? datasetStore.get(primaryDatasetId) : null;
+    if (
+      (referenceDatasetId !== undefined && !referenceDataset) ||
+      (primaryDatasetId !== undefined && !primaryDataset)
+    ) {
+      return res.status(404).json({ error: DATASET_NOT_FOUND });
+    }
+    const referenceData = referenceDataset ? referenceDataset.data : req.body.referenceData;
+    const primaryData = primaryDataset ? primaryDataset.data : req.body.primaryData;
+
     // Validation
     if (!referenceData || !Array.isArray(referenceData) || referenceData.length === 0) {
       return res
@@ -650,13 +1420,29 @@ app.post('/api/reference-filter', (req, res) => {
       return res.status(400).json({ error: 'At least one key column must be specified' });
     }
 
+    if (!JOIN_TYPES.includes(joinType)) {
+      return res.status(400).json({ error: `Join type must be one of: ${JOIN_TYPES.join(', ')}` });
+    }
+
+    const patternError =
+      Array.isArray(filterConditions) || isFilterGroup(filterConditions)
+        ? findPatternError(filterConditions)
+        : null;
+    if (patternError) {
+      return res.status(400).json({ error: patternError });
+    }
+
+    if (!validateFilterSchema(filterConditions)) {
+      return res.status(400).json({ error: 'Invalid filter conditions provided' });
+    }
+
     // Validate key columns exist in both datasets
     if (referenceData.length === 0 || primaryData.length === 0) {
       return res.status(400).json({ error: 'Both datasets must contain at least one row' });
     }
 
-    const refHeaders = Object.keys(referenceData[0]);
-    const primaryHeaders = Object.keys(primaryData[0]);
+    const refHeaders = referenceDataset ? referenceDataset.headers : Object.keys(referenceData[0]);
+    const primaryHeaders = primaryDataset ? primaryDataset.headers : Object.keys(primaryData[0]);
 
     for (const keyCol of keyColumns) {
       if (!refHeaders.includes(keyCol.refColumn)) {
@@ -667,6 +1453,10 @@ app.post('/api/reference-filter', (req, res) => {
           .status(400)
           .json({ error: `Primary column "${keyCol.primaryColumn}" not found` });
       }
+      const keyOptionsError = findKeyOptionsError(keyCol);
+      if (keyOptionsError) {
+        return res.status(400).json({ error: keyOptionsError });
+      }
     }
 
     console.log(
@@ -676,105 +1466,109 @@ app.post('/api/reference-filter', (req, res) => {
     // Step 1: Apply filters to Reference File
     let filteredReferenceData = referenceData;
 
-    if (filterConditions && filterConditions.length > 0) {
-      filteredReferenceData = applyFiltersWithLogic(referenceData, filterConditions, logicOperator);
+    if (isFilterGroup(filterConditions) || (filterConditions && filterConditions.length > 0)) {
+      filteredReferenceData = applyFiltersWithLogic(
+        referenceData,
+        withColumnTypes(resolveListSources(filterConditions), referenceDataset?.columnTypes),
+        logicOperator,
+        getDatasetParser(referenceDataset, req.body),
+      );
       console.log(`After filtering: ${filteredReferenceData.length} reference rows`);
     }
 
-    // Step 2: Create lookup map from filtered reference data
-    const referenceMap = new Map();
-
-    filteredReferenceData.forEach((refRow) => {
-      // Create composite key from all key columns
-      const compositeKey = keyColumns
-        .map((kc) => {
-          const value = refRow[kc.refColumn];
-          return value !== null && value !== undefined ? String(value).toLowerCase().trim() : '';
-        })
-        .join('|||');
-
-      if (!referenceMap.has(compositeKey)) {
-        referenceMap.set(compositeKey, []);
-      }
-      referenceMap.get(compositeKey).push(refRow);
+    // Step 2: Join the main file with the filtered reference file
+    const joined = joinRows({
+      primaryData,
+      referenceData: filteredReferenceData,
+      primaryHeaders,
+      refHeaders,
+      keyColumns,
+      joinType,
+      output: { outputColumns, conflictStrategy, referencePrefix, referenceSuffix },
     });
-
-    // Step 3: Join Primary File with filtered Reference File
-    const joinedData = [];
-    const matchedPrimaryKeys = new Set();
-
-    primaryData.forEach((primaryRow) => {
-      // Create composite key from primary data
-      const compositeKey = keyColumns
-        .map((kc) => {
-          const value = primaryRow[kc.primaryColumn];
-          return value !== null && value !== undefined ? String(value).toLowerCase().trim() : '';
-        })
-        .join('|||');
-
-      const matchingRefRows = referenceMap.get(compositeKey);
-
-      if (matchingRefRows && matchingRefRows.length > 0) {
-        // Match found - handle one-to-many relationships
-        // Merge reference and primary file data
-        matchingRefRows.forEach((refRow) => {
-          const mergedRow = { ...primaryRow };
-          // Add all reference file columns with prefix to avoid conflicts
-          refHeaders.forEach((header) => {
-            if (primaryHeaders.includes(header)) {
-              // If column exists in both, keep primary value but add reference with prefix
-              mergedRow[`ref_${header}`] = refRow[header];
-            } else {
-              // If column only in reference, add it with prefix
-              mergedRow[`ref_${header}`] = refRow[header];
-            }
-          });
-          joinedData.push(mergedRow);
-        });
-        matchedPrimaryKeys.add(compositeKey);
-      } else if (joinType === 'left') {
-        // Left join - keep unmatched primary rows with null reference columns
-        const mergedRow = { ...primaryRow };
-        // Add null values for reference columns
-        refHeaders.forEach((header) => {
-          if (!primaryHeaders.includes(header)) {
-            mergedRow[`ref_${header}`] = null;
-          } else {
-            mergedRow[`ref_${header}`] = null;
-          }
+    const { headers: allHeaders, data: joinedData, diagnostics } = joined;
+    // Blank reference keys are reported by their row in the whole reference file
+    if (filteredReferenceData !== referenceData) {
+      const blankRefKeys = diagnostics.blankKeys.filter((entry) => entry.file === 'reference');
+      if (blankRefKeys.length > 0) {
+        const rowNumbers = new Map(referenceData.map((row, index) => [row, index + 1]));
+        blankRefKeys.forEach((entry) => {
+          entry.row = rowNumbers.get(filteredReferenceData[entry.row - 1]);
         });
-        joinedData.push(mergedRow);
       }
-    });
-
+    }
     const totalRows = joinedData.length;
     const originalPrimaryRows = primaryData.length;
     const filteredRefRows = filteredReferenceData.length;
+    const joinSummary = {
+      originalPrimaryRows,
+      filteredRefRows,
+      matchedRows: joined.matchedRows,
+      unmatchedPrimaryRows: joined.unmatchedPrimaryRows,
+      unmatchedRefRows: joined.unmatchedReferenceRows,
+      diagnostics: previewDiagnostics(diagnostics),
+    };
 
     console.log(`Join completed: ${totalRows} rows (${joinType} join)`);
 
-    // Return headers from both files (primary + reference with prefix)
-    const allHeaders = [...primaryHeaders];
-    refHeaders.forEach((header) => {
-      allHeaders.push(`ref_${header}`);
-    });
+    // Joins of stored datasets keep the result on the server and return its first page
+    if (referenceDataset || primaryDataset) {
+      // Types and formats of the result columns, from the file each column comes from; merged
+      // columns keep them only where both files agree
+      const columnTypes = {};
+      const columnFormats = {};
+      const sourceDataset = (file) => (file === 'main' ? primaryDataset : referenceDataset);
+      const agreed = (values) => (values.every((value) => value === values[0]) ? values[0] : null);
+      joined.columns.forEach(({ name, sources }) => {
+        const type = agreed(
+          sources.map(({ file, column }) => sourceDataset(file)?.columnTypes?.[column]),
+        );
+        const format = agreed(
+          sources.map(({ file, column }) => sourceDataset(file)?.columnFormats?.[column]),
+        );
+        if (type) columnTypes[name] = type;
+        if (format) columnFormats[name] = format;
+      });
+      if (allHeaders.includes(MATCH_SCORE_HEADER)) {
+        columnTypes[MATCH_SCORE_HEADER] = 'number';
+      }
+      // The result is read with the settings of the file its first column comes from
+      const settingsSource =
+        joined.columns[0]?.sources[0].file === 'reference'
+          ? referenceDataset || primaryDataset
+          : primaryDataset || referenceDataset;
+
+      const result = datasetStore.create({
+        name: `${primaryDataset?.name || 'main'} + ${referenceDataset?.name || 'reference'}`,
+        headers: allHeaders,
+        columnTypes,
+        columnFormats,
+        data: joinedData,
+        kind: 'result',
+        // Full lists for POST /api/export/join-diagnostics
+        joinDiagnostics: { keyColumns, ...diagnostics },
+        locale: settingsSource.locale,
+        timeZone: settingsSource.timeZone,
+      });
+
+      return res.json({
+        datasetId: result.id,
+        headers: allHeaders,
+        columnTypes,
+        columnFormats,
+        totalRows,
+        ...joinSummary,
+        ...paginateRows(joinedData, page || 1, pageSize || PREVIEW_ROWS),
+      });
+    }
 
     // Pagination support
     if (page !== undefined && pageSize !== undefined) {
-      const startIndex = (page - 1) * pageSize;
-      const endIndex = startIndex + pageSize;
-      const paginatedData = joinedData.slice(startIndex, endIndex);
-
       return res.json({
-        data: paginatedData,
         headers: allHeaders,
         totalRows,
-        originalPrimaryRows,
-        filteredRefRows,
-        matchedRows: matchedPrimaryKeys.size,
-        currentPage: page,
-        totalPages: Math.ceil(totalRows / pageSize),
-        hasMore: endIndex < totalRows,
+        ...joinSummary,
+        ...paginateRows(joinedData, page, pageSize),
       });
     }
 
@@ -783,9 +1577,7 @@ app.post('/api/reference-filter', (req, res) => {
       data: joinedData,
       headers: allHeaders,
       totalRows,
-      originalPrimaryRows,
-      filteredRefRows,
-      matchedRows: matchedPrimaryKeys.size,
+      ...joinSummary,
     });
   } catch (error) {
     console.error('Reference filter error:', error);
@@ -800,33 +1592,272 @@ app.post('/api/reference-filter', (req, res) => {
   }
 });
 
-// Helper function to apply filters with AND/OR logic
+// Filters are either a flat array of conditions - ANDed by applyFilters, or combined with a single
+// operator by applyFiltersWithLogic - or a filter tree of nested groups:
+// { type: 'group', operator: 'AND' | 'OR', not: false, conditions: [condition or group, ...] }
+const MAX_FILTER_DEPTH = 10;
+
+function isFilterGroup(node) {
+  return Boolean(node) && typeof node === 'object' && node.type === 'group';
+}
+
+// Why validateFilterCondition rejects a condition, or null when it is valid
+function findConditionError(filter) {
+  if (!filter || typeof filter !== 'object') {
+    return 'must be an object with a column and a condition';
+  }
+  if (typeof filter.column !== 'string') {
+    return 'needs a column';
+  }
+  if (typeof filter.condition !== 'string') {
+    return 'needs a condition';
+  }
+  return findConditionValueError(filter);
+}
+
+function validateFilterCondition(filter) {
+  return findConditionError(filter) === null;
+}
+
+// Why validateFilterGroup rejects a group itself (not its children), or null
+function findGroupError(group, depth) {
+  if (depth > MAX_FILTER_DEPTH) {
+    return `groups can be nested at most ${MAX_FILTER_DEPTH} levels deep`;
+  }
+  if (group.operator !== undefined && group.operator !== 'AND' && group.operator !== 'OR') {
+    return 'operator must be AND or OR';
+  }
+  if (group.not !== undefined && typeof group.not !== 'boolean') {
+    return '"not" must be true or false';
+  }
+  if (!Array.isArray(group.conditions)) {
+    return 'needs a list of conditions';
+  }
+  return null;
+}
+
+function validateFilterGroup(group, depth = 1) {
+  return (
+    findGroupError(group, depth) === null &&
+    group.conditions.every((node) =>
+      isFilterGroup(node) ? validateFilterGroup(node, depth + 1) : validateFilterCondition(node),
+    )
+  );
+}
+
 function validateFilterSchema(filters) {
   if (filters === undefined || filters === null) {
     return true;
   }
+  if (isFilterGroup(filters)) {
+    return validateFilterGroup(filters);
+  }
   if (!Array.isArray(filters)) {
     return false;
   }
-  return filters.every((filter) => {
-    if (!filter || typeof filter !== 'object') {
-      return false;
+  return filters.every(validateFilterCondition);
+}
+
+// Every reason validateFilterSchema rejects `filters`, each saying where in the tree it is,
+// e.g. 'Group 2 › Condition 1 ("Amount"): needs a value'
+function findFilterProblems(filters) {
+  if (filters === undefined || filters === null) {
+    return [];
+  }
+  if (!isFilterGroup(filters) && !Array.isArray(filters)) {
+    return ['Filters must be a group or a list of conditions'];
+  }
+
+  const problems = [];
+  const reportCondition = (node, path) => {
+    const error = findConditionError(node);
+    if (error) {
+      const column = typeof node?.column === 'string' ? ` ("${node.column}")` : '';
+      problems.push(`${path.join(' › ')}${column}: ${error}`);
     }
-    if (typeof filter.column !== 'string' || typeof filter.condition !== 'string') {
-      return false;
+  };
+  const visitGroup = (group, path, depth) => {
+    const error = findGroupError(group, depth);
+    if (error) {
+      problems.push(`${path.length > 0 ? path.join(' › ') : 'Filters'}: ${error}`);
+      return;
     }
-    const noValueConditions = new Set(['isEmpty', 'isNotEmpty']);
-    if (
-      !noValueConditions.has(filter.condition) &&
-      (filter.value === undefined || filter.value === null || String(filter.value).trim() === '')
-    ) {
-      return false;
+    group.conditions.forEach((node, index) => {
+      if (isFilterGroup(node)) {
+        visitGroup(node, [...path, `Group ${index + 1}`], depth + 1);
+      } else {
+        reportCondition(node, [...path, `Condition ${index + 1}`]);
+      }
+    });
+  };
+
+  if (Array.isArray(filters)) {
+    filters.forEach((node, index) => reportCondition(node, [`Condition ${index + 1}`]));
+  } else {
+    visitGroup(filters, [], 1);
+  }
+  return problems;
+}
+
+// The first pattern error in a filter array or tree, so it can be reported to the user
+function findPatternError(node) {
+  if (Array.isArray(node) || isFilterGroup(node)) {
+    const children = Array.isArray(node) ? node : node.conditions;
+    for (const child of children) {
+      const error = findPatternError(child);
+      if (error) return error;
     }
+    return null;
+  }
+  if (!node || node.condition !== 'matchesRegex') {
+    return null;
+  }
+  const error = validateRegexPattern(node.value);
+  return error && `Pattern "${node.value}": ${error}`;
+}
+
+// Replace `listSource` references in list conditions with the values of the referenced
+// dataset column, returning a new filter array or tree
+function resolveListSources(node) {
+  if (Array.isArray(node)) {
+    return node.map(resolveListSources);
+  }
+  if (isFilterGroup(node)) {
+    return { ...node, conditions: node.conditions.map(resolveListSources) };
+  }
+  if (!node || !isListCondition(node.condition) || !node.listSource) {
+    return node;
+  }
+
+  const { datasetId, column } = node.listSource;
+  const dataset = datasetStore.get(datasetId);
+  if (!dataset) {
+    throw new Error('List source dataset not found or expired. Please upload it again.');
+  }
+  if (!dataset.headers.includes(column)) {
+    throw new Error(`List source column "${column}" not found`);
+  }
+
+  return { ...node, values: dataset.data.map((row) => row[column]) };
+}
+
+// Copy a filter tree (or flat array) with each condition carrying its column's type, which
+// decides how some conditions read cells (see readCellNumber in conditionRegistry.js)
+function withColumnTypes(node, columnTypes = {}) {
+  if (Array.isArray(node)) {
+    return node.map((child) => withColumnTypes(child, columnTypes));
+  }
+  if (isFilterGroup(node)) {
+    return {
+      ...node,
+      conditions: node.conditions.map((child) => withColumnTypes(child, columnTypes)),
+    };
+  }
+  if (!node || !columnTypes[node.column]) {
+    return node;
+  }
+  return { ...node, columnType: columnTypes[node.column] };
+}
+
+// Evaluate a condition or a group against one row. An empty group places no restriction on rows.
+function evaluateFilterTree(row, node, parser = getValueParser()) {
+  if (!isFilterGroup(node)) {
+    return evaluateFilter(row, node, parser);
+  }
+  if (node.conditions.length === 0) {
     return true;
+  }
+
+  const matches =
+    node.operator === 'OR'
+      ? node.conditions.some((child) => evaluateFilterTree(row, child, parser))
+      : node.conditions.every((child) => evaluateFilterTree(row, child, parser));
+  return node.not ? !matches : matches;
+}
+
+function applyFilterTree(data, tree, parser = getValueParser()) {
+  if (!tree || tree.conditions.length === 0) {
+    return data;
+  }
+  return data.filter((row) => evaluateFilterTree(row, tree, parser));
+}
+
+/**
+ * Count in one pass how many rows a filter tree (or flat AND array) matches and, for each
+ * condition, how many rows it eliminates: rows the tree rejects but would match without that
+ * condition, so conditions under OR groups or "not" count what they actually remove. Conditions
+ * that are not complete yet are left out, as if they had not been added, and reported with their
+ * problem instead. Returns { matchingRows, conditions }, with conditions in tree order as
+ * { path, eliminated } or { path, error }; `path` holds the child indices from the root.
+ */
+function countFilterMatches(data, filters, parser = getValueParser()) {
+  const conditions = [];
+
+  // Leaves refer to their condition by index; groups left empty by incomplete conditions go too
+  const compile = (node, path, depth) => {
+    if (!isFilterGroup(node)) {
+      const error = findConditionError(node);
+      conditions.push(error ? { path, error } : { path, filter: node, eliminated: 0 });
+      return error ? null : { index: conditions.length - 1 };
+    }
+    const groupError = findGroupError(node, depth);
+    if (groupError) {
+      throw new Error(`Invalid filter group: ${groupError}`);
+    }
+    const children = node.conditions
+      .map((child, index) => compile(child, [...path, index], depth + 1))
+      .filter(Boolean);
+    return children.length > 0 || path.length === 0
+      ? { operator: node.operator, not: Boolean(node.not), children }
+      : null;
+  };
+  const root = compile(
+    Array.isArray(filters) ? { type: 'group', operator: 'AND', conditions: filters } : filters,
+    [],
+    1,
+  );
+
+  const results = new Array(conditions.length);
+  // Whether the row matches with the condition at index `skipped` left out; null when that leaves
+  // nothing to evaluate, and groups emptied that way are left out as well
+  const evaluate = (node, skipped) => {
+    if (node.index !== undefined) return node.index === skipped ? null : results[node.index];
+    const values = node.children
+      .map((child) => evaluate(child, skipped))
+      .filter((value) => value !== null);
+    if (values.length === 0) return node === root ? true : null;
+    const matches = node.operator === 'OR' ? values.some(Boolean) : values.every(Boolean);
+    return node.not ? !matches : matches;
+  };
+
+  let matchingRows = 0;
+  data.forEach((row) => {
+    conditions.forEach((condition, index) => {
+      if (condition.filter) results[index] = evaluateFilter(row, condition.filter, parser);
+    });
+    if (evaluate(root)) {
+      matchingRows++;
+      return;
+    }
+    conditions.forEach((condition, index) => {
+      if (condition.filter && evaluate(root, index)) condition.eliminated++;
+    });
   });
+
+  return {
+    matchingRows,
+    conditions: conditions.map(({ path, eliminated, error }) =>
+      error ? { path, error } : { path, eliminated },
+    ),
+  };
 }
 
-function applyFiltersWithLogic(data, filters, logicOperator = 'AND') {
+// Helper function to apply filters with AND/OR logic (filter trees carry their own operators)
+function applyFiltersWithLogic(data, filters, logicOperator = 'AND', parser = getValueParser()) {
+  if (isFilterGroup(filters)) {
+    return applyFilterTree(data, filters, parser);
+  }
+
   if (!filters || filters.length === 0) {
     return data;
   }
@@ -835,131 +1866,37 @@ function applyFiltersWithLogic(data, filters, logicOperator = 'AND') {
     // OR logic: row matches if ANY condition is true
     return data.filter((row) => {
       return filters.some((filter) => {
-        return evaluateFilter(row, filter);
+        return evaluateFilter(row, filter, parser);
       });
     });
   } else {
     // AND logic: row matches if ALL conditions are true (default)
     return data.filter((row) => {
       return filters.every((filter) => {
-        return evaluateFilter(row, filter);
+        return evaluateFilter(row, filter, parser);
       });
     });
   }
 }
 
-// Helper function to evaluate a single filter condition
-function evaluateFilter(row, filter) {
-  const { column, condition, value, value2 } = filter;
-  const cellValue = row[column];
-  const cellValueStr = cellValue !== null && cellValue !== undefined ? String(cellValue) : '';
-
-  switch (condition) {
-    // Numeric conditions
-    case 'equals': {
-      const num1 = parseFloat(cellValue);
-      const num2 = parseFloat(value);
-      return !isNaN(num1) && !isNaN(num2) && num1 === num2;
-    }
-    case 'notEquals': {
-      const num1 = parseFloat(cellValue);
-      const num2 = parseFloat(value);
-      return isNaN(num1) || isNaN(num2) || num1 !== num2;
-    }
-    case 'greaterThan': {
-      const num1 = parseFloat(cellValue);
-      const num2 = parseFloat(value);
-      return !isNaN(num1) && !isNaN(num2) && num1 > num2;
-    }
-    case 'lessThan': {
-      const num1 = parseFloat(cellValue);
-      const num2 = parseFloat(value);
-      return !isNaN(num1) && !isNaN(num2) && num1 < num2;
-    }
-    case 'greaterThanOrEqual': {
-      const num1 = parseFloat(cellValue);
-      const num2 = parseFloat(value);
-      return !isNaN(num1) && !isNaN(num2) && num1 >= num2;
-    }
-    case 'lessThanOrEqual': {
-      const num1 = parseFloat(cellValue);
-      const num2 = parseFloat(value);
-      return !isNaN(num1) && !isNaN(num2) && num1 <= num2;
-    }
-    case 'between': {
-      const num = parseFloat(cellValue);
-      const num1 = parseFloat(value);
-      const num2 = parseFloat(value2);
-      return !isNaN(num) && !isNaN(num1) && !isNaN(num2) && num >= num1 && num <= num2;
-    }
-
-    // Text conditions
-    case 'contains':
-      return cellValueStr.toLowerCase().includes(String(value).toLowerCase());
-    case 'doesNotContain':
-      return !cellValueStr.toLowerCase().includes(String(value).toLowerCase());
-    case 'startsWith':
-      return cellValueStr.toLowerCase().startsWith(String(value).toLowerCase());
-    case 'endsWith':
-      return cellValueStr.toLowerCase().endsWith(String(value).toLowerCase());
-    case 'exactMatch':
-      return cellValueStr === String(value);
-
-    // Date conditions
-    case 'before': {
-      const cellDate = new Date(cellValue);
-      const filterDate = new Date(value);
-      return !isNaN(cellDate.getTime()) && !isNaN(filterDate.getTime()) && cellDate < filterDate;
-    }
-    case 'after': {
-      const cellDate = new Date(cellValue);
-      const filterDate = new Date(value);
-      return !isNaN(cellDate.getTime()) && !isNaN(filterDate.getTime()) && cellDate > filterDate;
-    }
-    case 'on': {
-      const cellDate = new Date(cellValue);
-      const filterDate = new Date(value);
-      return (
-        !isNaN(cellDate.getTime()) &&
-        !isNaN(filterDate.getTime()) &&
-        cellDate.toDateString() === filterDate.toDateString()
-      );
-    }
-    case 'betweenDates': {
-      const dateValue = new Date(cellValue);
-      const date1 = new Date(value);
-      const date2 = new Date(value2);
-      return (
-        !isNaN(dateValue.getTime()) &&
-        !isNaN(date1.getTime()) &&
-        !isNaN(date2.getTime()) &&
-        dateValue >= date1 &&
-        dateValue <= date2
-      );
-    }
-
-    // Empty checks
-    case 'isEmpty':
-      return (
-        cellValue === null ||
-        cellValue === undefined ||
-        cellValue === '' ||
-        cellValueStr.trim() === ''
-      );
-    case 'isNotEmpty':
-      return (
-        cellValue !== null &&
-        cellValue !== undefined &&
-        cellValue !== '' &&
-        cellValueStr.trim() !== ''
-      );
-
-    default:
-      return true;
-  }
+// Evaluate a single filter condition (see conditionRegistry.js)
+function evaluateFilter(row, filter, parser = getValueParser()) {
+  return evaluateCondition(row, filter, parser);
 }
 
+// Errors raised before a route runs (multer's file type and size checks) are reported as JSON
+app.use((error, req, res, _next) => {
+  console.error('Request error:', error);
+  const status = error.code === 'LIMIT_FILE_SIZE' ? 413 : 400;
+  res.status(status).json({ error: error.message || 'Request failed' });
+});
+
 if (process.env.NODE_ENV !== 'test') {
+  // Custom conditions (CONDITION_PLUGINS) are registered before the first request
+  const plugins = await loadConditionPlugins();
+  if (plugins.length > 0) {
+    console.log(`Loaded custom conditions: ${plugins.map((condition) => condition.id).join(', ')}`);
+  }
   app.listen(port, () => {
     console.log(`Server running on http://localhost:${port}`);
   });
@@ -969,8 +1906,13 @@ export {
   app,
   detectDataType,
   parseExcel,
+  parseLegacyWorkbook,
+  parseDelimited,
   applyFilters,
   applyFiltersWithLogic,
+  applyFilterTree,
+  countFilterMatches,
   evaluateFilter,
+  evaluateFilterTree,
   validateFilterSchema,
 };
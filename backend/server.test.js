@@ -1,6 +1,32 @@
 import request from 'supertest';
-import { describe, it, expect } from 'vitest';
-import { app } from './server.js';
+import ExcelJS from 'exceljs';
+import * as XLSX from 'xlsx';
+import fs from 'fs';
+import os from 'os';
+import path from 'path';
+import { describe, it, expect, afterAll } from 'vitest';
+import { app, parseExcel, applyFilterTree, validateFilterSchema } from './server.js';
+import { resolveDateRange } from './relativeDates.js';
+import {
+  loadConditionPlugins,
+  registerCondition,
+  unregisterCondition,
+} from './conditionRegistry.js';
+
+async function buildWorkbook(rows, extraSheets = {}) {
+  const workbook = new ExcelJS.Workbook();
+  const sheets = { Sheet1: rows, ...extraSheets };
+  Object.entries(sheets).forEach(([name, sheetRows]) => {
+    const worksheet = workbook.addWorksheet(name);
+    sheetRows.forEach((row) => worksheet.addRow(row));
+  });
+  return Buffer.from(await workbook.xlsx.writeBuffer());
+}
+
+async function uploadRows(rows, filename = 'data.xlsx') {
+  const buffer = await buildWorkbook(rows);
+  return request(app).post('/api/upload').attach('file', buffer, filename);
+}
 
 describe('Backend API', () => {
   it('returns 400 when invalid data is provided to /api/filter', async () => {
@@ -25,3 +51,2222 @@ describe('Backend API', () => {
     expect(response.body.data[0].value).toBe('20');
   });
 });
+
+describe('Dataset sessions', () => {
+  it('keeps uploaded rows on the server and filters them by dataset ID', async () => {
+    const upload = await uploadRows([
+      ['Name', 'Amount'],
+      ['a', 10],
+      ['b', 20],
+      ['c', 30],
+    ]);
+
+    expect(upload.status).toBe(200);
+    expect(upload.body.datasetId).toBeDefined();
+    expect(upload.body.totalRows).toBe(3);
+    expect(upload.body.preview).toHaveLength(3);
+    expect(upload.body.data).toBeUndefined();
+
+    const filtered = await request(app)
+      .post('/api/filter')
+      .send({
+        datasetId: upload.body.datasetId,
+        filters: [{ column: 'Amount', condition: 'greaterThan', value: '15' }],
+      });
+
+    expect(filtered.status).toBe(200);
+    expect(filtered.body.totalRows).toBe(2);
+    expect(filtered.body.datasetId).not.toBe(upload.body.datasetId);
+
+    const page = await request(app)
+      .get(`/api/datasets/${filtered.body.datasetId}/rows`)
+      .query({ page: 1, pageSize: 1, sortColumn: 'Amount', sortDirection: 'desc' });
+
+    expect(page.status).toBe(200);
+    expect(page.body.data).toEqual([{ Name: 'c', Amount: 30 }]);
+    expect(page.body.totalPages).toBe(2);
+  });
+
+  it('returns 404 for deleted datasets', async () => {
+    const upload = await uploadRows([['Name'], ['a']]);
+    const { datasetId } = upload.body;
+
+    expect((await request(app).delete(`/api/datasets/${datasetId}`)).status).toBe(204);
+
+    const response = await request(app).post('/api/filter').send({ datasetId, filters: [] });
+    expect(response.status).toBe(404);
+  });
+});
+
+describe('parseExcel', () => {
+  it('streams rows and detects column types from a sample spanning the whole file', async () => {
+    const rows = [['Code', 'Amount', 'Due']];
+    for (let i = 0; i < 1000; i++) {
+      rows.push([i < 900 ? i : `C-${i}`, i * 1.5, new Date(Date.UTC(2024, 0, 1 + (i % 28)))]);
+    }
+
+    const parsed = await parseExcel(await buildWorkbook(rows));
+
+    expect(parsed.totalRows).toBe(1000);
+    expect(parsed.headers).toEqual(['Code', 'Amount', 'Due']);
+    expect(parsed.columnTypes).toEqual({ Code: 'number', Amount: 'number', Due: 'date' });
+    expect(parsed.data[999].Code).toBe('C-999');
+  });
+
+  it('detects types in files with only a few rows', async () => {
+    const parsed = await parseExcel(await buildWorkbook([['Amount'], [1], [2]]));
+    expect(parsed.columnTypes.Amount).toBe('number');
+  });
+});
+
+describe('Delimited text uploads', () => {
+  it('detects the delimiter and quoting of a CSV file', async () => {
+    const csv = 'Name;Note;Amount\r\n"Smith; John";"said ""hi""";10\r\nDoe;;20\r\n';
+    const response = await request(app)
+      .post('/api/upload')
+      .attach('file', Buffer.from(csv, 'utf-8'), 'people.csv');
+
+    expect(response.status).toBe(200);
+    expect(response.body.importOptions).toEqual({ encoding: 'utf-8', delimiter: ';', quote: '"' });
+    expect(response.body.headers).toEqual(['Name', 'Note', 'Amount']);
+    expect(response.body.columnTypes.Amount).toBe('number');
+    expect(response.body.preview).toEqual([
+      { Name: 'Smith; John', Note: 'said "hi"', Amount: '10' },
+      { Name: 'Doe', Note: null, Amount: '20' },
+    ]);
+  });
+
+  it('decodes UTF-16 files with a byte order mark', async () => {
+    const text = '\ufeffCity\tCountry\nZürich\tCH\n';
+    const response = await request(app)
+      .post('/api/upload')
+      .attach('file', Buffer.from(text, 'utf16le'), 'cities.tsv');
+
+    expect(response.status).toBe(200);
+    expect(response.body.importOptions.encoding).toBe('utf-16le');
+    expect(response.body.preview).toEqual([{ City: 'Zürich', Country: 'CH' }]);
+  });
+
+  it('honours import options sent with the upload', async () => {
+    const text = Buffer.from('Name|Town\nJosé|Málaga\n', 'latin1');
+    const response = await request(app)
+      .post('/api/upload')
+      .field('delimiter', '|')
+      .field('encoding', 'latin1')
+      .attach('file', text, 'export.txt');
+
+    expect(response.status).toBe(200);
+    expect(response.body.preview).toEqual([{ Name: 'José', Town: 'Málaga' }]);
+  });
+});
+
+describe('Legacy workbook uploads', () => {
+  it.each([
+    ['xls', 'biff8'],
+    ['ods', 'ods'],
+  ])('parses .%s files into the same structure as .xlsx', async (extension, bookType) => {
+    const workbook = XLSX.utils.book_new();
+    const worksheet = XLSX.utils.aoa_to_sheet([
+      ['Invoice', 'Amount'],
+      ['INV-1', 120.5],
+      ['INV-2', 80],
+    ]);
+    XLSX.utils.book_append_sheet(workbook, worksheet, 'Ledger');
+    const buffer = XLSX.write(workbook, { type: 'buffer', bookType });
+
+    const response = await request(app)
+      .post('/api/upload')
+      .attach('file', buffer, `ledger.${extension}`);
+
+    expect(response.status).toBe(200);
+    expect(response.body.headers).toEqual(['Invoice', 'Amount']);
+    expect(response.body.columnTypes).toEqual({ Invoice: 'text', Amount: 'number' });
+    expect(response.body.preview).toEqual([
+      { Invoice: 'INV-1', Amount: 120.5 },
+      { Invoice: 'INV-2', Amount: 80 },
+    ]);
+  });
+
+  it('rejects unsupported file types', async () => {
+    const response = await request(app)
+      .post('/api/upload')
+      .attach('file', Buffer.from('%PDF-1.4'), 'report.pdf');
+
+    expect(response.status).toBe(400);
+    expect(response.body.error).toContain('.xls, .xlsb, .ods');
+  });
+});
+
+describe('Multi-sheet workbooks', () => {
+  const uploadMultiSheet = async () => {
+    const buffer = await buildWorkbook(
+      [
+        ['Region', 'Sales'],
+        ['EU', 10],
+      ],
+      {
+        Targets: [
+          ['Region', 'Target'],
+          ['EU', 15],
+          ['US', 20],
+        ],
+      },
+    );
+    return request(app).post('/api/upload').attach('file', buffer, 'report.xlsx');
+  };
+
+  it('lists worksheets with dimensions and previews instead of loading the first one', async () => {
+    const response = await uploadMultiSheet();
+
+    expect(response.status).toBe(200);
+    expect(response.body.requiresSheetSelection).toBe(true);
+    expect(response.body.datasetId).toBeUndefined();
+    expect(response.body.sheets).toEqual([
+      {
+        name: 'Sheet1',
+        hidden: false,
+        rowCount: 2,
+        columnCount: 2,
+        preview: [
+          ['Region', 'Sales'],
+          ['EU', 10],
+        ],
+        previewRowNumbers: [1, 2],
+        detectedHeaderRow: 1,
+        detectedHeaderRowCount: 1,
+        tables: [],
+      },
+      {
+        name: 'Targets',
+        hidden: false,
+        rowCount: 3,
+        columnCount: 2,
+        preview: [
+          ['Region', 'Target'],
+          ['EU', 15],
+          ['US', 20],
+        ],
+        previewRowNumbers: [1, 2, 3],
+        detectedHeaderRow: 1,
+        detectedHeaderRowCount: 1,
+        tables: [],
+      },
+    ]);
+  });
+
+  it('loads two sheets of the same workbook as separate datasets', async () => {
+    const { workbookId } = (await uploadMultiSheet()).body;
+
+    const first = await request(app)
+      .post(`/api/workbooks/${workbookId}/load`)
+      .send({ sheets: ['Sheet1'] });
+    const second = await request(app)
+      .post(`/api/workbooks/${workbookId}/load`)
+      .send({ sheets: ['Targets'] });
+
+    expect(first.body.headers).toEqual(['Region', 'Sales']);
+    expect(second.body.headers).toEqual(['Region', 'Target']);
+    expect(second.body.workbookId).toBe(workbookId);
+    expect(second.body.totalRows).toBe(2);
+  });
+
+  it('stacks several selected sheets into one dataset', async () => {
+    const { workbookId } = (await uploadMultiSheet()).body;
+
+    const response = await request(app)
+      .post(`/api/workbooks/${workbookId}/load`)
+      .send({ sheets: ['Sheet1', 'Targets'] });
+
+    expect(response.status).toBe(200);
+    expect(response.body.headers).toEqual(['Source Sheet', 'Region', 'Sales', 'Target']);
+    expect(response.body.preview).toEqual([
+      { 'Source Sheet': 'Sheet1', Region: 'EU', Sales: 10, Target: null },
+      { 'Source Sheet': 'Targets', Region: 'EU', Sales: null, Target: 15 },
+      { 'Source Sheet': 'Targets', Region: 'US', Sales: null, Target: 20 },
+    ]);
+  });
+
+  it('reports unknown worksheet names', async () => {
+    const { workbookId } = (await uploadMultiSheet()).body;
+
+    const response = await request(app)
+      .post(`/api/workbooks/${workbookId}/load`)
+      .send({ sheets: ['Missing'] });
+
+    expect(response.status).toBe(400);
+    expect(response.body.error).toContain('Missing');
+  });
+});
+
+describe('Header rows and data ranges', () => {
+  const reportRows = [
+    ['Quarterly Sales Report'],
+    [],
+    ['Region', 'Q1', null, 'Q2', null],
+    [null, 'Amount', 'Count', 'Amount', 'Count'],
+    ['EU', 10, 2, 20, 3],
+    ['US', 5, 1, 7, 2],
+  ];
+
+  it('skips title rows and flattens a merged two-row header', async () => {
+    const response = await uploadRows(reportRows);
+
+    expect(response.status).toBe(200);
+    expect(response.body.headers).toEqual([
+      'Region',
+      'Q1 Amount',
+      'Q1 Count',
+      'Q2 Amount',
+      'Q2 Count',
+    ]);
+    expect(response.body.layout).toEqual({ headerRow: 3, headerRowCount: 2 });
+    expect(response.body.preview[0]).toEqual({
+      Region: 'EU',
+      'Q1 Amount': 10,
+      'Q1 Count': 2,
+      'Q2 Amount': 20,
+      'Q2 Count': 3,
+    });
+  });
+
+  it('uses the header row and row count chosen by the user', async () => {
+    const buffer = await buildWorkbook(reportRows);
+    const response = await request(app)
+      .post('/api/upload')
+      .field('headerRow', '4')
+      .field('headerRowCount', '1')
+      .attach('file', buffer, 'report.xlsx');
+
+    expect(response.status).toBe(200);
+    expect(response.body.headers).toEqual(['Column1', 'Amount', 'Count', 'Amount_2', 'Count_2']);
+    expect(response.body.totalRows).toBe(2);
+  });
+
+  it('numbers repeated and blank header names deterministically', async () => {
+    const response = await request(app)
+      .post('/api/upload')
+      .attach('file', Buffer.from('Amount,Amount,,Amount,Amount_2\n1,2,3,4,5\n'), 'amounts.csv');
+
+    expect(response.status).toBe(200);
+    expect(response.body.headers).toEqual([
+      'Amount',
+      'Amount_3',
+      'Column3',
+      'Amount_4',
+      'Amount_2',
+    ]);
+    expect(response.body.preview[0]).toEqual({
+      Amount: '1',
+      Amount_3: '2',
+      Column3: '3',
+      Amount_4: '4',
+      Amount_2: '5',
+    });
+  });
+
+  it('rejects an invalid header row', async () => {
+    const response = await request(app)
+      .post('/api/upload')
+      .field('headerRow', 'first')
+      .attach('file', Buffer.from('a,b\n1,2\n'), 'data.csv');
+
+    expect(response.status).toBe(400);
+    expect(response.body.error).toContain('Header row');
+  });
+
+  it('offers named Excel tables as data ranges and loads them without the totals row', async () => {
+    const workbook = new ExcelJS.Workbook();
+    const worksheet = workbook.addWorksheet('Report');
+    worksheet.getCell('A1').value = 'Sales by region';
+    worksheet.addTable({
+      name: 'Sales',
+      ref: 'B3',
+      headerRow: true,
+      totalsRow: true,
+      columns: [
+        { name: 'Region', totalsRowLabel: 'Total' },
+        { name: 'Amount', totalsRowFunction: 'sum' },
+      ],
+      rows: [
+        ['EU', 10],
+        ['US', 20],
+      ],
+    });
+    const buffer = Buffer.from(await workbook.xlsx.writeBuffer());
+
+    const upload = await request(app).post('/api/upload').attach('file', buffer, 'tables.xlsx');
+
+    expect(upload.status).toBe(200);
+    expect(upload.body.requiresSheetSelection).toBe(true);
+    expect(upload.body.sheets[0].tables).toEqual([
+      { name: 'Sales', ref: 'B3:C6', rowCount: 2, columnCount: 2 },
+    ]);
+
+    const response = await request(app)
+      .post(`/api/workbooks/${upload.body.workbookId}/load`)
+      .send({ table: 'Sales' });
+
+    expect(response.status).toBe(200);
+    expect(response.body.name).toBe('tables.xlsx [Sales]');
+    expect(response.body.headers).toEqual(['Region', 'Amount']);
+    expect(response.body.preview).toEqual([
+      { Region: 'EU', Amount: 10 },
+      { Region: 'US', Amount: 20 },
+    ]);
+  });
+});
+
+describe('Filter trees', () => {
+  const rows = [
+    { Region: 'EU', Amount: 1500, Priority: 'Low' },
+    { Region: 'EU', Amount: 200, Priority: 'Low' },
+    { Region: 'US', Amount: 5000, Priority: 'High' },
+    { Region: 'US', Amount: 300, Priority: 'Low' },
+  ];
+
+  // (Region = EU AND Amount > 1000) OR (Priority = High)
+  const tree = {
+    type: 'group',
+    operator: 'OR',
+    conditions: [
+      {
+        type: 'group',
+        operator: 'AND',
+        conditions: [
+          { column: 'Region', condition: 'exactMatch', value: 'EU' },
+          { column: 'Amount', condition: 'greaterThan', value: '1000' },
+        ],
+      },
+      { column: 'Priority', condition: 'exactMatch', value: 'High' },
+    ],
+  };
+
+  it('evaluates nested AND/OR groups', async () => {
+    const response = await request(app).post('/api/filter').send({ data: rows, filters: tree });
+
+    expect(response.status).toBe(200);
+    expect(response.body.data).toEqual([rows[0], rows[2]]);
+  });
+
+  it('negates groups marked with not', async () => {
+    const response = await request(app)
+      .post('/api/filter')
+      .send({ data: rows, filters: { ...tree, not: true } });
+
+    expect(response.body.data).toEqual([rows[1], rows[3]]);
+  });
+
+  it('treats an empty group as no restriction', () => {
+    expect(applyFilterTree(rows, { type: 'group', operator: 'OR', conditions: [] })).toEqual(rows);
+  });
+
+  it('rejects malformed filter trees', () => {
+    expect(validateFilterSchema(tree)).toBe(true);
+    expect(validateFilterSchema({ ...tree, operator: 'XOR' })).toBe(false);
+    expect(validateFilterSchema({ type: 'group', conditions: [{ column: 'Region' }] })).toBe(false);
+    expect(validateFilterSchema({ type: 'group', not: 'yes', conditions: [] })).toBe(false);
+  });
+
+  it('filters the reference file of a join with a filter tree', async () => {
+    const response = await request(app)
+      .post('/api/reference-filter')
+      .send({
+        referenceData: rows.map((row, idx) => ({ ...row, Id: idx })),
+        primaryData: [{ Id: 0 }, { Id: 1 }, { Id: 2 }],
+        keyColumns: [{ refColumn: 'Id', primaryColumn: 'Id' }],
+        filterConditions: tree,
+      });
+
+    expect(response.status).toBe(200);
+    expect(response.body.data.map((row) => row.Id)).toEqual([0, 2]);
+  });
+});
+
+describe('Value list conditions', () => {
+  const rows = [
+    { 'Customer ID': 'C-001', Amount: 10 },
+    { 'Customer ID': ' c-002 ', Amount: 20 },
+    { 'Customer ID': 'C-003', Amount: 30 },
+    { 'Customer ID': null, Amount: 40 },
+  ];
+
+  const filterRows = (filter) =>
+    request(app)
+      .post('/api/filter')
+      .send({ data: rows, filters: [{ column: 'Customer ID', ...filter }] });
+
+  it('keeps rows whose value is in a pasted list, ignoring case and spaces by default', async () => {
+    const response = await filterRows({ condition: 'inList', value: 'C-001\nC-002, c-009' });
+
+    expect(response.status).toBe(200);
+    expect(response.body.data.map((row) => row.Amount)).toEqual([10, 20]);
+  });
+
+  it('honours the trim and case-sensitivity options', async () => {
+    const response = await filterRows({
+      condition: 'inList',
+      values: ['C-001', 'C-002'],
+      trim: false,
+      caseSensitive: true,
+    });
+
+    expect(response.body.data.map((row) => row.Amount)).toEqual([10]);
+  });
+
+  it('drops listed values with notInList, keeping empty cells', async () => {
+    const response = await filterRows({ condition: 'notInList', values: ['C-001', 'C-003'] });
+
+    expect(response.body.data.map((row) => row.Amount)).toEqual([20, 40]);
+  });
+
+  it('takes the list from a column of another uploaded file', async () => {
+    const listUpload = await request(app)
+      .post('/api/upload')
+      .attach('file', Buffer.from('Id,Name\nC-003,Third\nc-001,First\n'), 'ids.csv');
+
+    const response = await filterRows({
+      condition: 'inList',
+      listSource: { datasetId: listUpload.body.datasetId, column: 'Id' },
+    });
+
+    expect(response.status).toBe(200);
+    expect(response.body.data.map((row) => row.Amount)).toEqual([10, 30]);
+
+    const missingColumn = await filterRows({
+      condition: 'inList',
+      listSource: { datasetId: listUpload.body.datasetId, column: 'Missing' },
+    });
+    expect(missingColumn.status).toBe(400);
+    expect(missingColumn.body.error).toContain('Missing');
+  });
+
+  it('rejects list conditions without a list', async () => {
+    const response = await filterRows({ condition: 'inList', values: [] });
+
+    expect(response.status).toBe(400);
+  });
+});
+
+describe('Text matching options', () => {
+  const rows = [
+    { Name: 'Café  Central', Code: 'INV-2024-001' },
+    { Name: 'cafe central', Code: 'inv-2023-17' },
+    { Name: 'Bistro', Code: 'PO-99' },
+  ];
+
+  const filterNames = async (filter) => {
+    const response = await request(app)
+      .post('/api/filter')
+      .send({ data: rows, filters: [filter] });
+    return response.status === 200 ? response.body.data.map((row) => row.Name) : response.body;
+  };
+
+  it('keeps the default case handling of existing conditions', async () => {
+    expect(await filterNames({ column: 'Name', condition: 'contains', value: 'CENTRAL' })).toEqual([
+      'Café  Central',
+      'cafe central',
+    ]);
+    expect(
+      await filterNames({ column: 'Name', condition: 'exactMatch', value: 'cafe central' }),
+    ).toEqual(['cafe central']);
+  });
+
+  it('applies case-sensitivity, whitespace and accent options', async () => {
+    expect(
+      await filterNames({
+        column: 'Name',
+        condition: 'contains',
+        value: 'Central',
+        caseSensitive: true,
+      }),
+    ).toEqual(['Café  Central']);
+    expect(
+      await filterNames({
+        column: 'Name',
+        condition: 'exactMatch',
+        value: 'cafe central',
+        caseSensitive: false,
+        normalizeWhitespace: true,
+        ignoreAccents: true,
+      }),
+    ).toEqual(['Café  Central', 'cafe central']);
+  });
+
+  it('matches regular expressions, case-insensitively by default', async () => {
+    const filter = { column: 'Code', condition: 'matchesRegex', value: '^inv-\\d{4}-\\d{3}$' };
+
+    expect(await filterNames(filter)).toEqual(['Café  Central']);
+    expect(await filterNames({ ...filter, caseSensitive: true })).toEqual([]);
+  });
+
+  it('rejects invalid and catastrophic patterns with a readable error', async () => {
+    const invalid = await filterNames({ column: 'Code', condition: 'matchesRegex', value: '(' });
+    expect(invalid.error).toContain('Invalid pattern');
+
+    const nested = await filterNames({
+      column: 'Code',
+      condition: 'matchesRegex',
+      value: '(a+)+$',
+    });
+    expect(nested.error).toContain('Nested repetition');
+
+    const alternation = await request(app)
+      .post('/api/validate-pattern')
+      .send({ pattern: '^(a|aa)*$' });
+    expect(alternation.body).toMatchObject({ valid: false });
+
+    const adjacent = await filterNames({
+      column: 'Code',
+      condition: 'matchesRegex',
+      value: '\\w*\\w*\\w*\\w*x',
+    });
+    expect(adjacent.error).toContain('Adjacent repetitions');
+
+    const repeatedGroup = await request(app)
+      .post('/api/validate-pattern')
+      .send({ pattern: '(.*a){12}' });
+    expect(repeatedGroup.body).toMatchObject({ valid: false });
+    expect(repeatedGroup.body.error).toContain('Repeating a group');
+
+    const chain = await request(app)
+      .post('/api/validate-pattern')
+      .send({ pattern: '.*a.*a.*a.*a' });
+    expect(chain.body).toMatchObject({ valid: false });
+
+    const separated = await request(app)
+      .post('/api/validate-pattern')
+      .send({ pattern: '^.*foo.*$|\\d+\\.\\d+' });
+    expect(separated.body).toEqual({ valid: true });
+
+    const safe = await request(app)
+      .post('/api/validate-pattern')
+      .send({ pattern: '^[ab]+(-\\d+)?$' });
+    expect(safe.body).toEqual({ valid: true });
+  });
+
+  it('gives every long cell the full match timeout, however many rows are scanned', async () => {
+    // Each long cell is matched in a vm script; all of them together take far longer than the
+    // 100 ms per-match timeout the tests run with
+    const data = Array.from({ length: 20000 }, (_, index) => ({
+      Code: `${'x'.repeat(150)}${index % 2 === 0 ? `ACME${index}` : 'none'}`,
+    }));
+    const response = await request(app)
+      .post('/api/filter')
+      .send({ data, filters: [{ column: 'Code', condition: 'matchesRegex', value: 'ACME\\d+$' }] });
+
+    expect(response.status).toBe(200);
+    expect(response.body.data).toHaveLength(10000);
+  });
+});
+
+describe('Relative date conditions', () => {
+  // Local-time yyyy-mm-dd for a date `days` away from today
+  const daysFromToday = (days) => {
+    const date = new Date();
+    date.setDate(date.getDate() + days);
+    const pad = (number) => String(number).padStart(2, '0');
+    return `${date.getFullYear()}-${pad(date.getMonth() + 1)}-${pad(date.getDate())}`;
+  };
+
+  // Wall-clock dates are held in UTC fields
+  const utc = (...fields) => new Date(Date.UTC(...fields));
+
+  it('resolves rolling and calendar ranges against the given date', () => {
+    const now = utc(2024, 4, 31, 15, 30); // Friday 31 May 2024
+
+    const lastMonths = resolveDateRange({ condition: 'inLast', value: '3', unit: 'months' }, now);
+    expect(lastMonths.start).toEqual(utc(2024, 1, 29));
+    expect(lastMonths.end).toEqual(utc(2024, 4, 31, 23, 59, 59, 999));
+
+    const nextWeeks = resolveDateRange({ condition: 'inNext', value: '2', unit: 'weeks' }, now);
+    expect(nextWeeks.end).toEqual(utc(2024, 5, 14, 23, 59, 59, 999));
+
+    const quarter = resolveDateRange({ condition: 'inPeriod', value: 'previousQuarter' }, now);
+    expect(quarter.start).toEqual(utc(2024, 0, 1));
+    expect(quarter.end).toEqual(utc(2024, 2, 31, 23, 59, 59, 999));
+
+    const previousMonth = resolveDateRange({ condition: 'inPeriod', value: 'previousMonth' }, now);
+    expect(previousMonth.end).toEqual(utc(2024, 3, 30, 23, 59, 59, 999));
+
+    const ytd = resolveDateRange({ condition: 'inPeriod', value: 'yearToDate' }, now);
+    expect(ytd.start).toEqual(utc(2024, 0, 1));
+  });
+
+  it('filters relative to today in flat and grouped filters', async () => {
+    const data = [
+      { Id: 'old', Date: daysFromToday(-40) },
+      { Id: 'recent', Date: daysFromToday(-5) },
+      { Id: 'today', Date: daysFromToday(0) },
+      { Id: 'soon', Date: daysFromToday(3) },
+      { Id: 'blank', Date: '' },
+    ];
+    const ids = (response) => response.body.data.map((row) => row.Id);
+
+    const last = await request(app)
+      .post('/api/filter')
+      .send({ data, filters: [{ column: 'Date', condition: 'inLast', value: '7' }] });
+    expect(ids(last)).toEqual(['recent', 'today']);
+
+    const next = await request(app)
+      .post('/api/filter')
+      .send({
+        data,
+        filters: {
+          type: 'group',
+          operator: 'OR',
+          conditions: [
+            { column: 'Date', condition: 'inNext', value: '1', unit: 'weeks' },
+            { column: 'Date', condition: 'inLast', value: '1', unit: 'months' },
+          ],
+        },
+      });
+    expect(ids(next)).toEqual(['recent', 'today', 'soon']);
+  });
+
+  it('matches days of the week and months of the year', async () => {
+    const data = [
+      { Date: '2024-06-01' }, // Saturday
+      { Date: '2024-06-03' }, // Monday
+      { Date: '2024-12-25' }, // Wednesday
+    ];
+    const filterDates = async (filter) => {
+      const response = await request(app)
+        .post('/api/filter')
+        .send({ data, filters: [{ column: 'Date', ...filter }] });
+      return response.body.data.map((row) => row.Date);
+    };
+
+    expect(await filterDates({ condition: 'dayOfWeek', value: '1,2,3,4,5' })).toEqual([
+      '2024-06-03',
+      '2024-12-25',
+    ]);
+    expect(await filterDates({ condition: 'monthOfYear', value: '12' })).toEqual(['2024-12-25']);
+  });
+
+  it('rejects malformed relative conditions', () => {
+    const invalid = [
+      { column: 'Date', condition: 'inLast', value: '0' },
+      { column: 'Date', condition: 'inLast', value: '7', unit: 'years' },
+      { column: 'Date', condition: 'inPeriod', value: 'nextDecade' },
+      { column: 'Date', condition: 'dayOfWeek', value: '7' },
+      { column: 'Date', condition: 'monthOfYear', value: '' },
+    ];
+    invalid.forEach((filter) => expect(validateFilterSchema([filter])).toBe(false));
+    expect(validateFilterSchema([{ column: 'Date', condition: 'inNext', value: 30 }])).toBe(true);
+  });
+});
+
+describe('Locale-aware values', () => {
+  const uploadText = (text, fields, filename = 'amounts.csv') => {
+    const upload = request(app).post('/api/upload');
+    Object.entries(fields).forEach(([name, value]) => upload.field(name, value));
+    return upload.attach('file', Buffer.from(text, 'utf-8'), filename);
+  };
+
+  it('detects and filters numbers and dates with the upload locale', async () => {
+    const csv = 'Betrag;Datum\n1.234,56;03.04.2024\n€ 99,50;15.04.2024\n12,5 %;01.05.2024\n';
+    const upload = await uploadText(csv, { locale: 'de-DE', timeZone: 'Europe/Berlin' });
+
+    expect(upload.status).toBe(200);
+    expect(upload.body.columnTypes).toEqual({ Betrag: 'number', Datum: 'date' });
+    expect(upload.body).toMatchObject({ locale: 'de-DE', timeZone: 'Europe/Berlin' });
+
+    const filterRows = async (filters) => {
+      const response = await request(app)
+        .post('/api/filter')
+        .send({ datasetId: upload.body.datasetId, filters });
+      return response.body.data.map((row) => row.Betrag);
+    };
+
+    expect(
+      await filterRows([{ column: 'Betrag', condition: 'greaterThan', value: '99.5' }]),
+    ).toEqual(['1.234,56']);
+    expect(await filterRows([{ column: 'Datum', condition: 'on', value: '2024-04-03' }])).toEqual([
+      '1.234,56',
+    ]);
+
+    const sorted = await request(app)
+      .get(`/api/datasets/${upload.body.datasetId}/rows`)
+      .query({ sortColumn: 'Betrag', sortDirection: 'desc' });
+    expect(sorted.body.data.map((row) => row.Betrag)).toEqual(['1.234,56', '€ 99,50', '12,5 %']);
+  });
+
+  it('reads numeric dates in the locale day and month order', async () => {
+    const csv = 'Date\n03/04/2024\n12/25/2024\n';
+    const gb = await uploadText(csv, { locale: 'en-GB' });
+    const us = await uploadText(csv, { locale: 'en-US' });
+
+    const onApril3 = [{ column: 'Date', condition: 'on', value: '2024-04-03' }];
+    const gbRows = await request(app)
+      .post('/api/filter')
+      .send({ datasetId: gb.body.datasetId, filters: onApril3 });
+    const usRows = await request(app)
+      .post('/api/filter')
+      .send({ datasetId: us.body.datasetId, filters: onApril3 });
+
+    expect(gbRows.body.totalRows).toBe(1);
+    expect(usRows.body.totalRows).toBe(0);
+    expect(us.body.columnTypes.Date).toBe('date');
+  });
+
+  it('compares timestamps by calendar day in the chosen time zone', async () => {
+    const data = [{ At: '2024-03-04T20:00:00Z' }];
+    const filters = [{ column: 'At', condition: 'on', value: '2024-03-05' }];
+
+    const tokyo = await request(app)
+      .post('/api/filter')
+      .send({ data, filters, timeZone: 'Asia/Tokyo' });
+    const london = await request(app)
+      .post('/api/filter')
+      .send({ data, filters, timeZone: 'Europe/London' });
+
+    expect(tokyo.body.totalRows).toBe(1);
+    expect(london.body.totalRows).toBe(0);
+  });
+
+  it('rejects unknown locales and time zones', async () => {
+    const badLocale = await uploadText('A\n1\n', { locale: 'not a locale' });
+    expect(badLocale.status).toBe(400);
+    expect(badLocale.body.error).toContain('Unsupported locale');
+
+    const badZone = await uploadText('A\n1\n', { timeZone: 'Mars/Olympus' });
+    expect(badZone.status).toBe(400);
+    expect(badZone.body.error).toContain('Unknown time zone');
+  });
+});
+
+describe('Column type overrides', () => {
+  const uploadCsv = (csv) =>
+    request(app).post('/api/upload').attach('file', Buffer.from(csv, 'utf-8'), 'customers.csv');
+
+  it('re-coerces stored values and reports cells that failed to convert', async () => {
+    const upload = await uploadCsv('Zip,Amount\n02134,"1,200"\n10001,N/A\n02139,35\n');
+    const { datasetId } = upload.body;
+    expect(upload.body.columnTypes).toEqual({ Zip: 'identifier', Amount: 'number' });
+
+    const response = await request(app)
+      .patch(`/api/datasets/${datasetId}/column-types`)
+      .send({ columnTypes: { Zip: 'text', Amount: 'number' } });
+
+    expect(response.status).toBe(200);
+    expect(response.body.columnTypes).toEqual({ Zip: 'text', Amount: 'number' });
+    expect(response.body.conversions.Zip).toMatchObject({ converted: 3, failed: 0 });
+    expect(response.body.conversions.Amount).toEqual({
+      type: 'number',
+      converted: 2,
+      failed: 1,
+      failedExamples: ['N/A'],
+    });
+    expect(response.body.preview.map((row) => row.Amount)).toEqual([1200, 'N/A', 35]);
+
+    const filtered = await request(app)
+      .post('/api/filter')
+      .send({ datasetId, filters: [{ column: 'Zip', condition: 'startsWith', value: '021' }] });
+    expect(filtered.body.data.map((row) => row.Zip)).toEqual(['02134', '02139']);
+  });
+
+  it('converts text and Excel serial numbers to dates', async () => {
+    const upload = await uploadCsv('Ordered,Serial\n2024-03-04,45355\n');
+    const response = await request(app)
+      .patch(`/api/datasets/${upload.body.datasetId}/column-types`)
+      .send({ columnTypes: { Serial: 'date' } });
+
+    expect(response.body.conversions.Serial.converted).toBe(1);
+    expect(response.body.preview[0].Serial).toBe('2024-03-04T00:00:00.000Z');
+  });
+
+  it('rejects unknown columns and types', async () => {
+    const upload = await uploadCsv('Zip\n02134\n');
+    const url = `/api/datasets/${upload.body.datasetId}/column-types`;
+
+    const missing = await request(app)
+      .patch(url)
+      .send({ columnTypes: { Postcode: 'text' } });
+    expect(missing.status).toBe(400);
+    expect(missing.body.error).toBe('Column "Postcode" not found');
+
+    const badType = await request(app)
+      .patch(url)
+      .send({ columnTypes: { Zip: 'postcode' } });
+    expect(badType.status).toBe(400);
+  });
+});
+
+describe('Boolean, currency, percentage, time, duration and identifier columns', () => {
+  const csv = [
+    'Active,Price,Rate,Start,Took,Account',
+    'yes,$1200.50,12.5%,22:30,2:15:00,00123',
+    'no,$80,7%,09:00,26:00:00,00456',
+    'Yes,$15.25,30%,1:15 AM,45 min,10789',
+  ].join('\n');
+  const upload = () =>
+    request(app).post('/api/upload').attach('file', Buffer.from(csv, 'utf-8'), 'shifts.csv');
+  const filterValues = async (datasetId, filter, column) => {
+    const response = await request(app)
+      .post('/api/filter')
+      .send({ datasetId, filters: [filter] });
+    expect(response.status).toBe(200);
+    return response.body.data.map((row) => row[column]);
+  };
+
+  it('detects the new types and keeps currency and percentage formats', async () => {
+    const response = await upload();
+
+    expect(response.body.columnTypes).toEqual({
+      Active: 'boolean',
+      Price: 'currency',
+      Rate: 'percentage',
+      Start: 'time',
+      Took: 'duration',
+      Account: 'identifier',
+    });
+    expect(response.body.columnFormats).toEqual({
+      Price: { symbol: '$', position: 'prefix', decimals: 2 },
+      Rate: { decimals: 1 },
+    });
+  });
+
+  it('filters with the conditions of each type', async () => {
+    const { datasetId } = (await upload()).body;
+
+    expect(
+      await filterValues(datasetId, { column: 'Active', condition: 'isTrue' }, 'Account'),
+    ).toEqual(['00123', '10789']);
+    // Percentages are compared in percent
+    expect(
+      await filterValues(datasetId, { column: 'Rate', condition: 'equals', value: '7' }, 'Rate'),
+    ).toEqual(['7%']);
+    expect(
+      await filterValues(
+        datasetId,
+        { column: 'Price', condition: 'greaterThan', value: '50' },
+        'Price',
+      ),
+    ).toEqual(['$1200.50', '$80']);
+    // A time range can run over midnight
+    expect(
+      await filterValues(
+        datasetId,
+        { column: 'Start', condition: 'timeBetween', value: '22:00', value2: '06:00' },
+        'Start',
+      ),
+    ).toEqual(['22:30', '1:15 AM']);
+    expect(
+      await filterValues(
+        datasetId,
+        { column: 'Took', condition: 'durationLongerThan', value: '1h' },
+        'Took',
+      ),
+    ).toEqual(['2:15:00', '26:00:00']);
+    expect(
+      await filterValues(
+        datasetId,
+        { column: 'Account', condition: 'startsWith', value: '00' },
+        'Account',
+      ),
+    ).toEqual(['00123', '00456']);
+  });
+
+  it('rejects time and duration conditions with unreadable values', async () => {
+    const { datasetId } = (await upload()).body;
+    const response = await request(app)
+      .post('/api/filter')
+      .send({ datasetId, filters: [{ column: 'Start', condition: 'timeAfter', value: 'noon' }] });
+
+    expect(response.status).toBe(400);
+  });
+
+  it('restores the formats in Excel exports', async () => {
+    const { datasetId } = (await upload()).body;
+    const response = await request(app)
+      .post('/api/export/excel')
+      .send({ datasetId })
+      .responseType('blob');
+
+    const workbook = new ExcelJS.Workbook();
+    await workbook.xlsx.load(response.body);
+    const row = workbook.getWorksheet(1).getRow(2);
+
+    expect(row.getCell(1).value).toBe(true);
+    expect(row.getCell(2)).toMatchObject({ value: 1200.5, numFmt: '"$"#,##0.00' });
+    expect(row.getCell(3)).toMatchObject({ value: 0.125, numFmt: '0.0%' });
+    // ExcelJS reads time and duration cells back as dates counted from Excel's day zero
+    expect(row.getCell(4)).toMatchObject({
+      value: new Date(Date.UTC(1899, 11, 30, 22, 30)),
+      numFmt: 'hh:mm:ss',
+    });
+    expect(row.getCell(5)).toMatchObject({
+      value: new Date(Date.UTC(1899, 11, 30, 2, 15)),
+      numFmt: '[h]:mm:ss',
+    });
+    expect(row.getCell(6).value).toBe('00123');
+  });
+
+  it('converts columns to the new types', async () => {
+    const response = await request(app)
+      .post('/api/upload')
+      .attach('file', Buffer.from('Paid,Share\nY,0.25\nN,0.5\n', 'utf-8'), 'paid.csv');
+    expect(response.body.columnTypes).toEqual({ Paid: 'boolean', Share: 'number' });
+
+    const patched = await request(app)
+      .patch(`/api/datasets/${response.body.datasetId}/column-types`)
+      .send({ columnTypes: { Share: 'percentage' } });
+
+    expect(patched.body.columnTypes.Share).toBe('percentage');
+    expect(patched.body.columnFormats.Share).toEqual({ decimals: 0 });
+    expect(patched.body.preview.map((row) => row.Share)).toEqual([0.25, 0.5]);
+  });
+});
+
+describe('Column profiles', () => {
+  const csv = [
+    'City,Amount,Ordered',
+    'Berlin,10,2024-03-04',
+    'Paris,20,2024-01-15',
+    'Berlin,30,',
+    ' ,n/a,2024-02-01',
+  ].join('\n');
+  const upload = () =>
+    request(app).post('/api/upload').attach('file', Buffer.from(csv, 'utf-8'), 'orders.csv');
+
+  it('reports counts, frequent values, statistics and type confidence per column', async () => {
+    const { datasetId } = (await upload()).body;
+    const response = await request(app).post('/api/profile').send({ datasetId });
+
+    expect(response.status).toBe(200);
+    expect(response.body.totalRows).toBe(4);
+    const [city, amount, ordered] = response.body.columns;
+
+    expect(city).toMatchObject({
+      column: 'City',
+      filled: 3,
+      blanks: 1,
+      nulls: 0,
+      distinct: 2,
+      topValues: [
+        { value: 'Berlin', count: 2 },
+        { value: 'Paris', count: 1 },
+      ],
+      length: { min: 5, max: 6 },
+    });
+    expect(amount).toMatchObject({ type: 'number', typeConfidence: 0.75 });
+    expect(amount.valueTypes).toEqual({ number: 3, text: 1 });
+    expect(amount.numbers).toEqual({
+      count: 3,
+      min: 10,
+      max: 30,
+      mean: 20,
+      median: 20,
+      stdDev: 10,
+    });
+    expect(ordered).toMatchObject({ nulls: 1, typeConfidence: 1 });
+    expect(ordered.range).toEqual({
+      min: '2024-01-15T00:00:00.000Z',
+      max: '2024-03-04T00:00:00.000Z',
+    });
+  });
+
+  it('profiles filtered results and selected columns', async () => {
+    const { datasetId } = (await upload()).body;
+    const filtered = await request(app)
+      .post('/api/filter')
+      .send({ datasetId, filters: [{ column: 'City', condition: 'exactMatch', value: 'Berlin' }] });
+
+    const response = await request(app)
+      .post('/api/profile')
+      .send({ datasetId: filtered.body.datasetId, columns: ['Amount'], topValues: 1 });
+
+    expect(response.body.columns).toHaveLength(1);
+    expect(response.body.columns[0].numbers).toMatchObject({ count: 2, mean: 20 });
+    expect(response.body.columns[0].topValues).toHaveLength(1);
+  });
+
+  it('rejects unknown datasets, columns and top value counts', async () => {
+    const { datasetId } = (await upload()).body;
+
+    expect((await request(app).post('/api/profile').send({ datasetId: 'missing' })).status).toBe(
+      404,
+    );
+    expect(
+      (
+        await request(app)
+          .post('/api/profile')
+          .send({ datasetId, columns: ['Country'] })
+      ).status,
+    ).toBe(400);
+    expect((await request(app).post('/api/profile').send({ datasetId, topValues: 0 })).status).toBe(
+      400,
+    );
+  });
+});
+
+describe('Distinct value picker', () => {
+  const csv =
+    'Status,Owner\nOpen,"Smith, John"\nClosed,Doe\nopen,Doe\nItem 10,\nItem 2,Doe\nOpen,Roe\n';
+  const upload = () =>
+    request(app).post('/api/upload').attach('file', Buffer.from(csv, 'utf-8'), 'tickets.csv');
+
+  it('lists distinct values with counts in natural order, searchable and paged', async () => {
+    const { datasetId } = (await upload()).body;
+    const url = `/api/datasets/${datasetId}/distinct-values`;
+
+    const all = await request(app).get(url).query({ column: 'Status' });
+    expect(all.status).toBe(200);
+    expect(all.body.values).toEqual([
+      { value: 'Closed', count: 1 },
+      { value: 'Item 2', count: 1 },
+      { value: 'Item 10', count: 1 },
+      { value: 'open', count: 1 },
+      { value: 'Open', count: 2 },
+    ]);
+    expect(all.body.totalDistinct).toBe(5);
+
+    const searched = await request(app)
+      .get(url)
+      .query({ column: 'Status', search: 'OP', sort: 'count', page: 1, pageSize: 1 });
+    expect(searched.body).toMatchObject({
+      values: [{ value: 'Open', count: 2 }],
+      matchingDistinct: 2,
+      totalPages: 2,
+      hasMore: true,
+    });
+
+    const owners = await request(app).get(url).query({ column: 'Owner' });
+    expect(owners.body.blanks).toBe(1);
+  });
+
+  it('filters with picked values, including ones containing commas', async () => {
+    const { datasetId } = (await upload()).body;
+    const response = await request(app)
+      .post('/api/filter')
+      .send({
+        datasetId,
+        filters: [{ column: 'Owner', condition: 'notInList', values: ['Smith, John', 'Roe'] }],
+      });
+
+    expect(response.body.data.map((row) => row.Owner)).toEqual(['Doe', 'Doe', null, 'Doe']);
+  });
+
+  it('rejects unknown columns and sort orders', async () => {
+    const { datasetId } = (await upload()).body;
+    const url = `/api/datasets/${datasetId}/distinct-values`;
+
+    expect((await request(app).get(url).query({ column: 'Priority' })).status).toBe(400);
+    expect((await request(app).get(url).query({ column: 'Status', sort: 'size' })).status).toBe(
+      400,
+    );
+  });
+});
+
+describe('Filter presets', () => {
+  // vitest.config.js points PRESETS_FILE at a file in the temp directory for each run
+  afterAll(() => fs.promises.rm(process.env.PRESETS_FILE, { force: true }));
+
+  const monthly = {
+    name: 'Monthly EU orders',
+    description: 'Large EU orders for the month-end report',
+    mode: 'reference',
+    filters: {
+      type: 'group',
+      operator: 'AND',
+      conditions: [
+        { column: 'Region', condition: 'equals', value: 'EU' },
+        { column: 'Amount', condition: 'greaterThan', value: '1000' },
+      ],
+    },
+    keyColumns: [{ primaryColumn: 'Order ID', refColumn: 'Order' }],
+    joinType: 'left',
+  };
+
+  it('saves, lists, updates and deletes presets', async () => {
+    const created = await request(app).post('/api/presets').send(monthly);
+    expect(created.status).toBe(201);
+    expect(created.body).toMatchObject({ ...monthly, logicOperator: 'AND' });
+    const { id, createdAt } = created.body;
+
+    const list = await request(app).get('/api/presets');
+    expect(list.body.presets.map((preset) => preset.id)).toContain(id);
+    expect((await request(app).get(`/api/presets/${id}`)).body.name).toBe('Monthly EU orders');
+
+    const updated = await request(app)
+      .put(`/api/presets/${id}`)
+      .send({ ...monthly, name: 'Monthly EU orders (left join)', logicOperator: 'OR' });
+    expect(updated.status).toBe(200);
+    expect(updated.body).toMatchObject({ id, createdAt, logicOperator: 'OR' });
+
+    expect((await request(app).delete(`/api/presets/${id}`)).status).toBe(204);
+    expect((await request(app).get(`/api/presets/${id}`)).status).toBe(404);
+    expect((await request(app).delete(`/api/presets/${id}`)).status).toBe(404);
+  });
+
+  it('rejects invalid presets and duplicate names', async () => {
+    const invalid = [
+      { ...monthly, name: ' ' },
+      { ...monthly, mode: 'double' },
+      { ...monthly, filters: [{ column: 'Region', condition: 'equals' }] },
+      { ...monthly, keyColumns: [] },
+      { ...monthly, keyColumns: [{ primaryColumn: 'Order ID' }] },
+      { ...monthly, joinType: 'outer' },
+    ];
+    for (const body of invalid) {
+      expect((await request(app).post('/api/presets').send(body)).status).toBe(400);
+    }
+
+    const first = await request(app)
+      .post('/api/presets')
+      .send({ name: 'Open tickets', filters: [] });
+    expect(first.status).toBe(201);
+    expect(first.body).toMatchObject({ mode: 'single', keyColumns: [], joinType: 'inner' });
+
+    const duplicate = await request(app)
+      .post('/api/presets')
+      .send({ name: 'open tickets', filters: [] });
+    expect(duplicate.status).toBe(409);
+    expect((await request(app).put('/api/presets/missing').send(monthly)).status).toBe(404);
+  });
+
+  it('keeps the logic operator of a flat list of filters when loaded', async () => {
+    const conditions = [
+      { column: 'Region', condition: 'exactMatch', value: 'EU' },
+      { column: 'Amount', condition: 'greaterThan', value: '1000' },
+    ];
+    const created = await request(app)
+      .post('/api/presets')
+      .send({ name: 'EU or large orders', filters: conditions, logicOperator: 'OR' });
+    expect(created.status).toBe(201);
+
+    const loaded = await request(app).get(`/api/presets/${created.body.id}`);
+    expect(loaded.body.filters).toEqual({ type: 'group', operator: 'OR', not: false, conditions });
+
+    const filtered = await request(app)
+      .post('/api/filter')
+      .send({
+        data: [
+          { Region: 'EU', Amount: 10 },
+          { Region: 'US', Amount: 5000 },
+          { Region: 'US', Amount: 10 },
+        ],
+        filters: loaded.body.filters,
+      });
+    expect(filtered.body.data).toEqual([
+      { Region: 'EU', Amount: 10 },
+      { Region: 'US', Amount: 5000 },
+    ]);
+
+    await request(app).delete(`/api/presets/${created.body.id}`);
+  });
+});
+
+describe('Filter spec files', () => {
+  const spec = {
+    format: 'filtro-filter-spec',
+    version: 1,
+    name: 'Large EU orders',
+    mode: 'single',
+    filters: {
+      type: 'group',
+      operator: 'OR',
+      conditions: [
+        { column: 'Region', condition: 'equals', value: 'EU' },
+        {
+          type: 'group',
+          operator: 'AND',
+          conditions: [{ column: 'Amount', condition: 'greaterThan', value: '1000' }],
+        },
+      ],
+    },
+  };
+
+  it('accepts a valid spec and fills in defaults', async () => {
+    const response = await request(app).post('/api/filter-specs/validate').send(spec);
+
+    expect(response.status).toBe(200);
+    expect(response.body.spec).toEqual({
+      ...spec,
+      description: '',
+      logicOperator: 'AND',
+      keyColumns: [],
+      joinType: 'inner',
+    });
+  });
+
+  it('reports every problem with where it is', async () => {
+    const response = await request(app)
+      .post('/api/filter-specs/validate')
+      .send({
+        ...spec,
+        mode: 'reference',
+        joinType: 'cross',
+        filters: {
+          ...spec.filters,
+          conditions: [
+            { column: 'Region', condition: 'matchesRegex', value: '(a+)+' },
+            {
+              type: 'group',
+              conditions: [{ column: 'Amount', condition: 'greaterThan', value: '' }],
+            },
+          ],
+        },
+      });
+
+    expect(response.status).toBe(400);
+    expect(response.body.problems).toHaveLength(4);
+    expect(response.body.problems[0]).toMatch(/^Condition 1 \("Region"\): pattern "\(a\+\)\+"/);
+    expect(response.body.problems.slice(1)).toEqual([
+      'Group 2 › Condition 1 ("Amount"): needs a value',
+      'Reference mode needs at least one key column',
+      'Join type must be one of: inner, left, right, full, semi, anti, rightAnti',
+    ]);
+  });
+
+  it('rejects files that are not specs or come from a newer version', async () => {
+    const url = '/api/filter-specs/validate';
+    const notSpec = await request(app).post(url).send({ filters: [] });
+    expect(notSpec.status).toBe(400);
+    expect(notSpec.body.error).toContain('not a filter spec');
+
+    const newer = await request(app)
+      .post(url)
+      .send({ ...spec, version: 2 });
+    expect(newer.body.error).toContain('newer version');
+  });
+
+  it('groups a flat list of filters with the spec logic operator', async () => {
+    const conditions = spec.filters.conditions.slice(0, 1);
+    const response = await request(app)
+      .post('/api/filter-specs/validate')
+      .send({
+        ...spec,
+        mode: 'reference',
+        keyColumns: [{ primaryColumn: 'Order ID', refColumn: 'Order' }],
+        filters: conditions,
+        logicOperator: 'OR',
+      });
+
+    expect(response.status).toBe(200);
+    expect(response.body.spec).toMatchObject({
+      filters: { type: 'group', operator: 'OR', not: false, conditions },
+      logicOperator: 'OR',
+    });
+  });
+});
+
+describe('Filter expressions', () => {
+  const headers = ['Amount', 'Region', 'Status', 'Order Date'];
+  const columnTypes = { Amount: 'number', Region: 'text', Status: 'text', 'Order Date': 'date' };
+
+  it('compiles expressions to filter trees that filter rows', async () => {
+    const expression =
+      'Amount > 1000 AND (Region in ("EU","UK") OR Status startsWith "VIP") AND NOT [Order Date] < 2024-01-01';
+    const parsed = await request(app)
+      .post('/api/filter-expressions/parse')
+      .send({ expression, headers, columnTypes });
+
+    expect(parsed.status).toBe(200);
+    expect(parsed.body.filters).toEqual({
+      type: 'group',
+      operator: 'AND',
+      not: false,
+      conditions: [
+        { column: 'Amount', condition: 'greaterThan', value: '1000' },
+        {
+          type: 'group',
+          operator: 'OR',
+          not: false,
+          conditions: [
+            { column: 'Region', condition: 'inList', values: ['EU', 'UK'] },
+            { column: 'Status', condition: 'startsWith', value: 'VIP' },
+          ],
+        },
+        {
+          type: 'group',
+          operator: 'AND',
+          not: true,
+          conditions: [{ column: 'Order Date', condition: 'before', value: '2024-01-01' }],
+        },
+      ],
+    });
+
+    const filtered = await request(app)
+      .post('/api/filter')
+      .send({
+        data: [
+          { Amount: 5000, Region: 'EU', Status: 'New', 'Order Date': '2024-03-01' },
+          { Amount: 5000, Region: 'US', Status: 'VIP gold', 'Order Date': '2024-03-01' },
+          { Amount: 5000, Region: 'US', Status: 'New', 'Order Date': '2024-03-01' },
+          { Amount: 500, Region: 'EU', Status: 'New', 'Order Date': '2024-03-01' },
+          { Amount: 5000, Region: 'UK', Status: 'New', 'Order Date': '2023-12-01' },
+        ],
+        columnTypes,
+        filters: parsed.body.filters,
+      });
+    expect(filtered.body.data.map((row) => row.Region)).toEqual(['EU', 'US']);
+  });
+
+  it('reports where an expression goes wrong', async () => {
+    const parse = (expression) =>
+      request(app).post('/api/filter-expressions/parse').send({ expression, headers, columnTypes });
+
+    const cases = [
+      ['Amount >', 8, 'Expected a value'],
+      ['Amount > 5 AND (Region = EU', 27, 'Expected ")"'],
+      ['Amount > 5 Region = EU', 11, 'Expected AND, OR'],
+      ['Amonut > 5', 0, 'Unknown column "Amonut"'],
+      ['Status = "VIP', 9, 'missing its closing quote'],
+      ['Status matchesRegex "(a+)+"', 0, 'Status matchesRegex: pattern'],
+    ];
+    for (const [expression, position, message] of cases) {
+      const response = await parse(expression);
+      expect(response.status).toBe(400);
+      expect(response.body.position).toBe(position);
+      expect(response.body.error).toContain(message);
+    }
+  });
+
+  it('writes filter trees back as expressions that parse to the same tree', async () => {
+    const filters = {
+      type: 'group',
+      operator: 'OR',
+      not: false,
+      conditions: [
+        { column: 'Status', condition: 'contains', value: 'say "hi"', caseSensitive: true },
+        {
+          type: 'group',
+          operator: 'AND',
+          not: true,
+          conditions: [
+            {
+              column: 'Order Date',
+              condition: 'betweenDates',
+              value: '2024-01-01',
+              value2: '2024-03-31',
+            },
+            { column: 'Region', condition: 'notInList', values: ['EU', 'Rest, of world'] },
+          ],
+        },
+        { column: 'Amount', condition: 'isEmpty' },
+      ],
+    };
+
+    const formatted = await request(app)
+      .post('/api/filter-expressions/format')
+      .send({ filters, columnTypes });
+    expect(formatted.body.expression).toBe(
+      'Status contains "say \\"hi\\"" caseSensitive OR NOT ([Order Date] between "2024-01-01" and "2024-03-31" AND Region not in ("EU", "Rest, of world")) OR Amount is empty',
+    );
+
+    const parsed = await request(app)
+      .post('/api/filter-expressions/parse')
+      .send({ expression: formatted.body.expression, headers, columnTypes });
+    expect(parsed.body.filters).toEqual(filters);
+
+    const fromFile = await request(app)
+      .post('/api/filter-expressions/format')
+      .send({
+        filters: [
+          { column: 'Region', condition: 'inList', listSource: { datasetId: 'x', column: 'y' } },
+        ],
+      });
+    expect(fromFile.status).toBe(400);
+    expect(fromFile.body.error).toContain('another file');
+  });
+
+  it('suggests columns, conditions and keywords', async () => {
+    const suggest = async (expression) =>
+      (
+        await request(app)
+          .post('/api/filter-expressions/suggest')
+          .send({ expression, cursor: expression.length, headers, columnTypes })
+      ).body;
+
+    expect(await suggest('Amount > 5 AND [Ord')).toEqual({
+      from: 15,
+      to: 19,
+      suggestions: [{ label: 'Order Date', insert: '[Order Date]', kind: 'column' }],
+    });
+    expect((await suggest('Status sta')).suggestions.map((s) => s.label)).toEqual(['startsWith']);
+    expect((await suggest('[Order Date] inPeriod this')).suggestions.map((s) => s.label)).toEqual([
+      'thisMonth',
+      'thisQuarter',
+      'thisYear',
+    ]);
+    expect((await suggest('Amount > 5 ')).suggestions.map((s) => s.label)).toEqual(['AND', 'OR']);
+  });
+});
+
+describe('Live match counts', () => {
+  const data = [
+    { Region: 'EU', Amount: 500, Status: 'Open' },
+    { Region: 'EU', Amount: 1500, Status: 'Closed' },
+    { Region: 'US', Amount: 2500, Status: 'Open' },
+    { Region: 'UK', Amount: 3500, Status: 'Open' },
+  ];
+
+  it('counts matching rows and the rows each condition eliminates', async () => {
+    const response = await request(app)
+      .post('/api/filter/count')
+      .send({
+        data,
+        filters: {
+          type: 'group',
+          operator: 'AND',
+          conditions: [
+            { column: 'Amount', condition: 'greaterThan', value: '1000' },
+            {
+              type: 'group',
+              operator: 'OR',
+              conditions: [
+                { column: 'Region', condition: 'exactMatch', value: 'EU' },
+                { column: 'Status', condition: 'exactMatch', value: 'Open' },
+              ],
+            },
+          ],
+        },
+      });
+
+    expect(response.status).toBe(200);
+    expect(response.body).toEqual({
+      totalRows: 4,
+      matchingRows: 3,
+      conditions: [
+        { path: [0], eliminated: 1 },
+        { path: [1, 0], eliminated: 0 },
+        { path: [1, 1], eliminated: 0 },
+      ],
+    });
+  });
+
+  it('counts only the rows a condition removes under OR and NOT groups', async () => {
+    const response = await request(app)
+      .post('/api/filter/count')
+      .send({
+        data,
+        filters: {
+          type: 'group',
+          operator: 'AND',
+          conditions: [
+            {
+              type: 'group',
+              operator: 'OR',
+              conditions: [
+                { column: 'Region', condition: 'exactMatch', value: 'US' },
+                { column: 'Amount', condition: 'greaterThan', value: '1000' },
+              ],
+            },
+            {
+              type: 'group',
+              operator: 'AND',
+              not: true,
+              conditions: [{ column: 'Status', condition: 'exactMatch', value: 'Closed' }],
+            },
+          ],
+        },
+      });
+
+    // The small EU order fails both OR branches, so neither removes it alone; the closed EU
+    // order is removed only by the negated condition
+    expect(response.body).toEqual({
+      totalRows: 4,
+      matchingRows: 2,
+      conditions: [
+        { path: [0, 0], eliminated: 0 },
+        { path: [0, 1], eliminated: 0 },
+        { path: [1, 0], eliminated: 1 },
+      ],
+    });
+  });
+
+  it('leaves incomplete conditions out of the count', async () => {
+    const uploaded = await uploadRows([
+      ['Region', 'Amount'],
+      ['EU', 500],
+      ['US', 2500],
+    ]);
+    const response = await request(app)
+      .post('/api/filter/count')
+      .send({
+        datasetId: uploaded.body.datasetId,
+        filters: {
+          type: 'group',
+          operator: 'AND',
+          conditions: [
+            { column: 'Amount', condition: 'greaterThan', value: '1000' },
+            { column: 'Region', condition: 'contains', value: '' },
+          ],
+        },
+      });
+
+    expect(response.body).toEqual({
+      totalRows: 2,
+      matchingRows: 1,
+      conditions: [
+        { path: [0], eliminated: 1 },
+        { path: [1], error: 'needs a value' },
+      ],
+    });
+  });
+
+  it('rejects missing datasets and malformed filters', async () => {
+    expect(
+      (await request(app).post('/api/filter/count').send({ datasetId: 'missing', filters: [] }))
+        .status,
+    ).toBe(404);
+    expect(
+      (await request(app).post('/api/filter/count').send({ data, filters: 'Amount > 5' })).status,
+    ).toBe(400);
+  });
+});
+
+describe('Condition registry', () => {
+  it('lists conditions with their column types and operands', async () => {
+    const response = await request(app).get('/api/conditions');
+
+    expect(response.status).toBe(200);
+    const byId = new Map(response.body.conditions.map((condition) => [condition.id, condition]));
+    expect(byId.get('between')).toEqual({
+      id: 'between',
+      label: 'Between',
+      types: ['number', 'currency', 'percentage'],
+      operands: 'two',
+      custom: false,
+    });
+    expect(byId.get('isEmpty').types).toContain('boolean');
+    expect(byId.get('inList').operands).toBe('list');
+    expect(byId.size).toBe(34);
+  });
+
+  it('filters, validates and parses registered custom conditions', async () => {
+    registerCondition({
+      id: 'isEven',
+      label: 'Is Even',
+      types: ['number'],
+      operands: 'none',
+      evaluate: (cellValue, filter, parser) => parser.parseNumber(cellValue) % 2 === 0,
+    });
+    registerCondition({
+      id: 'hasLength',
+      label: 'Has Length',
+      types: ['text'],
+      operands: 'one',
+      evaluate: (cellValue, filter) => String(cellValue ?? '').length === Number(filter.value),
+      validate: (filter) => (/^\d+$/.test(filter.value) ? null : 'needs a whole number'),
+    });
+
+    try {
+      const listed = await request(app).get('/api/conditions');
+      expect(listed.body.conditions.at(-1)).toMatchObject({ id: 'hasLength', custom: true });
+
+      const filtered = await request(app)
+        .post('/api/filter')
+        .send({
+          data: [
+            { Code: 'AB', Amount: '2' },
+            { Code: 'ABC', Amount: '4' },
+            { Code: 'CD', Amount: '5' },
+          ],
+          filters: [
+            { column: 'Amount', condition: 'isEven' },
+            { column: 'Code', condition: 'hasLength', value: '2' },
+          ],
+        });
+      expect(filtered.body.data).toEqual([{ Code: 'AB', Amount: '2' }]);
+
+      const invalid = await request(app)
+        .post('/api/filter')
+        .send({ data: [], filters: [{ column: 'Code', condition: 'hasLength', value: 'two' }] });
+      expect(invalid.status).toBe(400);
+
+      const parsed = await request(app)
+        .post('/api/filter-expressions/parse')
+        .send({ expression: 'Amount iseven AND Code hasLength 2', headers: ['Amount', 'Code'] });
+      expect(parsed.body.filters.conditions).toEqual([
+        { column: 'Amount', condition: 'isEven' },
+        { column: 'Code', condition: 'hasLength', value: '2' },
+      ]);
+    } finally {
+      unregisterCondition('isEven');
+      unregisterCondition('hasLength');
+    }
+  });
+
+  it('rejects unknown conditions and invalid definitions', async () => {
+    const response = await request(app)
+      .post('/api/filter-specs/validate')
+      .send({
+        format: 'filtro-filter-spec',
+        version: 1,
+        filters: [{ column: 'Amount', condition: 'isPrime', value: '1' }],
+      });
+    expect(response.body.problems).toEqual([
+      'Condition 1 ("Amount"): has an unknown condition "isPrime"',
+    ]);
+
+    expect(() => registerCondition({ id: 'contains', label: 'Contains' })).toThrow(
+      'already registered',
+    );
+    expect(() =>
+      registerCondition({
+        id: 'nearby',
+        label: 'Nearby',
+        types: ['text'],
+        operands: 'relative',
+        evaluate: () => true,
+      }),
+    ).toThrow('operands must be one of none, one, two');
+    expect(unregisterCondition('contains')).toBe(false);
+  });
+
+  it('loads custom conditions from plugin modules', async () => {
+    const pluginPath = path.join(os.tmpdir(), `filtro-condition-plugin-${process.pid}.mjs`);
+    fs.writeFileSync(
+      pluginPath,
+      `export default [{
+        id: 'isWeekendCode',
+        label: 'Weekend Code',
+        types: ['text', 'identifier'],
+        operands: 'none',
+        evaluate: (cellValue) => /^(SA|SU)/.test(String(cellValue)),
+      }];`,
+    );
+
+    try {
+      const loaded = await loadConditionPlugins(pluginPath);
+      expect(loaded.map((condition) => condition.id)).toEqual(['isWeekendCode']);
+
+      const response = await request(app)
+        .post('/api/filter')
+        .send({
+          data: [{ Code: 'SA-1' }, { Code: 'MO-2' }],
+          filters: [{ column: 'Code', condition: 'isWeekendCode' }],
+        });
+      expect(response.body.data).toEqual([{ Code: 'SA-1' }]);
+    } finally {
+      unregisterCondition('isWeekendCode');
+      fs.rmSync(pluginPath, { force: true });
+    }
+  });
+});
+
+describe('Join types', () => {
+  const primaryData = [
+    { Order: 'A1', Customer: 'Ann' },
+    { Order: 'A2', Customer: 'Bob' },
+    { Order: 'A3', Customer: 'Cy' },
+  ];
+  const referenceData = [
+    { Order: 'a1', Status: 'Paid' },
+    { Order: 'A1', Status: 'Refunded' },
+    { Order: 'A3', Status: 'Open' },
+    { Order: 'A9', Status: 'Lost' },
+  ];
+
+  const join = (joinType) =>
+    request(app)
+      .post('/api/reference-filter')
+      .send({
+        referenceData,
+        primaryData,
+        keyColumns: [{ refColumn: 'Order', primaryColumn: 'Order' }],
+        filterConditions: [{ column: 'Status', condition: 'exactMatch', value: 'Open' }],
+        logicOperator: 'OR',
+        joinType,
+      });
+
+  // Without filter conditions every reference row takes part
+  const joinAll = (joinType) =>
+    request(app)
+      .post('/api/reference-filter')
+      .send({
+        referenceData,
+        primaryData,
+        keyColumns: [{ refColumn: 'Order', primaryColumn: 'Order' }],
+        joinType,
+      });
+
+  const pairs = (response) =>
+    response.body.data.map((row) => `${row.Order ?? '-'}:${row.ref_Order ?? '-'}`);
+
+  it('joins matched rows, one per matching reference row, for inner, left, right and full', async () => {
+    expect(pairs(await joinAll('inner'))).toEqual(['A1:a1', 'A1:A1', 'A3:A3']);
+    expect(pairs(await joinAll('left'))).toEqual(['A1:a1', 'A1:A1', 'A2:-', 'A3:A3']);
+    expect(pairs(await joinAll('right'))).toEqual(['A1:a1', 'A1:A1', 'A3:A3', '-:A9']);
+
+    const full = await joinAll('full');
+    expect(pairs(full)).toEqual(['A1:a1', 'A1:A1', 'A2:-', 'A3:A3', '-:A9']);
+    expect(full.body.data[4]).toEqual({
+      Order: null,
+      Customer: null,
+      ref_Order: 'A9',
+      ref_Status: 'Lost',
+    });
+    expect(full.body).toMatchObject({
+      matchedRows: 2,
+      unmatchedPrimaryRows: 1,
+      unmatchedRefRows: 1,
+    });
+  });
+
+  it('keeps only one side for semi, anti and right anti joins', async () => {
+    const semi = await joinAll('semi');
+    expect(semi.body.headers).toEqual(['Order', 'Customer']);
+    expect(semi.body.data).toEqual([primaryData[0], primaryData[2]]);
+
+    const anti = await joinAll('anti');
+    expect(anti.body.headers).toEqual(['Order', 'Customer']);
+    expect(anti.body.data).toEqual([primaryData[1]]);
+
+    const rightAnti = await joinAll('rightAnti');
+    expect(rightAnti.body.headers).toEqual(['ref_Order', 'ref_Status']);
+    expect(rightAnti.body.data).toEqual([{ ref_Order: 'A9', ref_Status: 'Lost' }]);
+  });
+
+  it('joins against the filtered reference rows only', async () => {
+    expect(pairs(await join('anti'))).toEqual(['A1:-', 'A2:-']);
+    expect(pairs(await join('rightAnti'))).toEqual([]);
+  });
+
+  it('keeps the column types of the columns a stored join result has', async () => {
+    const main = await uploadRows([
+      ['Order', 'Amount'],
+      ['A1', 10],
+      ['A2', 20],
+    ]);
+    const reference = await uploadRows([
+      ['Order', 'Due'],
+      ['A2', new Date(Date.UTC(2024, 0, 31))],
+      ['A7', new Date(Date.UTC(2024, 1, 29))],
+    ]);
+    const response = await request(app)
+      .post('/api/reference-filter')
+      .send({
+        referenceDatasetId: reference.body.datasetId,
+        primaryDatasetId: main.body.datasetId,
+        keyColumns: [{ refColumn: 'Order', primaryColumn: 'Order' }],
+        joinType: 'rightAnti',
+      });
+
+    expect(response.status).toBe(200);
+    expect(response.body.columnTypes).toEqual({ ref_Order: 'text', ref_Due: 'date' });
+    expect(response.body.data.map((row) => row.ref_Order)).toEqual(['A7']);
+  });
+
+  it('rejects unknown join types', async () => {
+    const response = await joinAll('outer');
+    expect(response.status).toBe(400);
+    expect(response.body.error).toContain('inner, left, right, full, semi, anti, rightAnti');
+  });
+});
+
+describe('Key mapping', () => {
+  it('suggests key pairs from similar names and overlapping values', async () => {
+    const reference = await uploadRows([
+      ['Cust_No', 'Status', 'Segment'],
+      ['C-1', 'Open', 'Retail'],
+      ['C-2', 'Paid', 'Retail'],
+      ['C-3', 'Open', 'Wholesale'],
+    ]);
+    const main = await uploadRows([
+      ['CustomerID', 'Name', 'Client Segment'],
+      ['c-1', 'Ann', 'Retail'],
+      ['C-3', 'Cy', 'Wholesale'],
+      ['C-4', 'Di', 'Retail'],
+    ]);
+
+    const response = await request(app).post('/api/key-suggestions').send({
+      referenceDatasetId: reference.body.datasetId,
+      primaryDatasetId: main.body.datasetId,
+    });
+
+    expect(response.status).toBe(200);
+    expect(response.body.suggestions[0]).toMatchObject({
+      refColumn: 'Cust_No',
+      primaryColumn: 'CustomerID',
+      valueOverlap: 0.67,
+      uniqueness: 1,
+    });
+    expect(response.body.suggestions[0].nameSimilarity).toBeGreaterThan(0.8);
+    expect(response.body.suggestions.map((pair) => pair.refColumn)).not.toContain('Status');
+
+    const missing = await request(app)
+      .post('/api/key-suggestions')
+      .send({ referenceDatasetId: reference.body.datasetId, primaryDatasetId: 'missing' });
+    expect(missing.status).toBe(404);
+  });
+
+  it('joins on several differently named key columns', async () => {
+    const response = await request(app)
+      .post('/api/reference-filter')
+      .send({
+        referenceData: [
+          { Firm: 'North', Invoice: '1', Paid: 'yes' },
+          { Firm: 'South', Invoice: '1', Paid: 'no' },
+        ],
+        primaryData: [
+          { Company: 'South', InvoiceNo: '1' },
+          { Company: 'North', InvoiceNo: '2' },
+        ],
+        keyColumns: [
+          { refColumn: 'Firm', primaryColumn: 'Company' },
+          { refColumn: 'Invoice', primaryColumn: 'InvoiceNo' },
+        ],
+        joinType: 'left',
+      });
+
+    expect(response.body.data.map((row) => row.ref_Paid)).toEqual(['no', null]);
+  });
+});
+
+describe('Key normalization and fuzzy matching', () => {
+  const join = (referenceData, primaryData, keyColumn, joinType = 'left') =>
+    request(app)
+      .post('/api/reference-filter')
+      .send({
+        referenceData,
+        primaryData,
+        keyColumns: [{ refColumn: 'Key', primaryColumn: 'Key', ...keyColumn }],
+        joinType,
+      });
+
+  it('matches keys with leading zeros, numbers and non-breaking spaces once asked to', async () => {
+    const referenceData = [
+      { Key: '00123', Label: 'zeros' },
+      { Key: 'ACME\u00a0 Ltd.', Label: 'acme' },
+      { Key: 45, Label: 'number' },
+    ];
+    const primaryData = [{ Key: '123' }, { Key: 'acme ltd' }, { Key: '45.0' }];
+    const labels = (response) => response.body.data.map((row) => row.ref_Label);
+
+    expect(labels(await join(referenceData, primaryData, {}))).toEqual([null, null, null]);
+
+    const normalized = await join(referenceData, primaryData, {
+      stripLeadingZeros: true,
+      collapseWhitespace: true,
+      stripPunctuation: true,
+      numeric: true,
+    });
+    expect(labels(normalized)).toEqual(['zeros', 'acme', 'number']);
+    expect(normalized.body.headers).not.toContain('match_score');
+
+    const caseSensitive = await join(
+      [{ Key: 'ABC', Label: 'upper' }],
+      [{ Key: 'abc' }, { Key: 'ABC' }],
+      {
+        caseSensitive: true,
+      },
+    );
+    expect(labels(caseSensitive)).toEqual([null, 'upper']);
+  });
+
+  it('matches similar keys in fuzzy mode and reports a match score', async () => {
+    const referenceData = [
+      { Key: 'Acme Limited', Label: 'acme' },
+      { Key: 'Globex Corporation', Label: 'globex' },
+      { Key: 'Initech', Label: 'initech' },
+    ];
+    const primaryData = [
+      { Key: 'Acme Limted' },
+      { Key: 'globex corporation' },
+      { Key: 'Umbrella' },
+      { Key: '' },
+    ];
+
+    const response = await join(referenceData, primaryData, {
+      fuzzy: { method: 'characters', threshold: 0.8 },
+    });
+    expect(response.status).toBe(200);
+    expect(response.body.headers).toEqual(['Key', 'ref_Key', 'ref_Label', 'match_score']);
+    expect(response.body.data.map((row) => [row.ref_Label, row.match_score])).toEqual([
+      ['acme', 0.917],
+      ['globex', 1],
+      [null, null],
+      [null, null],
+    ]);
+    expect(response.body).toMatchObject({ matchedRows: 2, unmatchedPrimaryRows: 2 });
+
+    const tokens = await join(referenceData, [{ Key: 'Corporation Globex Inc' }], {
+      fuzzy: { method: 'tokens', threshold: 0.7 },
+    });
+    expect(tokens.body.data[0]).toMatchObject({ ref_Label: 'globex', match_score: 0.8 });
+
+    // The reference key is longer than the main key, which leaves room for more edits
+    const longer = await join([{ Key: 'John', Label: 'john' }], [{ Key: 'Jon' }], {
+      fuzzy: { method: 'characters', threshold: 0.7 },
+    });
+    expect(longer.body.data[0]).toMatchObject({ ref_Label: 'john', match_score: 0.75 });
+
+    const rightAnti = await join(referenceData, primaryData, { fuzzy: {} }, 'rightAnti');
+    expect(rightAnti.body.data.map((row) => row.ref_Label)).toEqual(['initech']);
+    expect(rightAnti.body.headers).not.toContain('match_score');
+  });
+
+  it('blocks fuzzy matches on the exact key pairs', async () => {
+    const response = await request(app)
+      .post('/api/reference-filter')
+      .send({
+        referenceData: [
+          { Country: 'NL', Name: 'Acme Limited', Label: 'nl' },
+          { Country: 'BE', Name: 'Acme Limitd', Label: 'be' },
+        ],
+        primaryData: [{ Country: 'BE', Name: 'Acme Limited' }],
+        keyColumns: [
+          { refColumn: 'Country', primaryColumn: 'Country' },
+          { refColumn: 'Name', primaryColumn: 'Name', fuzzy: { threshold: 0.9 } },
+        ],
+      });
+
+    expect(response.body.data).toHaveLength(1);
+    expect(response.body.data[0]).toMatchObject({ ref_Label: 'be', match_score: 0.917 });
+  });
+
+  it('rejects invalid key options', async () => {
+    const badOption = await join([{ Key: 1 }], [{ Key: 1 }], { trim: 'yes' });
+    expect(badOption.status).toBe(400);
+    expect(badOption.body.error).toBe('Key option "trim" must be true or false');
+
+    const badThreshold = await join([{ Key: 1 }], [{ Key: 1 }], { fuzzy: { threshold: 2 } });
+    expect(badThreshold.status).toBe(400);
+    expect(badThreshold.body.error).toBe('Fuzzy threshold must be a number above 0 and at most 1');
+
+    const spec = await request(app)
+      .post('/api/filter-specs/validate')
+      .send({
+        format: 'filtro-filter-spec',
+        version: 1,
+        mode: 'reference',
+        filters: [],
+        keyColumns: [{ refColumn: 'Key', primaryColumn: 'Key', fuzzy: { method: 'sounds' } }],
+      });
+    expect(spec.body.problems).toContain('Fuzzy method must be one of: characters, tokens');
+  });
+});
+
+describe('Join diagnostics', () => {
+  const referenceRows = [
+    ['Order', 'Status'],
+    ['A1', 'Paid'],
+    ['A1', 'Refunded'],
+    ['A2', 'Open'],
+    ['', 'Open'],
+    ['A9', 'Open'],
+  ];
+  const mainRows = [
+    ['Order', 'Customer'],
+    ['A1', 'Ann'],
+    ['A1', 'Bea'],
+    ['A2', 'Bob'],
+    ['A3', 'Cy'],
+    ['', 'Di'],
+  ];
+  const toObjects = ([headers, ...rows]) =>
+    rows.map((row) => Object.fromEntries(headers.map((header, index) => [header, row[index]])));
+
+  it('reports unmatched, duplicate and blank keys and the match cardinality', async () => {
+    const response = await request(app)
+      .post('/api/reference-filter')
+      .send({
+        referenceData: toObjects(referenceRows),
+        primaryData: toObjects(mainRows),
+        keyColumns: [{ refColumn: 'Order', primaryColumn: 'Order' }],
+      });
+
+    expect(response.body.diagnostics).toEqual({
+      cardinality: { relationship: 'N:M', oneToOne: 2, oneToMany: 0, manyToOne: 0, manyToMany: 1 },
+      unmatchedPrimaryKeys: { total: 1, items: [{ values: ['A3'], rows: 1 }] },
+      unmatchedReferenceKeys: { total: 1, items: [{ values: ['A9'], rows: 1 }] },
+      duplicateReferenceKeys: {
+        total: 1,
+        items: [{ values: ['A1'], referenceRows: 2, primaryRows: 2, extraRows: 2 }],
+      },
+      blankKeys: {
+        total: 2,
+        items: [
+          { file: 'main', row: 5, values: [''], matched: true },
+          { file: 'reference', row: 4, values: [''], matched: true },
+        ],
+      },
+    });
+    // Two main rows times two reference rows for A1, plus A2 and the blank keys
+    expect(response.body.totalRows).toBe(6);
+  });
+
+  it('exports each diagnostics list as an Excel sheet', async () => {
+    const reference = await uploadRows(referenceRows);
+    const main = await uploadRows(mainRows);
+    const joined = await request(app)
+      .post('/api/reference-filter')
+      .send({
+        referenceDatasetId: reference.body.datasetId,
+        primaryDatasetId: main.body.datasetId,
+        keyColumns: [{ refColumn: 'Order', primaryColumn: 'Order' }],
+        filterConditions: [{ column: 'Status', condition: 'exactMatch', value: 'Open' }],
+        joinType: 'left',
+      });
+
+    const { diagnostics, datasetId } = joined.body;
+    expect(diagnostics.unmatchedPrimaryKeys.items).toEqual([
+      { values: ['A1'], rows: 2 },
+      { values: ['A3'], rows: 1 },
+    ]);
+    expect(diagnostics.cardinality.relationship).toBe('1:1');
+    // Row 4 of the whole reference file, not of the filtered rows
+    expect(diagnostics.blankKeys.items.map(({ file, row }) => `${file}:${row}`)).toEqual([
+      'main:5',
+      'reference:4',
+    ]);
+
+    const readSheets = async (body) => {
+      const exported = await request(app)
+        .post('/api/export/join-diagnostics')
+        .send(body)
+        .responseType('blob');
+      const workbook = new ExcelJS.Workbook();
+      await workbook.xlsx.load(exported.body);
+      return workbook.worksheets;
+    };
+
+    const sheets = await readSheets({ datasetId });
+    expect(sheets.map((sheet) => sheet.name)).toEqual([
+      'Summary',
+      'Unmatched main keys',
+      'Unmatched reference keys',
+      'Duplicate reference keys',
+      'Blank keys',
+    ]);
+    expect(sheets[1].getSheetValues().slice(1)).toEqual([
+      [undefined, 'Order', 'Rows'],
+      [undefined, 'A1', 2],
+      [undefined, 'A3', 1],
+    ]);
+
+    const [blankSheet] = await readSheets({ datasetId, list: 'blankKeys' });
+    expect(blankSheet.getRow(3).values).toEqual([undefined, 'reference', 4, '', 'yes']);
+
+    const unknownList = await request(app)
+      .post('/api/export/join-diagnostics')
+      .send({ datasetId, list: 'everything' });
+    expect(unknownList.status).toBe(400);
+    const notAJoin = await request(app)
+      .post('/api/export/join-diagnostics')
+      .send({ datasetId: main.body.datasetId });
+    expect(notAJoin.status).toBe(400);
+  });
+});
+
+describe('Output columns', () => {
+  const primaryData = [
+    { Id: '1', Email: '', Name: 'Ann' },
+    { Id: '2', Email: 'bob@example.com', Name: 'Bob' },
+  ];
+  const referenceData = [
+    { Id: '1', Email: 'ann@example.com', Phone: '555-0100' },
+    { Id: '2', Email: 'robert@example.com', Phone: '555-0101' },
+  ];
+  const join = (options) =>
+    request(app)
+      .post('/api/reference-filter')
+      .send({
+        referenceData,
+        primaryData,
+        keyColumns: [{ refColumn: 'Id', primaryColumn: 'Id' }],
+        ...options,
+      });
+
+  it('renames only clashing reference columns, with a custom prefix or suffix', async () => {
+    const response = await join({
+      conflictStrategy: 'prefixConflicts',
+      referencePrefix: '',
+      referenceSuffix: ' (ref)',
+    });
+
+    expect(response.body.headers).toEqual([
+      'Id',
+      'Email',
+      'Name',
+      'Id (ref)',
+      'Email (ref)',
+      'Phone',
+    ]);
+
+    const prefixed = await join({ referencePrefix: 'lookup.' });
+    expect(prefixed.body.headers).toEqual([
+      'Id',
+      'Email',
+      'Name',
+      'lookup.Id',
+      'lookup.Email',
+      'lookup.Phone',
+    ]);
+  });
+
+  it('merges same-named columns, taking the first non-empty value', async () => {
+    const response = await join({ conflictStrategy: 'coalesce' });
+
+    expect(response.body.headers).toEqual(['Id', 'Email', 'Name', 'Phone']);
+    expect(response.body.data.map((row) => row.Email)).toEqual([
+      'ann@example.com',
+      'bob@example.com',
+    ]);
+  });
+
+  it('keeps only the chosen columns, in order and under their new names', async () => {
+    const response = await join({
+      conflictStrategy: 'coalesce',
+      outputColumns: [
+        { file: 'reference', column: 'Phone', name: 'Telephone' },
+        { file: 'main', column: 'Name' },
+        { file: 'reference', column: 'Email' },
+      ],
+    });
+
+    expect(response.body.headers).toEqual(['Telephone', 'Name', 'Email']);
+    expect(response.body.data[0]).toEqual({
+      Telephone: '555-0100',
+      Name: 'Ann',
+      Email: 'ann@example.com',
+    });
+  });
+
+  it('keeps column types under new names in stored results', async () => {
+    const reference = await uploadRows([
+      ['Id', 'Amount'],
+      ['1', 12.5],
+    ]);
+    const main = await uploadRows([['Id'], ['1']]);
+
+    const response = await request(app)
+      .post('/api/reference-filter')
+      .send({
+        referenceDatasetId: reference.body.datasetId,
+        primaryDatasetId: main.body.datasetId,
+        keyColumns: [{ refColumn: 'Id', primaryColumn: 'Id' }],
+        outputColumns: [{ file: 'reference', column: 'Amount', name: 'Total' }],
+      });
+
+    expect(response.body.headers).toEqual(['Total']);
+    expect(response.body.columnTypes).toEqual({ Total: 'number' });
+  });
+
+  it('rejects columns the join does not have and clashing names', async () => {
+    const problems = await Promise.all([
+      join({ outputColumns: [{ file: 'main', column: 'Phone' }] }),
+      join({ joinType: 'semi', outputColumns: [{ file: 'reference', column: 'Phone' }] }),
+      join({ referencePrefix: '' }),
+      join({
+        outputColumns: [
+          { file: 'main', column: 'Name' },
+          { file: 'main', column: 'Name' },
+        ],
+      }),
+      join({ conflictStrategy: 'overwrite' }),
+    ]);
+
+    expect(problems.map((response) => response.status)).toEqual([400, 400, 400, 400, 400]);
+    expect(problems.map((response) => response.body.error)).toEqual([
+      'Output column "Phone" not found in the main file',
+      'This join type returns no reference file columns, so "Phone" cannot be output',
+      'Output column names must be unique: "Id" is used twice',
+      'Output column "Name" is listed twice',
+      'Conflict strategy must be one of: prefixAll, prefixConflicts, coalesce',
+    ]);
+  });
+});
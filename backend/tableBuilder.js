@@ -0,0 +1,252 @@
+/**
+ * Table Builder
+ * Turns rows of cell values into the parsed structure every file parser returns:
+ * { headers, data, columnTypes, columnFormats, totalRows, layout }
+ *
+ * Reports often start with title rows and use merged, multi-row headers, so the header is
+ * located rather than assumed to be the first row:
+ * - `headerRow` is the 1-based sheet row holding the header, or 'auto' to detect it from the
+ *   first rows (the first wide, mostly-text row)
+ * - `headerRowCount` is how many rows the header spans, or 'auto' to detect a two-row header
+ *   whose top row has merged cells
+ * - `range` limits the table to a block of cells ({ startRow, endRow, startColumn, endColumn })
+ * - `headers` supplies the column names up front (e.g. from an Excel Table), so every row in
+ *   the range is data
+ * - `locale` and `timeZone` decide how numbers and dates are read when column types are detected
+ *
+ * Multi-row headers are flattened top to bottom ("Q1 Amount"), blank names become `ColumnN` and
+ * repeated names are numbered in order (`Amount`, `Amount_2`).
+ */
+
+import { createTypeSampler, detectDataType, TYPE_SAMPLE_SIZE } from './typeDetection.js';
+import { getValueParser } from './valueParsing.js';
+
+const HEADER_SCAN_ROWS = 25;
+const MAX_HEADER_ROWS = 5;
+
+const isBlank = (value) => value === null || value === undefined || value === '';
+
+const isLabel = (value) => typeof value === 'string' && detectDataType(value) === 'text';
+
+const filledCells = (values) => values.filter((value) => !isBlank(value));
+
+const labelShare = (values) => {
+  const filled = filledCells(values);
+  return filled.length === 0 ? 0 : filled.filter(isLabel).length / filled.length;
+};
+
+/**
+ * Find the header in the first rows of a table. `rows` are { rowNumber, values } for non-empty
+ * rows. Returns { index, count }: the position of the header in `rows` and the rows it spans.
+ */
+function detectHeaderLayout(rows) {
+  if (rows.length === 0) return { index: 0, count: 1 };
+
+  const width = Math.max(...rows.map((row) => filledCells(row.values).length));
+  const minFilled = Math.min(width, Math.max(2, Math.ceil(width / 2)));
+
+  // Title and note rows fill only a cell or two; the header is the first wide row of labels
+  let index = rows.findIndex(
+    (row) => filledCells(row.values).length >= minFilled && labelShare(row.values) >= 0.8,
+  );
+  if (index === -1) index = 0;
+
+  return { index, count: detectHeaderRowCount(rows, index) };
+}
+
+// A two-row header has gaps in its top row (merged cells) that the row below labels, and is
+// followed by a row that is not all labels
+function detectHeaderRowCount(rows, index) {
+  const [top, bottom, next] = rows.slice(index, index + 3).map((row) => row.values);
+  if (!bottom || !next) return 1;
+
+  const firstLabel = top.findIndex((value) => !isBlank(value));
+  const labelsUnderGaps = bottom.some(
+    (value, idx) => idx > firstLabel && isBlank(top[idx]) && isLabel(value),
+  );
+
+  return labelsUnderGaps && labelShare(bottom) >= 0.8 && labelShare(next) < 0.8 ? 2 : 1;
+}
+
+// Join multi-row header cells into one name per column. Upper rows carry merged labels to the
+// right ("Q1" spans the columns after it until the next label).
+function flattenHeaderRows(headerRows) {
+  const width = Math.max(...headerRows.map((values) => values.length));
+
+  const filled = headerRows.map((values, rowIdx) => {
+    const isLastRow = rowIdx === headerRows.length - 1;
+    let carried = null;
+    return Array.from({ length: width }, (_, idx) => {
+      const value = isBlank(values[idx]) ? null : String(values[idx]).trim();
+      if (value) carried = value;
+      return isLastRow ? value : value || carried;
+    });
+  });
+
+  return Array.from({ length: width }, (_, idx) => {
+    const parts = [];
+    filled.forEach((values) => {
+      if (values[idx] && !parts.includes(values[idx])) parts.push(values[idx]);
+    });
+    return parts.join(' ');
+  });
+}
+
+// Name blank columns `ColumnN` and number repeated names (`Amount`, `Amount_2`), skipping any
+// generated name that is already used by another column
+function dedupeHeaders(names) {
+  const named = names.map((name, idx) => name || `Column${idx + 1}`);
+  const taken = new Set(named);
+  const seen = new Set();
+  const nextSuffix = new Map();
+
+  return named.map((name) => {
+    if (!seen.has(name)) {
+      seen.add(name);
+      return name;
+    }
+
+    let suffix = nextSuffix.get(name) || 2;
+    while (taken.has(`${name}_${suffix}`)) suffix++;
+    nextSuffix.set(name, suffix + 1);
+
+    const unique = `${name}_${suffix}`;
+    taken.add(unique);
+    return unique;
+  });
+}
+
+function resolveHeaderRows(pending, headerRow, headerRowCount) {
+  if (headerRow === 'auto') {
+    const detected = detectHeaderLayout(pending.slice(0, HEADER_SCAN_ROWS));
+    const count = headerRowCount === 'auto' ? detected.count : headerRowCount;
+    return { index: detected.index, count };
+  }
+
+  // Rows above an explicit header row are never buffered, so the header is the first one
+  const count = headerRowCount === 'auto' ? detectHeaderRowCount(pending, 0) : headerRowCount;
+  return { index: 0, count };
+}
+
+function createTableBuilder({
+  headerRow = 'auto',
+  headerRowCount = 'auto',
+  range = null,
+  headers: fixedHeaders = null,
+  locale,
+  timeZone,
+} = {}) {
+  const sampler = createTypeSampler(TYPE_SAMPLE_SIZE, getValueParser({ locale, timeZone }));
+  const data = [];
+  let headers = fixedHeaders ? dedupeHeaders(fixedHeaders) : null;
+  let layout = null;
+  // Non-empty rows held back until the header has been located
+  let pending = [];
+  let rowsSeen = 0;
+  let skippedAboveHeader = false;
+
+  const addDataRow = (values) => {
+    const rowObj = {};
+    headers.forEach((header, idx) => {
+      const value = values[idx];
+      rowObj[header] = isBlank(value) ? null : value;
+      sampler.add(header, rowObj[header]);
+    });
+    data.push(rowObj);
+
+    if (data.length % 500000 === 0) {
+      console.log(`Parsed ${data.length.toLocaleString()} rows...`);
+    }
+  };
+
+  const locateHeader = () => {
+    const { index, count } = resolveHeaderRows(pending, headerRow, headerRowCount);
+    const headerRows = pending.slice(index, index + count);
+
+    headers = dedupeHeaders(flattenHeaderRows(headerRows.map((row) => row.values)));
+    layout = { headerRow: headerRows[0].rowNumber, headerRowCount: headerRows.length };
+
+    const rest = pending.slice(index + count);
+    pending = null;
+    rest.forEach((row) => addDataRow(row.values));
+  };
+
+  // Enough rows have been buffered once detection has its sample, or once an explicit header
+  // and the row after it have arrived
+  const headerReady = () => {
+    if (headerRow === 'auto') return pending.length >= HEADER_SCAN_ROWS;
+    return pending.length > (headerRowCount === 'auto' ? 2 : headerRowCount);
+  };
+
+  /**
+   * Add one row of cell values. `rowNumber` is the 1-based row in the sheet or file; it
+   * defaults to counting the rows added.
+   */
+  const addRow = (values, rowNumber = rowsSeen + 1) => {
+    rowsSeen = rowNumber;
+
+    if (range) {
+      if (rowNumber < range.startRow || rowNumber > range.endRow) return;
+      values = values.slice(range.startColumn - 1, range.endColumn);
+    }
+    if (!values.some((value) => !isBlank(value))) return;
+
+    if (headers) {
+      addDataRow(values);
+      return;
+    }
+
+    // Rows above an explicit header row are titles or notes
+    if (headerRow !== 'auto' && rowNumber < headerRow) {
+      skippedAboveHeader = true;
+      return;
+    }
+
+    pending.push({ rowNumber, values });
+    if (headerReady()) locateHeader();
+  };
+
+  const finish = () => {
+    if (!headers && pending.length > 0) locateHeader();
+    if (!headers && skippedAboveHeader) {
+      throw new Error(`Header row ${headerRow} is past the end of the data`);
+    }
+
+    const columnTypes = sampler.getColumnTypes(headers || []);
+    return {
+      headers: headers || [],
+      data,
+      columnTypes,
+      columnFormats: sampler.getColumnFormats(columnTypes),
+      totalRows: data.length,
+      ...(layout && { layout }),
+    };
+  };
+
+  return { addRow, finish };
+}
+
+/**
+ * Validate user-supplied header options. Each is 'auto' (the default) or a positive whole number.
+ */
+function resolveHeaderOptions({ headerRow, headerRowCount } = {}) {
+  const parse = (value, message, max = Infinity) => {
+    if (value === undefined || value === null || value === '' || value === 'auto') return 'auto';
+    const number = Number(value);
+    if (!Number.isInteger(number) || number < 1 || number > max) {
+      throw new Error(message);
+    }
+    return number;
+  };
+
+  return {
+    headerRow: parse(headerRow, 'Header row must be "auto" or a positive row number'),
+    headerRowCount: parse(
+      headerRowCount,
+      `Header row count must be "auto" or a number from 1 to ${MAX_HEADER_ROWS}`,
+      MAX_HEADER_ROWS,
+    ),
+  };
+}
+
+export { createTableBuilder, detectHeaderLayout, dedupeHeaders, resolveHeaderOptions };
@@ -0,0 +1,365 @@
+/**
+ * Text Matching
+ * Evaluates the text conditions (contains, doesNotContain, startsWith, endsWith, exactMatch and
+ * matchesRegex) with per-filter options:
+ * - caseSensitive: defaults to false, except for exactMatch which has always been case-sensitive
+ * - normalizeWhitespace: trim and collapse runs of whitespace before comparing
+ * - ignoreAccents: compare "café" and "cafe" as equal
+ *
+ * Regular expressions come from users, so a pattern is rejected before use when it can
+ * backtrack catastrophically (nested or alternated unbounded repetition such as (a+)+ or
+ * (a|aa)*, repeated groups such as (.*a){12}, overlapping repetitions such as \w*\w*, and
+ * backreferences). Only the first MAX_REGEX_INPUT_LENGTH characters of a cell are searched, and
+ * a filter is aborted when matching a single cell takes longer than REGEX_MATCH_TIMEOUT_MS: cells
+ * longer than SHORT_INPUT_LENGTH are matched in a vm script, which can be interrupted mid-match.
+ * However many rows a filter scans, each cell gets the same time.
+ */
+
+import vm from 'node:vm';
+
+const TEXT_CONDITIONS = new Set([
+  'contains',
+  'doesNotContain',
+  'startsWith',
+  'endsWith',
+  'exactMatch',
+  'matchesRegex',
+]);
+
+const MAX_PATTERN_LENGTH = 500;
+const MAX_REGEX_INPUT_LENGTH = 10000;
+const REGEX_MATCH_TIMEOUT_MS = Number(process.env.REGEX_MATCH_TIMEOUT_MS || 1000);
+// Cells this short are matched directly; too short for a match that passed the checks to hang
+const SHORT_INPUT_LENGTH = 100;
+const regexScript = new vm.Script('regex.test(input)');
+
+// Compiled patterns and normalized filter values are cached per filter object
+const compiledFilters = new WeakMap();
+
+function isTextCondition(condition) {
+  return TEXT_CONDITIONS.has(condition);
+}
+
+function getTextOptions(filter) {
+  return {
+    caseSensitive: filter.caseSensitive ?? filter.condition === 'exactMatch',
+    normalizeWhitespace: Boolean(filter.normalizeWhitespace),
+    ignoreAccents: Boolean(filter.ignoreAccents),
+  };
+}
+
+function normalizeText(value, { caseSensitive, normalizeWhitespace, ignoreAccents }) {
+  let text = value !== null && value !== undefined ? String(value) : '';
+  if (normalizeWhitespace) text = text.replace(/\s+/g, ' ').trim();
+  if (ignoreAccents) text = text.normalize('NFD').replace(/\p{Diacritic}/gu, '');
+  if (!caseSensitive) text = text.toLowerCase();
+  return text;
+}
+
+// Characters tried against an atom to tell which ones it matches, and which atoms overlap
+const SAMPLE_CHARS = [
+  '\t',
+  '\n',
+  ...Array.from({ length: 95 }, (_, index) => String.fromCharCode(32 + index)),
+  '\u00a0',
+  'é',
+  'ж',
+  '中',
+];
+const ALL_CHARS = SAMPLE_CHARS.join('');
+// Unbounded repetitions allowed in a row when only characters they all match separate them
+const MAX_REPETITION_CHAIN = 3;
+const atomChars = new Map();
+
+// The sample characters a single-character atom (literal, escape, class or .) matches
+function getAtomChars(source) {
+  if (!atomChars.has(source)) {
+    if (atomChars.size > 1000) atomChars.clear();
+    let chars = ALL_CHARS;
+    try {
+      const regex = new RegExp(`^(?:${source})$`, 'i');
+      chars = SAMPLE_CHARS.filter((char) => regex.test(char)).join('');
+    } catch {
+      // Matched on its own it is not valid; assume it can match anything
+    }
+    atomChars.set(source, chars);
+  }
+  return atomChars.get(source);
+}
+
+const overlaps = (a, b) => [...a].some((char) => b.includes(char));
+
+// Read the quantifier starting at `index`, if any, as { min, max, length }
+function readQuantifier(pattern, index) {
+  const char = pattern[index];
+  let quantifier = null;
+  if (char === '*') quantifier = { min: 0, max: Infinity, length: 1 };
+  if (char === '+') quantifier = { min: 1, max: Infinity, length: 1 };
+  if (char === '?') quantifier = { min: 0, max: 1, length: 1 };
+  if (char === '{') {
+    const match = /^\{(\d+)(,(\d*))?\}/.exec(pattern.slice(index));
+    if (match) {
+      const min = Number(match[1]);
+      let max = min;
+      if (match[2] !== undefined) max = match[3] === '' ? Infinity : Number(match[3]);
+      quantifier = { min, max, length: match[0].length };
+    }
+  }
+  // A lazy quantifier backtracks just as much
+  if (quantifier && pattern[index + quantifier.length] === '?') quantifier.length++;
+  return quantifier;
+}
+
+// Length of the escape sequence starting at `index`
+function readEscapeLength(pattern, index) {
+  const next = pattern[index + 1];
+  if (next === 'x') return 4;
+  if (next === 'c') return 3;
+  if (next === 'u') {
+    return pattern[index + 2] === '{' ? pattern.indexOf('}', index) - index + 1 : 6;
+  }
+  return 2;
+}
+
+/**
+ * Parse a valid pattern into a tree of atoms ({ chars }) and groups ({ branches, zeroWidth }),
+ * each with the { min, max } of its quantifier. Anchors and \b are left out.
+ */
+function parsePattern(pattern) {
+  let i = 0;
+  let backreference = false;
+
+  function parseBranches() {
+    const branches = [[]];
+    while (i < pattern.length && pattern[i] !== ')') {
+      const char = pattern[i];
+      let node = null;
+
+      if (char === '|') {
+        branches.push([]);
+        i++;
+      } else if (char === '^' || char === '$') {
+        i++;
+      } else if (char === '(') {
+        const opening = /^\((\?(:|<?[=!]|<[^>]*>))?/.exec(pattern.slice(i))[0];
+        i += opening.length;
+        node = { branches: parseBranches(), zeroWidth: /[=!]$/.test(opening) };
+        i++;
+      } else if (char === '[') {
+        // Quantifiers inside a character class are literal characters
+        const start = i;
+        i++;
+        if (pattern[i] === '^') i++;
+        if (pattern[i] === ']') i++;
+        while (i < pattern.length && pattern[i] !== ']') {
+          if (pattern[i] === '\\') i++;
+          i++;
+        }
+        i++;
+        node = { chars: getAtomChars(pattern.slice(start, i)) };
+      } else if (char === '\\') {
+        const next = pattern[i + 1];
+        if (/[1-9]/.test(next) || (next === 'k' && pattern[i + 2] === '<')) backreference = true;
+        const length = readEscapeLength(pattern, i);
+        if (next !== 'b' && next !== 'B')
+          node = { chars: getAtomChars(pattern.slice(i, i + length)) };
+        i += length;
+      } else {
+        // Punctuation is escaped to read as itself; letters, digits and . stay as they are
+        node = { chars: getAtomChars(/[\w\s.]/.test(char) ? char : `\\${char}`) };
+        i++;
+      }
+
+      if (node) {
+        const quantifier = readQuantifier(pattern, i);
+        node.min = quantifier ? quantifier.min : 1;
+        node.max = quantifier ? quantifier.max : 1;
+        if (quantifier) i += quantifier.length;
+        branches[branches.length - 1].push(node);
+      }
+    }
+    return branches;
+  }
+
+  return { root: { branches: parseBranches(), min: 1, max: 1 }, backreference };
+}
+
+// The characters a node can match, whether it repeats without bound somewhere inside, and
+// whether it always matches at least one character
+function describeNode(node) {
+  if (node.description) return node.description;
+  let description;
+  if (node.chars !== undefined) {
+    description = { chars: node.chars, repeats: false, nonEmpty: true };
+  } else {
+    const items = node.branches.flat().map(describeNode);
+    description = {
+      chars: [...new Set(items.map((item) => item.chars).join(''))].join(''),
+      repeats: node.branches
+        .flat()
+        .some((child) => describeNode(child).repeats || child.max === Infinity),
+      nonEmpty:
+        !node.zeroWidth &&
+        node.branches.every((branch) =>
+          branch.some((child) => child.min > 0 && describeNode(child).nonEmpty),
+        ),
+    };
+  }
+  node.description = description;
+  return description;
+}
+
+/**
+ * Walk a sequence of nodes, rejecting overlapping unbounded repetitions: two in a row with only
+ * optional parts between them (\w*\w*), or more than MAX_REPETITION_CHAIN separated only by
+ * characters they can match too (.*a.*a.*a.*a). Groups that are neither repeated nor
+ * alternated are walked as part of the sequence; others are checked on their own and then
+ * count as one part.
+ */
+function checkSequence(nodes, state) {
+  for (const node of nodes) {
+    const problem = checkNode(node, state);
+    if (problem) return problem;
+  }
+  return null;
+}
+
+function checkNode(node, state) {
+  if (node.branches) {
+    const description = describeNode(node);
+    if (node.max === Infinity && (description.repeats || node.branches.length > 1)) {
+      return description.repeats
+        ? 'Nested repetition such as (a+)+ can take exponential time'
+        : 'Repeated alternation such as (a|b)+ can take exponential time; use a character class like [ab]+ instead';
+    }
+    if (node.max > 1 && description.repeats) {
+      return 'Repeating a group that contains * or +, such as (.*a){12}, can take very long';
+    }
+    if (node.min === 1 && node.max === 1 && node.branches.length === 1 && !node.zeroWidth) {
+      return checkSequence(node.branches[0], state);
+    }
+    for (const branch of node.branches) {
+      const problem = checkSequence(branch, { adjacent: [], chain: [] });
+      if (problem) return problem;
+    }
+    if (node.zeroWidth) return null;
+  }
+
+  const { chars, repeats, nonEmpty } = describeNode(node);
+  const mandatory = node.min > 0 && nonEmpty;
+  if (node.max === Infinity || repeats) {
+    if (state.adjacent.some((previous) => overlaps(previous, chars))) {
+      return 'Adjacent repetitions that can match the same characters, such as \\w*\\w*, can take very long';
+    }
+    if (mandatory && !state.chain.some((previous) => overlaps(previous, chars))) {
+      state.chain = [];
+    }
+    state.chain.push(chars);
+    if (state.chain.length > MAX_REPETITION_CHAIN) {
+      return `More than ${MAX_REPETITION_CHAIN} repetitions that can match the same characters, such as .*a.*a.*a.*a, can take very long`;
+    }
+    state.adjacent = mandatory ? [chars] : [...state.adjacent, chars];
+  } else if (mandatory) {
+    state.adjacent = [];
+    if (!state.chain.some((previous) => overlaps(previous, chars))) state.chain = [];
+  }
+  return null;
+}
+
+/**
+ * Describe why a pattern could backtrack catastrophically, or return null when it is safe:
+ * backreferences, groups containing unbounded repetition that are themselves repeated, repeated
+ * alternation, and unbounded repetitions that can match the same characters one after another.
+ */
+function findUnsafeConstruct(pattern) {
+  const { root, backreference } = parsePattern(pattern);
+  if (backreference) return 'Backreferences are not supported';
+  return checkNode(root, { adjacent: [], chain: [] });
+}
+
+/**
+ * Check a user-supplied pattern. Returns an error message, or null when the pattern can be used.
+ */
+function validateRegexPattern(pattern) {
+  if (typeof pattern !== 'string' || pattern === '') {
+    return 'Enter a pattern';
+  }
+  if (pattern.length > MAX_PATTERN_LENGTH) {
+    return `Patterns are limited to ${MAX_PATTERN_LENGTH} characters`;
+  }
+
+  try {
+    new RegExp(pattern);
+  } catch (error) {
+    return error.message.replace(/^Invalid regular expression: /, 'Invalid pattern: ');
+  }
+
+  return findUnsafeConstruct(pattern);
+}
+
+function compileFilter(filter) {
+  let compiled = compiledFilters.get(filter);
+  if (compiled) return compiled;
+
+  const options = getTextOptions(filter);
+
+  if (filter.condition === 'matchesRegex') {
+    const error = validateRegexPattern(filter.value);
+    if (error) {
+      throw new Error(`Pattern "${filter.value}": ${error}`);
+    }
+    const source = options.ignoreAccents
+      ? normalizeText(filter.value, { caseSensitive: true, ignoreAccents: true })
+      : filter.value;
+    compiled = {
+      options: { ...options, caseSensitive: true },
+      regex: new RegExp(source, options.caseSensitive ? '' : 'i'),
+    };
+  } else {
+    compiled = { options, value: normalizeText(filter.value, options) };
+  }
+
+  compiledFilters.set(filter, compiled);
+  return compiled;
+}
+
+function testRegex(compiled, text) {
+  const input = text.slice(0, MAX_REGEX_INPUT_LENGTH);
+  if (input.length <= SHORT_INPUT_LENGTH) return compiled.regex.test(input);
+
+  if (!compiled.context) compiled.context = vm.createContext({ regex: compiled.regex });
+  compiled.context.input = input;
+  try {
+    return regexScript.runInContext(compiled.context, { timeout: REGEX_MATCH_TIMEOUT_MS });
+  } catch (error) {
+    if (error.code === 'ERR_SCRIPT_EXECUTION_TIMEOUT') {
+      throw new Error('Pattern took too long to evaluate. Please simplify it.');
+    }
+    throw error;
+  }
+}
+
+// Evaluate a text condition against one cell
+function matchesTextCondition(cellValue, filter) {
+  const compiled = compileFilter(filter);
+  const text = normalizeText(cellValue, compiled.options);
+
+  switch (filter.condition) {
+    case 'contains':
+      return text.includes(compiled.value);
+    case 'doesNotContain':
+      return !text.includes(compiled.value);
+    case 'startsWith':
+      return text.startsWith(compiled.value);
+    case 'endsWith':
+      return text.endsWith(compiled.value);
+    case 'exactMatch':
+      return text === compiled.value;
+    case 'matchesRegex':
+      return testRegex(compiled, text);
+    default:
+      return true;
+  }
+}
+
+export { isTextCondition, matchesTextCondition, validateRegexPattern };
@@ -0,0 +1,150 @@
+/**
+ * Column Type Detection
+ * Detects column types from a rolling sample of values that is collected while a file is
+ * streamed, so detection covers the whole file without holding every value twice.
+ */
+
+import { getValueParser } from './valueParsing.js';
+import {
+  COLUMN_TYPES,
+  describeColumnFormat,
+  detectTextType,
+  isTimeOnlyDate,
+  parseBoolean,
+} from './valueTypes.js';
+
+// Maximum number of non-empty values kept per column for type detection
+const TYPE_SAMPLE_SIZE = 200;
+
+// Dates written out with digits, e.g. 2024-03-04, 04/03/2024 or 04.03.2024 13:05
+const DATE_LIKE = /^\d{1,4}[./-]\d{1,2}[./-]\d{1,4}([ T].*)?$/;
+
+// Detect the type of one value, reading numbers and dates with the dataset's locale
+function detectDataType(value, parser = getValueParser()) {
+  if (value === null || value === undefined || value === '') {
+    return 'text';
+  }
+
+  // Check if it's a date - workbook times of day are dates on Excel's day zero
+  if (value instanceof Date) {
+    return isTimeOnlyDate(value) ? 'time' : 'date';
+  }
+
+  if (typeof value === 'boolean') {
+    return 'boolean';
+  }
+
+  // Check if it's a number
+  if (typeof value === 'number') {
+    return 'number';
+  }
+
+  // Check if string can be parsed as date
+  const text = String(value).trim();
+  if (DATE_LIKE.test(text) && !isNaN(parser.parseDate(text))) {
+    return 'date';
+  }
+
+  // Times, durations, booleans and numbers, allowing for separators, currency and percent signs
+  return detectTextType(text, parser) || 'text';
+}
+
+/**
+ * Decide a column's type from its sample. Numbers win over dates and dates over text, as
+ * before; within those families:
+ * - a column of nothing but boolean values (1/0 included) is boolean
+ * - numbers are identifiers if any has a leading zero or too many digits, otherwise currency or
+ *   percentage when most are written that way
+ * - times of day become durations if any value is one (more than 24 hours, or "2h 30m")
+ */
+function decideColumnType(sampleValues, parser) {
+  if (sampleValues.every((value) => parseBoolean(value) !== null)) {
+    return 'boolean';
+  }
+
+  const counts = Object.fromEntries(COLUMN_TYPES.map((type) => [type, 0]));
+  sampleValues.forEach((value) => {
+    counts[detectDataType(value, parser)]++;
+  });
+  // Boolean words among other values are just text
+  counts.text += counts.boolean;
+
+  const numeric = counts.number + counts.currency + counts.percentage + counts.identifier;
+  const temporal = counts.date + counts.time + counts.duration;
+
+  if (numeric >= temporal && numeric >= counts.text) {
+    if (counts.identifier > 0) return 'identifier';
+    if (counts.currency > numeric / 2) return 'currency';
+    if (counts.percentage > numeric / 2) return 'percentage';
+    return 'number';
+  }
+  if (temporal >= counts.text) {
+    if (counts.date >= counts.time + counts.duration) return 'date';
+    return counts.duration > 0 ? 'duration' : 'time';
+  }
+  return 'text';
+}
+
+/**
+ * Collects an evenly spaced sample of each column's non-empty values.
+ * Every `stride`-th value is kept; when a column's sample is full, every other kept value is
+ * dropped and the stride doubles. The sample therefore always spans the rows seen so far and
+ * is deterministic for a given file.
+ */
+function createTypeSampler(sampleSize = TYPE_SAMPLE_SIZE, parser = getValueParser()) {
+  const columns = new Map();
+
+  const add = (header, value) => {
+    if (value === null || value === undefined || value === '') return;
+
+    let column = columns.get(header);
+    if (!column) {
+      column = { values: [], seen: 0, stride: 1 };
+      columns.set(header, column);
+    }
+
+    if (column.seen % column.stride === 0) {
+      column.values.push(value);
+      if (column.values.length >= sampleSize) {
+        column.values = column.values.filter((_value, index) => index % 2 === 0);
+        column.stride *= 2;
+      }
+    }
+    column.seen++;
+  };
+
+  const addRow = (rowObj) => {
+    Object.keys(rowObj).forEach((header) => add(header, rowObj[header]));
+  };
+
+  const getColumnTypes = (headers) => {
+    const columnTypes = {};
+
+    headers.forEach((header) => {
+      const sampleValues = columns.get(header)?.values || [];
+
+      if (sampleValues.length === 0) {
+        columnTypes[header] = 'text';
+        return;
+      }
+
+      columnTypes[header] = decideColumnType(sampleValues, parser);
+    });
+
+    return columnTypes;
+  };
+
+  // Currency symbols and percentage decimals of the columns that have them
+  const getColumnFormats = (columnTypes) => {
+    const columnFormats = {};
+    Object.entries(columnTypes).forEach(([header, type]) => {
+      const format = describeColumnFormat(type, columns.get(header)?.values || [], parser);
+      if (format) columnFormats[header] = format;
+    });
+    return columnFormats;
+  };
+
+  return { add, addRow, getColumnTypes, getColumnFormats };
+}
+
+export { TYPE_SAMPLE_SIZE, detectDataType, createTypeSampler };
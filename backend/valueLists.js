@@ -0,0 +1,133 @@
+/**
+ * Value Lists
+ * Support for the `inList` / `notInList` conditions, which keep or drop rows whose cell is one
+ * of a list of values - typically thousands of IDs pasted by the user or taken from a column of
+ * another uploaded file.
+ *
+ * A list filter looks like:
+ *   { column, condition: 'inList', value: 'A-1\nA-2', trim: true, caseSensitive: false }
+ * The list is given as pasted text in `value` (split on newlines and commas), as a `values`
+ * array, or as `listSource: { datasetId, column }` which the server resolves into `values`.
+ * Each list is turned into a Set once per filter object and reused for every row.
+ *
+ * Lists can also be picked from a column's distinct values (see getDistinctValues), which are
+ * sent back as a `values` array so values containing commas survive.
+ */
+
+const LIST_CONDITIONS = new Set(['inList', 'notInList']);
+
+// Sets are cached per filter object, which stays the same for every row of one request
+const listSets = new WeakMap();
+
+function isListCondition(condition) {
+  return LIST_CONDITIONS.has(condition);
+}
+
+// Split pasted text into values on newlines and commas
+function parseValueList(text) {
+  return String(text).split(/[\r\n,]+/);
+}
+
+// Values are compared as trimmed (by default), case-insensitive (by default) text
+function normalizeListValue(value, { trim = true, caseSensitive = false } = {}) {
+  let text = String(value);
+  if (trim) text = text.trim();
+  if (!caseSensitive) text = text.toLowerCase();
+  return text;
+}
+
+function buildListSet(values, options) {
+  const set = new Set();
+  values.forEach((value) => {
+    if (value === null || value === undefined) return;
+    const key = normalizeListValue(value, options);
+    if (key !== '') set.add(key);
+  });
+  return set;
+}
+
+function getListSet(filter) {
+  let set = listSets.get(filter);
+  if (!set) {
+    const values = Array.isArray(filter.values)
+      ? filter.values
+      : parseValueList(filter.value ?? '');
+    set = buildListSet(values, filter);
+    listSets.set(filter, set);
+  }
+  return set;
+}
+
+// Whether the cell is in the filter's list; empty cells are never in a list
+function matchesValueList(cellValue, filter) {
+  if (cellValue === null || cellValue === undefined) return false;
+  return getListSet(filter).has(normalizeListValue(cellValue, filter));
+}
+
+function validateListFilter(filter) {
+  if (filter.trim !== undefined && typeof filter.trim !== 'boolean') return false;
+  if (filter.caseSensitive !== undefined && typeof filter.caseSensitive !== 'boolean') {
+    return false;
+  }
+
+  if (filter.listSource !== undefined) {
+    const { listSource } = filter;
+    return (
+      Boolean(listSource) &&
+      typeof listSource.datasetId === 'string' &&
+      listSource.datasetId !== '' &&
+      typeof listSource.column === 'string' &&
+      listSource.column !== ''
+    );
+  }
+
+  if (Array.isArray(filter.values)) {
+    return filter.values.length > 0;
+  }
+
+  return typeof filter.value === 'string' && filter.value.trim() !== '';
+}
+
+// Distinct values per column, cached per row array - datasets get a new array whenever their
+// values are converted, so stale entries are never read
+const distinctCache = new WeakMap();
+
+/**
+ * The distinct values of a column as { value, count } in the order a picker lists them (natural
+ * order, so "Item 2" comes before "Item 10"), and the number of empty cells, which no list can
+ * match. Values are the cells' text, as lists compare them.
+ */
+function getDistinctValues(rows, column, locale) {
+  let columns = distinctCache.get(rows);
+  if (!columns) {
+    columns = new Map();
+    distinctCache.set(rows, columns);
+  }
+
+  let distinct = columns.get(column);
+  if (!distinct) {
+    const counts = new Map();
+    let blanks = 0;
+    rows.forEach((row) => {
+      const value = row[column];
+      const text = value === null || value === undefined ? '' : String(value);
+      if (text.trim() === '') {
+        blanks++;
+        return;
+      }
+      counts.set(text, (counts.get(text) || 0) + 1);
+    });
+
+    const collator = new Intl.Collator(locale, { numeric: true });
+    distinct = {
+      values: [...counts.entries()]
+        .map(([value, count]) => ({ value, count }))
+        .sort((a, b) => collator.compare(a.value, b.value)),
+      blanks,
+    };
+    columns.set(column, distinct);
+  }
+  return distinct;
+}
+
+export { isListCondition, parseValueList, matchesValueList, validateListFilter, getDistinctValues };
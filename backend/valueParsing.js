@@ -0,0 +1,262 @@
+/**
+ * Value Parsing
+ * Locale- and time-zone-aware reading of numbers and dates held in cells. Each dataset records the
+ * locale and time zone chosen at upload; type detection, filtering, sorting and export read its
+ * values through the parser for those settings.
+ *
+ * - Numbers use the locale's thousands and decimal separators ("1.234,56" in de-DE), and may
+ *   carry currency symbols or codes ("€1,200", "1.200 EUR"), a percent sign ("12,5 %" is 0.125)
+ *   or accounting parentheses for negatives. Text that is not wholly a number is not one.
+ * - Numeric dates follow the locale's day/month order ("03/04/2024" is 3 April in en-GB).
+ *   ISO dates are accepted in every locale.
+ *
+ * Dates are handled as wall-clock time in the dataset's time zone, held as epoch milliseconds of
+ * that wall-clock time read as UTC, so calendar days, weekdays and months can be compared without
+ * the server's own zone getting involved. Timestamps with an offset ("2024-03-04T23:30:00Z") are
+ * converted into the dataset's time zone. Workbook dates carry no zone: their UTC fields already
+ * hold the wall-clock value shown in the spreadsheet.
+ */
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+const DEFAULT_LOCALE = process.env.DEFAULT_LOCALE || 'en-US';
+const DEFAULT_TIME_ZONE =
+  process.env.DEFAULT_TIME_ZONE || Intl.DateTimeFormat().resolvedOptions().timeZone;
+
+const ISO_DATE =
+  /^(\d{4})-(\d{2})-(\d{2})(?:[T ](\d{2}):(\d{2})(?::(\d{2})(?:\.(\d{1,3})\d*)?)?)?\s*(Z|[+-]\d{2}:?\d{2})?$/i;
+const YEAR_FIRST_DATE =
+  /^(\d{4})[./](\d{1,2})[./](\d{1,2})(?:[ T](\d{1,2}):(\d{2})(?::(\d{2}))?)?$/;
+const NUMERIC_DATE =
+  /^(\d{1,2})[./-](\d{1,2})[./-](\d{4})(?:[ T,]+(\d{1,2}):(\d{2})(?::(\d{2}))?)?$/;
+// Written-out dates ("4 March 2024", "Mar 4, 2024") are left to Date parsing, which would
+// otherwise read almost any text ending in a number as a date
+const TEXTUAL_DATE =
+  /^(?=.*\b\d{4}\b)(?=.*\b(jan|feb|mar|apr|may|jun|jul|aug|sep|oct|nov|dec)[a-z]*\b)/i;
+
+const CURRENCY_CODES = new Set(Intl.supportedValuesOf('currency'));
+
+const parsers = new Map();
+
+function resolveLocale(locale) {
+  try {
+    const [canonical] = Intl.getCanonicalLocales(locale);
+    if (canonical && Intl.NumberFormat.supportedLocalesOf(canonical).length > 0) {
+      return canonical;
+    }
+  } catch {
+    // Malformed tags are reported below
+  }
+  throw new Error(`Unsupported locale "${locale}"`);
+}
+
+function resolveTimeZone(timeZone) {
+  try {
+    return new Intl.DateTimeFormat('en-US', { timeZone }).resolvedOptions().timeZone;
+  } catch {
+    throw new Error(`Unknown time zone "${timeZone}"`);
+  }
+}
+
+/**
+ * Validate the `locale` and `timeZone` request fields, defaulting each when it is missing or
+ * empty. Throws an Error naming the rejected value.
+ */
+function resolveLocaleOptions({ locale, timeZone } = {}) {
+  return {
+    locale: locale === undefined || locale === '' ? DEFAULT_LOCALE : resolveLocale(locale),
+    timeZone:
+      timeZone === undefined || timeZone === '' ? DEFAULT_TIME_ZONE : resolveTimeZone(timeZone),
+  };
+}
+
+const escapeRegex = (text) => text.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+
+function createNumberParser(locale) {
+  const parts = new Intl.NumberFormat(locale).formatToParts(1234567.8);
+  const group = parts.find((part) => part.type === 'group')?.value ?? ',';
+  const decimal = parts.find((part) => part.type === 'decimal')?.value ?? '.';
+
+  // Space-like separators (fr-FR uses a narrow no-break space) also match ordinary spaces, and
+  // the typographic apostrophe of de-CH matches a plain one
+  const groupPattern = /\s/.test(group) ? '\\s' : group === '’' ? "['’]" : escapeRegex(group);
+  const decimalPattern = escapeRegex(decimal);
+  const numberPattern = new RegExp(
+    `^(?:(?:\\d{1,3}(?:${groupPattern}\\d{2,3})*${groupPattern}\\d{3}|\\d+)(?:${decimalPattern}\\d*)?|${decimalPattern}\\d+)(?:e[+-]?\\d+)?$`,
+    'i',
+  );
+  const groupRegex = new RegExp(groupPattern, 'g');
+
+  return (value) => {
+    if (typeof value === 'number') return value;
+    if (typeof value !== 'string') return NaN;
+
+    let text = value.trim();
+    let negative = false;
+    let percent = false;
+
+    if (/^\(.*\)$/.test(text)) {
+      negative = true;
+      text = text.slice(1, -1);
+    }
+    text = text
+      .replace(/\p{Sc}/gu, '')
+      .replace(/^([A-Z]{3})\s+|\s+([A-Z]{3})$/g, (match, before, after) =>
+        CURRENCY_CODES.has(before || after) ? '' : match,
+      )
+      .trim();
+    if (text.startsWith('%') || text.endsWith('%')) {
+      percent = true;
+      text = text.replace(/^%|%$/, '').trim();
+    }
+    const sign = /^[-+−]/.exec(text);
+    if (sign) {
+      negative = negative !== (sign[0] !== '+');
+      text = text.slice(1).trim();
+    }
+
+    if (!numberPattern.test(text)) return NaN;
+
+    const number = Number(text.replace(groupRegex, '').replace(decimal, '.'));
+    return (negative ? -number : number) / (percent ? 100 : 1);
+  };
+}
+
+// Wall-clock milliseconds, or NaN when the fields do not form a real date
+function wallClock(year, month, day, hours = 0, minutes = 0, seconds = 0, milliseconds = 0) {
+  const time = Date.UTC(year, month - 1, day, hours, minutes, seconds, milliseconds);
+  const date = new Date(time);
+  const valid =
+    date.getUTCFullYear() === year &&
+    date.getUTCMonth() === month - 1 &&
+    date.getUTCDate() === day &&
+    hours < 24 &&
+    minutes < 60 &&
+    seconds < 60;
+  return valid ? time : NaN;
+}
+
+function createDateParser(locale, timeZone) {
+  const order = new Intl.DateTimeFormat(locale)
+    .formatToParts(new Date(2024, 10, 22))
+    .map((part) => part.type);
+  const dayFirst = order.indexOf('day') < order.indexOf('month');
+
+  const zoneFormat = new Intl.DateTimeFormat('en-US', {
+    timeZone,
+    hourCycle: 'h23',
+    year: 'numeric',
+    month: 'numeric',
+    day: 'numeric',
+    hour: 'numeric',
+    minute: 'numeric',
+    second: 'numeric',
+  });
+
+  // Wall-clock time in the dataset's zone of an absolute instant
+  const fromInstant = (instant) => {
+    const fields = {};
+    zoneFormat.formatToParts(new Date(instant)).forEach((part) => {
+      fields[part.type] = Number(part.value);
+    });
+    return (
+      Date.UTC(
+        fields.year,
+        fields.month - 1,
+        fields.day,
+        fields.hour,
+        fields.minute,
+        fields.second,
+      ) +
+      (((instant % 1000) + 1000) % 1000)
+    );
+  };
+
+  const parseDate = (value) => {
+    if (value instanceof Date) return value.getTime();
+    if (typeof value !== 'string') return NaN;
+
+    const text = value.trim();
+    const toNumbers = (match) => match.slice(1, 7).map((part) => Number(part || 0));
+
+    const iso = ISO_DATE.exec(text);
+    if (iso) {
+      const [year, month, day, hours, minutes, seconds] = toNumbers(iso);
+      const milliseconds = Number((iso[7] || '').padEnd(3, '0'));
+      const time = wallClock(year, month, day, hours, minutes, seconds, milliseconds);
+      if (isNaN(time) || !iso[8]) return time;
+
+      // An offset makes the value an instant; convert it into the dataset's zone
+      const offset = iso[8].toUpperCase() === 'Z' ? '+00:00' : iso[8];
+      const offsetMinutes = Number(offset.slice(1, 3)) * 60 + Number(offset.slice(-2));
+      return fromInstant(time - (offset[0] === '-' ? -1 : 1) * offsetMinutes * 60 * 1000);
+    }
+
+    const yearFirst = YEAR_FIRST_DATE.exec(text);
+    if (yearFirst) {
+      const [year, month, day, hours, minutes, seconds] = toNumbers(yearFirst);
+      return wallClock(year, month, day, hours, minutes, seconds);
+    }
+
+    const numeric = NUMERIC_DATE.exec(text);
+    if (numeric) {
+      const [first, second, year, hours, minutes, seconds] = toNumbers(numeric);
+      return dayFirst
+        ? wallClock(year, second, first, hours, minutes, seconds)
+        : wallClock(year, first, second, hours, minutes, seconds);
+    }
+
+    if (TEXTUAL_DATE.test(text)) {
+      const date = new Date(text);
+      return isNaN(date.getTime())
+        ? NaN
+        : Date.UTC(
+            date.getFullYear(),
+            date.getMonth(),
+            date.getDate(),
+            date.getHours(),
+            date.getMinutes(),
+            date.getSeconds(),
+          );
+    }
+
+    return NaN;
+  };
+
+  return { parseDate, now: () => fromInstant(Date.now()) };
+}
+
+/**
+ * Parser for a dataset's `{ locale, timeZone }` (defaults for missing settings):
+ * - parseNumber(value): the number a cell holds, or NaN
+ * - parseDate(value): the wall-clock time a cell holds, or NaN
+ * - now(): the current wall-clock time in the time zone
+ * Parsers are cached, one per locale and time zone.
+ */
+function getValueParser({ locale = DEFAULT_LOCALE, timeZone = DEFAULT_TIME_ZONE } = {}) {
+  const key = `${locale}|${timeZone}`;
+  let parser = parsers.get(key);
+  if (!parser) {
+    parser = {
+      locale,
+      timeZone,
+      parseNumber: createNumberParser(locale),
+      ...createDateParser(locale, timeZone),
+    };
+    parsers.set(key, parser);
+  }
+  return parser;
+}
+
+// Whole days since the epoch of a wall-clock time, for date-only comparisons
+const toDayNumber = (time) => Math.floor(time / DAY_MS);
+
+export {
+  CURRENCY_CODES,
+  DAY_MS,
+  DEFAULT_LOCALE,
+  DEFAULT_TIME_ZONE,
+  getValueParser,
+  resolveLocaleOptions,
+  toDayNumber,
+};
@@ -0,0 +1,338 @@
+/**
+ * Value Types
+ * Reading of the column types beyond text, number and date:
+ * - boolean: true/false, yes/no, y/n and 1/0 (any case), and workbook booleans
+ * - currency and percentage: numbers read with the dataset's locale (see valueParsing.js), whose
+ *   symbol and decimals are kept as column formats so exports can restore them
+ * - time: a time of day ("13:05", "1:05 PM", or a workbook time without a date)
+ * - duration: an elapsed time ("36:15:00", "2h 30m", "90 min", "PT1H30M", or an Excel day fraction)
+ * - identifier: digits that must stay text, such as ZIP codes with leading zeros ("02134") or
+ *   account numbers too long to survive as a number
+ *
+ * Times of day and durations are compared in seconds.
+ */
+
+import { CURRENCY_CODES } from './valueParsing.js';
+
+const COLUMN_TYPES = [
+  'text',
+  'number',
+  'date',
+  'boolean',
+  'currency',
+  'percentage',
+  'time',
+  'duration',
+  'identifier',
+];
+
+const SECONDS_PER_DAY = 24 * 60 * 60;
+
+const TRUE_TOKENS = new Set(['true', 'yes', 'y', '1']);
+const FALSE_TOKENS = new Set(['false', 'no', 'n', '0']);
+
+const TIME_OF_DAY = /^(\d{1,2}):(\d{2})(?::(\d{2})(?:\.\d+)?)?\s*(?:([ap])\.?m\.?)?$/i;
+const CLOCK_DURATION = /^([-−])?(\d+):([0-5]\d)(?::([0-5]\d)(?:\.\d+)?)?$/;
+const ISO_DURATION =
+  /^P(?:(\d+(?:\.\d+)?)D)?(?:T(?:(\d+(?:\.\d+)?)H)?(?:(\d+(?:\.\d+)?)M)?(?:(\d+(?:\.\d+)?)S)?)?$/i;
+const UNIT_PART =
+  /(\d+(?:[.,]\d+)?)\s*(days?|d|hours?|hrs?|h|minutes?|mins?|m|seconds?|secs?|s)\b/gi;
+const UNIT_DURATION =
+  /^(?:\s*\d+(?:[.,]\d+)?\s*(?:days?|d|hours?|hrs?|h|minutes?|mins?|m|seconds?|secs?|s)\b\s*,?)+$/i;
+const UNIT_SECONDS = { d: SECONDS_PER_DAY, h: 60 * 60, m: 60, s: 1 };
+
+// Digits that only look numeric: leading zeros, or more digits than a number can hold exactly
+const IDENTIFIER_LIKE = /^(0\d+|\d{16,})$/;
+const CURRENCY_CODE = /^([A-Z]{3})\s|\s([A-Z]{3})$/;
+
+// Workbooks keep times without a date on Excel's day zero, 1899-12-30
+const EXCEL_EPOCH = Date.UTC(1899, 11, 30);
+
+const pad = (number) => String(number).padStart(2, '0');
+
+// true, false, or null when the value is not a boolean
+function parseBoolean(value) {
+  if (typeof value === 'boolean') return value;
+  if (value === null || value === undefined) return null;
+
+  const token = String(value).trim().toLowerCase();
+  if (TRUE_TOKENS.has(token)) return true;
+  if (FALSE_TOKENS.has(token)) return false;
+  return null;
+}
+
+// Whether a workbook date holds only a time of day
+const isTimeOnlyDate = (date) =>
+  date.getTime() >= EXCEL_EPOCH && date.getTime() < EXCEL_EPOCH + 2 * SECONDS_PER_DAY * 1000;
+
+// Seconds since midnight, or NaN
+function parseTimeOfDay(value) {
+  if (value instanceof Date) {
+    const time = value.getTime();
+    return isNaN(time)
+      ? NaN
+      : value.getUTCHours() * 3600 + value.getUTCMinutes() * 60 + value.getUTCSeconds();
+  }
+  if (typeof value === 'number') {
+    // Excel stores times as fractions of a day
+    return value >= 0 && value < 1 ? Math.round(value * SECONDS_PER_DAY) : NaN;
+  }
+  if (typeof value !== 'string') return NaN;
+
+  const match = TIME_OF_DAY.exec(value.trim());
+  if (!match) return NaN;
+
+  let hours = Number(match[1]);
+  const minutes = Number(match[2]);
+  const seconds = Number(match[3] || 0);
+  const meridiem = match[4]?.toLowerCase();
+  if (meridiem) {
+    if (hours < 1 || hours > 12) return NaN;
+    hours = (hours % 12) + (meridiem === 'p' ? 12 : 0);
+  }
+
+  return hours < 24 && minutes < 60 && seconds < 60 ? hours * 3600 + minutes * 60 + seconds : NaN;
+}
+
+// Length of an elapsed time in seconds, or NaN
+function parseDuration(value) {
+  if (value instanceof Date) {
+    // Workbook durations are days counted from Excel's day zero
+    return isNaN(value.getTime()) ? NaN : Math.round((value.getTime() - EXCEL_EPOCH) / 1000);
+  }
+  if (typeof value === 'number') {
+    return isFinite(value) ? Math.round(value * SECONDS_PER_DAY) : NaN;
+  }
+  if (typeof value !== 'string') return NaN;
+
+  const text = value.trim();
+
+  const clock = CLOCK_DURATION.exec(text);
+  if (clock) {
+    const seconds = Number(clock[2]) * 3600 + Number(clock[3]) * 60 + Number(clock[4] || 0);
+    return clock[1] ? -seconds : seconds;
+  }
+
+  const iso = ISO_DURATION.exec(text);
+  if (iso && /\d/.test(text)) {
+    const [days, hours, minutes, seconds] = iso.slice(1, 5).map((part) => Number(part || 0));
+    return Math.round(days * SECONDS_PER_DAY + hours * 3600 + minutes * 60 + seconds);
+  }
+
+  if (UNIT_DURATION.test(text)) {
+    let total = 0;
+    for (const [, amount, unit] of text.matchAll(UNIT_PART)) {
+      total += Number(amount.replace(',', '.')) * UNIT_SECONDS[unit[0].toLowerCase()];
+    }
+    return Math.round(total);
+  }
+
+  return NaN;
+}
+
+// "13:05:00" for seconds since midnight
+function formatTimeOfDay(seconds) {
+  return `${pad(Math.floor(seconds / 3600))}:${pad(Math.floor(seconds / 60) % 60)}:${pad(seconds % 60)}`;
+}
+
+// "36:15:00" (hours may exceed a day) for a duration in seconds
+function formatDuration(seconds) {
+  const sign = seconds < 0 ? '-' : '';
+  return `${sign}${formatTimeOfDay(Math.abs(seconds))}`;
+}
+
+// Currency symbol or ISO code a number is written with, and on which side, or null
+function findCurrency(text) {
+  const symbol = /\p{Sc}/u.exec(text);
+  if (symbol) {
+    return {
+      symbol: symbol[0],
+      position: symbol.index < text.search(/\d/) ? 'prefix' : 'suffix',
+    };
+  }
+
+  const code = CURRENCY_CODE.exec(text);
+  const found = code && (code[1] || code[2]);
+  if (found && CURRENCY_CODES.has(found)) {
+    return { symbol: found, position: code[1] ? 'prefix' : 'suffix' };
+  }
+  return null;
+}
+
+/**
+ * Type of a single string that is not a date, or null when it is plain text. Numbers are read
+ * with the dataset's parser.
+ */
+function detectTextType(text, parser) {
+  if (!isNaN(parseTimeOfDay(text))) return 'time';
+  if (!isNaN(parseDuration(text))) return 'duration';
+  if (parseBoolean(text) !== null && isNaN(Number(text))) return 'boolean';
+
+  if (isNaN(parser.parseNumber(text))) return null;
+  if (IDENTIFIER_LIKE.test(text)) return 'identifier';
+  if (text.startsWith('%') || text.endsWith('%')) return 'percentage';
+  if (findCurrency(text)) return 'currency';
+  return 'number';
+}
+
+// Digits after the decimal point of a number, up to four
+function countDecimals(number) {
+  const [, fraction = ''] = String(parseFloat(number.toFixed(4))).split('.');
+  return fraction.length;
+}
+
+/**
+ * Display format of a currency or percentage column, worked out from sample values:
+ * { symbol, position, decimals } for currency (the most common symbol wins), { decimals } for
+ * percentages. Other types have no format (null).
+ */
+function describeColumnFormat(type, values, parser) {
+  if (type === 'currency') {
+    const symbols = new Map();
+    let fractional = false;
+    values.forEach((value) => {
+      if (typeof value === 'number') {
+        fractional = fractional || !Number.isInteger(value);
+        return;
+      }
+      const text = String(value).trim();
+      const currency = findCurrency(text);
+      if (currency) {
+        const key = `${currency.position}|${currency.symbol}`;
+        symbols.set(key, (symbols.get(key) || 0) + 1);
+      }
+      const number = parser.parseNumber(text);
+      fractional = fractional || (isFinite(number) && !Number.isInteger(number));
+    });
+
+    const [top] = [...symbols.entries()].sort((a, b) => b[1] - a[1]);
+    if (!top) return { decimals: fractional ? 2 : 0 };
+    const [position, symbol] = top[0].split('|');
+    return { symbol, position, decimals: fractional ? 2 : 0 };
+  }
+
+  if (type === 'percentage') {
+    let decimals = 0;
+    values.forEach((value) => {
+      const fraction = parser.parseNumber(value);
+      if (isFinite(fraction)) {
+        decimals = Math.max(decimals, countDecimals(fraction * 100));
+      }
+    });
+    return { decimals };
+  }
+
+  return null;
+}
+
+/**
+ * Excel number format restoring a column's type and format, e.g. `"€"#,##0.00` or `0.0%`, or
+ * undefined for columns written as they are.
+ */
+function toExcelNumberFormat(type, format = {}) {
+  const fraction = (decimals) => (decimals > 0 ? `.${'0'.repeat(decimals)}` : '');
+
+  switch (type) {
+    case 'currency': {
+      const amount = `#,##0${fraction(format?.decimals ?? 2)}`;
+      if (!format?.symbol) return amount;
+      return format.position === 'suffix'
+        ? `${amount} "${format.symbol}"`
+        : `"${format.symbol}"${amount}`;
+    }
+    case 'percentage':
+      return `0${fraction(format?.decimals ?? 0)}%`;
+    case 'time':
+      return 'hh:mm:ss';
+    case 'duration':
+      return '[h]:mm:ss';
+    default:
+      return undefined;
+  }
+}
+
+// Conditions of boolean, time and duration columns
+const TYPED_CONDITIONS = new Set([
+  'isTrue',
+  'isFalse',
+  'timeBefore',
+  'timeAfter',
+  'timeBetween',
+  'durationLongerThan',
+  'durationShorterThan',
+  'durationBetween',
+]);
+
+const isTypedCondition = (condition) => TYPED_CONDITIONS.has(condition);
+
+// Whether a typed condition's filter values can be read
+function validateTypedFilter(filter) {
+  const { condition, value, value2 } = filter;
+  if (condition === 'isTrue' || condition === 'isFalse') return true;
+
+  const parse = condition.startsWith('time') ? parseTimeOfDay : parseDuration;
+  if (typeof value !== 'string' || isNaN(parse(value))) return false;
+  if (condition.endsWith('Between')) {
+    return typeof value2 === 'string' && !isNaN(parse(value2));
+  }
+  return true;
+}
+
+function matchesTypedCondition(cellValue, filter) {
+  const { condition, value, value2 } = filter;
+
+  switch (condition) {
+    case 'isTrue':
+      return parseBoolean(cellValue) === true;
+    case 'isFalse':
+      return parseBoolean(cellValue) === false;
+
+    case 'timeBefore':
+    case 'timeAfter':
+    case 'timeBetween': {
+      const time = parseTimeOfDay(cellValue);
+      const start = parseTimeOfDay(value);
+      if (isNaN(time) || isNaN(start)) return false;
+      if (condition === 'timeBefore') return time < start;
+      if (condition === 'timeAfter') return time > start;
+
+      const end = parseTimeOfDay(value2);
+      if (isNaN(end)) return false;
+      // A range such as 22:00 to 06:00 runs over midnight
+      return start <= end ? time >= start && time <= end : time >= start || time <= end;
+    }
+
+    case 'durationLongerThan':
+    case 'durationShorterThan':
+    case 'durationBetween': {
+      const duration = parseDuration(cellValue);
+      const limit = parseDuration(value);
+      if (isNaN(duration) || isNaN(limit)) return false;
+      if (condition === 'durationLongerThan') return duration > limit;
+      if (condition === 'durationShorterThan') return duration < limit;
+
+      const upper = parseDuration(value2);
+      return !isNaN(upper) && duration >= limit && duration <= upper;
+    }
+
+    default:
+      return false;
+  }
+}
+
+export {
+  COLUMN_TYPES,
+  SECONDS_PER_DAY,
+  describeColumnFormat,
+  detectTextType,
+  formatDuration,
+  formatTimeOfDay,
+  isTimeOnlyDate,
+  isTypedCondition,
+  matchesTypedCondition,
+  parseBoolean,
+  parseDuration,
+  parseTimeOfDay,
+  toExcelNumberFormat,
+  validateTypedFilter,
+};
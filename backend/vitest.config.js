@@ -0,0 +1,14 @@
+import os from 'os';
+import path from 'path';
+import { defineConfig } from 'vitest/config';
+
+export default defineConfig({
+  test: {
+    env: {
+      // Keep saved presets written by the tests out of backend/data
+      PRESETS_FILE: path.join(os.tmpdir(), `filtro-presets-test-${process.pid}.json`),
+      // Short enough that the long-cell regex test scans well past one timeout's worth of rows
+      REGEX_MATCH_TIMEOUT_MS: '100',
+    },
+  },
+});
@@ -0,0 +1,389 @@
+/**
+ * Workbook Parser
+ * Reads .xlsx workbooks with ExcelJS's streaming reader, and legacy .xls, binary .xlsb and
+ * OpenDocument .ods workbooks with SheetJS.
+ *
+ * A workbook can be inspected (every worksheet's name, dimensions, first rows, detected header
+ * row and named tables) and any of its worksheets or tables parsed into
+ * { headers, data, columnTypes, columnFormats, totalRows }. Several worksheets can be stacked into a single table.
+ * Header options ({ headerRow, headerRowCount }) are passed through to the table builder.
+ */
+
+import fs from 'fs';
+import { Readable } from 'stream';
+import ExcelJS from 'exceljs';
+import * as XLSX from 'xlsx';
+import { createTableBuilder, detectHeaderLayout } from './tableBuilder.js';
+import { listExcelTables, tableDataRange } from './excelTables.js';
+
+const SHEET_PREVIEW_ROWS = 8;
+const HEADER_SCAN_ROWS = 25;
+const SOURCE_SHEET_COLUMN = 'Source Sheet';
+
+function convertCellValue(value) {
+  if (value === null || value === undefined) {
+    return null;
+  }
+
+  if (value instanceof Date) {
+    return value;
+  }
+
+  if (typeof value === 'object') {
+    if (value.text !== undefined) {
+      return value.text;
+    }
+    if (value.richText) {
+      return value.richText.map((item) => item.text).join('');
+    }
+    if (value.hyperlink) {
+      return value.text || value.hyperlink;
+    }
+    if (value.formula !== undefined) {
+      return value.result;
+    }
+    return String(value);
+  }
+
+  return value;
+}
+
+function createSheetSummary(name, hidden) {
+  return {
+    name,
+    hidden,
+    rowCount: 0,
+    columnCount: 0,
+    preview: [],
+    previewRowNumbers: [],
+    headerScan: [],
+  };
+}
+
+function addToSummary(summary, values, rowNumber) {
+  if (!values.some((value) => value !== null && value !== '')) return;
+
+  summary.rowCount++;
+  summary.columnCount = Math.max(summary.columnCount, values.length);
+  if (summary.preview.length < SHEET_PREVIEW_ROWS) {
+    summary.preview.push(values);
+    summary.previewRowNumbers.push(rowNumber);
+  }
+  if (summary.headerScan.length < HEADER_SCAN_ROWS) {
+    summary.headerScan.push({ rowNumber, values });
+  }
+}
+
+// Replace the rows kept for header detection with the detected header position
+function finishSummary(summary) {
+  const { headerScan, ...rest } = summary;
+  const { index, count } = detectHeaderLayout(headerScan);
+  return {
+    ...rest,
+    detectedHeaderRow: headerScan[index]?.rowNumber ?? null,
+    detectedHeaderRowCount: count,
+  };
+}
+
+/**
+ * Stream an .xlsx workbook once. With `summarize`, every worksheet is summarised; worksheets
+ * for which `parseOptions(name, sheetOrder, index)` returns table builder options are also
+ * parsed (it returns null for worksheets to skip).
+ */
+async function readExcelWorkbook(source, { summarize, parseOptions }) {
+  const input = Buffer.isBuffer(source) ? Readable.from([source]) : source;
+  const workbookReader = new ExcelJS.stream.xlsx.WorkbookReader(input, {
+    worksheets: 'emit',
+    sharedStrings: 'cache',
+    hyperlinks: 'ignore',
+    styles: 'cache', // needed to recognise date-formatted cells
+    entries: 'ignore',
+  });
+
+  const sheets = [];
+  const parsed = new Map();
+  let index = 0;
+
+  for await (const worksheetReader of workbookReader) {
+    const sheetOrder = (workbookReader.model?.sheets || []).map((sheet) => sheet.name);
+    const { name } = worksheetReader;
+    const builderOptions = parseOptions(name, sheetOrder, index++);
+    const builder = builderOptions ? createTableBuilder(builderOptions) : null;
+    const summary = summarize
+      ? createSheetSummary(
+          name,
+          Boolean(worksheetReader.state && worksheetReader.state !== 'visible'),
+        )
+      : null;
+
+    // Worksheets that are neither summarised nor parsed are skipped without reading their rows
+    if (!builder && !summary) continue;
+
+    for await (const row of worksheetReader) {
+      if (!row.hasValues) continue;
+
+      const values = Array.from(row.values.slice(1), convertCellValue);
+      if (summary) addToSummary(summary, values, row.number);
+      if (builder) builder.addRow(values, row.number);
+    }
+
+    if (summary) sheets.push(finishSummary(summary));
+    if (builder) parsed.set(name, builder.finish());
+  }
+
+  // Worksheets are stored in any order inside the file; report them in workbook order
+  const sheetOrder = (workbookReader.model?.sheets || []).map((sheet) => sheet.name);
+  sheets.sort((a, b) => sheetOrder.indexOf(a.name) - sheetOrder.indexOf(b.name));
+
+  return { sheets, parsed };
+}
+
+// SheetJS has no streaming reader, so legacy workbooks are read in one piece
+async function readLegacyWorkbook(source, { summarize, parseOptions }) {
+  const buffer = Buffer.isBuffer(source) ? source : await fs.promises.readFile(source);
+  const workbook = XLSX.read(buffer, { type: 'buffer', cellDates: true, dense: true });
+  const sheetOrder = workbook.SheetNames;
+
+  const sheets = [];
+  const parsed = new Map();
+
+  sheetOrder.forEach((name, index) => {
+    const builderOptions = parseOptions(name, sheetOrder, index);
+    const builder = builderOptions ? createTableBuilder(builderOptions) : null;
+    const summary = summarize
+      ? createSheetSummary(name, Boolean(workbook.Workbook?.Sheets?.[index]?.Hidden))
+      : null;
+    if (!builder && !summary) return;
+
+    const worksheet = workbook.Sheets[name];
+    const rows = XLSX.utils.sheet_to_json(worksheet, {
+      header: 1,
+      raw: true,
+      defval: null,
+      blankrows: true,
+    });
+
+    // Rows start at the top-left of the used range; pad them so indexes match sheet columns
+    const start = worksheet['!ref'] ? XLSX.utils.decode_range(worksheet['!ref']).s : { r: 0, c: 0 };
+    const padding = new Array(start.c).fill(null);
+
+    rows.forEach((rowValues, rowIdx) => {
+      const values = start.c > 0 ? [...padding, ...rowValues] : rowValues;
+      const rowNumber = start.r + rowIdx + 1;
+      if (summary) addToSummary(summary, values, rowNumber);
+      if (builder) builder.addRow(values, rowNumber);
+    });
+
+    if (summary) sheets.push(finishSummary(summary));
+    if (builder) parsed.set(name, builder.finish());
+  });
+
+  return { sheets, parsed };
+}
+
+function readWorkbook(source, format, options) {
+  return format === 'legacy'
+    ? readLegacyWorkbook(source, options)
+    : readExcelWorkbook(source, options);
+}
+
+async function logFileSize(source, label) {
+  const fileSize = Buffer.isBuffer(source) ? source.length : (await fs.promises.stat(source)).size;
+  console.log(`${label}: ${(fileSize / (1024 * 1024)).toFixed(2)} MB`);
+}
+
+// Summary of a named table as shown next to its worksheet
+const describeTable = (table) => {
+  const dataRange = tableDataRange(table);
+  return {
+    name: table.name,
+    ref: table.ref,
+    rowCount: Math.max(0, dataRange.endRow - dataRange.startRow + 1),
+    columnCount: table.columns.length,
+  };
+};
+
+/**
+ * List a workbook's worksheets with their dimensions, first rows, detected header row and named
+ * tables. A workbook with a single worksheet and no tables is parsed in the same pass, using
+ * `tableOptions` (the table builder's header options, locale and time zone), and returned as
+ * `parsed`.
+ */
+async function inspectWorkbook(source, format, tableOptions = {}) {
+  await logFileSize(source, 'Inspecting workbook');
+
+  // Only .xlsx files are searched for tables; SheetJS does not read them from other formats
+  const tables = format === 'legacy' ? [] : await listExcelTables(source);
+
+  const { sheets, parsed } = await readWorkbook(source, format, {
+    summarize: true,
+    parseOptions: (_name, sheetOrder) =>
+      sheetOrder.length === 1 && tables.length === 0 ? tableOptions : null,
+  });
+
+  if (sheets.length === 0) {
+    throw new Error('Excel file is empty');
+  }
+
+  const single = parsed.values().next().value;
+  if (single && single.totalRows === 0) {
+    throw new Error('Excel file is empty');
+  }
+
+  sheets.forEach((sheet) => {
+    sheet.tables = tables.filter((table) => table.sheet === sheet.name).map(describeTable);
+  });
+
+  return { sheets, tables, parsed: single || null };
+}
+
+// Stack several worksheets into one table: the union of their columns in first-seen order,
+// after a leading column naming the sheet each row came from
+function stackSheets(entries) {
+  const headers = [SOURCE_SHEET_COLUMN];
+  const columnTypes = { [SOURCE_SHEET_COLUMN]: 'text' };
+  const columnFormats = {};
+
+  entries.forEach(([, parsed]) => {
+    parsed.headers.forEach((header) => {
+      if (!(header in columnTypes)) {
+        headers.push(header);
+        columnTypes[header] = parsed.columnTypes[header];
+        if (parsed.columnFormats?.[header]) columnFormats[header] = parsed.columnFormats[header];
+      } else if (columnTypes[header] !== parsed.columnTypes[header]) {
+        columnTypes[header] = 'text';
+        delete columnFormats[header];
+      }
+    });
+  });
+
+  const data = entries.flatMap(([sheetName, parsed]) =>
+    parsed.data.map((row) => {
+      const stackedRow = { [SOURCE_SHEET_COLUMN]: sheetName };
+      headers.slice(1).forEach((header) => {
+        stackedRow[header] = row[header] ?? null;
+      });
+      return stackedRow;
+    }),
+  );
+
+  return { headers, data, columnTypes, columnFormats, totalRows: data.length };
+}
+
+/**
+ * Parse the named worksheets in one pass over the file. A single worksheet is returned as is;
+ * several are stacked into one table. `tableOptions` apply to every worksheet.
+ */
+async function parseWorkbookSheets(source, format, sheetNames, tableOptions = {}) {
+  await logFileSize(source, 'Parsing workbook');
+
+  const { parsed } = await readWorkbook(source, format, {
+    summarize: false,
+    parseOptions: (name) => (sheetNames.includes(name) ? tableOptions : null),
+  });
+
+  const missing = sheetNames.filter((name) => !parsed.has(name));
+  if (missing.length > 0) {
+    throw new Error(`Worksheet "${missing[0]}" not found`);
+  }
+
+  const empty = sheetNames.filter((name) => parsed.get(name).totalRows === 0);
+  if (empty.length === sheetNames.length) {
+    throw new Error(`Worksheet "${empty[0]}" is empty`);
+  }
+
+  const result =
+    sheetNames.length === 1
+      ? parsed.get(sheetNames[0])
+      : stackSheets(sheetNames.map((name) => [name, parsed.get(name)]));
+
+  console.log(`Parsed ${result.totalRows} rows with ${result.headers.length} columns`);
+  return result;
+}
+
+/**
+ * Parse a named table (as returned by inspectWorkbook's `tables`) from an .xlsx workbook.
+ * The table's own column names are used as headers and its totals row is left out.
+ */
+async function parseWorkbookTable(source, table, tableOptions = {}) {
+  await logFileSize(source, `Parsing table ${table.name}`);
+
+  const { parsed } = await readExcelWorkbook(source, {
+    summarize: false,
+    parseOptions: (name) =>
+      name === table.sheet
+        ? { ...tableOptions, range: tableDataRange(table), headers: table.columns }
+        : null,
+  });
+
+  const result = parsed.get(table.sheet);
+  if (!result) {
+    throw new Error(`Worksheet "${table.sheet}" not found`);
+  }
+  if (result.totalRows === 0) {
+    throw new Error(`Table "${table.name}" is empty`);
+  }
+
+  console.log(`Parsed ${result.totalRows} rows with ${result.headers.length} columns`);
+  return result;
+}
+
+// Parse one worksheet of an .xlsx workbook (the first one unless `sheetName` is given)
+async function parseExcel(source, { sheetName, ...tableOptions } = {}) {
+  await logFileSize(source, 'Parsing Excel file');
+
+  const { parsed } = await readExcelWorkbook(source, {
+    summarize: false,
+    parseOptions: (name, sheetOrder, index) => {
+      const isTarget = sheetName
+        ? name === sheetName
+        : sheetOrder.length > 0
+          ? name === sheetOrder[0]
+          : index === 0;
+      return isTarget ? tableOptions : null;
+    },
+  });
+
+  const result = parsed.values().next().value;
+  if (!result && sheetName) {
+    throw new Error(`Worksheet "${sheetName}" not found`);
+  }
+  if (!result || result.totalRows === 0) {
+    throw new Error('Excel file is empty');
+  }
+
+  console.log(`Parsed ${result.totalRows} rows with ${result.headers.length} columns`);
+  return result;
+}
+
+// Parse one worksheet of a legacy .xls, .xlsb or .ods workbook
+async function parseLegacyWorkbook(source, { sheetName, ...tableOptions } = {}) {
+  await logFileSize(source, 'Parsing workbook');
+
+  const { parsed } = await readLegacyWorkbook(source, {
+    summarize: false,
+    parseOptions: (name, _sheetOrder, index) =>
+      (sheetName ? name === sheetName : index === 0) ? tableOptions : null,
+  });
+
+  const result = parsed.values().next().value;
+  if (!result && sheetName) {
+    throw new Error(`Worksheet "${sheetName}" not found`);
+  }
+  if (!result || result.totalRows === 0) {
+    throw new Error('Workbook is empty');
+  }
+
+  console.log(`Parsed ${result.totalRows} rows with ${result.headers.length} columns`);
+  return result;
+}
+
+export {
+  SOURCE_SHEET_COLUMN,
+  convertCellValue,
+  inspectWorkbook,
+  parseWorkbookSheets,
+  parseWorkbookTable,
+  parseExcel,
+  parseLegacyWorkbook,
+};
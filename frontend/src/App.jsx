@@ -2,27 +2,69 @@ import React, { useState } from 'react';
 import FileUpload from './components/FileUpload';
 import FilterBuilder from './components/FilterBuilder';
 import DataTable from './components/DataTable';
+import ColumnTypeEditor from './components/ColumnTypeEditor';
+import ProfilePanel from './components/ProfilePanel';
+import PresetManager from './components/PresetManager';
 import ReferenceFileFilter from './components/ReferenceFileFilter';
+import {
+  createFilterGroup,
+  findColumnListFilter,
+  setColumnListFilter,
+  toFilterRequest,
+} from './utils/filterTree';
+import { fitConditionsToColumnTypes } from './utils/filterConditions';
 import './App.css';
 
 function App() {
   const [mode, setMode] = useState('single'); // 'single' or 'reference'
   const [excelData, setExcelData] = useState(null);
   const [filteredData, setFilteredData] = useState(null);
-  const [filters, setFilters] = useState([]);
+  const [filters, setFilters] = useState(createFilterGroup);
   const [loading, setLoading] = useState(false);
+  // Bumped when stored values change in place, so the table reloads its page
+  const [dataRevision, setDataRevision] = useState(0);
+
+  // Datasets live on the server; release them once the UI no longer references them
+  const releaseDataset = (datasetId) => {
+    if (datasetId) {
+      fetch(`/api/datasets/${datasetId}`, { method: 'DELETE' }).catch(() => {});
+    }
+  };
+
+  const resetSession = () => {
+    if (excelData) {
+      releaseDataset(excelData.datasetId);
+      if (filteredData?.datasetId !== excelData.datasetId) {
+        releaseDataset(filteredData?.datasetId);
+      }
+    }
+    setExcelData(null);
+    setFilteredData(null);
+    setFilters(createFilterGroup());
+  };
 
   const handleFileUploaded = (data) => {
     setExcelData(data);
-    setFilteredData(data.data);
-    setFilters([]);
+    setFilteredData({ datasetId: data.datasetId, totalRows: data.totalRows });
+    setFilters(createFilterGroup());
+  };
+
+  // Values were converted on the server; earlier filter results still hold the old values
+  const handleColumnTypesChanged = (updated) => {
+    if (filteredData?.datasetId !== excelData.datasetId) {
+      releaseDataset(filteredData?.datasetId);
+    }
+    setExcelData({ ...excelData, ...updated });
+    setFilteredData({ datasetId: updated.datasetId, totalRows: updated.totalRows });
+    setFilters(fitConditionsToColumnTypes(filters, updated.columnTypes));
+    setDataRevision((revision) => revision + 1);
   };
 
   const handleFiltersChange = (newFilters) => {
     setFilters(newFilters);
   };
 
-  const handleApplyFilters = async (data, filters) => {
+  const handleApplyFilters = async (datasetId, filters) => {
     setLoading(true);
     try {
       const response = await fetch('/api/filter', {
@@ -30,7 +72,7 @@ function App() {
         headers: {
           'Content-Type': 'application/json',
         },
-        body: JSON.stringify({ data, filters }),
+        body: JSON.stringify({ datasetId, filters: toFilterRequest(filters) }),
       });
 
       if (!response.ok) {
@@ -38,7 +80,10 @@ function App() {
       }
 
       const result = await response.json();
-      setFilteredData(result.data);
+      if (filteredData?.datasetId !== datasetId) {
+        releaseDataset(filteredData?.datasetId);
+      }
+      setFilteredData({ datasetId: result.datasetId, totalRows: result.totalRows });
     } catch (error) {
       console.error('Filter error:', error);
       alert('Failed to apply filters: ' + error.message);
@@ -47,6 +92,18 @@ function App() {
     }
   };
 
+  // Presets and spec files only bring their filters; the user reviews them before applying
+  const handleSetupLoaded = (setup) => {
+    setFilters(fitConditionsToColumnTypes(setup.filters, excelData.columnTypes));
+  };
+
+  // Header filters of the table edit the same filter tree as the filter builder
+  const handleColumnFilter = (columnFilter) => {
+    const updated = setColumnListFilter(filters, columnFilter);
+    setFilters(updated);
+    handleApplyFilters(excelData.datasetId, updated);
+  };
+
   return (
     <div className="app">
       <header className="app-header">
@@ -82,9 +139,7 @@ function App() {
           className={`mode-btn ${mode === 'single' ? 'active' : ''}`}
           onClick={() => {
             setMode('single');
-            setExcelData(null);
-            setFilteredData(null);
-            setFilters([]);
+            resetSession();
           }}
         >
           📊 Single File Filter
@@ -93,9 +148,7 @@ function App() {
           className={`mode-btn ${mode === 'reference' ? 'active' : ''}`}
           onClick={() => {
             setMode('reference');
-            setExcelData(null);
-            setFilteredData(null);
-            setFilters([]);
+            resetSession();
           }}
         >
           🔗 Reference File Filter
@@ -110,32 +163,57 @@ function App() {
         ) : (
           <>
             <div className="toolbar">
-              <button
-                className="btn btn-secondary"
-                onClick={() => {
-                  setExcelData(null);
-                  setFilteredData(null);
-                  setFilters([]);
-                }}
-              >
+              <button className="btn btn-secondary" onClick={resetSession}>
                 Upload New File
               </button>
               <div className="info-badge">
-                Original: {excelData.totalRows} rows | Filtered: {filteredData?.length || 0} rows
+                Original: {excelData.totalRows} rows | Filtered: {filteredData?.totalRows || 0} rows
               </div>
             </div>
 
-            <FilterBuilder
+            <ColumnTypeEditor
+              datasetId={excelData.datasetId}
               headers={excelData.headers}
               columnTypes={excelData.columnTypes}
-              filters={filters}
-              onFiltersChange={handleFiltersChange}
-              onApplyFilters={() => handleApplyFilters(excelData.data, filters)}
-              data={filteredData}
-              loading={loading}
+              onTypesChanged={handleColumnTypesChanged}
             />
 
-            {filteredData && <DataTable headers={excelData.headers} data={filteredData} />}
+            <PresetManager
+              mode="single"
+              headers={excelData.headers}
+              current={{ filters, logicOperator: 'AND', keyColumns: [], joinType: 'inner' }}
+              onLoad={handleSetupLoaded}
+            />
+
+            <div className="filter-workspace">
+              <FilterBuilder
+                datasetId={excelData.datasetId}
+                headers={excelData.headers}
+                columnTypes={excelData.columnTypes}
+                filters={filters}
+                onFiltersChange={handleFiltersChange}
+                onApplyFilters={(tree) => handleApplyFilters(excelData.datasetId, tree)}
+                loading={loading}
+                specSetup={{ mode: 'single', onLoad: handleSetupLoaded }}
+              />
+              <ProfilePanel
+                datasetId={excelData.datasetId}
+                filteredDatasetId={filteredData?.datasetId}
+                revision={dataRevision}
+              />
+            </div>
+
+            {filteredData && (
+              <DataTable
+                key={dataRevision}
+                datasetId={filteredData.datasetId}
+                headers={excelData.headers}
+                totalRows={filteredData.totalRows}
+                valuesDatasetId={excelData.datasetId}
+                getColumnFilter={(column) => findColumnListFilter(filters, column)}
+                onColumnFilter={handleColumnFilter}
+              />
+            )}
           </>
         )}
       </div>
@@ -0,0 +1,82 @@
+import React, { useState } from 'react';
+import PropTypes from 'prop-types';
+import './ColumnRemap.css';
+
+// Lists the columns a loaded preset or filter spec uses that the current files lack, and has the
+// user pick a column to use instead of each before it is applied
+function ColumnRemap({ name, missing, headers, primaryHeaders, onApply, onCancel }) {
+  const [mapping, setMapping] = useState({ columns: {}, primaryColumns: {} });
+
+  const rows = [
+    ...missing.columns.map((column) => ({ column, side: 'columns', options: headers })),
+    ...missing.primaryColumns.map((column) => ({
+      column,
+      side: 'primaryColumns',
+      options: primaryHeaders,
+    })),
+  ];
+  const complete = rows.every(({ column, side }) => mapping[side][column]);
+
+  return (
+    <div className="column-remap">
+      <p>
+        These files lack {rows.length} of the columns &quot;{name}&quot; uses. Pick the column to
+        use instead of each.
+      </p>
+
+      <div className="column-remap-grid">
+        {rows.map(({ column, side, options }) => (
+          <label key={`${side}:${column}`}>
+            <span title={column}>
+              {column}
+              {side === 'primaryColumns' && ' (main file)'}
+            </span>
+            <select
+              value={mapping[side][column] || ''}
+              onChange={(e) =>
+                setMapping({ ...mapping, [side]: { ...mapping[side], [column]: e.target.value } })
+              }
+            >
+              <option value="">Select column...</option>
+              {options.map((header) => (
+                <option key={header} value={header}>
+                  {header}
+                </option>
+              ))}
+            </select>
+          </label>
+        ))}
+      </div>
+
+      <div className="column-remap-actions">
+        <button className="btn btn-primary" onClick={() => onApply(mapping)} disabled={!complete}>
+          Load with these columns
+        </button>
+        <button className="btn btn-secondary" onClick={onCancel}>
+          Cancel
+        </button>
+      </div>
+    </div>
+  );
+}
+
+ColumnRemap.propTypes = {
+  // Name of the preset or spec, for the message
+  name: PropTypes.string.isRequired,
+  // From findMissingColumns (utils/presetColumns.js)
+  missing: PropTypes.shape({
+    columns: PropTypes.arrayOf(PropTypes.string).isRequired,
+    primaryColumns: PropTypes.arrayOf(PropTypes.string).isRequired,
+  }).isRequired,
+  headers: PropTypes.arrayOf(PropTypes.string).isRequired,
+  primaryHeaders: PropTypes.arrayOf(PropTypes.string),
+  // Called with { columns, primaryColumns } mapping old column names to new ones
+  onApply: PropTypes.func.isRequired,
+  onCancel: PropTypes.func.isRequired,
+};
+
+ColumnRemap.defaultProps = {
+  primaryHeaders: [],
+};
+
+export default ColumnRemap;
@@ -0,0 +1,136 @@
+import React, { useEffect, useState } from 'react';
+import PropTypes from 'prop-types';
+import axios from 'axios';
+import './ColumnTypeEditor.css';
+
+const COLUMN_TYPES = [
+  { value: 'text', label: 'Text' },
+  { value: 'number', label: 'Number' },
+  { value: 'date', label: 'Date' },
+  { value: 'boolean', label: 'Yes / No' },
+  { value: 'currency', label: 'Currency' },
+  { value: 'percentage', label: 'Percentage' },
+  { value: 'time', label: 'Time of day' },
+  { value: 'duration', label: 'Duration' },
+  { value: 'identifier', label: 'Identifier (digits as text)' },
+];
+
+const describeConversion = (column, { type, converted, failed, failedExamples }) => {
+  const summary = `${column} → ${type}: ${converted} ${converted === 1 ? 'cell' : 'cells'} converted`;
+  if (failed === 0) return summary;
+  return `${summary}, ${failed} could not be converted and were kept as they were (e.g. ${failedExamples
+    .map((example) => `"${example}"`)
+    .join(', ')})`;
+};
+
+// Lets the user correct detected column types; the server converts the stored values
+function ColumnTypeEditor({ datasetId, headers, columnTypes, onTypesChanged }) {
+  const [pendingTypes, setPendingTypes] = useState(columnTypes);
+  const [saving, setSaving] = useState(false);
+  const [error, setError] = useState(null);
+  const [report, setReport] = useState([]);
+
+  useEffect(() => {
+    setPendingTypes(columnTypes);
+  }, [columnTypes]);
+
+  const changes = Object.fromEntries(
+    headers
+      .filter((header) => pendingTypes[header] && pendingTypes[header] !== columnTypes[header])
+      .map((header) => [header, pendingTypes[header]]),
+  );
+  const changeCount = Object.keys(changes).length;
+  const applyLabel =
+    changeCount === 0
+      ? 'Apply type changes'
+      : `Apply ${changeCount} type ${changeCount === 1 ? 'change' : 'changes'}`;
+
+  const handleApply = async () => {
+    setSaving(true);
+    setError(null);
+    try {
+      const response = await axios.patch(`/api/datasets/${datasetId}/column-types`, {
+        columnTypes: changes,
+      });
+      setReport(
+        Object.entries(response.data.conversions).map(([column, conversion]) => ({
+          column,
+          failed: conversion.failed > 0,
+          text: describeConversion(column, conversion),
+        })),
+      );
+      onTypesChanged(response.data);
+    } catch (err) {
+      setError(err.response?.data?.error || err.message || 'Failed to change column types');
+    } finally {
+      setSaving(false);
+    }
+  };
+
+  return (
+    <details className="column-type-editor">
+      <summary>Column types</summary>
+      <p className="column-type-hint">
+        Types decide which conditions a column offers. Change a wrong guess, such as account numbers
+        detected as amounts, and the values are converted.
+      </p>
+
+      <div className="column-type-grid">
+        {headers.map((header) => (
+          <label key={header}>
+            <span title={header}>{header}</span>
+            <select
+              value={pendingTypes[header] || 'text'}
+              onChange={(e) => setPendingTypes({ ...pendingTypes, [header]: e.target.value })}
+            >
+              {COLUMN_TYPES.map((type) => (
+                <option key={type.value} value={type.value}>
+                  {type.label}
+                </option>
+              ))}
+            </select>
+          </label>
+        ))}
+      </div>
+
+      <div className="column-type-actions">
+        <button
+          className="btn btn-primary"
+          onClick={handleApply}
+          disabled={changeCount === 0 || saving}
+        >
+          {saving ? 'Converting...' : applyLabel}
+        </button>
+        {changeCount > 0 && (
+          <button
+            className="btn btn-secondary"
+            onClick={() => setPendingTypes(columnTypes)}
+            disabled={saving}
+          >
+            Reset
+          </button>
+        )}
+      </div>
+
+      {error && <p className="column-type-error">{error}</p>}
+      {report.length > 0 && (
+        <ul className="column-type-report">
+          {report.map((line) => (
+            <li key={line.column} className={line.failed ? 'has-failures' : ''}>
+              {line.text}
+            </li>
+          ))}
+        </ul>
+      )}
+    </details>
+  );
+}
+
+ColumnTypeEditor.propTypes = {
+  datasetId: PropTypes.string.isRequired,
+  headers: PropTypes.arrayOf(PropTypes.string).isRequired,
+  columnTypes: PropTypes.objectOf(PropTypes.string).isRequired,
+  onTypesChanged: PropTypes.func.isRequired,
+};
+
+export default ColumnTypeEditor;
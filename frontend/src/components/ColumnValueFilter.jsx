@@ -0,0 +1,86 @@
+import React, { useState } from 'react';
+import PropTypes from 'prop-types';
+import DistinctValuePicker from './DistinctValuePicker';
+import './ColumnValueFilter.css';
+
+// Autofilter-style panel opened from a table header: tick values to keep or to hide
+function ColumnValueFilter({ datasetId, column, initialFilter, onApply, onClose }) {
+  const [condition, setCondition] = useState(initialFilter?.condition || 'inList');
+  const [selected, setSelected] = useState(initialFilter?.values || []);
+
+  return (
+    <div className="column-value-filter">
+      <div className="column-value-filter-header">
+        <strong>Filter {column}</strong>
+        <button type="button" className="column-value-filter-close" onClick={onClose} title="Close">
+          ✕
+        </button>
+      </div>
+
+      <div className="column-value-filter-mode">
+        <label>
+          <input
+            type="radio"
+            checked={condition === 'inList'}
+            onChange={() => setCondition('inList')}
+          />
+          Keep ticked values
+        </label>
+        <label>
+          <input
+            type="radio"
+            checked={condition === 'notInList'}
+            onChange={() => setCondition('notInList')}
+          />
+          Hide ticked values
+        </label>
+      </div>
+
+      <DistinctValuePicker
+        datasetId={datasetId}
+        column={column}
+        selected={selected}
+        onChange={setSelected}
+      />
+
+      <div className="column-value-filter-actions">
+        <button
+          type="button"
+          className="btn btn-primary"
+          disabled={selected.length === 0}
+          onClick={() => onApply({ column, condition, values: selected })}
+        >
+          Apply
+        </button>
+        {initialFilter && (
+          <button
+            type="button"
+            className="btn btn-secondary"
+            onClick={() => onApply({ column, condition, values: [] })}
+          >
+            Remove filter
+          </button>
+        )}
+      </div>
+    </div>
+  );
+}
+
+ColumnValueFilter.propTypes = {
+  datasetId: PropTypes.string.isRequired,
+  column: PropTypes.string.isRequired,
+  // The column's current picked-values filter, if any
+  initialFilter: PropTypes.shape({
+    condition: PropTypes.oneOf(['inList', 'notInList']),
+    values: PropTypes.arrayOf(PropTypes.string),
+  }),
+  // Called with { column, condition, values }; no values removes the column's filter
+  onApply: PropTypes.func.isRequired,
+  onClose: PropTypes.func.isRequired,
+};
+
+ColumnValueFilter.defaultProps = {
+  initialFilter: null,
+};
+
+export default ColumnValueFilter;
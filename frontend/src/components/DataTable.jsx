@@ -1,53 +1,67 @@
-import React, { useState, useMemo } from 'react';
+import React, { useState, useEffect } from 'react';
 import PropTypes from 'prop-types';
 import axios from 'axios';
+import ColumnValueFilter from './ColumnValueFilter';
 import './DataTable.css';
 
-function DataTable({ headers, data }) {
+function DataTable({
+  datasetId,
+  headers,
+  totalRows,
+  valuesDatasetId,
+  getColumnFilter,
+  onColumnFilter,
+}) {
   const [sortColumn, setSortColumn] = useState(null);
   const [sortDirection, setSortDirection] = useState('asc');
   const [currentPage, setCurrentPage] = useState(1);
   const [rowsPerPage, setRowsPerPage] = useState(50);
+  const [pageRows, setPageRows] = useState([]);
+  const [loadingRows, setLoadingRows] = useState(false);
   const [exporting, setExporting] = useState({ excel: false, pdf: false });
+  const [valueFilterColumn, setValueFilterColumn] = useState(null);
 
-  const sortedData = useMemo(() => {
-    if (!sortColumn) return data;
-
-    return [...data].sort((a, b) => {
-      let aVal = a[sortColumn];
-      let bVal = b[sortColumn];
-
-      // Handle null/undefined values
-      if (aVal == null) aVal = '';
-      if (bVal == null) bVal = '';
-
-      // Try to parse as numbers
-      const aNum = parseFloat(aVal);
-      const bNum = parseFloat(bVal);
-      const isNumeric = !isNaN(aNum) && !isNaN(bNum) && isFinite(aNum) && isFinite(bNum);
-
-      if (isNumeric) {
-        return sortDirection === 'asc' ? aNum - bNum : bNum - aNum;
-      }
+  useEffect(() => {
+    setCurrentPage(1);
+  }, [datasetId]);
 
-      // String comparison
-      const aStr = String(aVal).toLowerCase();
-      const bStr = String(bVal).toLowerCase();
+  // Rows stay on the server - fetch only the page being displayed
+  useEffect(() => {
+    let cancelled = false;
 
-      if (sortDirection === 'asc') {
-        return aStr.localeCompare(bStr);
-      } else {
-        return bStr.localeCompare(aStr);
+    const fetchPage = async () => {
+      setLoadingRows(true);
+      try {
+        const response = await axios.get(`/api/datasets/${datasetId}/rows`, {
+          params: {
+            page: currentPage,
+            pageSize: rowsPerPage,
+            sortColumn: sortColumn || undefined,
+            sortDirection,
+          },
+        });
+        if (!cancelled) {
+          setPageRows(response.data.data);
+        }
+      } catch (error) {
+        if (!cancelled) {
+          console.error('Load rows error:', error);
+          setPageRows([]);
+        }
+      } finally {
+        if (!cancelled) {
+          setLoadingRows(false);
+        }
       }
-    });
-  }, [data, sortColumn, sortDirection]);
+    };
 
-  const paginatedData = useMemo(() => {
-    const startIndex = (currentPage - 1) * rowsPerPage;
-    return sortedData.slice(startIndex, startIndex + rowsPerPage);
-  }, [sortedData, currentPage, rowsPerPage]);
+    fetchPage();
+    return () => {
+      cancelled = true;
+    };
+  }, [datasetId, currentPage, rowsPerPage, sortColumn, sortDirection]);
 
-  const totalPages = Math.ceil(sortedData.length / rowsPerPage);
+  const totalPages = Math.ceil(totalRows / rowsPerPage);
 
   const handleSort = (column) => {
     if (sortColumn === column) {
@@ -65,8 +79,10 @@ function DataTable({ headers, data }) {
       const response = await axios.post(
         '/api/export/excel',
         {
-          data: sortedData,
+          datasetId,
           headers,
+          sortColumn,
+          sortDirection,
           filename: 'filtered_data.xlsx',
         },
         {
@@ -96,8 +112,10 @@ function DataTable({ headers, data }) {
       const response = await axios.post(
         '/api/export/pdf',
         {
-          data: sortedData,
+          datasetId,
           headers,
+          sortColumn,
+          sortDirection,
           filename: 'filtered_data.pdf',
         },
         {
@@ -129,21 +147,21 @@ function DataTable({ headers, data }) {
           <button
             className="btn btn-success"
             onClick={handleExportExcel}
-            disabled={exporting.excel || sortedData.length === 0}
+            disabled={exporting.excel || totalRows === 0}
           >
             {exporting.excel ? 'Exporting...' : '📥 Export Excel'}
           </button>
           <button
             className="btn btn-success"
             onClick={handleExportPDF}
-            disabled={exporting.pdf || sortedData.length === 0}
+            disabled={exporting.pdf || totalRows === 0}
           >
             {exporting.pdf ? 'Exporting...' : '📄 Export PDF'}
           </button>
         </div>
       </div>
 
-      {sortedData.length === 0 ? (
+      {totalRows === 0 ? (
         <div className="no-data">
           <p>No data matches the current filters.</p>
         </div>
@@ -164,15 +182,30 @@ function DataTable({ headers, data }) {
                 <option value={50}>50</option>
                 <option value={100}>100</option>
                 <option value={200}>200</option>
-                <option value={sortedData.length}>All ({sortedData.length})</option>
+                <option value={500}>500</option>
               </select>
             </label>
             <div className="pagination-info">
+              {loadingRows && <span className="loading-rows">Loading… </span>}
               Showing {(currentPage - 1) * rowsPerPage + 1} to{' '}
-              {Math.min(currentPage * rowsPerPage, sortedData.length)} of {sortedData.length} rows
+              {Math.min(currentPage * rowsPerPage, totalRows)} of {totalRows} rows
             </div>
           </div>
 
+          {valueFilterColumn && (
+            <ColumnValueFilter
+              key={valueFilterColumn}
+              datasetId={valuesDatasetId || datasetId}
+              column={valueFilterColumn}
+              initialFilter={getColumnFilter(valueFilterColumn)}
+              onApply={(filter) => {
+                setValueFilterColumn(null);
+                onColumnFilter(filter);
+              }}
+              onClose={() => setValueFilterColumn(null)}
+            />
+          )}
+
           <div className="table-wrapper">
             <table className="data-table">
               <thead>
@@ -189,12 +222,30 @@ function DataTable({ headers, data }) {
                       {sortColumn === header && (
                         <span className="sort-icon">{sortDirection === 'asc' ? ' ▲' : ' ▼'}</span>
                       )}
+                      {onColumnFilter && (
+                        <button
+                          type="button"
+                          className={
+                            getColumnFilter(header)
+                              ? 'column-filter-btn column-filter-active'
+                              : 'column-filter-btn'
+                          }
+                          title={`Filter ${header} by value`}
+                          onClick={(e) => {
+                            // Opening the value filter should not sort the column
+                            e.stopPropagation();
+                            setValueFilterColumn(valueFilterColumn === header ? null : header);
+                          }}
+                        >
+                          ▾
+                        </button>
+                      )}
                     </th>
                   ))}
                 </tr>
               </thead>
               <tbody>
-                {paginatedData.map((row, index) => (
+                {pageRows.map((row, index) => (
                   <tr key={index}>
                     {headers.map((header) => (
                       <td key={header}>
@@ -251,8 +302,21 @@ function DataTable({ headers, data }) {
 }
 
 DataTable.propTypes = {
+  datasetId: PropTypes.string.isRequired,
   headers: PropTypes.arrayOf(PropTypes.string).isRequired,
-  data: PropTypes.arrayOf(PropTypes.object).isRequired,
+  totalRows: PropTypes.number.isRequired,
+  // Dataset whose distinct values header filters offer (defaults to the displayed one)
+  valuesDatasetId: PropTypes.string,
+  // Returns a column's current { condition, values } header filter, or null
+  getColumnFilter: PropTypes.func,
+  // Called with { column, condition, values } when a header filter is applied
+  onColumnFilter: PropTypes.func,
+};
+
+DataTable.defaultProps = {
+  valuesDatasetId: null,
+  getColumnFilter: () => null,
+  onColumnFilter: null,
 };
 
 export default DataTable;
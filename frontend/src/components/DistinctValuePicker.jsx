@@ -0,0 +1,134 @@
+import React, { useEffect, useState } from 'react';
+import PropTypes from 'prop-types';
+import axios from 'axios';
+import './DistinctValuePicker.css';
+
+const PAGE_SIZE = 100;
+
+// Checklist of a column's distinct values, loaded from the server a page at a time
+function DistinctValuePicker({ datasetId, column, selected, onChange }) {
+  const [search, setSearch] = useState('');
+  const [query, setQuery] = useState('');
+  const [values, setValues] = useState([]);
+  const [page, setPage] = useState(1);
+  const [result, setResult] = useState(null);
+  const [loading, setLoading] = useState(false);
+  const [error, setError] = useState(null);
+
+  // Wait for typing to pause before searching
+  useEffect(() => {
+    const timer = setTimeout(() => setQuery(search), 250);
+    return () => clearTimeout(timer);
+  }, [search]);
+
+  useEffect(() => {
+    setValues([]);
+    setPage(1);
+  }, [datasetId, column, query]);
+
+  useEffect(() => {
+    if (!datasetId || !column) return undefined;
+
+    let cancelled = false;
+    setLoading(true);
+    setError(null);
+    axios
+      .get(`/api/datasets/${datasetId}/distinct-values`, {
+        params: { column, search: query || undefined, page, pageSize: PAGE_SIZE },
+      })
+      .then((response) => {
+        if (cancelled) return;
+        setResult(response.data);
+        setValues((loaded) =>
+          page === 1 ? response.data.values : [...loaded, ...response.data.values],
+        );
+      })
+      .catch((err) => {
+        if (!cancelled) setError(err.response?.data?.error || err.message);
+      })
+      .finally(() => {
+        if (!cancelled) setLoading(false);
+      });
+
+    return () => {
+      cancelled = true;
+    };
+  }, [datasetId, column, query, page]);
+
+  const selectedSet = new Set(selected);
+
+  const toggle = (value) =>
+    onChange(
+      selectedSet.has(value) ? selected.filter((item) => item !== value) : [...selected, value],
+    );
+
+  const selectShown = () =>
+    onChange([...selected, ...values.map(({ value }) => value).filter((v) => !selectedSet.has(v))]);
+
+  return (
+    <div className="distinct-value-picker">
+      <input
+        type="search"
+        className="filter-input"
+        placeholder="Search values"
+        value={search}
+        onChange={(e) => setSearch(e.target.value)}
+      />
+
+      <div className="distinct-value-actions">
+        <button type="button" onClick={selectShown} disabled={values.length === 0}>
+          Select shown
+        </button>
+        <button type="button" onClick={() => onChange([])} disabled={selected.length === 0}>
+          Clear
+        </button>
+        <span>{selected.length} selected</span>
+      </div>
+
+      <ul className="distinct-value-list">
+        {values.map(({ value, count }) => (
+          <li key={value}>
+            <label>
+              <input
+                type="checkbox"
+                checked={selectedSet.has(value)}
+                onChange={() => toggle(value)}
+              />
+              <span className="distinct-value-text" title={value}>
+                {value}
+              </span>
+              <span className="distinct-value-count">{count.toLocaleString()}</span>
+            </label>
+          </li>
+        ))}
+        {!loading && values.length === 0 && !error && (
+          <li className="distinct-value-empty">No values found</li>
+        )}
+      </ul>
+
+      {error && <p className="distinct-value-error">{error}</p>}
+      <div className="distinct-value-footer">
+        {result && (
+          <span>
+            {values.length.toLocaleString()} of {result.matchingDistinct.toLocaleString()} values
+            {result.blanks > 0 && ` · ${result.blanks.toLocaleString()} empty cells never match`}
+          </span>
+        )}
+        {result?.hasMore && (
+          <button type="button" onClick={() => setPage(page + 1)} disabled={loading}>
+            {loading ? 'Loading...' : 'Load more'}
+          </button>
+        )}
+      </div>
+    </div>
+  );
+}
+
+DistinctValuePicker.propTypes = {
+  datasetId: PropTypes.string.isRequired,
+  column: PropTypes.string.isRequired,
+  selected: PropTypes.arrayOf(PropTypes.string).isRequired,
+  onChange: PropTypes.func.isRequired,
+};
+
+export default DistinctValuePicker;
@@ -1,18 +1,96 @@
 import React, { useState } from 'react';
 import PropTypes from 'prop-types';
 import axios from 'axios';
+import SheetPicker from './SheetPicker';
 import './FileUpload.css';
 
+const ACCEPTED_EXTENSIONS = ['.xlsx', '.xls', '.xlsb', '.ods', '.csv', '.tsv', '.txt'];
+const TEXT_EXTENSIONS = ['.csv', '.tsv', '.txt'];
+
+const DELIMITER_OPTIONS = [
+  { value: 'auto', label: 'Auto-detect' },
+  { value: ',', label: 'Comma (,)' },
+  { value: ';', label: 'Semicolon (;)' },
+  { value: '\t', label: 'Tab' },
+  { value: '|', label: 'Pipe (|)' },
+];
+
+const QUOTE_OPTIONS = [
+  { value: 'auto', label: 'Auto-detect' },
+  { value: '"', label: 'Double quote (")' },
+  { value: "'", label: "Single quote (')" },
+  { value: 'none', label: 'None' },
+];
+
+const ENCODING_OPTIONS = [
+  { value: 'auto', label: 'Auto-detect' },
+  { value: 'utf-8', label: 'UTF-8' },
+  { value: 'utf-16le', label: 'UTF-16 LE' },
+  { value: 'utf-16be', label: 'UTF-16 BE' },
+  { value: 'latin1', label: 'Latin-1 (Windows-1252)' },
+];
+
+const HEADER_ROW_COUNT_OPTIONS = [
+  { value: 'auto', label: 'Auto-detect' },
+  { value: '1', label: '1 row' },
+  { value: '2', label: '2 rows' },
+  { value: '3', label: '3 rows' },
+];
+
+// Locales whose number and date formats are offered; the browser's own is added when missing
+const LOCALE_OPTIONS = [
+  { value: 'en-US', label: 'English (US) - 1,234.5 and 03/04 = March 4' },
+  { value: 'en-GB', label: 'English (UK) - 1,234.5 and 03/04 = 3 April' },
+  { value: 'de-DE', label: 'German - 1.234,5' },
+  { value: 'fr-FR', label: 'French - 1 234,5' },
+  { value: 'es-ES', label: 'Spanish - 1.234,5' },
+  { value: 'it-IT', label: 'Italian - 1.234,5' },
+  { value: 'nl-NL', label: 'Dutch - 1.234,5' },
+  { value: 'pt-BR', label: 'Portuguese (Brazil) - 1.234,5' },
+  { value: 'de-CH', label: 'Swiss German - 1’234.5' },
+  { value: 'en-IN', label: 'English (India) - 1,23,456.5' },
+  { value: 'ja-JP', label: 'Japanese - 1,234.5' },
+];
+
+const BROWSER_LOCALE = navigator.language || 'en-US';
+const BROWSER_TIME_ZONE = Intl.DateTimeFormat().resolvedOptions().timeZone;
+
+const localeOptions = LOCALE_OPTIONS.some((option) => option.value === BROWSER_LOCALE)
+  ? LOCALE_OPTIONS
+  : [{ value: BROWSER_LOCALE, label: `${BROWSER_LOCALE} (this browser)` }, ...LOCALE_OPTIONS];
+
+const timeZoneOptions = Intl.supportedValuesOf ? Intl.supportedValuesOf('timeZone') : [];
+if (!timeZoneOptions.includes(BROWSER_TIME_ZONE)) timeZoneOptions.unshift(BROWSER_TIME_ZONE);
+
+const hasExtension = (fileName, extensions) =>
+  extensions.some((extension) => fileName.toLowerCase().endsWith(extension));
+
 function FileUpload({ onFileUploaded }) {
   const [dragActive, setDragActive] = useState(false);
   const [uploading, setUploading] = useState(false);
   const [error, setError] = useState(null);
+  const [pendingWorkbook, setPendingWorkbook] = useState(null);
+  const [loadingSheets, setLoadingSheets] = useState(false);
+  const [textOptions, setTextOptions] = useState({
+    delimiter: 'auto',
+    quote: 'auto',
+    encoding: 'auto',
+  });
+  // An empty header row means auto-detect
+  const [headerOptions, setHeaderOptions] = useState({ headerRow: '', headerRowCount: 'auto' });
+  // How numbers and dates in the file are read; kept with the dataset for filtering and export
+  const [valueOptions, setValueOptions] = useState({
+    locale: BROWSER_LOCALE,
+    timeZone: BROWSER_TIME_ZONE,
+  });
 
   const handleFile = async (file) => {
     if (!file) return;
 
-    if (!file.name.endsWith('.xlsx')) {
-      setError('Please upload a valid Excel file (.xlsx)');
+    if (!hasExtension(file.name, ACCEPTED_EXTENSIONS)) {
+      setError(
+        'Please upload a spreadsheet (.xlsx, .xls, .xlsb, .ods) or a delimited text file (.csv, .tsv, .txt)',
+      );
       return;
     }
 
@@ -21,6 +99,14 @@ function FileUpload({ onFileUploaded }) {
 
     try {
       const formData = new FormData();
+      // Import options must precede the file so the server reads them before parsing
+      if (hasExtension(file.name, TEXT_EXTENSIONS)) {
+        Object.entries(textOptions).forEach(([key, value]) => formData.append(key, value));
+      }
+      formData.append('headerRow', headerOptions.headerRow || 'auto');
+      formData.append('headerRowCount', headerOptions.headerRowCount);
+      formData.append('locale', valueOptions.locale);
+      formData.append('timeZone', valueOptions.timeZone);
       formData.append('file', file);
 
       const response = await axios.post('/api/upload', formData, {
@@ -29,7 +115,12 @@ function FileUpload({ onFileUploaded }) {
         },
       });
 
-      onFileUploaded(response.data);
+      // Workbooks with several worksheets or named tables ask what to load first
+      if (response.data.requiresSheetSelection) {
+        setPendingWorkbook(response.data);
+      } else {
+        onFileUploaded(response.data);
+      }
     } catch (err) {
       setError(err.response?.data?.error || err.message || 'Failed to upload file');
     } finally {
@@ -37,6 +128,25 @@ function FileUpload({ onFileUploaded }) {
     }
   };
 
+  // `selection` is { sheets, headerRow, headerRowCount } or { table }
+  const handleLoadSheets = async (selection) => {
+    setLoadingSheets(true);
+    setError(null);
+
+    try {
+      const response = await axios.post(
+        `/api/workbooks/${pendingWorkbook.workbookId}/load`,
+        selection,
+      );
+      setPendingWorkbook(null);
+      onFileUploaded(response.data);
+    } catch (err) {
+      setError(err.response?.data?.error || err.message || 'Failed to load worksheets');
+    } finally {
+      setLoadingSheets(false);
+    }
+  };
+
   const handleDrag = (e) => {
     e.preventDefault();
     e.stopPropagation();
@@ -64,6 +174,27 @@ function FileUpload({ onFileUploaded }) {
     }
   };
 
+  if (pendingWorkbook) {
+    return (
+      <div className="file-upload-container">
+        <SheetPicker
+          workbookName={pendingWorkbook.workbookName}
+          sheets={pendingWorkbook.sheets}
+          defaultHeaderOptions={headerOptions}
+          onLoad={handleLoadSheets}
+          onCancel={() => setPendingWorkbook(null)}
+          loading={loadingSheets}
+        />
+
+        {error && (
+          <div className="error-message">
+            <strong>Error:</strong> {error}
+          </div>
+        )}
+      </div>
+    );
+  }
+
   return (
     <div className="file-upload-container">
       <div
@@ -76,27 +207,132 @@ function FileUpload({ onFileUploaded }) {
         <input
           type="file"
           id="file-upload"
-            accept=".xlsx"
+          accept={ACCEPTED_EXTENSIONS.join(',')}
+          onChange={handleChange}
         />
 
         {uploading ? (
           <div className="upload-status">
             <div className="spinner"></div>
-            <p>Processing Excel file...</p>
+            <p>Processing file...</p>
           </div>
         ) : (
           <>
             <div className="upload-icon">📊</div>
-            <h3>Drop your Excel file here</h3>
+            <h3>Drop your spreadsheet or CSV file here</h3>
             <p>or</p>
             <label htmlFor="file-upload" className="btn btn-primary">
               Browse Files
             </label>
-            <p className="file-info">Supports .xlsx files only (max 10MB)</p>
+            <p className="file-info">
+              Supports .xlsx, .xls, .xlsb, .ods, .csv, .tsv and .txt files (max 2GB)
+            </p>
           </>
         )}
       </div>
 
+      <details className="text-import-options">
+        <summary>Import options</summary>
+        <div className="text-import-grid">
+          <label>
+            Header row
+            <input
+              type="number"
+              min="1"
+              placeholder="Auto-detect"
+              value={headerOptions.headerRow}
+              onChange={(e) => setHeaderOptions({ ...headerOptions, headerRow: e.target.value })}
+            />
+          </label>
+          <label>
+            Header spans
+            <select
+              value={headerOptions.headerRowCount}
+              onChange={(e) =>
+                setHeaderOptions({ ...headerOptions, headerRowCount: e.target.value })
+              }
+            >
+              {HEADER_ROW_COUNT_OPTIONS.map((option) => (
+                <option key={option.value} value={option.value}>
+                  {option.label}
+                </option>
+              ))}
+            </select>
+          </label>
+        </div>
+        <p className="text-import-heading">Numbers and dates</p>
+        <div className="text-import-grid">
+          <label>
+            Locale
+            <select
+              value={valueOptions.locale}
+              onChange={(e) => setValueOptions({ ...valueOptions, locale: e.target.value })}
+            >
+              {localeOptions.map((option) => (
+                <option key={option.value} value={option.value}>
+                  {option.label}
+                </option>
+              ))}
+            </select>
+          </label>
+          <label>
+            Time zone
+            <select
+              value={valueOptions.timeZone}
+              onChange={(e) => setValueOptions({ ...valueOptions, timeZone: e.target.value })}
+            >
+              {timeZoneOptions.map((timeZone) => (
+                <option key={timeZone} value={timeZone}>
+                  {timeZone}
+                </option>
+              ))}
+            </select>
+          </label>
+        </div>
+        <p className="text-import-heading">Text files</p>
+        <div className="text-import-grid">
+          <label>
+            Delimiter
+            <select
+              value={textOptions.delimiter}
+              onChange={(e) => setTextOptions({ ...textOptions, delimiter: e.target.value })}
+            >
+              {DELIMITER_OPTIONS.map((option) => (
+                <option key={option.value} value={option.value}>
+                  {option.label}
+                </option>
+              ))}
+            </select>
+          </label>
+          <label>
+            Quote character
+            <select
+              value={textOptions.quote}
+              onChange={(e) => setTextOptions({ ...textOptions, quote: e.target.value })}
+            >
+              {QUOTE_OPTIONS.map((option) => (
+                <option key={option.value} value={option.value}>
+                  {option.label}
+                </option>
+              ))}
+            </select>
+          </label>
+          <label>
+            Encoding
+            <select
+              value={textOptions.encoding}
+              onChange={(e) => setTextOptions({ ...textOptions, encoding: e.target.value })}
+            >
+              {ENCODING_OPTIONS.map((option) => (
+                <option key={option.value} value={option.value}>
+                  {option.label}
+                </option>
+              ))}
+            </select>
+          </label>
+        </div>
+      </details>
+
       {error && (
         <div className="error-message">
           <strong>Error:</strong> {error}
@@ -1,208 +1,648 @@
-import React, { useState, useEffect } from 'react';
+import React, { useState, useEffect, useRef } from 'react';
 import PropTypes from 'prop-types';
+import axios from 'axios';
+import {
+  countConditions,
+  createFilterCondition,
+  createFilterGroup,
+  fromFilterRequest,
+  isFilterGroup,
+  listConditions,
+  removeNode,
+  toFilterRequest,
+  toFilterTree,
+  updateNode,
+} from '../utils/filterTree';
+import {
+  findCondition,
+  fitsColumnType,
+  getConditionsForType,
+  getDefaultCondition,
+  useFilterConditions,
+} from '../utils/filterConditions';
+import RelativeDateInput from './RelativeDateInput';
+import ValueListInput from './ValueListInput';
+import FilterSpecActions from './FilterSpecActions';
+import FilterExpressionInput from './FilterExpressionInput';
 import './FilterBuilder.css';
 
-const FILTER_CONDITIONS = {
-  number: [
-    { value: 'equals', label: 'Equals (=)' },
-    { value: 'notEquals', label: 'Not Equals (≠)' },
-    { value: 'greaterThan', label: 'Greater Than (>)' },
-    { value: 'lessThan', label: 'Less Than (<)' },
-    { value: 'greaterThanOrEqual', label: 'Greater Than or Equal (≥)' },
-    { value: 'lessThanOrEqual', label: 'Less Than or Equal (≤)' },
-    { value: 'between', label: 'Between' },
-  ],
-  text: [
-    { value: 'contains', label: 'Contains' },
-    { value: 'doesNotContain', label: 'Does Not Contain' },
-    { value: 'startsWith', label: 'Starts With' },
-    { value: 'endsWith', label: 'Ends With' },
-    { value: 'exactMatch', label: 'Exact Match' },
-    { value: 'isEmpty', label: 'Is Empty' },
-    { value: 'isNotEmpty', label: 'Is Not Empty' },
-  ],
-  date: [
-    { value: 'before', label: 'Before' },
-    { value: 'after', label: 'After' },
-    { value: 'on', label: 'On' },
-    { value: 'betweenDates', label: 'Between' },
-  ],
+// How many values a condition takes comes from the server's condition registry
+const getOperands = (condition) => findCondition(condition)?.operands;
+
+const needsSecondValue = (condition) => getOperands(condition) === 'two';
+
+const TEXT_MATCH_CONDITIONS = [
+  'contains',
+  'doesNotContain',
+  'startsWith',
+  'endsWith',
+  'exactMatch',
+  'matchesRegex',
+];
+
+const isListCondition = (condition) => condition === 'inList' || condition === 'notInList';
+
+// Date conditions resolved against today's date on the server
+const RELATIVE_DATE_CONDITIONS = ['inLast', 'inNext', 'inPeriod', 'dayOfWeek', 'monthOfYear'];
+
+const isRelativeDateCondition = (condition) => RELATIVE_DATE_CONDITIONS.includes(condition);
+
+// Conditions with a single value input (list and relative date conditions have their own inputs)
+const needsValue = (condition) =>
+  getOperands(condition) !== 'none' &&
+  !isListCondition(condition) &&
+  !isRelativeDateCondition(condition);
+
+const NUMERIC_TYPES = ['number', 'currency', 'percentage'];
+
+const getInputType = (type, condition) => {
+  if (!needsValue(condition)) return 'hidden';
+  if (condition.startsWith('time')) return 'time';
+  if (condition.startsWith('duration')) return 'text';
+  if (NUMERIC_TYPES.includes(type)) return 'number';
+  if (type === 'date') return 'date';
+  return 'text';
+};
+
+// Percentages are entered in percent and durations as text the server can read
+const getPlaceholder = (type, condition, fallback) => {
+  if (condition === 'matchesRegex') return 'Pattern, e.g. ^INV-\\d{4}';
+  if (condition.startsWith('duration')) return 'e.g. 1:30:00 or 90 min';
+  if (type === 'percentage') return `${fallback} (%)`;
+  return fallback;
 };
 
+// How many rows a condition removes that the rest of the filters would keep, from the live counts
+function EliminatedRows({ count, totalRows }) {
+  if (!count || count.error) return null;
+
+  const { eliminated } = count;
+  const className =
+    eliminated === totalRows && totalRows > 0
+      ? 'removes-all'
+      : eliminated === 0
+        ? 'removes-none'
+        : '';
+  return (
+    <p className={`filter-eliminated ${className}`}>
+      {eliminated === 0
+        ? 'Removes no rows the other filters keep'
+        : `Removes ${eliminated.toLocaleString()} of ${totalRows.toLocaleString()} rows the other filters keep`}
+    </p>
+  );
+}
+
+EliminatedRows.propTypes = {
+  count: PropTypes.shape({ eliminated: PropTypes.number, error: PropTypes.string }),
+  totalRows: PropTypes.number.isRequired,
+};
+
+EliminatedRows.defaultProps = {
+  count: null,
+};
+
+function FilterCondition({ filter, datasetId, headers, columnTypes, counts, onUpdate, onRemove }) {
+  const type = columnTypes[filter.column] || 'text';
+  const [patternError, setPatternError] = useState(null);
+  const isPattern = filter.condition === 'matchesRegex';
+
+  // Patterns are checked by the server, which also rejects ones that could run too long
+  useEffect(() => {
+    setPatternError(null);
+    if (!isPattern || !filter.value) return undefined;
+
+    let cancelled = false;
+    const timer = setTimeout(() => {
+      axios
+        .post('/api/validate-pattern', { pattern: filter.value })
+        .then((response) => {
+          if (!cancelled) setPatternError(response.data.valid ? null : response.data.error);
+        })
+        .catch(() => {});
+    }, 300);
+
+    return () => {
+      cancelled = true;
+      clearTimeout(timer);
+    };
+  }, [isPattern, filter.value]);
+
+  return (
+    <div className="filter-item">
+      <div className="filter-controls">
+        <select
+          className="filter-select"
+          value={filter.column}
+          onChange={(e) => onUpdate(filter.id, 'column', e.target.value)}
+        >
+          {headers.map((header) => (
+            <option key={header} value={header}>
+              {header} ({columnTypes[header] || 'text'})
+            </option>
+          ))}
+        </select>
+
+        <select
+          className="filter-select"
+          value={filter.condition}
+          onChange={(e) => onUpdate(filter.id, 'condition', e.target.value)}
+        >
+          {getConditionsForType(type).map((cond) => (
+            <option key={cond.id} value={cond.id}>
+              {cond.label}
+            </option>
+          ))}
+        </select>
+
+        {needsValue(filter.condition) && (
+          <input
+            type={getInputType(type, filter.condition)}
+            className="filter-input"
+            placeholder={getPlaceholder(type, filter.condition, 'Value')}
+            value={filter.value}
+            onChange={(e) => onUpdate(filter.id, 'value', e.target.value)}
+          />
+        )}
+
+        {isRelativeDateCondition(filter.condition) && (
+          <RelativeDateInput
+            filter={filter}
+            onChange={(field, value) => onUpdate(filter.id, field, value)}
+          />
+        )}
+
+        {needsSecondValue(filter.condition) && (
+          <input
+            type={getInputType(type, filter.condition)}
+            className="filter-input"
+            placeholder={getPlaceholder(type, filter.condition, 'To')}
+            value={filter.value2}
+            onChange={(e) => onUpdate(filter.id, 'value2', e.target.value)}
+          />
+        )}
+
+        <button
+          className="btn btn-danger remove-btn"
+          onClick={() => onRemove(filter.id)}
+          title="Remove filter"
+        >
+          ✕
+        </button>
+      </div>
+
+      {patternError && <p className="filter-error">{patternError}</p>}
+      {counts && <EliminatedRows count={counts.byId.get(filter.id)} totalRows={counts.totalRows} />}
+
+      {TEXT_MATCH_CONDITIONS.includes(filter.condition) && (
+        <div className="text-match-options">
+          <label>
+            <input
+              type="checkbox"
+              checked={filter.caseSensitive ?? filter.condition === 'exactMatch'}
+              onChange={(e) => onUpdate(filter.id, 'caseSensitive', e.target.checked)}
+            />
+            Case-sensitive
+          </label>
+          <label>
+            <input
+              type="checkbox"
+              checked={Boolean(filter.normalizeWhitespace)}
+              onChange={(e) => onUpdate(filter.id, 'normalizeWhitespace', e.target.checked)}
+            />
+            Normalize spaces
+          </label>
+          <label>
+            <input
+              type="checkbox"
+              checked={Boolean(filter.ignoreAccents)}
+              onChange={(e) => onUpdate(filter.id, 'ignoreAccents', e.target.checked)}
+            />
+            Ignore accents
+          </label>
+        </div>
+      )}
+
+      {isListCondition(filter.condition) && (
+        <ValueListInput
+          filter={filter}
+          datasetId={datasetId}
+          onChange={(field, value) => onUpdate(filter.id, field, value)}
+        />
+      )}
+    </div>
+  );
+}
+
+// Live counts: { totalRows, matchingRows, byId: Map of condition id -> { eliminated } or
+// { error } }
+const countsShape = PropTypes.shape({
+  totalRows: PropTypes.number.isRequired,
+  matchingRows: PropTypes.number.isRequired,
+  byId: PropTypes.instanceOf(Map).isRequired,
+});
+
+FilterCondition.propTypes = {
+  filter: PropTypes.object.isRequired,
+  datasetId: PropTypes.string,
+  headers: PropTypes.arrayOf(PropTypes.string).isRequired,
+  columnTypes: PropTypes.object.isRequired,
+  counts: countsShape,
+  onUpdate: PropTypes.func.isRequired,
+  onRemove: PropTypes.func.isRequired,
+};
+
+// A group of conditions and nested groups combined with AND or OR, optionally negated
+function FilterGroup({ group, isRoot, datasetId, headers, columnTypes, counts, actions }) {
+  return (
+    <div className={`filter-group ${isRoot ? 'filter-group-root' : ''}`}>
+      <div className="filter-group-header">
+        <select
+          className="filter-select group-operator"
+          value={group.operator}
+          onChange={(e) => actions.updateGroup(group.id, 'operator', e.target.value)}
+        >
+          <option value="AND">Match ALL of</option>
+          <option value="OR">Match ANY of</option>
+        </select>
+        <label className="group-not">
+          <input
+            type="checkbox"
+            checked={Boolean(group.not)}
+            onChange={(e) => actions.updateGroup(group.id, 'not', e.target.checked)}
+          />
+          NOT (exclude matching rows)
+        </label>
+        <div className="group-buttons">
+          {!isRoot && (
+            <button
+              className="btn btn-secondary btn-small"
+              onClick={() => actions.addCondition(group.id)}
+            >
+              + Condition
+            </button>
+          )}
+          <button
+            className="btn btn-secondary btn-small"
+            onClick={() => actions.addGroup(group.id)}
+          >
+            + Group
+          </button>
+          {!isRoot && (
+            <button
+              className="btn btn-danger remove-btn"
+              onClick={() => actions.remove(group.id)}
+              title="Remove group"
+            >
+              ✕
+            </button>
+          )}
+        </div>
+      </div>
+
+      <div className="filters-list">
+        {group.conditions.map((node) =>
+          isFilterGroup(node) ? (
+            <FilterGroup
+              key={node.id}
+              group={node}
+              isRoot={false}
+              datasetId={datasetId}
+              headers={headers}
+              columnTypes={columnTypes}
+              counts={counts}
+              actions={actions}
+            />
+          ) : (
+            <FilterCondition
+              key={node.id}
+              filter={node}
+              datasetId={datasetId}
+              headers={headers}
+              columnTypes={columnTypes}
+              counts={counts}
+              onUpdate={actions.updateCondition}
+              onRemove={actions.remove}
+            />
+          ),
+        )}
+        {!isRoot && group.conditions.length === 0 && (
+          <p className="empty-group">Empty group - add a condition or remove it.</p>
+        )}
+      </div>
+    </div>
+  );
+}
+
+FilterGroup.propTypes = {
+  group: PropTypes.object.isRequired,
+  datasetId: PropTypes.string,
+  counts: countsShape,
+  isRoot: PropTypes.bool.isRequired,
+  headers: PropTypes.arrayOf(PropTypes.string).isRequired,
+  columnTypes: PropTypes.object.isRequired,
+  actions: PropTypes.shape({
+    addCondition: PropTypes.func.isRequired,
+    addGroup: PropTypes.func.isRequired,
+    remove: PropTypes.func.isRequired,
+    updateCondition: PropTypes.func.isRequired,
+    updateGroup: PropTypes.func.isRequired,
+  }).isRequired,
+};
+
+/**
+ * Edits a filter tree of nested AND/OR groups (see utils/filterTree.js). A flat array of
+ * conditions is accepted and treated as a single AND group.
+ *
+ * In expression mode the tree is edited as text instead; the server converts between the two
+ * (see backend/filterExpression.js).
+ */
 function FilterBuilder({
+  datasetId,
   headers,
   columnTypes,
   filters,
   onFiltersChange,
   onApplyFilters,
   loading,
+  specSetup,
 }) {
-  const [localFilters, setLocalFilters] = useState(filters);
+  const [tree, setTree] = useState(() => toFilterTree(filters));
+  const [expressionMode, setExpressionMode] = useState(false);
+  const [expression, setExpression] = useState('');
+  const [expressionError, setExpressionError] = useState(null);
+  const [switching, setSwitching] = useState(false);
+  const [counts, setCounts] = useState(null);
+  // Conditions are offered once the server has listed them
+  const conditionOptions = useFilterConditions();
+  // The last tree this builder passed up, to tell its own changes from the parent's
+  const committed = useRef(null);
   const headerOptions = headers || [];
   const columnTypeMap = columnTypes || {};
 
   useEffect(() => {
-    setLocalFilters(filters);
+    setTree(toFilterTree(filters));
+    // Filters replaced from outside (e.g. a loaded preset) are shown in the visual builder
+    if (filters !== committed.current) {
+      setExpressionMode(false);
+      setExpressionError(null);
+    }
   }, [filters]);
 
-  const addFilter = () => {
-    const defaultColumn = headerOptions[0] || '';
-    const defaultCondition = getConditionsForColumn(defaultColumn)[0]?.value || 'equals';
-    const newFilter = {
-      id: Date.now(),
-      column: defaultColumn,
-      condition: defaultCondition,
-      value: '',
-      value2: '',
-    };
-    setLocalFilters([...localFilters, newFilter]);
-    onFiltersChange([...localFilters, newFilter]);
+  const commit = (updated) => {
+    committed.current = updated;
+    setTree(updated);
+    onFiltersChange(updated);
   };
 
-  const removeFilter = (id) => {
-    const updated = localFilters.filter((f) => f.id !== id);
-    setLocalFilters(updated);
-    onFiltersChange(updated);
+  // Live match counts of the stored dataset, once editing pauses
+  useEffect(() => {
+    // Earlier counts stay up while new ones load, so badges do not flicker while typing
+    if (!datasetId || expressionMode || tree.conditions.length === 0) {
+      setCounts(null);
+      return undefined;
+    }
+
+    const controller = new AbortController();
+    const timer = setTimeout(() => {
+      axios
+        .post(
+          '/api/filter/count',
+          { datasetId, filters: toFilterRequest(tree) },
+          { signal: controller.signal },
+        )
+        .then((response) => {
+          const conditions = listConditions(tree);
+          setCounts({
+            totalRows: response.data.totalRows,
+            matchingRows: response.data.matchingRows,
+            byId: new Map(
+              response.data.conditions.map((count, index) => [conditions[index].id, count]),
+            ),
+          });
+        })
+        .catch(() => {});
+    }, 400);
+
+    return () => {
+      clearTimeout(timer);
+      controller.abort();
+    };
+  }, [datasetId, tree, expressionMode]);
+
+  const readError = (err) => ({
+    message: err.response?.data?.error || err.message,
+    position: err.response?.data?.position ?? null,
+    length: err.response?.data?.length ?? null,
+  });
+
+  // The expression as a tree, or null (with the error shown) when it does not parse
+  const parseExpression = async () => {
+    try {
+      const response = await axios.post('/api/filter-expressions/parse', {
+        expression,
+        headers: headerOptions,
+        columnTypes: columnTypeMap,
+      });
+      setExpressionError(null);
+      return fromFilterRequest(response.data.filters);
+    } catch (err) {
+      setExpressionError(readError(err));
+      return null;
+    }
   };
 
-  const updateFilter = (id, field, value) => {
-    const updated = localFilters.map((f) => {
-      if (f.id === id) {
-        const newFilter = { ...f, [field]: value };
-        // Reset value2 when condition changes
-        if (field === 'condition') {
-          newFilter.value2 = '';
+  const toggleExpressionMode = async () => {
+    setSwitching(true);
+    try {
+      if (expressionMode) {
+        const parsed = await parseExpression();
+        if (parsed) {
+          commit(parsed);
+          setExpressionMode(false);
         }
-        // Clear value for empty checks
-        if (value === 'isEmpty' || value === 'isNotEmpty') {
-          newFilter.value = '';
-        }
-        return newFilter;
+      } else {
+        const response = await axios.post('/api/filter-expressions/format', {
+          filters: toFilterRequest(tree),
+          columnTypes: columnTypeMap,
+        });
+        setExpression(response.data.expression);
+        setExpressionError(null);
+        setExpressionMode(true);
       }
-      return f;
-    });
-    setLocalFilters(updated);
-    onFiltersChange(updated);
+    } catch (err) {
+      alert('This filter cannot be edited as text: ' + readError(err).message);
+    } finally {
+      setSwitching(false);
+    }
   };
 
-  const handleApply = () => {
-    onApplyFilters();
+  const applyExpression = async () => {
+    const parsed = await parseExpression();
+    if (parsed) {
+      commit(parsed);
+      onApplyFilters(parsed);
+    }
   };
 
-  const getConditionsForColumn = (column) => {
-    const type = columnTypeMap[column] || 'text';
-    return FILTER_CONDITIONS[type] || FILTER_CONDITIONS.text;
+  const newCondition = () => {
+    const defaultColumn = headerOptions[0] || '';
+    const type = columnTypeMap[defaultColumn] || 'text';
+    return createFilterCondition(defaultColumn, getDefaultCondition(type));
   };
 
-  const needsSecondValue = (condition) => {
-    return condition === 'between' || condition === 'betweenDates';
-  };
+  const addToGroup = (groupId, node) =>
+    commit(
+      updateNode(tree, groupId, (group) => ({ ...group, conditions: [...group.conditions, node] })),
+    );
 
-  const needsValue = (condition) => {
-    return condition !== 'isEmpty' && condition !== 'isNotEmpty';
+  const actions = {
+    addCondition: (groupId) => addToGroup(groupId, newCondition()),
+    addGroup: (groupId) => {
+      const group = createFilterGroup(tree.operator === 'AND' ? 'OR' : 'AND');
+      group.conditions = [newCondition()];
+      addToGroup(groupId, group);
+    },
+    remove: (id) => commit(removeNode(tree, id)),
+    updateCondition: (id, field, value) =>
+      commit(
+        updateNode(tree, id, (filter) => {
+          const newFilter = { ...filter, [field]: value };
+          // A new column may not offer the current condition
+          if (field === 'column' && !fitsColumnType(filter, columnTypeMap[value])) {
+            newFilter.condition = getDefaultCondition(columnTypeMap[value]);
+            newFilter.value = '';
+            newFilter.value2 = '';
+          }
+          // Values picked from one column mean nothing for another
+          if (field === 'column' && Array.isArray(filter.values)) {
+            newFilter.values = [];
+          }
+          // A list comes from exactly one source: pasted text, picked values or another file
+          if (field === 'listSource') {
+            delete newFilter.values;
+          }
+          if (field === 'values') {
+            delete newFilter.listSource;
+          }
+          // Reset value2 when condition changes
+          if (field === 'condition') {
+            newFilter.value2 = '';
+          }
+          // Relative date conditions take counts, periods or day lists rather than dates
+          if (
+            field === 'condition' &&
+            isRelativeDateCondition(value) !== isRelativeDateCondition(filter.condition)
+          ) {
+            newFilter.value = '';
+          }
+          // Clear value for empty checks
+          if (value === 'isEmpty' || value === 'isNotEmpty') {
+            newFilter.value = '';
+          }
+          return newFilter;
+        }),
+      ),
+    updateGroup: (id, field, value) =>
+      commit(updateNode(tree, id, (group) => ({ ...group, [field]: value }))),
   };
 
-  const getInputType = (column, condition) => {
-    if (!needsValue(condition)) return 'hidden';
-    const type = columnTypes[column] || 'text';
-    if (type === 'number') return 'number';
-    if (type === 'date') return 'date';
-    return 'text';
+  const handleClear = () => {
+    const cleared = createFilterGroup();
+    commit(cleared);
+    setExpression('');
+    setExpressionError(null);
+    onApplyFilters(cleared);
   };
 
   return (
     <div className="filter-builder">
       <div className="filter-header">
         <h2>Filter Conditions</h2>
-        <button className="btn btn-primary" onClick={addFilter}>
-          + Add Filter
-        </button>
+        <div className="filter-header-actions">
+          <button className="btn btn-secondary" onClick={toggleExpressionMode} disabled={switching}>
+            {expressionMode ? 'Edit visually' : 'Edit as expression'}
+          </button>
+          {!expressionMode && (
+            <button
+              className="btn btn-primary"
+              onClick={() => actions.addCondition(tree.id)}
+              disabled={conditionOptions.length === 0}
+            >
+              + Add Filter
+            </button>
+          )}
+        </div>
       </div>
 
-      {localFilters.length === 0 ? (
+      {specSetup && (
+        <FilterSpecActions
+          mode={specSetup.mode}
+          headers={headerOptions}
+          primaryHeaders={specSetup.primaryHeaders}
+          current={{
+            filters: tree,
+            logicOperator: specSetup.logicOperator || 'AND',
+            keyColumns: specSetup.keyColumns || [],
+            joinType: specSetup.joinType || 'inner',
+          }}
+          onLoad={specSetup.onLoad}
+        />
+      )}
+
+      {expressionMode ? (
+        <>
+          <FilterExpressionInput
+            value={expression}
+            onChange={setExpression}
+            headers={headerOptions}
+            columnTypes={columnTypeMap}
+            error={expressionError}
+            onSubmit={applyExpression}
+          />
+          <div className="filter-actions">
+            <button className="btn btn-success" onClick={applyExpression} disabled={loading}>
+              {loading ? 'Applying Filters...' : 'Apply Filters'}
+            </button>
+            <button className="btn btn-secondary" onClick={handleClear} disabled={loading}>
+              Clear All
+            </button>
+          </div>
+        </>
+      ) : tree.conditions.length === 0 ? (
         <div className="no-filters">
           <p>No filters applied. Click &quot;Add Filter&quot; to start filtering your data.</p>
         </div>
       ) : (
         <>
-          <div className="filters-list">
-            {localFilters.map((filter) => {
-              const needsValue2 = needsSecondValue(filter.condition);
-              const needsValueInput = needsValue(filter.condition);
-
-              return (
-                <div key={filter.id} className="filter-item">
-                  <div className="filter-controls">
-                    <select
-                      className="filter-select"
-                      value={filter.column}
-                      onChange={(e) => updateFilter(filter.id, 'column', e.target.value)}
-                    >
-                      {headerOptions.map((header) => (
-                        <option key={header} value={header}>
-                          {header} ({columnTypeMap[header] || 'text'})
-                        </option>
-                      ))}
-                    </select>
-
-                    <select
-                      className="filter-select"
-                      value={filter.condition}
-                      onChange={(e) => updateFilter(filter.id, 'condition', e.target.value)}
-                    >
-                      {getConditionsForColumn(filter.column).map((cond) => (
-                        <option key={cond.value} value={cond.value}>
-                          {cond.label}
-                        </option>
-                      ))}
-                    </select>
-
-                    {needsValueInput && (
-                      <input
-                        type={getInputType(filter.column, filter.condition)}
-                        className="filter-input"
-                        placeholder="Value"
-                        value={filter.value}
-                        onChange={(e) => updateFilter(filter.id, 'value', e.target.value)}
-                      />
-                    )}
-
-                    {needsValue2 && (
-                      <input
-                        type={getInputType(filter.column, filter.condition)}
-                        className="filter-input"
-                        placeholder="To"
-                        value={filter.value2}
-                        onChange={(e) => updateFilter(filter.id, 'value2', e.target.value)}
-                      />
-                    )}
-
-                    <button
-                      className="btn btn-danger remove-btn"
-                      onClick={() => removeFilter(filter.id)}
-                      title="Remove filter"
-                    >
-                      ✕
-                    </button>
-                  </div>
-                </div>
-              );
-            })}
-          </div>
+          <FilterGroup
+            group={tree}
+            isRoot
+            datasetId={datasetId}
+            headers={headerOptions}
+            columnTypes={columnTypeMap}
+            counts={counts}
+            actions={actions}
+          />
 
           <div className="filter-actions">
-            <button className="btn btn-success" onClick={handleApply} disabled={loading}>
-              {loading ? 'Applying Filters...' : 'Apply Filters'}
-            </button>
+            <span className="filter-count">
+              {countConditions(tree)} condition{countConditions(tree) === 1 ? '' : 's'}
+              {counts && (
+                <strong className={counts.matchingRows === 0 ? 'no-matches' : ''}>
+                  {' '}
+                  · {counts.matchingRows.toLocaleString()} of {counts.totalRows.toLocaleString()}{' '}
+                  rows match
+                </strong>
+              )}
+            </span>
             <button
-              className="btn btn-secondary"
-              onClick={() => {
-                setLocalFilters([]);
-                onFiltersChange([]);
-                onApplyFilters();
-              }}
+              className="btn btn-success"
+              onClick={() => onApplyFilters(tree)}
               disabled={loading}
             >
+              {loading ? 'Applying Filters...' : 'Apply Filters'}
+            </button>
+            <button className="btn btn-secondary" onClick={handleClear} disabled={loading}>
               Clear All
             </button>
           </div>
@@ -213,19 +653,36 @@ function FilterBuilder({
 }
 
 FilterBuilder.propTypes = {
+  // Stored dataset the filters apply to: its distinct values can be picked for in-list conditions
+  // and its rows are counted live as conditions change
+  datasetId: PropTypes.string,
   headers: PropTypes.arrayOf(PropTypes.string),
   columnTypes: PropTypes.object,
-  filters: PropTypes.arrayOf(PropTypes.object),
+  // A filter tree, or a flat array of conditions
+  filters: PropTypes.oneOfType([PropTypes.object, PropTypes.arrayOf(PropTypes.object)]),
   onFiltersChange: PropTypes.func.isRequired,
+  // Called with the current filter tree
   onApplyFilters: PropTypes.func.isRequired,
   loading: PropTypes.bool,
+  // Shows the filter spec file actions: { mode, onLoad } and, in reference mode, primaryHeaders,
+  // keyColumns, joinType and logicOperator (see FilterSpecActions)
+  specSetup: PropTypes.shape({
+    mode: PropTypes.oneOf(['single', 'reference']).isRequired,
+    primaryHeaders: PropTypes.arrayOf(PropTypes.string),
+    logicOperator: PropTypes.oneOf(['AND', 'OR']),
+    keyColumns: PropTypes.arrayOf(PropTypes.object),
+    joinType: PropTypes.string,
+    onLoad: PropTypes.func.isRequired,
+  }),
 };
 
 FilterBuilder.defaultProps = {
+  datasetId: null,
   headers: [],
   columnTypes: {},
   filters: [],
   loading: false,
+  specSetup: null,
 };
 
 export default FilterBuilder;
@@ -0,0 +1,187 @@
+import React, { useEffect, useRef, useState } from 'react';
+import PropTypes from 'prop-types';
+import axios from 'axios';
+import './FilterExpressionInput.css';
+
+// Line, column and the text of the line holding `position`, to point at an error
+const locate = (text, position) => {
+  const before = text.slice(0, position);
+  const lineStart = before.lastIndexOf('\n') + 1;
+  const lineEnd = text.indexOf('\n', position);
+  return {
+    line: before.split('\n').length,
+    column: position - lineStart + 1,
+    text: text.slice(lineStart, lineEnd === -1 ? text.length : lineEnd),
+  };
+};
+
+// Text input for filter expressions (see backend/filterExpression.js) with column, condition and
+// keyword autocomplete from the server, and errors pointed out where they occur
+function FilterExpressionInput({ value, onChange, headers, columnTypes, error, onSubmit }) {
+  const textarea = useRef(null);
+  const latestRequest = useRef(0);
+  const pendingCursor = useRef(null);
+  const [cursor, setCursor] = useState(null);
+  const [completion, setCompletion] = useState(null);
+  const [active, setActive] = useState(0);
+
+  // Ask for suggestions once typing pauses
+  useEffect(() => {
+    if (cursor === null) return undefined;
+
+    const timer = setTimeout(() => {
+      const request = ++latestRequest.current;
+      axios
+        .post('/api/filter-expressions/suggest', {
+          expression: value,
+          cursor,
+          headers,
+          columnTypes,
+        })
+        .then((response) => {
+          if (request !== latestRequest.current) return;
+          setCompletion(response.data.suggestions.length > 0 ? response.data : null);
+          setActive(0);
+        })
+        .catch(() => setCompletion(null));
+    }, 150);
+    return () => clearTimeout(timer);
+  }, [value, cursor, headers, columnTypes]);
+
+  // Put the cursor after an accepted suggestion
+  useEffect(() => {
+    if (pendingCursor.current !== null && textarea.current) {
+      textarea.current.setSelectionRange(pendingCursor.current, pendingCursor.current);
+      pendingCursor.current = null;
+    }
+  }, [value]);
+
+  const trackCursor = () => {
+    const { selectionStart, selectionEnd } = textarea.current;
+    setCursor(selectionStart === selectionEnd ? selectionStart : null);
+  };
+
+  const accept = (suggestion) => {
+    const { from, to } = completion;
+    const inserted = `${suggestion.insert} `;
+    pendingCursor.current = from + inserted.length;
+    latestRequest.current++;
+    setCompletion(null);
+    onChange(value.slice(0, from) + inserted + value.slice(to).replace(/^ /, ''));
+    setCursor(from + inserted.length);
+    textarea.current.focus();
+  };
+
+  const handleKeyDown = (e) => {
+    if (e.key === 'Enter' && (e.ctrlKey || e.metaKey)) {
+      e.preventDefault();
+      setCompletion(null);
+      onSubmit();
+      return;
+    }
+    if (!completion) return;
+
+    const count = completion.suggestions.length;
+    if (e.key === 'ArrowDown' || e.key === 'ArrowUp') {
+      e.preventDefault();
+      setActive((active + (e.key === 'ArrowDown' ? 1 : count - 1)) % count);
+    } else if (e.key === 'Enter' || e.key === 'Tab') {
+      e.preventDefault();
+      accept(completion.suggestions[active]);
+    } else if (e.key === 'Escape') {
+      setCompletion(null);
+    }
+  };
+
+  const selectError = () => {
+    textarea.current.focus();
+    textarea.current.setSelectionRange(error.position, error.position + (error.length || 1));
+  };
+
+  const errorAt = error && error.position !== null ? locate(value, error.position) : null;
+
+  return (
+    <div className="filter-expression">
+      <textarea
+        ref={textarea}
+        className={`filter-expression-text ${error ? 'has-error' : ''}`}
+        rows={3}
+        spellCheck={false}
+        placeholder='Amount > 1000 AND (Region in ("EU", "UK") OR Status startsWith "VIP")'
+        value={value}
+        onChange={(e) => {
+          onChange(e.target.value);
+          setCursor(e.target.selectionStart);
+        }}
+        onKeyDown={handleKeyDown}
+        onClick={trackCursor}
+        onBlur={() => setTimeout(() => setCompletion(null), 150)}
+      />
+
+      {completion && (
+        <ul className="filter-expression-suggestions" role="listbox">
+          {completion.suggestions.map((suggestion, index) => (
+            <li
+              key={`${suggestion.kind}:${suggestion.label}`}
+              role="option"
+              aria-selected={index === active}
+              className={index === active ? 'active' : ''}
+              onMouseDown={(e) => {
+                e.preventDefault();
+                accept(suggestion);
+              }}
+            >
+              <span>{suggestion.label}</span>
+              <span className="filter-expression-kind">{suggestion.kind}</span>
+            </li>
+          ))}
+        </ul>
+      )}
+
+      {error && (
+        <div className="filter-expression-error">
+          {errorAt ? (
+            <>
+              <button type="button" className="filter-expression-locate" onClick={selectError}>
+                Line {errorAt.line}, column {errorAt.column}:
+              </button>{' '}
+              {error.message}
+              <pre>
+                {errorAt.text}
+                {'\n'}
+                {' '.repeat(errorAt.column - 1)}
+                {'^'.repeat(Math.max(1, Math.min(error.length || 1, errorAt.text.length)))}
+              </pre>
+            </>
+          ) : (
+            error.message
+          )}
+        </div>
+      )}
+      <p className="filter-expression-hint">
+        Tab or Enter picks a suggestion; Ctrl+Enter applies. Bracket column names with spaces:
+        [Order ID].
+      </p>
+    </div>
+  );
+}
+
+FilterExpressionInput.propTypes = {
+  value: PropTypes.string.isRequired,
+  onChange: PropTypes.func.isRequired,
+  headers: PropTypes.arrayOf(PropTypes.string).isRequired,
+  columnTypes: PropTypes.object.isRequired,
+  // { message, position, length } from the server; position is null when it has none
+  error: PropTypes.shape({
+    message: PropTypes.string.isRequired,
+    position: PropTypes.number,
+    length: PropTypes.number,
+  }),
+  onSubmit: PropTypes.func.isRequired,
+};
+
+FilterExpressionInput.defaultProps = {
+  error: null,
+};
+
+export default FilterExpressionInput;
@@ -0,0 +1,140 @@
+import React, { useRef, useState } from 'react';
+import PropTypes from 'prop-types';
+import axios from 'axios';
+import ColumnRemap from './ColumnRemap';
+import { createFilterSpec, getSpecFileName, readSpecFile } from '../utils/filterSpec';
+import { findMissingColumns, hasMissingColumns, remapPresetColumns } from '../utils/presetColumns';
+import './FilterSpecActions.css';
+
+// "Download filter spec" and "Load filter spec" for FilterBuilder. Loaded specs are validated by
+// the server, and columns the current files lack are remapped before the spec is applied.
+function FilterSpecActions({ mode, headers, primaryHeaders, current, onLoad }) {
+  const fileInput = useRef(null);
+  const [pending, setPending] = useState(null);
+  const [error, setError] = useState(null);
+  const [problems, setProblems] = useState([]);
+  const [message, setMessage] = useState(null);
+
+  const report = (text, list = []) => {
+    setError(text);
+    setProblems(list);
+    setMessage(null);
+  };
+
+  const handleDownload = () => {
+    const name = window.prompt('Name this filter spec', '');
+    if (name === null) return;
+
+    const spec = createFilterSpec({ ...current, name: name.trim(), mode });
+    const url = window.URL.createObjectURL(
+      new Blob([JSON.stringify(spec, null, 2)], { type: 'application/json' }),
+    );
+    const link = document.createElement('a');
+    link.href = url;
+    link.setAttribute('download', getSpecFileName(spec.name));
+    document.body.appendChild(link);
+    link.click();
+    link.remove();
+    window.URL.revokeObjectURL(url);
+  };
+
+  const finishLoad = (spec, mapping) => {
+    onLoad(remapPresetColumns(spec, mapping));
+    setPending(null);
+    report(null);
+    setMessage(`Loaded ${spec.name ? `"${spec.name}"` : 'the filter spec'}`);
+  };
+
+  const handleFile = async (e) => {
+    const file = e.target.files[0];
+    // Let the same file be chosen again after fixing it
+    e.target.value = '';
+    if (!file) return;
+
+    setPending(null);
+    try {
+      const response = await axios.post('/api/filter-specs/validate', await readSpecFile(file));
+      const { spec } = response.data;
+      if (spec.mode !== mode) {
+        report(
+          `${file.name} is a ${spec.mode === 'reference' ? 'reference file' : 'single file'} filter; switch modes to load it`,
+        );
+        return;
+      }
+      if (hasMissingColumns(findMissingColumns(spec, headers, primaryHeaders))) {
+        report(null);
+        setPending({ ...spec, name: spec.name || file.name });
+      } else {
+        finishLoad(spec, {});
+      }
+    } catch (err) {
+      report(
+        err.response?.data?.error || err.message || 'Failed to load filter spec',
+        err.response?.data?.problems || [],
+      );
+    }
+  };
+
+  return (
+    <div className="filter-spec-actions">
+      <div className="filter-spec-buttons">
+        <button className="btn btn-secondary btn-small" onClick={handleDownload}>
+          Download filter spec
+        </button>
+        <button className="btn btn-secondary btn-small" onClick={() => fileInput.current.click()}>
+          Load filter spec
+        </button>
+        <input
+          ref={fileInput}
+          type="file"
+          accept=".json,application/json"
+          hidden
+          onChange={handleFile}
+        />
+      </div>
+
+      {error && (
+        <div className="filter-spec-error">
+          <p>{error}</p>
+          {problems.some((problem) => problem !== error) && (
+            <ul>
+              {problems.map((problem) => (
+                <li key={problem}>{problem}</li>
+              ))}
+            </ul>
+          )}
+        </div>
+      )}
+      {message && <p className="filter-spec-message">{message}</p>}
+
+      {pending && (
+        <ColumnRemap
+          name={pending.name}
+          missing={findMissingColumns(pending, headers, primaryHeaders)}
+          headers={headers}
+          primaryHeaders={primaryHeaders}
+          onApply={(mapping) => finishLoad(pending, mapping)}
+          onCancel={() => setPending(null)}
+        />
+      )}
+    </div>
+  );
+}
+
+FilterSpecActions.propTypes = {
+  mode: PropTypes.oneOf(['single', 'reference']).isRequired,
+  // Columns of the file the filters apply to
+  headers: PropTypes.arrayOf(PropTypes.string).isRequired,
+  // Columns of the main file in reference mode
+  primaryHeaders: PropTypes.arrayOf(PropTypes.string),
+  // The setup a downloaded spec holds: { filters, logicOperator, keyColumns, joinType }
+  current: PropTypes.object.isRequired,
+  // Called with the loaded spec, its columns remapped and its filters ready for editing
+  onLoad: PropTypes.func.isRequired,
+};
+
+FilterSpecActions.defaultProps = {
+  primaryHeaders: [],
+};
+
+export default FilterSpecActions;
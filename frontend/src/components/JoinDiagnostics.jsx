@@ -0,0 +1,212 @@
+import React, { useState } from 'react';
+import PropTypes from 'prop-types';
+import axios from 'axios';
+import './JoinDiagnostics.css';
+
+const RELATIONSHIPS = [
+  { field: 'oneToOne', label: '1:1', description: 'one main row, one reference row' },
+  { field: 'oneToMany', label: '1:N', description: 'one main row, several reference rows' },
+  { field: 'manyToOne', label: 'N:1', description: 'several main rows, one reference row' },
+  { field: 'manyToMany', label: 'N:M', description: 'several rows on both sides' },
+];
+
+// The lists of POST /api/reference-filter's diagnostics, each also a sheet of the Excel download
+const LISTS = [
+  {
+    list: 'unmatchedPrimaryKeys',
+    title: 'Unmatched main keys',
+    description: 'Keys of the main file that no filtered reference row has.',
+    side: 'primaryColumn',
+    columns: [{ label: 'Rows', value: (item) => item.rows }],
+  },
+  {
+    list: 'unmatchedReferenceKeys',
+    title: 'Unmatched reference keys',
+    description: 'Keys of the filtered reference file that no main row has.',
+    side: 'refColumn',
+    columns: [{ label: 'Rows', value: (item) => item.rows }],
+  },
+  {
+    list: 'duplicateReferenceKeys',
+    title: 'Duplicate reference keys',
+    description:
+      'Matched keys held by several reference rows; each main row with the key appears once per reference row.',
+    side: 'refColumn',
+    columns: [
+      { label: 'Reference rows', value: (item) => item.referenceRows },
+      { label: 'Main rows', value: (item) => item.primaryRows },
+      { label: 'Extra result rows', value: (item) => item.extraRows },
+    ],
+  },
+  {
+    list: 'blankKeys',
+    title: 'Blank keys',
+    description: 'Rows with an empty key value; they only match rows whose key is empty too.',
+    side: null,
+    columns: [
+      { label: 'File', value: (item) => item.file, first: true },
+      { label: 'Row', value: (item) => item.row, first: true },
+      { label: 'Matched', value: (item) => (item.matched ? 'yes' : 'no') },
+    ],
+  },
+];
+
+const pairLabel = ({ refColumn, primaryColumn }) =>
+  refColumn === primaryColumn ? refColumn : `${refColumn} / ${primaryColumn}`;
+
+const showValue = (value) => (value === null || value === '' ? '(empty)' : String(value));
+
+// Why rows of a reference join did or did not match, with downloads of the full lists
+function JoinDiagnostics({ datasetId, keyColumns, diagnostics }) {
+  const [downloading, setDownloading] = useState(null);
+  const { cardinality } = diagnostics;
+
+  // `list` null downloads every list, one sheet each
+  const download = async (list) => {
+    const filename = `${list || 'join_diagnostics'}.xlsx`;
+    setDownloading(list || 'all');
+    try {
+      const response = await axios.post(
+        '/api/export/join-diagnostics',
+        { datasetId, ...(list && { list }), filename },
+        { responseType: 'blob' },
+      );
+      const url = window.URL.createObjectURL(new Blob([response.data]));
+      const link = document.createElement('a');
+      link.href = url;
+      link.setAttribute('download', filename);
+      document.body.appendChild(link);
+      link.click();
+      link.remove();
+      window.URL.revokeObjectURL(url);
+    } catch (error) {
+      alert('Failed to download diagnostics: ' + (error.response?.data?.error || error.message));
+    } finally {
+      setDownloading(null);
+    }
+  };
+
+  return (
+    <div className="section join-diagnostics">
+      <div className="join-diagnostics-header">
+        <h3>Join Diagnostics</h3>
+        <button
+          className="btn btn-secondary btn-small"
+          onClick={() => download(null)}
+          disabled={downloading !== null}
+        >
+          {downloading === 'all' ? 'Downloading...' : 'Download all (Excel)'}
+        </button>
+      </div>
+
+      <div className="join-cardinality">
+        <div className="join-relationship">
+          <span>Relationship</span>
+          <strong>{cardinality.relationship || 'no matches'}</strong>
+        </div>
+        {RELATIONSHIPS.map(({ field, label, description }) => (
+          <div key={field} className="join-cardinality-count" title={description}>
+            <strong>{cardinality[field]}</strong>
+            <span>keys matched {label}</span>
+          </div>
+        ))}
+      </div>
+
+      {LISTS.map(({ list, title, description, side, columns }) => {
+        const { total, items } = diagnostics[list];
+        const keyHeaders = keyColumns.map((keyColumn) =>
+          side ? keyColumn[side] : pairLabel(keyColumn),
+        );
+        const leading = columns.filter((column) => column.first);
+        const trailing = columns.filter((column) => !column.first);
+        return (
+          <div key={list} className="join-diagnostics-list">
+            <div className="join-diagnostics-list-header">
+              <h4>
+                {title} <span className="join-diagnostics-total">{total}</span>
+              </h4>
+              {total > 0 && (
+                <button
+                  className="btn btn-secondary btn-small"
+                  onClick={() => download(list)}
+                  disabled={downloading !== null}
+                >
+                  {downloading === list ? 'Downloading...' : 'Download'}
+                </button>
+              )}
+            </div>
+            <p className="join-diagnostics-description">{description}</p>
+            {total > 0 && (
+              <table className="join-diagnostics-table">
+                <thead>
+                  <tr>
+                    {leading.map(({ label }) => (
+                      <th key={label}>{label}</th>
+                    ))}
+                    {keyHeaders.map((header, index) => (
+                      <th key={`${index}:${header}`}>{header}</th>
+                    ))}
+                    {trailing.map(({ label }) => (
+                      <th key={label}>{label}</th>
+                    ))}
+                  </tr>
+                </thead>
+                <tbody>
+                  {items.map((item, index) => (
+                    <tr key={index}>
+                      {leading.map(({ label, value }) => (
+                        <td key={label}>{value(item)}</td>
+                      ))}
+                      {item.values.map((value, valueIndex) => (
+                        <td key={valueIndex}>{showValue(value)}</td>
+                      ))}
+                      {trailing.map(({ label, value }) => (
+                        <td key={label}>{value(item)}</td>
+                      ))}
+                    </tr>
+                  ))}
+                </tbody>
+              </table>
+            )}
+            {total > items.length && (
+              <p className="join-diagnostics-more">
+                Showing the first {items.length} of {total}; download the list for all of them.
+              </p>
+            )}
+          </div>
+        );
+      })}
+    </div>
+  );
+}
+
+const listShape = PropTypes.shape({
+  total: PropTypes.number.isRequired,
+  items: PropTypes.arrayOf(PropTypes.object).isRequired,
+});
+
+JoinDiagnostics.propTypes = {
+  // The stored join result the full lists are downloaded from
+  datasetId: PropTypes.string.isRequired,
+  keyColumns: PropTypes.arrayOf(
+    PropTypes.shape({
+      refColumn: PropTypes.string.isRequired,
+      primaryColumn: PropTypes.string.isRequired,
+    }),
+  ).isRequired,
+  diagnostics: PropTypes.shape({
+    cardinality: PropTypes.shape({
+      relationship: PropTypes.string,
+      oneToOne: PropTypes.number.isRequired,
+      oneToMany: PropTypes.number.isRequired,
+      manyToOne: PropTypes.number.isRequired,
+      manyToMany: PropTypes.number.isRequired,
+    }).isRequired,
+    unmatchedPrimaryKeys: listShape.isRequired,
+    unmatchedReferenceKeys: listShape.isRequired,
+    duplicateReferenceKeys: listShape.isRequired,
+    blankKeys: listShape.isRequired,
+  }).isRequired,
+};
+
+export default JoinDiagnostics;
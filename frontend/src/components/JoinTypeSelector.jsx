@@ -0,0 +1,138 @@
+import React from 'react';
+import PropTypes from 'prop-types';
+import './JoinTypeSelector.css';
+
+// The regions of the Venn indicator: main file only, both files, reference file only. The circles
+// (radius 20) meet at x = 40, y = 25 ± 17.32.
+const REGION_PATHS = {
+  main: 'M40 7.68 A20 20 0 1 0 40 42.32 A20 20 0 0 1 40 7.68 Z',
+  both: 'M40 7.68 A20 20 0 0 1 40 42.32 A20 20 0 0 1 40 7.68 Z',
+  reference: 'M40 7.68 A20 20 0 1 1 40 42.32 A20 20 0 0 0 40 7.68 Z',
+};
+
+const JOIN_TYPES = [
+  {
+    value: 'inner',
+    label: 'Matches only',
+    description: 'Main rows that have a match, with the matching reference columns.',
+    regions: ['both'],
+  },
+  {
+    value: 'left',
+    label: 'All main rows',
+    description: 'Every main row; reference columns stay empty where nothing matched.',
+    regions: ['main', 'both'],
+  },
+  {
+    value: 'right',
+    label: 'All reference rows',
+    description: 'Every filtered reference row; main columns stay empty where nothing matched.',
+    regions: ['both', 'reference'],
+  },
+  {
+    value: 'full',
+    label: 'Everything',
+    description: 'All rows of both files, side by side where they match.',
+    regions: ['main', 'both', 'reference'],
+  },
+  {
+    value: 'semi',
+    label: 'Main rows with a match',
+    description: 'Main rows that have a match, once each, without reference columns.',
+    regions: ['both'],
+    mainColumnsOnly: true,
+  },
+  {
+    value: 'anti',
+    label: 'Main rows without a match',
+    description: 'Main rows that no filtered reference row matches.',
+    regions: ['main'],
+  },
+  {
+    value: 'rightAnti',
+    label: 'Reference rows missing from main',
+    description: 'Filtered reference rows that no main row matches.',
+    regions: ['reference'],
+  },
+];
+
+function VennIndicator({ regions, mainColumnsOnly }) {
+  return (
+    <svg
+      className="join-venn"
+      viewBox="0 0 80 50"
+      role="img"
+      aria-label={`Keeps ${regions.join(', ')}${mainColumnsOnly ? ' (main columns only)' : ''}`}
+    >
+      {Object.entries(REGION_PATHS).map(([region, path]) => (
+        <path
+          key={region}
+          d={path}
+          className={regions.includes(region) ? 'join-venn-kept' : 'join-venn-dropped'}
+        />
+      ))}
+      <circle cx="30" cy="25" r="20" className="join-venn-outline join-venn-main" />
+      <circle
+        cx="50"
+        cy="25"
+        r="20"
+        className={`join-venn-outline join-venn-reference${mainColumnsOnly ? ' faded' : ''}`}
+      />
+    </svg>
+  );
+}
+
+VennIndicator.propTypes = {
+  regions: PropTypes.arrayOf(PropTypes.oneOf(Object.keys(REGION_PATHS))).isRequired,
+  mainColumnsOnly: PropTypes.bool,
+};
+
+VennIndicator.defaultProps = {
+  mainColumnsOnly: false,
+};
+
+// How the main file is combined with the filtered reference file; left circle is main
+function JoinTypeSelector({ value, onChange }) {
+  return (
+    <div className="join-type-selector">
+      <div className="join-type-header">
+        <h3>Result rows</h3>
+        <span className="join-type-legend">
+          <span className="join-legend-main">Main file</span> ·{' '}
+          <span className="join-legend-reference">Reference file</span>
+        </span>
+      </div>
+      <div className="join-type-options" role="radiogroup" aria-label="Join type">
+        {JOIN_TYPES.map((joinType) => (
+          <label
+            key={joinType.value}
+            className={`join-type-option${value === joinType.value ? ' selected' : ''}`}
+          >
+            <input
+              type="radio"
+              name="joinType"
+              value={joinType.value}
+              checked={value === joinType.value}
+              onChange={() => onChange(joinType.value)}
+            />
+            <VennIndicator
+              regions={joinType.regions}
+              mainColumnsOnly={Boolean(joinType.mainColumnsOnly)}
+            />
+            <span className="join-type-text">
+              <strong>{joinType.label}</strong>
+              <span>{joinType.description}</span>
+            </span>
+          </label>
+        ))}
+      </div>
+    </div>
+  );
+}
+
+JoinTypeSelector.propTypes = {
+  value: PropTypes.oneOf(JOIN_TYPES.map((joinType) => joinType.value)).isRequired,
+  onChange: PropTypes.func.isRequired,
+};
+
+export default JoinTypeSelector;
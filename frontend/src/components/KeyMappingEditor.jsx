@@ -0,0 +1,285 @@
+import React, { useState } from 'react';
+import PropTypes from 'prop-types';
+import './KeyMappingEditor.css';
+
+const EMPTY_PAIR = { refColumn: '', primaryColumn: '' };
+
+// Normalization options of a pair, as the server reads them (see backend/keyMatching.js)
+const KEY_OPTIONS = [
+  { option: 'caseSensitive', label: 'Match case', fallback: false },
+  { option: 'trim', label: 'Ignore surrounding spaces', fallback: true },
+  { option: 'collapseWhitespace', label: 'Treat runs of spaces as one', fallback: false },
+  { option: 'stripPunctuation', label: 'Ignore punctuation', fallback: false },
+  { option: 'stripLeadingZeros', label: 'Ignore leading zeros (00123 = 123)', fallback: false },
+  { option: 'normalizeUnicode', label: 'Treat look-alike characters as equal', fallback: false },
+  { option: 'numeric', label: 'Compare numbers as numbers (1.0 = 1)', fallback: false },
+];
+
+const FUZZY_METHODS = [
+  { value: '', label: 'Exact values' },
+  { value: 'characters', label: 'Similar spelling' },
+  { value: 'tokens', label: 'Same words, any order' },
+];
+
+const DEFAULT_THRESHOLD = 0.85;
+
+const isSamePair = (a, b) => a.refColumn === b.refColumn && a.primaryColumn === b.primaryColumn;
+
+const isComplete = (pair) => pair.refColumn !== '' && pair.primaryColumn !== '';
+
+// Why the server suggests a pair, e.g. "similar names · 67% of values shared"
+const describeSuggestion = ({ nameSimilarity, valueOverlap, uniqueness }) =>
+  [
+    nameSimilarity >= 0.99 ? 'same name' : nameSimilarity >= 0.6 ? 'similar names' : null,
+    valueOverlap > 0 ? `${Math.round(valueOverlap * 100)}% of values shared` : 'no shared values',
+    uniqueness < 0.9 ? 'values repeat, better as part of a composite key' : null,
+  ]
+    .filter(Boolean)
+    .join(' · ');
+
+// Pairs any reference column with any main column; rows match when every pair matches, so
+// several pairs make a composite key such as (Company, InvoiceNo)
+function KeyMappingEditor({
+  referenceHeaders,
+  mainHeaders,
+  keyColumns,
+  suggestions,
+  onApply,
+  onCancel,
+}) {
+  const [pairs, setPairs] = useState(keyColumns.length > 0 ? keyColumns : [EMPTY_PAIR]);
+  const [openOptions, setOpenOptions] = useState(null);
+
+  const updatePair = (index, field, value) =>
+    setPairs(pairs.map((pair, i) => (i === index ? { ...pair, [field]: value } : pair)));
+
+  const setFuzzyMethod = (index, method) =>
+    updatePair(
+      index,
+      'fuzzy',
+      method ? { method, threshold: pairs[index].fuzzy?.threshold ?? DEFAULT_THRESHOLD } : null,
+    );
+
+  const removePair = (index) => {
+    const remaining = pairs.filter((_, i) => i !== index);
+    setPairs(remaining.length > 0 ? remaining : [EMPTY_PAIR]);
+    setOpenOptions(null);
+  };
+
+  // A suggestion fills the first empty row, or is added as another pair
+  const addSuggestion = ({ refColumn, primaryColumn }) => {
+    const filled = pairs.filter((pair) => pair.refColumn !== '' || pair.primaryColumn !== '');
+    setPairs([...filled, { refColumn, primaryColumn }]);
+  };
+
+  const openSuggestions = suggestions.filter(
+    (suggestion) => !pairs.some((pair) => isSamePair(pair, suggestion)),
+  );
+  const duplicate = pairs.some((pair, index) =>
+    pairs.slice(0, index).some((other) => isSamePair(pair, other)),
+  );
+  const valid = pairs.every(isComplete) && !duplicate;
+
+  return (
+    <div className="section key-mapping-editor">
+      <h3>Link Files</h3>
+      <p className="section-description">
+        Pair the columns that identify the same record in both files. Rows match when every pair
+        matches; values are compared ignoring case and surrounding spaces unless a pair&apos;s
+        matching options say otherwise.
+      </p>
+
+      <div className="key-pairs">
+        <div className="key-pair key-pair-heading">
+          <span>Reference file column</span>
+          <span />
+          <span>Main file column</span>
+          <span />
+        </div>
+        {pairs.map((pair, index) => (
+          <React.Fragment key={index}>
+            <div className="key-pair">
+              <select
+                aria-label={`Reference column ${index + 1}`}
+                value={pair.refColumn}
+                onChange={(e) => updatePair(index, 'refColumn', e.target.value)}
+              >
+                <option value="">Select column...</option>
+                {referenceHeaders.map((header) => (
+                  <option key={header} value={header}>
+                    {header}
+                  </option>
+                ))}
+              </select>
+              <span className="key-pair-link">↔</span>
+              <select
+                aria-label={`Main column ${index + 1}`}
+                value={pair.primaryColumn}
+                onChange={(e) => updatePair(index, 'primaryColumn', e.target.value)}
+              >
+                <option value="">Select column...</option>
+                {mainHeaders.map((header) => (
+                  <option key={header} value={header}>
+                    {header}
+                  </option>
+                ))}
+              </select>
+              <span className="key-pair-buttons">
+                <button
+                  className={`btn btn-secondary btn-small${pair.fuzzy ? ' key-pair-fuzzy' : ''}`}
+                  onClick={() => setOpenOptions(openOptions === index ? null : index)}
+                  aria-expanded={openOptions === index}
+                  title="How values of this pair are compared"
+                >
+                  {pair.fuzzy ? `≈ ${Math.round(pair.fuzzy.threshold * 100)}%` : 'Options'}
+                </button>
+                <button
+                  className="btn btn-secondary btn-small"
+                  onClick={() => removePair(index)}
+                  title="Remove this pair"
+                >
+                  ✕
+                </button>
+              </span>
+            </div>
+            {openOptions === index && (
+              <div className="key-pair-options">
+                {KEY_OPTIONS.map(({ option, label, fallback }) => (
+                  <label key={option} className="key-pair-option">
+                    <input
+                      type="checkbox"
+                      checked={pair[option] ?? fallback}
+                      onChange={(e) => updatePair(index, option, e.target.checked)}
+                    />
+                    {label}
+                  </label>
+                ))}
+                <div className="key-pair-fuzzy-options">
+                  <label>
+                    Match
+                    <select
+                      value={pair.fuzzy?.method || ''}
+                      onChange={(e) => setFuzzyMethod(index, e.target.value)}
+                    >
+                      {FUZZY_METHODS.map(({ value, label }) => (
+                        <option key={value} value={value}>
+                          {label}
+                        </option>
+                      ))}
+                    </select>
+                  </label>
+                  {pair.fuzzy && (
+                    <label>
+                      at least
+                      <input
+                        type="number"
+                        min="50"
+                        max="100"
+                        step="1"
+                        value={Math.round(pair.fuzzy.threshold * 100)}
+                        onChange={(e) =>
+                          updatePair(index, 'fuzzy', {
+                            ...pair.fuzzy,
+                            threshold: Math.min(100, Math.max(50, Number(e.target.value))) / 100,
+                          })
+                        }
+                      />
+                      % alike
+                    </label>
+                  )}
+                </div>
+                {pair.fuzzy && (
+                  <p className="key-pair-options-note">
+                    Similar values match too; the result gets a match_score column with how alike
+                    the keys are.
+                  </p>
+                )}
+              </div>
+            )}
+          </React.Fragment>
+        ))}
+      </div>
+
+      <button
+        className="btn btn-secondary btn-small"
+        onClick={() => setPairs([...pairs, EMPTY_PAIR])}
+      >
+        + Add key column
+      </button>
+      {duplicate && <p className="key-mapping-error">The same pair is listed twice.</p>}
+
+      {openSuggestions.length > 0 && (
+        <div className="key-suggestions">
+          <h4>Suggested pairs</h4>
+          <ul>
+            {openSuggestions.map((suggestion) => (
+              <li key={`${suggestion.refColumn}:${suggestion.primaryColumn}`}>
+                <span>
+                  <strong>
+                    {suggestion.refColumn} ↔ {suggestion.primaryColumn}
+                  </strong>
+                  <span className="key-suggestion-reason">{describeSuggestion(suggestion)}</span>
+                </span>
+                <button
+                  className="btn btn-secondary btn-small"
+                  onClick={() => addSuggestion(suggestion)}
+                >
+                  Use
+                </button>
+              </li>
+            ))}
+          </ul>
+        </div>
+      )}
+
+      <div className="key-mapping-actions">
+        <button className="btn btn-primary" onClick={() => onApply(pairs)} disabled={!valid}>
+          Link files
+        </button>
+        {onCancel && (
+          <button className="btn btn-secondary" onClick={onCancel}>
+            Cancel
+          </button>
+        )}
+      </div>
+    </div>
+  );
+}
+
+const keyPairShape = PropTypes.shape({
+  refColumn: PropTypes.string.isRequired,
+  primaryColumn: PropTypes.string.isRequired,
+  // Optional normalization options (KEY_OPTIONS) and fuzzy matching
+  fuzzy: PropTypes.shape({
+    method: PropTypes.oneOf(['characters', 'tokens']),
+    threshold: PropTypes.number,
+  }),
+});
+
+KeyMappingEditor.propTypes = {
+  referenceHeaders: PropTypes.arrayOf(PropTypes.string).isRequired,
+  mainHeaders: PropTypes.arrayOf(PropTypes.string).isRequired,
+  // The pairs the files are linked by now, edited as a draft until applied
+  keyColumns: PropTypes.arrayOf(keyPairShape),
+  // From POST /api/key-suggestions, best first
+  suggestions: PropTypes.arrayOf(
+    PropTypes.shape({
+      refColumn: PropTypes.string.isRequired,
+      primaryColumn: PropTypes.string.isRequired,
+      nameSimilarity: PropTypes.number.isRequired,
+      valueOverlap: PropTypes.number.isRequired,
+      uniqueness: PropTypes.number.isRequired,
+    }),
+  ),
+  onApply: PropTypes.func.isRequired,
+  // Leaves the current pairs as they are; not offered before the files are linked
+  onCancel: PropTypes.func,
+};
+
+KeyMappingEditor.defaultProps = {
+  keyColumns: [],
+  suggestions: [],
+  onCancel: null,
+};
+
+export default KeyMappingEditor;
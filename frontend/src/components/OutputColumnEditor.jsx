@@ -0,0 +1,175 @@
+import React from 'react';
+import PropTypes from 'prop-types';
+import { CONFLICT_STRATEGIES, getChosenColumns } from '../utils/joinColumns';
+import './OutputColumnEditor.css';
+
+const FILE_LABELS = { main: 'Main', reference: 'Reference' };
+
+// Which columns the joined result has, in what order and under what names
+function OutputColumnEditor({ mainHeaders, referenceHeaders, joinType, value, onChange }) {
+  const columns = getChosenColumns(value, joinType, mainHeaders, referenceHeaders);
+  const kept = columns.filter((column) => column.keep).length;
+
+  const update = (changes) => onChange({ ...value, ...changes });
+  const setColumns = (next) =>
+    update({ columns: next.map(({ file, column, name, keep }) => ({ file, column, name, keep })) });
+
+  const updateColumn = (index, changes) =>
+    setColumns(columns.map((column, i) => (i === index ? { ...column, ...changes } : column)));
+
+  const moveColumn = (index, offset) => {
+    const next = [...columns];
+    const [moved] = next.splice(index, 1);
+    next.splice(index + offset, 0, moved);
+    setColumns(next);
+  };
+
+  return (
+    <div className="section output-column-editor">
+      <div className="output-columns-header">
+        <h3>Result Columns</h3>
+        <span className="output-columns-count">
+          {kept} of {columns.length} columns
+        </span>
+      </div>
+
+      <div className="output-naming">
+        <label>
+          Same column names in both files
+          <select
+            value={value.conflictStrategy}
+            onChange={(e) => update({ conflictStrategy: e.target.value })}
+          >
+            {CONFLICT_STRATEGIES.map((strategy) => (
+              <option key={strategy.value} value={strategy.value}>
+                {strategy.label}
+              </option>
+            ))}
+          </select>
+        </label>
+        {value.conflictStrategy !== 'coalesce' && (
+          <>
+            <label>
+              Prefix
+              <input
+                type="text"
+                value={value.referencePrefix}
+                onChange={(e) => update({ referencePrefix: e.target.value })}
+              />
+            </label>
+            <label>
+              Suffix
+              <input
+                type="text"
+                value={value.referenceSuffix}
+                onChange={(e) => update({ referenceSuffix: e.target.value })}
+              />
+            </label>
+          </>
+        )}
+      </div>
+
+      <label className="output-choose">
+        <input
+          type="checkbox"
+          checked={value.columns !== null}
+          onChange={(e) => (e.target.checked ? setColumns(columns) : update({ columns: null }))}
+        />
+        Choose, order and rename columns
+      </label>
+
+      {value.columns !== null && (
+        <>
+          <div className="output-column-actions">
+            <button
+              className="btn btn-secondary btn-small"
+              onClick={() => setColumns(columns.map((column) => ({ ...column, keep: true })))}
+            >
+              Keep all
+            </button>
+            <button
+              className="btn btn-secondary btn-small"
+              onClick={() => setColumns(columns.map((column) => ({ ...column, keep: false })))}
+            >
+              Keep none
+            </button>
+          </div>
+          <ul className="output-column-list">
+            {columns.map((column, index) => (
+              <li
+                key={`${column.file}:${column.column}`}
+                className={column.keep ? '' : 'output-column-dropped'}
+              >
+                <input
+                  type="checkbox"
+                  checked={column.keep}
+                  onChange={(e) => updateColumn(index, { keep: e.target.checked })}
+                  aria-label={`Keep ${column.column}`}
+                />
+                <span className="output-column-source">
+                  <span className={`output-column-file ${column.file}`}>
+                    {FILE_LABELS[column.file]}
+                  </span>
+                  {column.column}
+                </span>
+                <input
+                  type="text"
+                  className="output-column-name"
+                  value={column.name}
+                  placeholder={column.defaultName}
+                  onChange={(e) => updateColumn(index, { name: e.target.value })}
+                  aria-label={`Name of ${column.column}`}
+                  disabled={!column.keep}
+                />
+                <span className="output-column-move">
+                  <button
+                    className="btn btn-secondary btn-small"
+                    onClick={() => moveColumn(index, -1)}
+                    disabled={index === 0}
+                    title="Move up"
+                  >
+                    ↑
+                  </button>
+                  <button
+                    className="btn btn-secondary btn-small"
+                    onClick={() => moveColumn(index, 1)}
+                    disabled={index === columns.length - 1}
+                    title="Move down"
+                  >
+                    ↓
+                  </button>
+                </span>
+              </li>
+            ))}
+          </ul>
+          {kept === 0 && <p className="output-columns-error">Keep at least one column.</p>}
+        </>
+      )}
+    </div>
+  );
+}
+
+OutputColumnEditor.propTypes = {
+  mainHeaders: PropTypes.arrayOf(PropTypes.string).isRequired,
+  referenceHeaders: PropTypes.arrayOf(PropTypes.string).isRequired,
+  // Decides which files' columns there are to choose from
+  joinType: PropTypes.string.isRequired,
+  // { conflictStrategy, referencePrefix, referenceSuffix, columns }, see DEFAULT_OUTPUT
+  value: PropTypes.shape({
+    conflictStrategy: PropTypes.oneOf(CONFLICT_STRATEGIES.map((strategy) => strategy.value))
+      .isRequired,
+    referencePrefix: PropTypes.string.isRequired,
+    referenceSuffix: PropTypes.string.isRequired,
+    columns: PropTypes.arrayOf(
+      PropTypes.shape({
+        file: PropTypes.oneOf(['main', 'reference']).isRequired,
+        column: PropTypes.string.isRequired,
+        name: PropTypes.string.isRequired,
+        keep: PropTypes.bool.isRequired,
+      }),
+    ),
+  }).isRequired,
+  onChange: PropTypes.func.isRequired,
+};
+
+export default OutputColumnEditor;
@@ -0,0 +1,200 @@
+import React, { useCallback, useEffect, useState } from 'react';
+import PropTypes from 'prop-types';
+import axios from 'axios';
+import ColumnRemap from './ColumnRemap';
+import { toFilterRequest } from '../utils/filterTree';
+import { findMissingColumns, hasMissingColumns, remapPresetColumns } from '../utils/presetColumns';
+import './PresetManager.css';
+
+// Saves the current filter setup as a named preset on the server and loads saved ones. A preset
+// built on other files reports the columns these files lack and has them remapped first.
+function PresetManager({ mode, headers, primaryHeaders, current, onLoad }) {
+  const [open, setOpen] = useState(false);
+  const [presets, setPresets] = useState([]);
+  const [selectedId, setSelectedId] = useState('');
+  const [name, setName] = useState('');
+  const [description, setDescription] = useState('');
+  const [pending, setPending] = useState(null);
+  const [saving, setSaving] = useState(false);
+  const [error, setError] = useState(null);
+  const [message, setMessage] = useState(null);
+
+  const loadPresets = useCallback(async () => {
+    try {
+      const response = await axios.get('/api/presets');
+      setPresets(response.data.presets.filter((preset) => preset.mode === mode));
+    } catch (err) {
+      setError(err.response?.data?.error || err.message || 'Failed to load presets');
+    }
+  }, [mode]);
+
+  useEffect(() => {
+    if (open) loadPresets();
+  }, [open, loadPresets]);
+
+  const selected = presets.find((preset) => preset.id === selectedId) || null;
+  const missing = pending ? findMissingColumns(pending, headers, primaryHeaders) : null;
+
+  const finishLoad = (preset, columnMapping) => {
+    onLoad(remapPresetColumns(preset, columnMapping));
+    setPending(null);
+    setMessage(`Loaded "${preset.name}"`);
+  };
+
+  const handleLoad = () => {
+    setError(null);
+    setMessage(null);
+    setName(selected.name);
+    setDescription(selected.description);
+    if (hasMissingColumns(findMissingColumns(selected, headers, primaryHeaders))) {
+      setPending(selected);
+    } else {
+      finishLoad(selected, {});
+    }
+  };
+
+  const save = async (presetId) => {
+    setSaving(true);
+    setError(null);
+    setMessage(null);
+    try {
+      const body = {
+        name,
+        description,
+        mode,
+        filters: toFilterRequest(current.filters),
+        logicOperator: current.logicOperator,
+        keyColumns: current.keyColumns,
+        joinType: current.joinType,
+      };
+      const response = presetId
+        ? await axios.put(`/api/presets/${presetId}`, body)
+        : await axios.post('/api/presets', body);
+      await loadPresets();
+      setSelectedId(response.data.id);
+      setMessage(`Saved "${response.data.name}"`);
+    } catch (err) {
+      setError(err.response?.data?.error || err.message || 'Failed to save preset');
+    } finally {
+      setSaving(false);
+    }
+  };
+
+  const handleDelete = async () => {
+    if (!window.confirm(`Delete the preset "${selected.name}"?`)) return;
+    setError(null);
+    setMessage(null);
+    try {
+      await axios.delete(`/api/presets/${selected.id}`);
+      setSelectedId('');
+      await loadPresets();
+    } catch (err) {
+      setError(err.response?.data?.error || err.message || 'Failed to delete preset');
+    }
+  };
+
+  return (
+    <details className="preset-manager" onToggle={(e) => setOpen(e.currentTarget.open)}>
+      <summary>Saved presets</summary>
+
+      <div className="preset-row">
+        <select
+          value={selectedId}
+          onChange={(e) => {
+            setSelectedId(e.target.value);
+            setPending(null);
+          }}
+        >
+          <option value="">{presets.length > 0 ? 'Select preset...' : 'No saved presets'}</option>
+          {presets.map((preset) => (
+            <option key={preset.id} value={preset.id}>
+              {preset.name}
+            </option>
+          ))}
+        </select>
+        <button className="btn btn-primary" onClick={handleLoad} disabled={!selected}>
+          Load
+        </button>
+        <button className="btn btn-secondary" onClick={handleDelete} disabled={!selected}>
+          Delete
+        </button>
+      </div>
+      {selected?.description && <p className="preset-description">{selected.description}</p>}
+
+      {pending && (
+        <ColumnRemap
+          name={pending.name}
+          missing={missing}
+          headers={headers}
+          primaryHeaders={primaryHeaders}
+          onApply={(mapping) => finishLoad(pending, mapping)}
+          onCancel={() => setPending(null)}
+        />
+      )}
+
+      <div className="preset-save">
+        <input
+          type="text"
+          className="filter-input"
+          placeholder="Preset name"
+          maxLength={100}
+          value={name}
+          onChange={(e) => setName(e.target.value)}
+        />
+        <input
+          type="text"
+          className="filter-input"
+          placeholder="Description (optional)"
+          value={description}
+          onChange={(e) => setDescription(e.target.value)}
+        />
+        <div className="preset-row">
+          <button
+            className="btn btn-primary"
+            onClick={() => save(null)}
+            disabled={!name.trim() || saving}
+          >
+            {saving ? 'Saving...' : 'Save as new preset'}
+          </button>
+          {selected && (
+            <button
+              className="btn btn-secondary"
+              onClick={() => save(selected.id)}
+              disabled={!name.trim() || saving}
+            >
+              Update &quot;{selected.name}&quot;
+            </button>
+          )}
+        </div>
+      </div>
+
+      {error && <p className="preset-error">{error}</p>}
+      {message && <p className="preset-message">{message}</p>}
+    </details>
+  );
+}
+
+PresetManager.propTypes = {
+  mode: PropTypes.oneOf(['single', 'reference']).isRequired,
+  // Columns of the file the filters apply to
+  headers: PropTypes.arrayOf(PropTypes.string).isRequired,
+  // Columns of the main file in reference mode
+  primaryHeaders: PropTypes.arrayOf(PropTypes.string),
+  // The filter setup "Save" stores: { filters, logicOperator, keyColumns, joinType }
+  current: PropTypes.shape({
+    filters: PropTypes.oneOfType([PropTypes.object, PropTypes.arrayOf(PropTypes.object)]),
+    logicOperator: PropTypes.oneOf(['AND', 'OR']),
+    keyColumns: PropTypes.arrayOf(
+      PropTypes.shape({ primaryColumn: PropTypes.string, refColumn: PropTypes.string }),
+    ),
+    joinType: PropTypes.string,
+  }).isRequired,
+  // Called with the loaded preset, its columns remapped and its filters ready for editing
+  onLoad: PropTypes.func.isRequired,
+};
+
+PresetManager.defaultProps = {
+  primaryHeaders: [],
+};
+
+export default PresetManager;
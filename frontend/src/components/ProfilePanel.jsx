@@ -0,0 +1,189 @@
+import React, { useEffect, useState } from 'react';
+import PropTypes from 'prop-types';
+import axios from 'axios';
+import './ProfilePanel.css';
+
+const TOP_VALUES = 5;
+
+const formatNumber = (number) =>
+  number.toLocaleString(undefined, { maximumFractionDigits: Number.isInteger(number) ? 0 : 2 });
+
+const formatPercent = (share) => `${Math.round(share * 100)}%`;
+
+// Percentages are profiled as fractions and durations in seconds
+const formatStat = (number, type) => {
+  if (type === 'percentage') return `${formatNumber(number * 100)}%`;
+  if (type !== 'duration') return formatNumber(number);
+  const hours = Math.floor(number / 3600);
+  const minutes = Math.floor((number % 3600) / 60);
+  return `${hours}h ${String(minutes).padStart(2, '0')}m`;
+};
+
+function ColumnProfile({ profile }) {
+  const { column, type, filled, nulls, blanks, distinct, distinctCapped, typeConfidence } = profile;
+
+  return (
+    <div className="column-profile">
+      <div className="column-profile-header">
+        <span className="column-profile-name" title={column}>
+          {column}
+        </span>
+        <span className="column-profile-type">
+          {type}
+          {typeConfidence !== null && ` · ${formatPercent(typeConfidence)} fit`}
+        </span>
+      </div>
+
+      <dl className="column-profile-stats">
+        <dt>Filled</dt>
+        <dd>{formatNumber(filled)}</dd>
+        <dt>Null / blank</dt>
+        <dd>
+          {formatNumber(nulls)} / {formatNumber(blanks)}
+        </dd>
+        <dt>Distinct</dt>
+        <dd>
+          {distinctCapped && 'over '}
+          {formatNumber(distinct)}
+        </dd>
+        {profile.numbers && (
+          <>
+            <dt>Min / max</dt>
+            <dd>
+              {formatStat(profile.numbers.min, type)} / {formatStat(profile.numbers.max, type)}
+            </dd>
+            <dt>Mean / median</dt>
+            <dd>
+              {formatStat(profile.numbers.mean, type)} / {formatStat(profile.numbers.median, type)}
+            </dd>
+            <dt>Std. deviation</dt>
+            <dd>{formatStat(profile.numbers.stdDev, type)}</dd>
+          </>
+        )}
+        {profile.range && (
+          <>
+            <dt>Range</dt>
+            <dd>
+              {type === 'date' ? profile.range.min.slice(0, 10) : profile.range.min} –{' '}
+              {type === 'date' ? profile.range.max.slice(0, 10) : profile.range.max}
+            </dd>
+          </>
+        )}
+        {profile.length && (
+          <>
+            <dt>Length</dt>
+            <dd>
+              {profile.length.min}–{profile.length.max} characters
+            </dd>
+          </>
+        )}
+      </dl>
+
+      {profile.topValues.length > 0 && (
+        <ol className="column-profile-top">
+          {profile.topValues.map(({ value, count }) => (
+            <li key={value}>
+              <span title={value}>{value}</span>
+              <span className="column-profile-count">{formatNumber(count)}</span>
+            </li>
+          ))}
+        </ol>
+      )}
+    </div>
+  );
+}
+
+ColumnProfile.propTypes = {
+  profile: PropTypes.object.isRequired,
+};
+
+// Column statistics of the original or the filtered rows, fetched when the panel is opened
+function ProfilePanel({ datasetId, filteredDatasetId, revision }) {
+  const [open, setOpen] = useState(false);
+  const [target, setTarget] = useState('original');
+  const [profile, setProfile] = useState(null);
+  const [loading, setLoading] = useState(false);
+  const [error, setError] = useState(null);
+
+  const hasFilteredRows = Boolean(filteredDatasetId) && filteredDatasetId !== datasetId;
+  const profiledId = target === 'filtered' && hasFilteredRows ? filteredDatasetId : datasetId;
+
+  useEffect(() => {
+    if (!open) return undefined;
+
+    let cancelled = false;
+    setLoading(true);
+    setError(null);
+    axios
+      .post('/api/profile', { datasetId: profiledId, topValues: TOP_VALUES })
+      .then((response) => {
+        if (!cancelled) setProfile(response.data);
+      })
+      .catch((err) => {
+        if (!cancelled) {
+          setError(err.response?.data?.error || err.message || 'Failed to profile columns');
+        }
+      })
+      .finally(() => {
+        if (!cancelled) setLoading(false);
+      });
+
+    return () => {
+      cancelled = true;
+    };
+  }, [open, profiledId, revision]);
+
+  return (
+    <details className="profile-panel" onToggle={(e) => setOpen(e.currentTarget.open)}>
+      <summary>Column profile</summary>
+
+      <div className="profile-source">
+        <label>
+          <input
+            type="radio"
+            name="profile-source"
+            checked={profiledId === datasetId}
+            onChange={() => setTarget('original')}
+          />
+          Original rows
+        </label>
+        <label>
+          <input
+            type="radio"
+            name="profile-source"
+            checked={profiledId !== datasetId}
+            disabled={!hasFilteredRows}
+            onChange={() => setTarget('filtered')}
+          />
+          Filtered rows
+        </label>
+      </div>
+
+      {loading && <p className="profile-status">Profiling columns...</p>}
+      {error && <p className="profile-error">{error}</p>}
+      {profile && !loading && !error && (
+        <>
+          <p className="profile-status">{formatNumber(profile.totalRows)} rows</p>
+          <div className="profile-columns">
+            {profile.columns.map((column) => (
+              <ColumnProfile key={column.column} profile={column} />
+            ))}
+          </div>
+        </>
+      )}
+    </details>
+  );
+}
+
+ProfilePanel.propTypes = {
+  datasetId: PropTypes.string.isRequired,
+  filteredDatasetId: PropTypes.string,
+  revision: PropTypes.number,
+};
+
+ProfilePanel.defaultProps = {
+  filteredDatasetId: null,
+  revision: 0,
+};
+
+export default ProfilePanel;
@@ -3,53 +3,117 @@ import axios from 'axios';
 import FileUpload from './FileUpload';
 import FilterBuilder from './FilterBuilder';
 import DataTable from './DataTable';
+import PresetManager from './PresetManager';
+import JoinTypeSelector from './JoinTypeSelector';
+import KeyMappingEditor from './KeyMappingEditor';
+import JoinDiagnostics from './JoinDiagnostics';
+import OutputColumnEditor from './OutputColumnEditor';
+import { countConditions, createFilterGroup, toFilterRequest } from '../utils/filterTree';
+import { fitConditionsToColumnTypes } from '../utils/filterConditions';
+import { DEFAULT_OUTPUT, toOutputRequest } from '../utils/joinColumns';
 import './ReferenceFileFilter.css';
 
+// Suggested key pairs scoring at least this link the files without asking
+const AUTO_LINK_SCORE = 0.75;
+
 function ReferenceFileFilter() {
   const [referenceData, setReferenceData] = useState(null);
   const [mainData, setMainData] = useState(null);
-  const [keyColumn, setKeyColumn] = useState(null);
-  const [filters, setFilters] = useState([]);
+  // [{ refColumn, primaryColumn }]; empty until the files are linked
+  const [keyColumns, setKeyColumns] = useState([]);
+  const [keySuggestions, setKeySuggestions] = useState([]);
+  const [editingKeys, setEditingKeys] = useState(false);
+  // How main rows are combined with the filtered reference rows (see JoinTypeSelector)
+  const [joinType, setJoinType] = useState('inner');
+  // Which columns the result has and what they are called (see OutputColumnEditor)
+  const [output, setOutput] = useState(DEFAULT_OUTPUT);
+  // Set by loaded presets; new setups AND their conditions
+  const [logicOperator, setLogicOperator] = useState('AND');
+  const [filters, setFilters] = useState(createFilterGroup);
   const [filteredData, setFilteredData] = useState(null);
+  // 'rows' or 'diagnostics' of the join result
+  const [resultView, setResultView] = useState('rows');
   const [loading, setLoading] = useState(false);
+  const [mainSheet, setMainSheet] = useState('');
+  const [loadingSheet, setLoadingSheet] = useState(false);
 
   const handleReferenceFileUploaded = (data) => {
     setReferenceData(data);
-    setFilters([]);
+    setFilters(createFilterGroup());
     setFilteredData(null);
   };
 
   const handleMainFileUploaded = (data) => {
     setMainData(data);
-    setFilteredData(data.data);
-    // Auto-detect key column
-    if (referenceData) {
-      autoDetectKeyColumn(referenceData, data);
+    setFilteredData({
+      datasetId: data.datasetId,
+      headers: data.headers,
+      totalRows: data.totalRows,
+    });
+    suggestKeyColumns(referenceData, data);
+  };
+
+  // A clear best pairing links the files right away; the others are offered in the editor
+  const suggestKeyColumns = async (refData, mainData) => {
+    try {
+      const response = await axios.post('/api/key-suggestions', {
+        referenceDatasetId: refData.datasetId,
+        primaryDatasetId: mainData.datasetId,
+      });
+      const { suggestions } = response.data;
+      setKeySuggestions(suggestions);
+      const best = suggestions[0];
+      if (best && best.score >= AUTO_LINK_SCORE) {
+        setKeyColumns((current) =>
+          current.length > 0
+            ? current
+            : [{ refColumn: best.refColumn, primaryColumn: best.primaryColumn }],
+        );
+      }
+    } catch {
+      // Without suggestions the columns are paired by hand
     }
   };
 
-  const autoDetectKeyColumn = (refData, mainData) => {
-    const commonHeaders = refData.headers.filter((h) => mainData.headers.includes(h));
-    const keyColumnNames = ['id', 'code', 'key', 'name', 'number', 'no', 'ref', 'reference'];
-    const detectedKey = commonHeaders.find((h) =>
-      keyColumnNames.some((key) => h.toLowerCase().includes(key)),
-    );
-    if (detectedKey) {
-      setKeyColumn({ refColumn: detectedKey, primaryColumn: detectedKey });
+  // Use another worksheet of the reference workbook as the main file
+  const handleLoadMainSheet = async () => {
+    setLoadingSheet(true);
+    try {
+      const response = await axios.post(`/api/workbooks/${referenceData.workbookId}/load`, {
+        sheets: [mainSheet],
+      });
+      handleMainFileUploaded(response.data);
+    } catch (error) {
+      alert('Failed to load worksheet: ' + (error.response?.data?.error || error.message));
+    } finally {
+      setLoadingSheet(false);
     }
   };
 
+  const otherSheets =
+    referenceData?.workbookId && referenceData.sheets
+      ? referenceData.sheets.filter((sheet) => !referenceData.sheetNames?.includes(sheet.name))
+      : [];
+
+  // Presets and filter spec files set the whole setup, including how the files are linked
+  const handleSetupLoaded = (setup) => {
+    setKeyColumns(setup.keyColumns);
+    setJoinType(setup.joinType);
+    setLogicOperator(setup.logicOperator);
+    setFilters(fitConditionsToColumnTypes(setup.filters, referenceData.columnTypes));
+  };
+
   const handleFiltersChange = (newFilters) => {
     setFilters(newFilters);
   };
 
-  const handleApplyFilters = async () => {
+  const handleApplyFilters = async (filterTree = filters) => {
     if (!referenceData || !mainData) {
       alert('Please upload both Reference and Main files');
       return;
     }
 
-    if (!keyColumn) {
+    if (keyColumns.length === 0) {
       alert('Please select a matching column to link the files');
       return;
     }
@@ -57,28 +121,24 @@ function ReferenceFileFilter() {
     setLoading(true);
     try {
       const response = await axios.post('/api/reference-filter', {
-        referenceData: referenceData.data,
-        primaryData: mainData.data,
-        keyColumns: [keyColumn],
-        filterConditions:
-          filters.length > 0
-            ? filters.map((filter) => ({
-                column: filter.column,
-                condition: filter.condition,
-                value: filter.value,
-                value2: filter.value2,
-              }))
-            : null,
-        joinType: 'inner',
-        logicOperator: 'AND',
+        referenceDatasetId: referenceData.datasetId,
+        primaryDatasetId: mainData.datasetId,
+        keyColumns,
+        filterConditions: countConditions(filterTree) > 0 ? toFilterRequest(filterTree) : null,
+        joinType,
+        logicOperator,
+        ...toOutputRequest(output, joinType, mainData.headers, referenceData.headers),
       });
 
+      releaseResult(filteredData);
       setFilteredData({
+        datasetId: response.data.datasetId,
         headers: response.data.headers,
-        data: response.data.data,
         totalRows: response.data.totalRows,
         originalPrimaryRows: response.data.originalPrimaryRows,
         filteredRefRows: response.data.filteredRefRows,
+        keyColumns,
+        diagnostics: response.data.diagnostics,
       });
     } catch (error) {
       alert('Failed to apply filters: ' + (error.response?.data?.error || error.message));
@@ -87,12 +147,37 @@ function ReferenceFileFilter() {
     }
   };
 
+  // Joined results are stored on the server; drop the previous one when it is replaced
+  const releaseResult = (result) => {
+    if (result?.datasetId && result.datasetId !== mainData?.datasetId) {
+      axios.delete(`/api/datasets/${result.datasetId}`).catch(() => {});
+    }
+  };
+
+  // Going back to step 1 discards the uploaded reference file, on the server too
+  const handleBack = () => {
+    axios.delete(`/api/datasets/${referenceData.datasetId}`).catch(() => {});
+    setReferenceData(null);
+  };
+
   const reset = () => {
+    releaseResult(filteredData);
+    [referenceData, mainData].forEach((dataset) => {
+      if (dataset) {
+        axios.delete(`/api/datasets/${dataset.datasetId}`).catch(() => {});
+      }
+    });
     setReferenceData(null);
     setMainData(null);
-    setKeyColumn(null);
-    setFilters([]);
+    setKeyColumns([]);
+    setKeySuggestions([]);
+    setEditingKeys(false);
+    setJoinType('inner');
+    setOutput(DEFAULT_OUTPUT);
+    setLogicOperator('AND');
+    setFilters(createFilterGroup());
     setFilteredData(null);
+    setResultView('rows');
   };
 
   return (
@@ -108,7 +193,7 @@ function ReferenceFileFilter() {
       ) : !mainData ? (
         <div className="upload-section">
           <div className="toolbar">
-            <button className="btn btn-secondary" onClick={() => setReferenceData(null)}>
+            <button className="btn btn-secondary" onClick={handleBack}>
               ← Back
             </button>
             <div className="info-badge">Reference File: {referenceData.totalRows} rows loaded</div>
@@ -118,6 +203,33 @@ function ReferenceFileFilter() {
             Upload the main file that contains the data you want to output
           </p>
           <FileUpload onFileUploaded={handleMainFileUploaded} />
+
+          {otherSheets.length > 0 && (
+            <div className="same-workbook-option">
+              <p>
+                Or use another worksheet from <strong>{referenceData.workbookName}</strong>:
+              </p>
+              <select
+                className="key-select"
+                value={mainSheet}
+                onChange={(e) => setMainSheet(e.target.value)}
+              >
+                <option value="">Select worksheet...</option>
+                {otherSheets.map((sheet) => (
+                  <option key={sheet.name} value={sheet.name}>
+                    {sheet.name} ({sheet.rowCount} rows)
+                  </option>
+                ))}
+              </select>
+              <button
+                className="btn btn-primary"
+                onClick={handleLoadMainSheet}
+                disabled={!mainSheet || loadingSheet}
+              >
+                {loadingSheet ? 'Loading...' : 'Use this worksheet'}
+              </button>
+            </div>
+          )}
         </div>
       ) : (
         <>
@@ -127,71 +239,120 @@ function ReferenceFileFilter() {
             </button>
             <div className="info-badge">
               Reference: {referenceData.totalRows} rows | Main: {mainData.totalRows} rows |
-              Filtered:{' '}
-              {filteredData?.totalRows || filteredData?.data?.length || filteredData?.length || 0}{' '}
-              rows
+              Filtered: {filteredData?.totalRows || 0} rows
             </div>
           </div>
 
-          {!keyColumn && (
-            <div className="section key-column-section">
-              <h3>Link Files</h3>
-              <p className="section-description">
-                Select the column that matches between both files
-              </p>
-              <select
-                className="key-select"
-                onChange={(e) => {
-                  const selectedCol = e.target.value;
-                  if (
-                    selectedCol &&
-                    referenceData.headers.includes(selectedCol) &&
-                    mainData.headers.includes(selectedCol)
-                  ) {
-                    setKeyColumn({ refColumn: selectedCol, primaryColumn: selectedCol });
-                  }
-                }}
-                value={keyColumn ? keyColumn.refColumn : ''}
-              >
-                <option value="">Select matching column...</option>
-                {referenceData.headers
-                  .filter((h) => mainData.headers.includes(h))
-                  .map((header) => (
-                    <option key={header} value={header}>
-                      {header}
-                    </option>
-                  ))}
-              </select>
-            </div>
+          <PresetManager
+            mode="reference"
+            headers={referenceData.headers}
+            primaryHeaders={mainData.headers}
+            current={{ filters, logicOperator, keyColumns, joinType }}
+            onLoad={handleSetupLoaded}
+          />
+
+          {(keyColumns.length === 0 || editingKeys) && (
+            <KeyMappingEditor
+              referenceHeaders={referenceData.headers}
+              mainHeaders={mainData.headers}
+              keyColumns={keyColumns}
+              suggestions={keySuggestions}
+              onApply={(pairs) => {
+                setKeyColumns(pairs);
+                setEditingKeys(false);
+              }}
+              onCancel={keyColumns.length > 0 ? () => setEditingKeys(false) : null}
+            />
           )}
 
-          {keyColumn && (
+          {keyColumns.length > 0 && (
             <>
               <div className="key-column-info">
                 <span>
-                  Linked by: <strong>{keyColumn.refColumn}</strong>
+                  Linked by:{' '}
+                  {keyColumns.map(({ refColumn, primaryColumn, fuzzy }, index) => (
+                    <React.Fragment key={`${refColumn}:${primaryColumn}`}>
+                      {index > 0 && ' + '}
+                      <strong>
+                        {refColumn === primaryColumn
+                          ? refColumn
+                          : `${refColumn} ↔ ${primaryColumn}`}
+                      </strong>
+                      {fuzzy && ` (≈ ${Math.round(fuzzy.threshold * 100)}% alike)`}
+                    </React.Fragment>
+                  ))}
                 </span>
-                <button className="btn btn-secondary btn-small" onClick={() => setKeyColumn(null)}>
-                  Change
-                </button>
+                {!editingKeys && (
+                  <button
+                    className="btn btn-secondary btn-small"
+                    onClick={() => setEditingKeys(true)}
+                  >
+                    Change
+                  </button>
+                )}
               </div>
 
+              <JoinTypeSelector value={joinType} onChange={setJoinType} />
+
+              <OutputColumnEditor
+                mainHeaders={mainData.headers}
+                referenceHeaders={referenceData.headers}
+                joinType={joinType}
+                value={output}
+                onChange={setOutput}
+              />
+
               <FilterBuilder
+                datasetId={referenceData.datasetId}
                 headers={referenceData.headers}
                 columnTypes={referenceData.columnTypes}
                 filters={filters}
                 onFiltersChange={handleFiltersChange}
                 onApplyFilters={handleApplyFilters}
-                data={filteredData}
                 loading={loading}
+                specSetup={{
+                  mode: 'reference',
+                  primaryHeaders: mainData.headers,
+                  logicOperator,
+                  keyColumns,
+                  joinType,
+                  onLoad: handleSetupLoaded,
+                }}
               />
 
-              {filteredData && (
-                <DataTable
-                  headers={filteredData.headers || mainData.headers}
-                  data={Array.isArray(filteredData) ? filteredData : filteredData.data || []}
-                />
+              {filteredData?.diagnostics && (
+                <div className="result-tabs" role="tablist">
+                  {[
+                    ['rows', 'Results'],
+                    ['diagnostics', 'Diagnostics'],
+                  ].map(([view, label]) => (
+                    <button
+                      key={view}
+                      role="tab"
+                      aria-selected={resultView === view}
+                      className={`result-tab ${resultView === view ? 'active' : ''}`}
+                      onClick={() => setResultView(view)}
+                    >
+                      {label}
+                    </button>
+                  ))}
+                </div>
               )}
+
+              {filteredData &&
+                (filteredData.diagnostics && resultView === 'diagnostics' ? (
+                  <JoinDiagnostics
+                    datasetId={filteredData.datasetId}
+                    keyColumns={filteredData.keyColumns}
+                    diagnostics={filteredData.diagnostics}
+                  />
+                ) : (
+                  <DataTable
+                    datasetId={filteredData.datasetId}
+                    headers={filteredData.headers}
+                    totalRows={filteredData.totalRows}
+                  />
+                ))}
             </>
           )}
         </>
@@ -0,0 +1,136 @@
+import React from 'react';
+import PropTypes from 'prop-types';
+import './RelativeDateInput.css';
+
+const UNITS = [
+  { value: 'days', label: 'days' },
+  { value: 'weeks', label: 'weeks' },
+  { value: 'months', label: 'months' },
+];
+
+const PERIODS = [
+  { value: 'thisMonth', label: 'This month' },
+  { value: 'previousMonth', label: 'Previous month' },
+  { value: 'thisQuarter', label: 'This quarter' },
+  { value: 'previousQuarter', label: 'Previous quarter' },
+  { value: 'thisYear', label: 'This year' },
+  { value: 'previousYear', label: 'Previous year' },
+  { value: 'yearToDate', label: 'Year to date' },
+];
+
+// Listed Monday first; the server numbers days from 0 (Sunday)
+const WEEKDAYS = [
+  { value: 1, label: 'Mon' },
+  { value: 2, label: 'Tue' },
+  { value: 3, label: 'Wed' },
+  { value: 4, label: 'Thu' },
+  { value: 5, label: 'Fri' },
+  { value: 6, label: 'Sat' },
+  { value: 0, label: 'Sun' },
+];
+
+const MONTHS = [
+  'Jan',
+  'Feb',
+  'Mar',
+  'Apr',
+  'May',
+  'Jun',
+  'Jul',
+  'Aug',
+  'Sep',
+  'Oct',
+  'Nov',
+  'Dec',
+].map((label, index) => ({ value: index + 1, label }));
+
+const parseSelection = (value) =>
+  String(value || '')
+    .split(',')
+    .filter((item) => item !== '')
+    .map(Number);
+
+// Inputs for the date conditions that are resolved against today's date on the server
+function RelativeDateInput({ filter, onChange }) {
+  const { condition } = filter;
+
+  if (condition === 'inLast' || condition === 'inNext') {
+    return (
+      <>
+        <input
+          type="number"
+          min="1"
+          step="1"
+          className="filter-input relative-date-amount"
+          placeholder="N"
+          value={filter.value}
+          onChange={(e) => onChange('value', e.target.value)}
+        />
+        <select
+          className="filter-select"
+          value={filter.unit || 'days'}
+          onChange={(e) => onChange('unit', e.target.value)}
+        >
+          {UNITS.map((unit) => (
+            <option key={unit.value} value={unit.value}>
+              {unit.label}
+            </option>
+          ))}
+        </select>
+      </>
+    );
+  }
+
+  if (condition === 'inPeriod') {
+    return (
+      <select
+        className="filter-select"
+        value={filter.value}
+        onChange={(e) => onChange('value', e.target.value)}
+      >
+        <option value="">Choose a period…</option>
+        {PERIODS.map((period) => (
+          <option key={period.value} value={period.value}>
+            {period.label}
+          </option>
+        ))}
+      </select>
+    );
+  }
+
+  const options = condition === 'dayOfWeek' ? WEEKDAYS : MONTHS;
+  const selected = parseSelection(filter.value);
+
+  const toggle = (value) => {
+    const next = selected.includes(value)
+      ? selected.filter((item) => item !== value)
+      : [...selected, value].sort((a, b) => a - b);
+    onChange('value', next.join(','));
+  };
+
+  return (
+    <div className="relative-date-choices">
+      {options.map((option) => (
+        <label key={option.value}>
+          <input
+            type="checkbox"
+            checked={selected.includes(option.value)}
+            onChange={() => toggle(option.value)}
+          />
+          {option.label}
+        </label>
+      ))}
+    </div>
+  );
+}
+
+RelativeDateInput.propTypes = {
+  filter: PropTypes.shape({
+    condition: PropTypes.string.isRequired,
+    value: PropTypes.oneOfType([PropTypes.string, PropTypes.number]),
+    unit: PropTypes.string,
+  }).isRequired,
+  onChange: PropTypes.func.isRequired,
+};
+
+export default RelativeDateInput;
@@ -0,0 +1,223 @@
+import React, { useState } from 'react';
+import PropTypes from 'prop-types';
+import './SheetPicker.css';
+
+const HEADER_ROW_COUNT_OPTIONS = [
+  { value: 'auto', label: 'Auto-detect' },
+  { value: '1', label: '1 row' },
+  { value: '2', label: '2 rows' },
+  { value: '3', label: '3 rows' },
+];
+
+const formatCell = (value) => (value !== null && value !== undefined ? String(value) : '');
+
+// Whether a preview row falls inside the header the server detected for its sheet
+const isDetectedHeaderRow = (sheet, rowNumber) =>
+  sheet.detectedHeaderRow !== null &&
+  sheet.detectedHeaderRow !== undefined &&
+  rowNumber >= sheet.detectedHeaderRow &&
+  rowNumber < sheet.detectedHeaderRow + (sheet.detectedHeaderRowCount || 1);
+
+function SheetPicker({ workbookName, sheets, defaultHeaderOptions, onLoad, onCancel, loading }) {
+  const [selectedSheets, setSelectedSheets] = useState(() => {
+    const firstVisible = sheets.find((sheet) => !sheet.hidden) || sheets[0];
+    return firstVisible ? [firstVisible.name] : [];
+  });
+  const [previewSheet, setPreviewSheet] = useState(null);
+  const [headerOptions, setHeaderOptions] = useState(defaultHeaderOptions);
+
+  const toggleSheet = (name) => {
+    setSelectedSheets(
+      selectedSheets.includes(name)
+        ? selectedSheets.filter((sheet) => sheet !== name)
+        : [...selectedSheets, name],
+    );
+  };
+
+  // Keep the workbook's sheet order regardless of the order sheets were ticked in
+  const orderedSelection = sheets
+    .map((sheet) => sheet.name)
+    .filter((name) => selectedSheets.includes(name));
+
+  const tableCount = sheets.reduce((count, sheet) => count + (sheet.tables?.length || 0), 0);
+
+  const handleLoadSheets = () => {
+    onLoad({
+      sheets: orderedSelection,
+      headerRow: headerOptions.headerRow || 'auto',
+      headerRowCount: headerOptions.headerRowCount,
+    });
+  };
+
+  return (
+    <div className="sheet-picker">
+      <h3>Choose worksheets</h3>
+      <p className="sheet-picker-description">
+        <strong>{workbookName}</strong> contains {sheets.length}{' '}
+        {sheets.length === 1 ? 'worksheet' : 'worksheets'}
+        {tableCount > 0 && ` and ${tableCount} named ${tableCount === 1 ? 'table' : 'tables'}`}.
+        Select one worksheet to load it, or several to stack their rows into one table.
+        {tableCount > 0 && ' A named table can be loaded on its own.'}
+      </p>
+
+      <ul className="sheet-list">
+        {sheets.map((sheet) => (
+          <li
+            key={sheet.name}
+            className={`sheet-item ${selectedSheets.includes(sheet.name) ? 'selected' : ''}`}
+          >
+            <label className="sheet-label">
+              <input
+                type="checkbox"
+                checked={selectedSheets.includes(sheet.name)}
+                onChange={() => toggleSheet(sheet.name)}
+              />
+              <span className="sheet-name">{sheet.name}</span>
+              {sheet.hidden && <span className="sheet-hidden">hidden</span>}
+              <span className="sheet-dimensions">
+                {sheet.rowCount} rows × {sheet.columnCount} columns
+                {sheet.detectedHeaderRow && sheet.detectedHeaderRow > 1
+                  ? ` · header on row ${sheet.detectedHeaderRow}`
+                  : ''}
+              </span>
+            </label>
+            <button
+              className="btn btn-secondary btn-small"
+              onClick={() => setPreviewSheet(previewSheet === sheet.name ? null : sheet.name)}
+            >
+              {previewSheet === sheet.name ? 'Hide preview' : 'Preview'}
+            </button>
+
+            {sheet.tables?.length > 0 && (
+              <ul className="sheet-tables">
+                {sheet.tables.map((table) => (
+                  <li key={table.name} className="sheet-table">
+                    <span className="sheet-table-name">{table.name}</span>
+                    <span className="sheet-dimensions">
+                      {table.ref} · {table.rowCount} rows × {table.columnCount} columns
+                    </span>
+                    <button
+                      className="btn btn-secondary btn-small"
+                      onClick={() => onLoad({ table: table.name })}
+                      disabled={loading}
+                    >
+                      Load table
+                    </button>
+                  </li>
+                ))}
+              </ul>
+            )}
+
+            {previewSheet === sheet.name && (
+              <div className="sheet-preview">
+                {sheet.preview.length === 0 ? (
+                  <p>This worksheet is empty.</p>
+                ) : (
+                  <table>
+                    <tbody>
+                      {sheet.preview.map((row, rowIndex) => {
+                        const rowNumber = sheet.previewRowNumbers?.[rowIndex] ?? rowIndex + 1;
+                        return (
+                          <tr
+                            key={rowIndex}
+                            className={isDetectedHeaderRow(sheet, rowNumber) ? 'header-row' : ''}
+                          >
+                            <td className="row-number">{rowNumber}</td>
+                            {row.map((value, cellIndex) => (
+                              <td key={cellIndex}>{formatCell(value)}</td>
+                            ))}
+                          </tr>
+                        );
+                      })}
+                    </tbody>
+                  </table>
+                )}
+              </div>
+            )}
+          </li>
+        ))}
+      </ul>
+
+      <div className="sheet-header-options">
+        <label>
+          Header row
+          <input
+            type="number"
+            min="1"
+            placeholder="Auto-detect"
+            value={headerOptions.headerRow}
+            onChange={(e) => setHeaderOptions({ ...headerOptions, headerRow: e.target.value })}
+          />
+        </label>
+        <label>
+          Header spans
+          <select
+            value={headerOptions.headerRowCount}
+            onChange={(e) => setHeaderOptions({ ...headerOptions, headerRowCount: e.target.value })}
+          >
+            {HEADER_ROW_COUNT_OPTIONS.map((option) => (
+              <option key={option.value} value={option.value}>
+                {option.label}
+              </option>
+            ))}
+          </select>
+        </label>
+      </div>
+
+      <div className="sheet-picker-actions">
+        <button className="btn btn-secondary" onClick={onCancel} disabled={loading}>
+          Cancel
+        </button>
+        <button
+          className="btn btn-primary"
+          onClick={handleLoadSheets}
+          disabled={loading || orderedSelection.length === 0}
+        >
+          {loading
+            ? 'Loading...'
+            : orderedSelection.length > 1
+              ? `Load ${orderedSelection.length} sheets`
+              : 'Load sheet'}
+        </button>
+      </div>
+    </div>
+  );
+}
+
+SheetPicker.propTypes = {
+  workbookName: PropTypes.string.isRequired,
+  sheets: PropTypes.arrayOf(
+    PropTypes.shape({
+      name: PropTypes.string.isRequired,
+      hidden: PropTypes.bool,
+      rowCount: PropTypes.number,
+      columnCount: PropTypes.number,
+      preview: PropTypes.arrayOf(PropTypes.array),
+      previewRowNumbers: PropTypes.arrayOf(PropTypes.number),
+      detectedHeaderRow: PropTypes.number,
+      detectedHeaderRowCount: PropTypes.number,
+      tables: PropTypes.arrayOf(
+        PropTypes.shape({
+          name: PropTypes.string.isRequired,
+          ref: PropTypes.string,
+          rowCount: PropTypes.number,
+          columnCount: PropTypes.number,
+        }),
+      ),
+    }),
+  ).isRequired,
+  defaultHeaderOptions: PropTypes.shape({
+    headerRow: PropTypes.string,
+    headerRowCount: PropTypes.string,
+  }),
+  onLoad: PropTypes.func.isRequired,
+  onCancel: PropTypes.func.isRequired,
+  loading: PropTypes.bool,
+};
+
+SheetPicker.defaultProps = {
+  defaultHeaderOptions: { headerRow: '', headerRowCount: 'auto' },
+  loading: false,
+};
+
+export default SheetPicker;
@@ -0,0 +1,178 @@
+import React, { useEffect, useState } from 'react';
+import PropTypes from 'prop-types';
+import axios from 'axios';
+import DistinctValuePicker from './DistinctValuePicker';
+import './ValueListInput.css';
+
+// Same splitting as the server: one value per line or comma-separated
+const countListValues = (text) =>
+  new Set(
+    String(text || '')
+      .split(/[\r\n,]+/)
+      .map((value) => value.trim())
+      .filter(Boolean),
+  ).size;
+
+const getListSource = (filter) => {
+  if (filter.listSource) return 'dataset';
+  if (Array.isArray(filter.values)) return 'picked';
+  return 'pasted';
+};
+
+// List input for the "in list" / "not in list" conditions: pasted values, values picked from the
+// column's distinct values, or a column of another uploaded file, plus matching options
+function ValueListInput({ filter, datasetId, onChange }) {
+  const [datasets, setDatasets] = useState([]);
+  const [loadError, setLoadError] = useState(null);
+  const source = getListSource(filter);
+
+  useEffect(() => {
+    if (source !== 'dataset') return undefined;
+
+    let cancelled = false;
+    axios
+      .get('/api/datasets')
+      .then((response) => {
+        if (!cancelled) setDatasets(response.data.datasets);
+      })
+      .catch((err) => {
+        if (!cancelled) setLoadError(err.response?.data?.error || err.message);
+      });
+
+    return () => {
+      cancelled = true;
+    };
+  }, [source]);
+
+  const selectedDataset = datasets.find(
+    (dataset) => dataset.datasetId === filter.listSource?.datasetId,
+  );
+
+  return (
+    <div className="value-list-input">
+      <div className="value-list-source">
+        <label>
+          <input
+            type="radio"
+            checked={source === 'pasted'}
+            onChange={() => onChange('listSource', undefined)}
+          />
+          Paste values
+        </label>
+        {datasetId && (
+          <label>
+            <input
+              type="radio"
+              checked={source === 'picked'}
+              onChange={() => onChange('values', [])}
+            />
+            Pick from this column
+          </label>
+        )}
+        <label>
+          <input
+            type="radio"
+            checked={source === 'dataset'}
+            onChange={() => onChange('listSource', { datasetId: '', column: '' })}
+          />
+          Column from another file
+        </label>
+      </div>
+
+      {source === 'picked' && datasetId && (
+        <DistinctValuePicker
+          datasetId={datasetId}
+          column={filter.column}
+          selected={filter.values}
+          onChange={(values) => onChange('values', values)}
+        />
+      )}
+      {source === 'pasted' && (
+        <>
+          <textarea
+            className="filter-input value-list-text"
+            rows={4}
+            placeholder="One value per line, or comma-separated"
+            value={filter.value}
+            onChange={(e) => onChange('value', e.target.value)}
+          />
+          <span className="value-list-count">{countListValues(filter.value)} distinct values</span>
+        </>
+      )}
+      {source === 'dataset' && (
+        <div className="value-list-dataset">
+          <select
+            className="filter-select"
+            value={filter.listSource.datasetId}
+            onChange={(e) => onChange('listSource', { datasetId: e.target.value, column: '' })}
+          >
+            <option value="">Choose an uploaded file…</option>
+            {datasets.map((dataset) => (
+              <option key={dataset.datasetId} value={dataset.datasetId}>
+                {dataset.name} ({dataset.totalRows} rows)
+              </option>
+            ))}
+          </select>
+          <select
+            className="filter-select"
+            value={filter.listSource.column}
+            disabled={!selectedDataset}
+            onChange={(e) =>
+              onChange('listSource', { ...filter.listSource, column: e.target.value })
+            }
+          >
+            <option value="">Choose a column…</option>
+            {(selectedDataset?.headers || []).map((header) => (
+              <option key={header} value={header}>
+                {header}
+              </option>
+            ))}
+          </select>
+          {loadError && <span className="value-list-error">{loadError}</span>}
+        </div>
+      )}
+
+      <div className="value-list-options">
+        <label>
+          <input
+            type="checkbox"
+            checked={filter.trim !== false}
+            onChange={(e) => onChange('trim', e.target.checked)}
+          />
+          Ignore leading and trailing spaces
+        </label>
+        <label>
+          <input
+            type="checkbox"
+            checked={Boolean(filter.caseSensitive)}
+            onChange={(e) => onChange('caseSensitive', e.target.checked)}
+          />
+          Case-sensitive
+        </label>
+      </div>
+    </div>
+  );
+}
+
+ValueListInput.propTypes = {
+  filter: PropTypes.shape({
+    column: PropTypes.string,
+    value: PropTypes.string,
+    values: PropTypes.arrayOf(PropTypes.string),
+    listSource: PropTypes.shape({
+      datasetId: PropTypes.string,
+      column: PropTypes.string,
+    }),
+    trim: PropTypes.bool,
+    caseSensitive: PropTypes.bool,
+  }).isRequired,
+  // Dataset the filter applies to, whose values can be picked
+  datasetId: PropTypes.string,
+  onChange: PropTypes.func.isRequired,
+};
+
+ValueListInput.defaultProps = {
+  datasetId: null,
+};
+
+export default ValueListInput;
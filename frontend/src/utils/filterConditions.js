@@ -0,0 +1,69 @@
+import { useEffect, useState } from 'react';
+import axios from 'axios';
+import { mapConditions } from './filterTree';
+
+// Conditions come from the server's condition registry (GET /api/conditions), custom ones
+// included: { id, label, types, operands, custom }. They are fetched once and shared.
+let conditions = [];
+let loading = null;
+
+export const loadFilterConditions = () => {
+  if (!loading) {
+    loading = axios
+      .get('/api/conditions')
+      .then((response) => {
+        conditions = response.data.conditions;
+        return conditions;
+      })
+      .catch((error) => {
+        loading = null;
+        throw error;
+      });
+  }
+  return loading;
+};
+
+// The conditions, re-rendering the component once they have been fetched
+export const useFilterConditions = () => {
+  const [loaded, setLoaded] = useState(conditions);
+
+  useEffect(() => {
+    let cancelled = false;
+    loadFilterConditions()
+      .then((list) => {
+        if (!cancelled) setLoaded(list);
+      })
+      .catch(() => {});
+    return () => {
+      cancelled = true;
+    };
+  }, []);
+
+  return loaded;
+};
+
+export const findCondition = (id) => conditions.find((condition) => condition.id === id) || null;
+
+// Conditions offered for a column type, in the server's order; unknown types are treated as text
+export const getConditionsForType = (type) => {
+  const forType = conditions.filter((condition) => condition.types.includes(type));
+  return forType.length > 0
+    ? forType
+    : conditions.filter((condition) => condition.types.includes('text'));
+};
+
+export const getDefaultCondition = (type) => getConditionsForType(type)[0]?.id || '';
+
+export const fitsColumnType = (filter, type) =>
+  getConditionsForType(type).some((option) => option.id === filter.condition);
+
+// Conditions that no longer fit their column's type (e.g. after the type was changed) start over
+// with the first condition of the new type
+export const fitConditionsToColumnTypes = (tree, columnTypes) =>
+  conditions.length === 0
+    ? tree
+    : mapConditions(tree, (filter) => {
+        const type = columnTypes[filter.column];
+        if (fitsColumnType(filter, type)) return filter;
+        return { ...filter, condition: getDefaultCondition(type), value: '', value2: '' };
+      });
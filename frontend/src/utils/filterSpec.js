@@ -0,0 +1,39 @@
+// Filter spec files: a filter setup saved as JSON, to email to a colleague or keep in git.
+// The format is documented in the README ("Filter Spec Files"); the server validates specs
+// before they are loaded (POST /api/filter-specs/validate).
+import { toFilterRequest } from './filterTree';
+
+export const FILTER_SPEC_FORMAT = 'filtro-filter-spec';
+export const FILTER_SPEC_VERSION = 1;
+
+export const createFilterSpec = ({
+  name = '',
+  mode,
+  filters,
+  logicOperator,
+  keyColumns,
+  joinType,
+}) => ({
+  format: FILTER_SPEC_FORMAT,
+  version: FILTER_SPEC_VERSION,
+  name,
+  mode,
+  filters: toFilterRequest(filters),
+  logicOperator,
+  keyColumns,
+  joinType,
+  exportedAt: new Date().toISOString(),
+});
+
+export const getSpecFileName = (name) =>
+  `${(name || 'filter').replace(/[^\w-]+/g, '_').replace(/^_+|_+$/g, '') || 'filter'}.filter.json`;
+
+// The spec in a file chosen by the user; throws with a readable message when it is not JSON
+export const readSpecFile = async (file) => {
+  const text = await file.text();
+  try {
+    return JSON.parse(text);
+  } catch (error) {
+    throw new Error(`${file.name} is not a JSON file (${error.message})`);
+  }
+};
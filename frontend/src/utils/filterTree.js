@@ -0,0 +1,123 @@
+// Filter trees as edited by FilterBuilder and sent to the server:
+// { type: 'group', operator: 'AND' | 'OR', not: false, conditions: [condition or group, ...] }
+// Every node carries an `id` for editing; ids are stripped before the tree is sent.
+
+let nextId = 0;
+const createId = () => `filter-${Date.now()}-${nextId++}`;
+
+export const isFilterGroup = (node) => Boolean(node) && node.type === 'group';
+
+export const createFilterGroup = (operator = 'AND') => ({
+  id: createId(),
+  type: 'group',
+  operator,
+  not: false,
+  conditions: [],
+});
+
+export const createFilterCondition = (column, condition) => ({
+  id: createId(),
+  column,
+  condition,
+  value: '',
+  value2: '',
+});
+
+// Flat arrays of conditions (the original filter format) become a single group, combining them
+// with the `logicOperator` that came with them
+export const toFilterTree = (filters, logicOperator = 'AND') => {
+  if (isFilterGroup(filters)) return filters;
+  const group = createFilterGroup(logicOperator);
+  group.conditions = (filters || []).map((filter) => ({ id: createId(), ...filter }));
+  return group;
+};
+
+export const countConditions = (node) =>
+  isFilterGroup(node)
+    ? node.conditions.reduce((count, child) => count + countConditions(child), 0)
+    : 1;
+
+// The conditions of a tree in depth-first order, the order the server reports them in
+export const listConditions = (node) =>
+  isFilterGroup(node) ? node.conditions.flatMap(listConditions) : [node];
+
+// Apply `update` to the node with the given id, returning a new tree
+export const updateNode = (node, id, update) => {
+  if (node.id === id) return update(node);
+  if (!isFilterGroup(node)) return node;
+  return { ...node, conditions: node.conditions.map((child) => updateNode(child, id, update)) };
+};
+
+export const removeNode = (node, id) => {
+  if (!isFilterGroup(node)) return node;
+  return {
+    ...node,
+    conditions: node.conditions
+      .filter((child) => child.id !== id)
+      .map((child) => removeNode(child, id)),
+  };
+};
+
+// Apply `update` to every condition, returning the same tree when no condition changed
+export const mapConditions = (node, update) => {
+  if (!isFilterGroup(node)) return update(node);
+  const conditions = node.conditions.map((child) => mapConditions(child, update));
+  return conditions.every((child, index) => child === node.conditions[index])
+    ? node
+    : { ...node, conditions };
+};
+
+const isPickedListFilter = (node, column) =>
+  !isFilterGroup(node) &&
+  node.column === column &&
+  (node.condition === 'inList' || node.condition === 'notInList') &&
+  Array.isArray(node.values);
+
+// The picked-values filter a table header shows for a column: a top-level list condition
+export const findColumnListFilter = (tree, column) =>
+  toFilterTree(tree).conditions.find((node) => isPickedListFilter(node, column)) || null;
+
+// Replace a column's top-level picked-values filter (or add one); no values removes it
+export const setColumnListFilter = (tree, { column, condition, values }) => {
+  const root = toFilterTree(tree);
+  const existing = findColumnListFilter(root, column);
+  if (values.length === 0) {
+    return existing ? removeNode(root, existing.id) : root;
+  }
+  if (existing) {
+    return updateNode(root, existing.id, (node) => ({ ...node, condition, values }));
+  }
+  return {
+    ...root,
+    conditions: [...root.conditions, { ...createFilterCondition(column, condition), values }],
+  };
+};
+
+// The tree in the shape the server expects
+export const toFilterRequest = (node) => {
+  if (isFilterGroup(node)) {
+    return {
+      type: 'group',
+      operator: node.operator,
+      not: Boolean(node.not),
+      conditions: node.conditions.map(toFilterRequest),
+    };
+  }
+
+  const condition = { ...node };
+  delete condition.id;
+  return condition;
+};
+
+// A tree as stored or sent to the server, with ids added back for editing
+export const fromFilterRequest = (filters, logicOperator) => {
+  if (!isFilterGroup(filters)) return toFilterTree(filters, logicOperator);
+  return {
+    ...filters,
+    id: createId(),
+    not: Boolean(filters.not),
+    conditions: filters.conditions.map((node) =>
+      isFilterGroup(node) ? fromFilterRequest(node) : { ...node, id: createId() },
+    ),
+  };
+};
@@ -0,0 +1,86 @@
+// Result columns of a reference join, named the way the server names them (see
+// backend/joinColumns.js), so the column editor can show and reorder them before the join runs.
+
+export const CONFLICT_STRATEGIES = [
+  { value: 'prefixAll', label: 'Prefix every reference column' },
+  { value: 'prefixConflicts', label: 'Prefix only names the main file also has' },
+  { value: 'coalesce', label: 'Merge same-named columns (first non-empty value)' },
+];
+
+export const DEFAULT_OUTPUT = {
+  conflictStrategy: 'prefixAll',
+  referencePrefix: 'ref_',
+  referenceSuffix: '',
+  // [{ file, column, name, keep }] once columns are chosen by hand; null returns them all
+  columns: null,
+};
+
+// Which files' columns each join type returns
+const JOIN_SIDES = {
+  semi: { main: true, reference: false },
+  anti: { main: true, reference: false },
+  rightAnti: { main: false, reference: true },
+};
+
+const sidesOf = (joinType) => JOIN_SIDES[joinType] || { main: true, reference: true };
+
+// The columns the join returns by default: [{ file, column, name }], merged pairs listed once
+export const getDefaultColumns = (output, joinType, mainHeaders, referenceHeaders) => {
+  const sides = sidesOf(joinType);
+  const mainColumns = sides.main ? mainHeaders : [];
+  const { conflictStrategy, referencePrefix, referenceSuffix } = output;
+
+  const columns = mainColumns.map((column) => ({ file: 'main', column, name: column }));
+  (sides.reference ? referenceHeaders : []).forEach((column) => {
+    const clashes = mainColumns.includes(column);
+    if (conflictStrategy === 'coalesce' && clashes) return;
+    const renamed = conflictStrategy === 'prefixAll' || clashes;
+    columns.push({
+      file: 'reference',
+      column,
+      name: renamed ? `${referencePrefix}${column}${referenceSuffix}` : column,
+    });
+  });
+  return columns;
+};
+
+// The columns to choose from: [{ file, column, defaultName, name, keep }] with name empty for the
+// default name. Hand-picked columns that still exist come first, in their order, then new ones.
+export const getChosenColumns = (output, joinType, mainHeaders, referenceHeaders) => {
+  const defaults = getDefaultColumns(output, joinType, mainHeaders, referenceHeaders);
+  if (!output.columns) {
+    return defaults.map((column) => ({
+      ...column,
+      defaultName: column.name,
+      name: '',
+      keep: true,
+    }));
+  }
+
+  const findDefault = ({ file, column }) =>
+    defaults.find((candidate) => candidate.file === file && candidate.column === column);
+  const chosen = output.columns
+    .filter((column) => findDefault(column))
+    .map((column) => ({ ...column, defaultName: findDefault(column).name }));
+  defaults.forEach((column) => {
+    if (!chosen.some((other) => other.file === column.file && other.column === column.column)) {
+      chosen.push({ ...column, defaultName: column.name, name: '', keep: true });
+    }
+  });
+  return chosen;
+};
+
+// The output fields of a POST /api/reference-filter request
+export const toOutputRequest = (output, joinType, mainHeaders, referenceHeaders) => {
+  const request = {
+    conflictStrategy: output.conflictStrategy,
+    referencePrefix: output.referencePrefix,
+    referenceSuffix: output.referenceSuffix,
+  };
+  if (output.columns) {
+    request.outputColumns = getChosenColumns(output, joinType, mainHeaders, referenceHeaders)
+      .filter((column) => column.keep)
+      .map(({ file, column, name }) => (name ? { file, column, name } : { file, column }));
+  }
+  return request;
+};
@@ -0,0 +1,53 @@
+// Saved presets name the columns they were built on. Loaded against another file, those columns
+// may be missing or renamed; these helpers find them and rename them throughout a preset.
+import { fromFilterRequest, mapConditions } from './filterTree';
+
+const addColumn = (columns, column) => (columns.includes(column) ? columns : [...columns, column]);
+
+// Columns a preset uses, in order of first use: `columns` of the filtered file (the only file in
+// single mode, the reference file in reference mode) and `primaryColumns` of the main file
+export const getPresetColumns = (preset) => {
+  let columns = [];
+  mapConditions(fromFilterRequest(preset.filters, preset.logicOperator), (filter) => {
+    columns = addColumn(columns, filter.column);
+    return filter;
+  });
+
+  let primaryColumns = [];
+  if (preset.mode === 'reference') {
+    preset.keyColumns.forEach(({ refColumn, primaryColumn }) => {
+      columns = addColumn(columns, refColumn);
+      primaryColumns = addColumn(primaryColumns, primaryColumn);
+    });
+  }
+  return { columns, primaryColumns };
+};
+
+// The preset columns each file lacks
+export const findMissingColumns = (preset, headers, primaryHeaders = []) => {
+  const { columns, primaryColumns } = getPresetColumns(preset);
+  return {
+    columns: columns.filter((column) => !headers.includes(column)),
+    primaryColumns: primaryColumns.filter((column) => !primaryHeaders.includes(column)),
+  };
+};
+
+export const hasMissingColumns = (missing) =>
+  missing.columns.length > 0 || missing.primaryColumns.length > 0;
+
+// The preset with its columns renamed: `columns` and `primaryColumns` map old names to new ones.
+// Its filters come back as a tree, flat ones grouped with the preset's logicOperator.
+export const remapPresetColumns = (preset, { columns = {}, primaryColumns = {} }) => {
+  const rename = (mapping, column) => mapping[column] || column;
+  return {
+    ...preset,
+    filters: mapConditions(fromFilterRequest(preset.filters, preset.logicOperator), (filter) =>
+      columns[filter.column] ? { ...filter, column: columns[filter.column] } : filter,
+    ),
+    keyColumns: preset.keyColumns.map(({ refColumn, primaryColumn, ...options }) => ({
+      ...options,
+      refColumn: rename(columns, refColumn),
+      primaryColumn: rename(primaryColumns, primaryColumn),
+    })),
+  };
+};